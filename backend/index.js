@@ -82,17 +82,26 @@ const {expressjwt: jwt} = require("express-jwt");
 const app = express();
 
 // Load routes with error handling
-let authRoutes, usersRoutes, transactionsRoutes, promotionsRoutes, eventsRoutes;
+let authRoutes, usersRoutes, transactionsRoutes, promotionsRoutes, eventsRoutes, qrRoutes, tiersRoutes, earningRulesRoutes, analyticsRoutes, auditRoutes;
 try {
     authRoutes = require("./routes/authRoutes");
     usersRoutes = require("./routes/usersRoutes");
     transactionsRoutes = require("./routes/transactionsRoutes");
     promotionsRoutes = require("./routes/promotionsRoutes");
     eventsRoutes = require("./routes/eventsRoutes");
+    qrRoutes = require("./routes/qrRoutes");
+    tiersRoutes = require("./routes/tiersRoutes");
+    earningRulesRoutes = require("./routes/earningRulesRoutes");
+    analyticsRoutes = require("./routes/analyticsRoutes");
+    auditRoutes = require("./routes/auditRoutes");
 } catch (error) {
     console.error('Error loading routes:', error);
 }
 
+const redemptions = require("./services/redemptions");
+const pointsExpiry = require("./services/pointsExpiry");
+const birthdays = require("./services/birthdays");
+
 // CORS configuration - use environment variable or default to localhost for development
 const allowedOrigins = process.env.CORS_ORIGIN 
     ? process.env.CORS_ORIGIN.split(',').map(origin => origin.trim())
@@ -136,7 +145,8 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+    exposedHeaders: ['Content-Disposition', 'X-Total-Count'], // read by the frontend when downloading exports
     preflightContinue: false,
     optionsSuccessStatus: 204
 }));
@@ -204,6 +214,11 @@ if (usersRoutes) app.use("/users", usersRoutes);
 if (transactionsRoutes) app.use("/transactions", transactionsRoutes);
 if (promotionsRoutes) app.use("/promotions", promotionsRoutes);
 if (eventsRoutes) app.use("/events", eventsRoutes);
+if (qrRoutes) app.use("/qr", qrRoutes);
+if (tiersRoutes) app.use("/tiers", tiersRoutes);
+if (earningRulesRoutes) app.use("/earning-rules", earningRulesRoutes);
+if (analyticsRoutes) app.use("/analytics", analyticsRoutes);
+if (auditRoutes) app.use("/audit", auditRoutes);
 
 // Global error handler
 app.use((err, req, res, next) => {
@@ -245,6 +260,12 @@ process.on('SIGINT', () => {
 
 const server = app.listen(port, () => {
     console.log(`Server running on port ${port}`);
+    // Cancel redemption requests nobody processed in time
+    redemptions.startExpirySweep();
+    // Expire points under POINTS_EXPIRY_POLICY
+    pointsExpiry.startExpirySweep();
+    // Grant birthday rewards under BIRTHDAY_REWARD
+    birthdays.startBirthdaySweep();
 });
 
 server.on('error', (err) => {
@@ -0,0 +1,44 @@
+'use strict';
+
+const auditLog = require("../services/auditLog");
+
+// Records what a route changed in the audit log; must run after auth. `load(req)` reads the
+// target's audited fields (including its id), or returns null when there is no such record.
+// It runs before the handler and again once the response has been sent, and any difference is
+// recorded, including writes a handler made before returning an error.
+// The entry is best-effort: both snapshots are read outside the handler's transaction, so a
+// concurrent edit that lands in between is attributed to this request's actor, and a failed
+// write is only logged. Actions that must be recorded exactly write their entry inside their
+// own transaction (see auditLog.record).
+function audit(action, targetType, load) {
+    return async (req, res, next) => {
+        let before;
+        try {
+            before = await load(req);
+        } catch (error) {
+            console.error('Audit snapshot failed:', error);
+            return next();
+        }
+        res.on("finish", async () => {
+            try {
+                const after = await load(req);
+                const target = before || after;
+                if(!target) {
+                    return;
+                }
+                await auditLog.record(req, {
+                    action: action,
+                    targetType: targetType,
+                    targetId: target.id,
+                    before: before,
+                    after: after
+                });
+            } catch (error) {
+                console.error('Audit log write failed:', error);
+            }
+        });
+        next();
+    };
+}
+
+module.exports = audit;
@@ -0,0 +1,93 @@
+'use strict';
+
+const crypto = require("crypto");
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// How long a key keeps replaying its original response
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const keyRegex = /^[A-Za-z0-9_-]{8,128}$/;
+
+const hashBody = (body) => {
+    return crypto.createHash("sha256").update(JSON.stringify(body || {})).digest("hex");
+};
+
+// Replays the stored response when a request repeats an Idempotency-Key; must run after auth.
+// Only successful responses are stored, so a failed request can be retried with the same key.
+async function idempotency(req, res, next) {
+    const key = req.get("Idempotency-Key");
+    if(!key) {
+        return next();
+    }
+    if(!keyRegex.test(key)) {
+        return res.status(400).json({"Message": "Idempotency-Key must be 8 - 128 letters, digits, dashes or underscores"});
+    }
+
+    const userId = req.auth.id;
+    const path = req.baseUrl + req.path;
+    const bodyHash = hashBody(req.body);
+    let record;
+    try {
+        record = await prisma.idempotencyKey.findUnique({
+            where: {userId_key: {userId: userId, key: key}}
+        });
+        if(record && Date.now() - record.createdAt.getTime() > KEY_TTL_MS) {
+            await prisma.idempotencyKey.delete({where: {id: record.id}});
+            record = null;
+        }
+        if(record) {
+            if(record.method !== req.method || record.path !== path || record.bodyHash !== bodyHash) {
+                return res.status(422).json({"Message": "Idempotency-Key was already used for a different request"});
+            }
+            if(record.status === null) {
+                return res.status(409).json({"Message": "A request with this Idempotency-Key is still being processed"});
+            }
+            res.set("Idempotent-Replayed", "true");
+            return res.status(record.status).json(JSON.parse(record.response));
+        }
+        // Reserve the key before running the handler so a concurrent duplicate is refused
+        record = await prisma.idempotencyKey.create({
+            data: {
+                key: key,
+                userId: userId,
+                method: req.method,
+                path: path,
+                bodyHash: bodyHash
+            }
+        });
+    } catch (error) {
+        if(error.code === "P2002") {
+            return res.status(409).json({"Message": "A request with this Idempotency-Key is still being processed"});
+        }
+        console.error('Idempotency check failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+
+    let settled = false;
+    const release = () => prisma.idempotencyKey.delete({where: {id: record.id}})
+        .catch((error) => console.error('Failed to release idempotency key:', error));
+
+    // Store the response before it is sent so an immediate replay already sees it
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        settled = true;
+        const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+        const store = succeeded
+            ? prisma.idempotencyKey.update({
+                where: {id: record.id},
+                data: {status: res.statusCode, response: JSON.stringify(body)}
+            }).catch((error) => console.error('Failed to store idempotent response:', error))
+            : release();
+        store.finally(() => json(body));
+        return res;
+    };
+    // A handler that never answered must not leave the key reserved
+    res.on("close", () => {
+        if(!settled) {
+            release();
+        }
+    });
+    next();
+}
+
+module.exports = idempotency;
@@ -0,0 +1,29 @@
+'use strict'
+
+const dotenv = require("dotenv");
+dotenv.config();
+const express = require("express");
+const router = express.Router();
+
+const auth = require("../middleware/auth");
+const analytics = require("../services/analytics");
+
+// Program-wide figures for a date range (managers only)
+router.get('/overview', auth, async (req, res) => {
+    const higherRoles = ["manager", "superuser"];
+    if(!higherRoles.includes(req.auth.role)) {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    const range = analytics.readRange(req.query);
+    if(range.error) {
+        return res.status(400).json({"Message": `Bad request: ${range.error}`});
+    }
+    try {
+        return res.status(200).json(await analytics.overview(range.from, range.to));
+    } catch (error) {
+        console.error('Analytics overview failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+'use strict'
+
+const dotenv = require("dotenv");
+dotenv.config();
+const express = require("express");
+const router = express.Router();
+
+const auth = require("../middleware/auth");
+const auditLog = require("../services/auditLog");
+
+// Audit log entries, newest first (superusers only). Filters: actor (utorid), action (a full
+// action or its prefix, e.g. "user"), targetType, targetId, from/to dates.
+router.get('/', auth, async (req, res) => {
+    if(req.auth.role !== "superuser") {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    const query = auditLog.readQuery(req.query);
+    if(query.error) {
+        return res.status(400).json({"Message": `Bad request: ${query.error}`});
+    }
+    try {
+        return res.status(200).json(await auditLog.list(query));
+    } catch (error) {
+        console.error('Audit log query failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+});
+
+module.exports = router;
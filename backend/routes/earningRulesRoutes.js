@@ -0,0 +1,106 @@
+'use strict'
+
+const dotenv = require("dotenv");
+dotenv.config();
+const express = require("express");
+const router = express.Router();
+
+const auth = require("../middleware/auth");
+const earningRules = require("../services/earningRules");
+
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+
+const higherRoles = ["manager", "superuser"];
+
+// List every rule version, newest first (managers only)
+router.get('/', auth, async (req, res) => {
+    if(!higherRoles.includes(req.auth.role)) {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    const current = await earningRules.ruleAt();
+    const rules = await prisma.earningRule.findMany({
+        orderBy: {effectiveFrom: "desc"}
+    });
+    return res.status(200).json({
+        "count": rules.length,
+        "results": rules.map(rule => earningRules.describe(rule, current.id))
+    });
+});
+
+// The rule in force now; cashiers use it to estimate the points a purchase earns
+router.get('/current', auth, async (req, res) => {
+    const staffRoles = ["cashier", "manager", "superuser"];
+    if(!staffRoles.includes(req.auth.role)) {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    const current = await earningRules.ruleAt();
+    return res.status(200).json(earningRules.describe(current, current.id));
+});
+
+// Add a new rule version, in force from effectiveFrom (default now). Past dates are refused so
+// that existing transactions keep the version they were calculated with.
+router.post('/', auth, async (req, res) => {
+    if(!higherRoles.includes(req.auth.role)) {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    const {pointsPerDollar, rounding = "ceil", minSpent = 0, maxPromotions = null, effectiveFrom} = req.body;
+    const problem = earningRules.validateRule({pointsPerDollar, rounding, minSpent, maxPromotions, effectiveFrom});
+    if(problem) {
+        return res.status(400).json({"Message": `Bad request: ${problem}`});
+    }
+    const now = new Date();
+    const start = effectiveFrom !== undefined ? new Date(effectiveFrom) : now;
+    // Allow a minute of clock skew between the client and the server
+    if(start.getTime() < now.getTime() - 60 * 1000) {
+        return res.status(400).json({"Message": "Bad request: effectiveFrom cannot be in the past"});
+    }
+    let rule;
+    try {
+        rule = await prisma.earningRule.create({
+            data: {
+                pointsPerDollar: pointsPerDollar,
+                rounding: rounding,
+                minSpent: minSpent,
+                maxPromotions: maxPromotions,
+                effectiveFrom: start < now ? now : start,
+                createdBy: req.auth.utorid
+            }
+        });
+    } catch (error) {
+        if(error.code === "P2002") {
+            return res.status(409).json({"Message": "Another rule version starts at the same time"});
+        }
+        console.error('Creating earning rule failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+    const current = await earningRules.ruleAt();
+    return res.status(201).json(earningRules.describe(rule, current.id));
+});
+
+// Withdraw a scheduled version before it takes effect (managers only)
+router.delete('/:ruleId', auth, async (req, res) => {
+    if(!higherRoles.includes(req.auth.role)) {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    const ruleId = parseInt(req.params.ruleId);
+    if(isNaN(ruleId)) {
+        return res.status(400).json({"Message": "Bad request"});
+    }
+    const rule = await prisma.earningRule.findUnique({
+        where: {id: ruleId}
+    });
+    if(!rule) {
+        return res.status(404).json({"Message": "Earning rule not found"});
+    }
+    // Conditional on the start date so a version that has just come into force is kept
+    const removed = await prisma.earningRule.deleteMany({
+        where: {id: ruleId, effectiveFrom: {gt: new Date()}}
+    });
+    if(removed.count === 0) {
+        return res.status(400).json({"Message": "Bad request: Only scheduled rule versions can be withdrawn"});
+    }
+    return res.status(204).end();
+});
+
+module.exports = router;
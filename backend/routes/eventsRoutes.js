@@ -6,6 +6,11 @@ const express = require("express");
 const router = express.Router();
 
 const auth = require("../middleware/auth");
+const audit = require("../middleware/audit");
+const idempotency = require("../middleware/idempotency");
+const ledger = require("../services/ledger");
+const {LedgerError} = ledger;
+const exporter = require("../services/exporter");
 
 const {PrismaClient} = require('@prisma/client');
 const prisma = new PrismaClient();
@@ -18,6 +23,175 @@ const isValidISODate = (value) => {
     const timestamp = Date.parse(value);
     return !Number.isNaN(timestamp);
 };
+
+// Filters and formats every event matching the list query parameters and hands them to
+// `respond` along with the page and limit asked for. Answers bad parameters itself.
+const listEvents = async (req, res, respond) => {
+    const higherRoles = ["manager", "superuser"];
+    let {name, location, started, ended, showFull, page, limit} = req.query;
+    let published = true;
+    if(higherRoles.includes(req.auth.role)) {
+        if(req.query.published) {
+            published = req.query.published;
+        } else {
+            published = null;
+        }
+        if((published === "true" || published === "false") && published !== null) {
+            published = (published === "true");
+        } else if(published !== null) {
+            return res.status(400).json({"message": "Bad request"});
+        }
+    }
+    let data = {};
+    if(published !== null) {
+        data.published = published;
+    }
+    if(name) {
+        data.name = {
+            startsWith: name
+        };
+    }
+    if(location) {
+        data.location = {
+            startsWith: location
+        }
+    }
+    if(started) {
+        if (started === "true" || started === "false") {
+            started = (started === "true");
+        } else {
+            return res.status(400).json({"message": "Bad request"});
+        }
+    }
+    if(ended) {
+        if(ended === "true" || ended === "false") {
+            ended = (ended === "true");
+        } else {
+            return res.status(400).json({"message": "Bad request"});
+        }
+    }
+    if(showFull) {
+        if(showFull === "true" || showFull === "false") {
+            showFull = (showFull === "true");
+        } else {
+            return res.status(400).json({"message": "Bad request"});
+        }
+    } else {
+        showFull = false;
+    }
+    if(showFull === false) {
+        data.full = showFull;
+    }
+    if(page !== null && page !== undefined) {
+        page = parseInt(page);
+        if(isNaN(page) || page < 1) {
+            return res.status(400).json({"message": "Bad request"});
+        }
+    } else {
+        page = 1
+    }
+    if(limit !== null && limit !== undefined) {
+        limit = parseInt(limit);
+        if(isNaN(limit) || limit < 1) {
+            return res.status(400).json({"message": "Bad request"});
+        }
+    } else {
+        limit = 10
+    }
+
+    let promotions = await prisma.event.findMany({  // terrible variable name, i was probably really tired when writing this endpoint
+        where: data,
+        include: {
+            guests: true,
+            organizers: true
+        }
+    });
+    // for debugging purposes:
+    let filteredPromotions = [];
+    for(let i = 0; i < promotions.length; i++) {
+        let promotion = promotions[i];
+        let promotionStart = Date.parse(promotion.startTime);
+        let promotionEnd = Date.parse(promotion.endTime);
+        let now = Date.now();
+        const hasStarted = started ?? undefined;
+        const hasEnded = ended ?? undefined;
+
+        if(hasStarted === false && hasEnded === true) {
+            return res.status(400).json({"message": "Bad request"});
+        }
+
+        if(hasStarted !== undefined && hasEnded !== undefined) {
+            if(hasStarted && hasEnded && promotionEnd <= now) {
+                filteredPromotions.push(promotion);
+
+            } else if(hasStarted && !hasEnded && promotionStart <= now && now < promotionEnd) {
+                filteredPromotions.push(promotion);
+
+            } else if(!hasStarted && !hasEnded && now < promotionStart) {
+                filteredPromotions.push(promotion);
+            }
+
+            continue;
+        }
+        if(hasStarted !== undefined) {
+            if(hasStarted && promotionStart <= now) {
+                filteredPromotions.push(promotion);
+
+            } else if(!hasStarted && now < promotionStart) {
+                filteredPromotions.push(promotion);
+            }
+
+            continue;
+        }
+        if(hasEnded !== undefined) {
+            if(hasEnded && promotionEnd <= now) {
+                filteredPromotions.push(promotion);
+
+            } else if(!hasEnded && now < promotionEnd) {
+                filteredPromotions.push(promotion);
+            }
+            
+            continue;
+        }
+        filteredPromotions.push(promotion);
+    }
+    const toBeReturned = filteredPromotions;
+    let toReturn = [];
+    if(higherRoles.includes(req.auth.role)) {
+        for(let i = 0; i < toBeReturned.length; i++) {
+            toReturn.push({
+                "id": toBeReturned[i].id,
+                "name": toBeReturned[i].name,
+                "location": toBeReturned[i].location,
+                "startTime": toBeReturned[i].startTime,
+                "endTime": toBeReturned[i].endTime,
+                "capacity": toBeReturned[i].capacity,
+                "pointsRemain": toBeReturned[i].pointsRemain,
+                "pointsAwarded": toBeReturned[i].pointsAwarded,
+                "published": toBeReturned[i].published,
+                "numGuests": toBeReturned[i].guests.length,
+                "placeId": toBeReturned[i].placeId
+            });
+        }
+    } else {
+        for(let i = 0; i < toBeReturned.length; i++) {
+            if(toBeReturned[i].published) {
+                toReturn.push({
+                    "id": toBeReturned[i].id,
+                    "name": toBeReturned[i].name,
+                    "location": toBeReturned[i].location,
+                    "startTime": toBeReturned[i].startTime,
+                    "endTime": toBeReturned[i].endTime,
+                    "capacity": toBeReturned[i].capacity,
+                    "numGuests": toBeReturned[i].guests.length,
+                    "placeId": toBeReturned[i].placeId
+                });
+            }
+        }
+    }
+    return respond(toReturn, page, limit);
+};
+
 router.route("/")
     .post(auth, async (req, res) => {
         const authorized = ["manager", "superuser"];
@@ -84,172 +258,23 @@ router.route("/")
         toReturn["placeId"] = event.placeId;
         return res.status(201).json(toReturn);
     })
-    .get(auth, async (req, res) => {
-        const higherRoles = ["manager", "superuser"];
-        let {name, location, started, ended, showFull, page, limit} = req.query;
-        let published = true;
-        if(higherRoles.includes(req.auth.role)) {
-            if(req.query.published) {
-                published = req.query.published;
-            } else {
-                published = null;
-            }
-            if((published === "true" || published === "false") && published !== null) {
-                published = (published === "true");
-            } else if(published !== null) {
-                return res.status(400).json({"message": "Bad request"});
-            }
-        }
-        let data = {};
-        if(published !== null) {
-            data.published = published;
-        }
-        if(name) {
-            data.name = {
-                startsWith: name
-            };
-        }
-        if(location) {
-            data.location = {
-                startsWith: location
-            }
-        }
-        if(started) {
-            if (started === "true" || started === "false") {
-                started = (started === "true");
-            } else {
-                return res.status(400).json({"message": "Bad request"});
-            }
-        }
-        if(ended) {
-            if(ended === "true" || ended === "false") {
-                ended = (ended === "true");
-            } else {
-                return res.status(400).json({"message": "Bad request"});
-            }
-        }
-        if(showFull) {
-            if(showFull === "true" || showFull === "false") {
-                showFull = (showFull === "true");
-            } else {
-                return res.status(400).json({"message": "Bad request"});
-            }
-        } else {
-            showFull = false;
-        }
-        if(showFull === false) {
-            data.full = showFull;
-        }
-        if(page !== null && page !== undefined) {
-            page = parseInt(page);
-            if(isNaN(page) || page < 1) {
-                return res.status(400).json({"message": "Bad request"});
-            }
-        } else {
-            page = 1
-        }
-        if(limit !== null && limit !== undefined) {
-            limit = parseInt(limit);
-            if(isNaN(limit) || limit < 1) {
-                return res.status(400).json({"message": "Bad request"});
-            }
-        } else {
-            limit = 10
-        }
-
-        let promotions = await prisma.event.findMany({  // terrible variable name, i was probably really tired when writing this endpoint
-            where: data,
-            include: {
-                guests: true,
-                organizers: true
-            }
-        });
-        // for debugging purposes:
-        let filteredPromotions = [];
-        for(let i = 0; i < promotions.length; i++) {
-            let promotion = promotions[i];
-            let promotionStart = Date.parse(promotion.startTime);
-            let promotionEnd = Date.parse(promotion.endTime);
-            let now = Date.now();
-            const hasStarted = started ?? undefined;
-            const hasEnded = ended ?? undefined;
-
-            if(hasStarted === false && hasEnded === true) {
-                return res.status(400).json({"message": "Bad request"});
-            }
-
-            if(hasStarted !== undefined && hasEnded !== undefined) {
-                if(hasStarted && hasEnded && promotionEnd <= now) {
-                    filteredPromotions.push(promotion);
-
-                } else if(hasStarted && !hasEnded && promotionStart <= now && now < promotionEnd) {
-                    filteredPromotions.push(promotion);
-
-                } else if(!hasStarted && !hasEnded && now < promotionStart) {
-                    filteredPromotions.push(promotion);
-                }
-
-                continue;
-            }
-            if(hasStarted !== undefined) {
-                if(hasStarted && promotionStart <= now) {
-                    filteredPromotions.push(promotion);
-
-                } else if(!hasStarted && now < promotionStart) {
-                    filteredPromotions.push(promotion);
-                }
-
-                continue;
-            }
-            if(hasEnded !== undefined) {
-                if(hasEnded && promotionEnd <= now) {
-                    filteredPromotions.push(promotion);
-
-                } else if(!hasEnded && now < promotionEnd) {
-                    filteredPromotions.push(promotion);
-                }
-                
-                continue;
-            }
-            filteredPromotions.push(promotion);
-        }
-        const count = filteredPromotions.length;
-        const toBeReturned = filteredPromotions.slice((page - 1) * limit, (page - 1) * limit + limit);
-        let toReturn = [];
-        if(higherRoles.includes(req.auth.role)) {
-            for(let i = 0; i < toBeReturned.length; i++) {
-                toReturn.push({
-                    "id": toBeReturned[i].id,
-                    "name": toBeReturned[i].name,
-                    "location": toBeReturned[i].location,
-                    "startTime": toBeReturned[i].startTime,
-                    "endTime": toBeReturned[i].endTime,
-                    "capacity": toBeReturned[i].capacity,
-                    "pointsRemain": toBeReturned[i].pointsRemain,
-                    "pointsAwarded": toBeReturned[i].pointsAwarded,
-                    "published": toBeReturned[i].published,
-                    "numGuests": toBeReturned[i].guests.length,
-                    "placeId": toBeReturned[i].placeId
-                });
-            }
-        } else {
-            for(let i = 0; i < toBeReturned.length; i++) {
-                if(toBeReturned[i].published) {
-                    toReturn.push({
-                        "id": toBeReturned[i].id,
-                        "name": toBeReturned[i].name,
-                        "location": toBeReturned[i].location,
-                        "startTime": toBeReturned[i].startTime,
-                        "endTime": toBeReturned[i].endTime,
-                        "capacity": toBeReturned[i].capacity,
-                        "numGuests": toBeReturned[i].guests.length,
-                        "placeId": toBeReturned[i].placeId
-                    });
-                }
-            }
-        }
-        return res.status(200).json({"count": count, "results": toReturn});
-    });
+    .get(auth, (req, res) => listEvents(req, res, (results, page, limit) =>
+        res.status(200).json({"count": results.length, "results": results.slice((page - 1) * limit, page * limit)})
+    ));
+
+// Every event matching the list filters (paging is ignored), as CSV or JSON Lines
+router.get("/export", auth, (req, res) => {
+    const {format, error} = exporter.readFormat(req.query.format);
+    if(error) {
+        return res.status(400).json({"message": `Bad request: ${error}`});
+    }
+    return listEvents(req, res, (results) => exporter.send(res, {
+        format: format,
+        name: "events",
+        columns: ["id", "name", "location", "startTime", "endTime", "capacity", "numGuests", "pointsRemain", "pointsAwarded", "published", "placeId"],
+        rows: results
+    }));
+});
 
 router.post('/:eventId/organizers', auth, async (req, res) => {
     const authorized = ["manager", "superuser"];
@@ -634,6 +659,12 @@ router.delete('/:eventId/guests/:utorid', auth, async (req, res) => {
     return res.status(204).json({"message": "Successfully removed guest"});
 });
 
+// Audited fields of an event (all of its own columns), for the audit middleware
+const auditedEvent = (req) => {
+    const id = parseInt(req.params.eventId);
+    return isNaN(id) ? null : prisma.event.findUnique({where: {id: id}});
+};
+
 router.route('/:eventId')
     .get(auth, async (req, res) => {
         const eventId = parseInt(req.params.eventId);
@@ -692,7 +723,7 @@ router.route('/:eventId')
             });
         }
     })
-    .patch(auth, async (req, res) => {
+    .patch(auth, audit("event.update", "event", auditedEvent), async (req, res) => {
         const eventId = parseInt(req.params.eventId);
         if(isNaN(eventId)) {
             return res.status(400).json({"message": "eventId is NaN"});
@@ -828,7 +859,7 @@ router.route('/:eventId')
         }
         return res.status(200).json(toReturn);
     })
-    .delete(auth, async (req, res) => {
+    .delete(auth, audit("event.delete", "event", auditedEvent), async (req, res) => {
         const eventId = parseInt(req.params.eventId);
         if(isNaN(eventId)) {
             return res.status(400).json({"message": "Bad request"});
@@ -856,7 +887,7 @@ router.route('/:eventId')
         return res.status(204).json({"message": "Event deleted"});
     });
 
-router.post('/:eventId/transactions', auth, async (req, res) => {
+router.post('/:eventId/transactions', auth, idempotency, async (req, res) => {
     const eventId = parseInt(req.params.eventId);
     if(isNaN(eventId)) {
         return res.status(400).json({"message": "Bad request"});
@@ -905,89 +936,56 @@ router.post('/:eventId/transactions', auth, async (req, res) => {
     if(requiredPoints > event.pointsRemain) {
         return res.status(400).json({"message": "Bad request"});
     }
-    let data = {};
-    if(utorid) {
-        const transaction = await prisma.transaction.create({
+    // Each award row, the guest's balance and the event's point pool change in one database transaction
+    const awardGuest = async (tx, guestUtorid) => {
+        const transaction = await ledger.createEntry(tx, {
+            type: type,
+            spent: 0,
+            amount: amount,
+            remark: remark,
+            createdBy: req.auth.utorid,
+            issuer: {connect: {id: req.auth.id}},
+            receiver: {connect: {utorid: guestUtorid}},
+            relatedId: eventId
+        });
+        await tx.event.update({
+            where: {
+                id: eventId,
+            },
             data: {
-                type: type,
-                spent: 0,
-                amount: amount,
-                remark: remark,
-                createdBy: req.auth.utorid,
-                issuer: {connect: {id: req.auth.id}},
-                receiver: {connect: {utorid: utorid}},
-                relatedId: eventId
+                pointsAwarded: {increment: amount},
+                pointsRemain: {decrement: amount},
             }
         });
+        let data = {};
         data["id"] = transaction.id;
-        data["recipient"] = utorid;
+        data["recipient"] = guestUtorid;
         data["awarded"] = amount;
         data["type"] = type;
         data["relatedId"] = eventId;
         data["remark"] = remark;
         data["createdBy"] = req.auth.utorid;
-        await prisma.user.update({
-            where: {
-               utorid: utorid
-            },
-            data: {
-                points: {increment: amount},
-
-            }
-        });
-        await prisma.event.update({
-            where: {
-                id: eventId,
-            },
-            data: {
-                pointsAwarded: {increment: amount},
-                pointsRemain: {decrement: amount},
-            }
+        return data;
+    };
+    try {
+        if(utorid) {
+            const data = await ledger.post((tx) => awardGuest(tx, utorid));
+            return res.status(201).json(data);
+        }
+        const returnArray = await ledger.post(async (tx) => {
+            let awarded = [];
+            for(let i = 0; i < event.guests.length; i++) {
+                awarded.push(await awardGuest(tx, event.guests[i].utorid));
+            }
+            return awarded;
         });
-        return res.status(201).json(data);
-    } else {
-        let returnArray = [];
-        for(let i = 0; i < event.guests.length; i++) {
-            let transaction = await prisma.transaction.create({
-                data: {
-                    type: type,
-                    spent: 0,
-                    amount: amount,
-                    remark: remark,
-                    createdBy: req.auth.utorid,
-                    issuer: {connect: {id: req.auth.id}},
-                    receiver: {connect: {utorid: event.guests[i].utorid}},
-                    relatedId: eventId
-                }
-            });
-            await prisma.event.update({
-                where: {
-                    id: eventId,
-                },
-                data: {
-                    pointsAwarded: {increment: amount},
-                    pointsRemain: {decrement: amount},
-                }
-            });
-            await prisma.user.update({
-                where: {
-                    utorid: event.guests[i].utorid,
-                },
-                data: {
-                    points: {increment: amount}
-                }
-            });
-            let data = {};
-            data["id"] = transaction.id;
-            data["recipient"] = event.guests[i].utorid;
-            data["awarded"] = amount;
-            data["type"] = type;
-            data["relatedId"] = eventId;
-            data["remark"] = remark;
-            data["createdBy"] = req.auth.utorid;
-            returnArray.push(data);
-        }
         return res.status(201).json(returnArray);
+    } catch (error) {
+        if(error instanceof LedgerError) {
+            return res.status(error.status).json({"message": error.message});
+        }
+        console.error('Event award failed:', error);
+        return res.status(500).json({"message": "Something went wrong"});
     }
 });
 
@@ -6,6 +6,13 @@ const express = require("express");
 const router = express.Router();
 
 const auth = require("../middleware/auth");
+const audit = require("../middleware/audit");
+const promotionStacking = require("../services/promotionStacking");
+const promotionCaps = require("../services/promotionCaps");
+const promotionAudience = require("../services/promotionAudience");
+const promotionSchedule = require("../services/promotionSchedule");
+const promotionStats = require("../services/promotionStats");
+const exporter = require("../services/exporter");
 
 const {PrismaClient} = require('@prisma/client');
 const prisma = new PrismaClient();
@@ -82,6 +89,23 @@ router.post("/", auth, async (req, res) => {
         points = 0;
     }
 
+    const stacking = promotionStacking.readStackingFields(req.body);
+    if (stacking.error) {
+        return res.status(400).json({"message": `Bad request: ${stacking.error}`});
+    }
+    const caps = promotionCaps.readCapFields(req.body);
+    if (caps.error) {
+        return res.status(400).json({"message": `Bad request: ${caps.error}`});
+    }
+    const audience = promotionAudience.readAudience(req.body);
+    if (audience.error) {
+        return res.status(400).json({"message": `Bad request: ${audience.error}`});
+    }
+    const recurrence = promotionSchedule.readRecurrence(req.body);
+    if (recurrence.error) {
+        return res.status(400).json({"message": `Bad request: ${recurrence.error}`});
+    }
+
     const promotion = await prisma.promotion.create({
         data: {
             name: name,
@@ -92,6 +116,10 @@ router.post("/", auth, async (req, res) => {
             minSpending: minSpending,
             rate: rate,
             points: points,
+            ...stacking.data,
+            ...caps.data,
+            ...audience.data,
+            ...recurrence.data
         }
     });
     return res.status(201).json({
@@ -103,11 +131,44 @@ router.post("/", auth, async (req, res) => {
         "endTime": promotion.endTime,
         "minSpending": promotion.minSpending,
         "rate": rate,
-        "points": points
+        "points": points,
+        "exclusive": promotion.exclusive,
+        "stackGroup": promotion.stackGroup,
+        "priority": promotion.priority,
+        "maxUses": promotion.maxUses,
+        "maxUsesPerUser": promotion.maxUsesPerUser,
+        "maxUsesPerDay": promotion.maxUsesPerDay,
+        "pointsBudget": promotion.pointsBudget,
+        "audience": promotionAudience.parse(promotion),
+        "recurrence": promotionSchedule.parse(promotion)
     });
 });
 
-router.get("/", auth, async (req, res) => {
+// Lists the next windows a schedule would run in, so managers can check a recurrence rule
+// before saving it
+router.post("/schedule/preview", auth, async (req, res) => {
+    if (!UPPER_ROLES.includes(req.auth.role)) {
+        return res.status(403).json({"message": "Not authorized"});
+    }
+    const {startTime, endTime} = req.body;
+    if (!isValidISODate(startTime) || !isValidISODate(endTime) || Date.parse(startTime) >= Date.parse(endTime)) {
+        return res.status(400).json({"message": "Bad request: startTime and endTime must be dates, with startTime first"});
+    }
+    const recurrence = promotionSchedule.readRecurrence(req.body);
+    if (recurrence.error) {
+        return res.status(400).json({"message": `Bad request: ${recurrence.error}`});
+    }
+    let count = req.body.count === undefined ? 5 : parseInt(req.body.count);
+    if (isNaN(count) || count < 1 || count > 20) {
+        return res.status(400).json({"message": "Bad request: count must be from 1 to 20"});
+    }
+    const occurrences = promotionSchedule.occurrences({startTime, endTime, ...recurrence.data}, new Date(), count);
+    return res.status(200).json({"occurrences": occurrences});
+});
+
+// Filters and formats every promotion matching the list query parameters and hands them to
+// `respond` along with the page and limit asked for. Answers bad parameters itself.
+const listPromotions = async (req, res, respond) => {
     const role = req.auth.role;
     if (!LOWER_ROLES.includes(role) && !UPPER_ROLES.includes(role)) {
         return res.status(403).json({"message": "Not authorized"});
@@ -241,10 +302,17 @@ router.get("/", auth, async (req, res) => {
     })();
 
     let usedPromotionIds = new Set();
+    let member = null;
     if(LOWER_ROLES.includes(role)) {
         const user = await prisma.user.findUnique({
             where: { id: req.auth.id },
             select: { 
+                id: true,
+                utorid: true,
+                role: true,
+                points: true,
+                birthday: true,
+                createdAt: true,
                 promotions: { select: { id: true } },
                 receivedTransactions: {
                     select: {
@@ -267,14 +335,25 @@ router.get("/", auth, async (req, res) => {
                 }
             });
         }
+
+        // Regular members only see promotions targeted at them; cashiers list promotions for
+        // their customers, so they see them all
+        if(user && role === "regular") {
+            member = promotionAudience.memberFor(user);
+        }
+    }
+
+    // Drop promotions aimed at other audiences, keeping ones the member already holds or used
+    const visiblePromotions = [];
+    for(const promotion of promotions) {
+        if(!member || usedPromotionIds.has(promotion.id) || await promotionAudience.matches(promotion, member)) {
+            visiblePromotions.push(promotion);
+        }
     }
 
     const annotatePromotion = (promotion) => {
-        const startMs = Date.parse(promotion.startTime);
-        const endMs = Date.parse(promotion.endTime);
-        const isActive = startMs <= now && now < endMs;
-        const isUpcoming = startMs > now;
-        const hasEnded = now >= endMs;
+        // Recurring promotions are upcoming between their windows
+        const {isActive, isUpcoming, hasEnded, nextOccurrence} = promotionSchedule.status(promotion, now);
         const isOneTime = promotion.type === "onetime";
         const alreadyUsed = isOneTime && usedPromotionIds.has(promotion.id);
         const usable = isActive && (!isOneTime || !alreadyUsed);
@@ -292,6 +371,7 @@ router.get("/", auth, async (req, res) => {
                 isActive,
                 isUpcoming,
                 hasEnded,
+                nextOccurrence,
                 statusKey,
                 isOneTime,
                 alreadyUsed,
@@ -307,7 +387,7 @@ router.get("/", auth, async (req, res) => {
         return normalizedStatuses.includes(computed.statusKey);
     };
 
-    const filteredPromotions = promotions
+    const filteredPromotions = visiblePromotions
         .map(annotatePromotion)
         .filter(({ computed }) => matchesStatus(computed))
         .filter(({ computed }) => {
@@ -323,10 +403,6 @@ router.get("/", auth, async (req, res) => {
             return computed.usable || !computed.isOneTime || computed.statusKey === "in wallet";
         });
 
-    const total = filteredPromotions.length;
-    const startIndex = (page - 1) * limit;
-    const paged = filteredPromotions.slice(startIndex, startIndex + limit);
-
     const formatPromotion = ({ promotion, computed }) => {
         const base = {
             id: promotion.id,
@@ -338,6 +414,11 @@ router.get("/", auth, async (req, res) => {
             minSpending: promotion.minSpending,
             rate: promotion.rate,
             points: promotion.points,
+            exclusive: promotion.exclusive,
+            stackGroup: promotion.stackGroup,
+            priority: promotion.priority,
+            recurrence: promotionSchedule.parse(promotion),
+            nextOccurrence: computed.nextOccurrence,
             status: computed.statusKey,
             isActive: computed.isActive,
             isUpcoming: computed.isUpcoming,
@@ -347,6 +428,7 @@ router.get("/", auth, async (req, res) => {
             usable: computed.usable
         };
         if(UPPER_ROLES.includes(role)) {
+            base.audience = promotionAudience.parse(promotion);
             base.userCount = promotion.users.length;
             base.recentUsers = promotion.users.slice(0, 5).map((user) => ({
                 id: user.id,
@@ -357,12 +439,32 @@ router.get("/", auth, async (req, res) => {
         return base;
     };
 
-       return res.status(200).json({
-        count: total,
+    return respond(filteredPromotions.map(formatPromotion), page, limit);
+};
+
+router.get("/", auth, (req, res) => listPromotions(req, res, (results, page, limit) => {
+    const startIndex = (page - 1) * limit;
+    return res.status(200).json({
+        count: results.length,
         page,
         limit,
-        results: paged.map(formatPromotion)
+        results: results.slice(startIndex, startIndex + limit)
     });
+}));
+
+// Every promotion matching the list filters (paging is ignored), as CSV or JSON Lines
+router.get("/export", auth, (req, res) => {
+    const {format, error} = exporter.readFormat(req.query.format);
+    if(error) {
+        return res.status(400).json({"message": `Bad request: ${error}`});
+    }
+    return listPromotions(req, res, (results) => exporter.send(res, {
+        format: format,
+        name: "promotions",
+        columns: ["id", "name", "description", "type", "status", "startTime", "endTime", "minSpending", "rate", "points",
+            "exclusive", "stackGroup", "priority", "recurrence", "nextOccurrence", "audience", "userCount"],
+        rows: results
+    }));
 });
 
 router.get("/:promotionId", auth, async (req, res) => {
@@ -386,12 +488,7 @@ router.get("/:promotionId", auth, async (req, res) => {
         return res.status(404).json({"message": "Not Found"});
     }
 
-    const now = Date.now();
-    const startMs = Date.parse(promotion.startTime);
-    const endMs = Date.parse(promotion.endTime);
-    const isActive = startMs <= now && now < endMs;
-    const isUpcoming = startMs > now;
-    const hasEnded = now >= endMs;
+    const {isActive, isUpcoming, hasEnded} = promotionSchedule.status(promotion);
     const isOneTime = promotion.type === "onetime";
     
     // Check if promotion is already used: either in wallet OR used in a transaction
@@ -412,8 +509,22 @@ router.get("/:promotionId", auth, async (req, res) => {
         
         alreadyUsed = inWallet || !!transactionWithPromotion;
     }
+
+    // Promotions aimed at other audiences don't exist as far as a regular member can tell
+    if (req.auth.role === "regular" && !alreadyUsed) {
+        const user = await prisma.user.findUnique({ where: { id: req.auth.id } });
+        if (!user || !(await promotionAudience.matches(promotion, promotionAudience.memberFor(user)))) {
+            return res.status(404).json({"message": "Not Found"});
+        }
+    }
     
-    const usable = isActive && (!isOneTime || !alreadyUsed);
+    // Remaining uses and budget; the per-member figure is for the member viewing it
+    const forMember = LOWER_ROLES.includes(req.auth.role);
+    const used = await promotionCaps.usage(prisma, promotionId, forMember ? req.auth.id : null);
+    const reserved = isOneTime && !alreadyUsed ? promotion.users.length : 0;
+    const capsFull = promotionCaps.capProblem(promotion, used, reserved) !== null;
+
+    const usable = isActive && (!isOneTime || !alreadyUsed) && (alreadyUsed || !capsFull);
 
     const response = {
         "id": promotion.id,
@@ -425,15 +536,22 @@ router.get("/:promotionId", auth, async (req, res) => {
         "minSpending": promotion.minSpending,
         "rate": promotion.rate,
         "points": promotion.points,
+        "exclusive": promotion.exclusive,
+        "stackGroup": promotion.stackGroup,
+        "priority": promotion.priority,
+        "recurrence": promotionSchedule.parse(promotion),
+        "nextOccurrences": promotionSchedule.occurrences(promotion, new Date(), 3),
         "isActive": isActive,
         "isUpcoming": isUpcoming,
         "hasEnded": hasEnded,
         "isOneTime": isOneTime,
         "alreadyUsed": alreadyUsed,
-        "usable": usable
+        "usable": usable,
+        "caps": promotionCaps.describeCaps(promotion, used, forMember)
     };
 
     if(UPPER_ROLES.includes(req.auth.role)) {
+        response["audience"] = promotionAudience.parse(promotion);
         response["userCount"] = promotion.users.length;
         response["recentUsers"] = promotion.users.slice(0, 10);
     }
@@ -441,6 +559,25 @@ router.get("/:promotionId", auth, async (req, res) => {
     return res.status(200).json(response);
 });
 
+// How a promotion performed: redemptions, members, bonus points and spending, per day and
+// against the store's purchases before it started
+router.get("/:promotionId/stats", auth, async (req, res) => {
+    if(!UPPER_ROLES.includes(req.auth.role)) {
+        return res.status(403).json({"message": "Not authorized"});
+    }
+    const promotionId = parseInt(req.params.promotionId);
+    if(isNaN(promotionId)) {
+        return res.status(400).json({"message": "Bad request"});
+    }
+    const promotion = await prisma.promotion.findUnique({
+        where: { id: promotionId }
+    });
+    if(!promotion) {
+        return res.status(404).json({"message": "Not Found"});
+    }
+    return res.status(200).json(await promotionStats.stats(promotion));
+});
+
 router.post("/:promotionId/use", auth, async (req, res) => {
     if(req.auth.role !== "regular") {
         return res.status(403).json({"message": "Only regular users can apply promotions directly"});
@@ -459,14 +596,15 @@ router.post("/:promotionId/use", auth, async (req, res) => {
     if(promotion.type !== "onetime") {
         return res.status(400).json({"message": "Promotion does not require usage tracking"});
     }
-    const now = Date.now();
-    const startMs = Date.parse(promotion.startTime);
-    const endMs = Date.parse(promotion.endTime);
-    if(startMs > now) {
+    const schedule = promotionSchedule.status(promotion);
+    if(schedule.hasEnded) {
+        return res.status(409).json({"message": "Promotion has ended"});
+    }
+    if(Date.parse(promotion.startTime) > Date.now()) {
         return res.status(409).json({"message": "Promotion has not started yet"});
     }
-    if(endMs <= now) {
-        return res.status(409).json({"message": "Promotion has ended"});
+    if(!schedule.isActive) {
+        return res.status(409).json({"message": `Promotion is not running right now; it next runs at ${schedule.nextOccurrence.start.toISOString()}`});
     }
     // Check if promotion is already in wallet
     const inWallet = promotion.users.some((user) => user.id === req.auth.id);
@@ -485,6 +623,18 @@ router.post("/:promotionId/use", auth, async (req, res) => {
     if(alreadyUsed) {
         return res.status(409).json({"message": "Promotion already applied or already used"});
     }
+    const user = await prisma.user.findUnique({ where: { id: req.auth.id } });
+    if(!user || !(await promotionAudience.matches(promotion, promotionAudience.memberFor(user)))) {
+        return res.status(403).json({"message": "Promotion is not available to you"});
+    }
+    // Promotions already sitting in wallets hold a place under the total use cap
+    if(promotionCaps.hasCaps(promotion)) {
+        const used = await promotionCaps.usage(prisma, promotionId, req.auth.id);
+        const problem = promotionCaps.capProblem(promotion, used, promotion.users.length);
+        if(problem) {
+            return res.status(409).json({"message": problem});
+        }
+    }
     await prisma.promotion.update({
         where: { id: promotionId },
         data: {
@@ -529,7 +679,13 @@ router.delete("/:promotionId/use", auth, async (req, res) => {
     return res.status(200).json({"message": "Promotion removed from wallet"});
 });
 
-router.patch("/:promotionId", auth, async (req, res) => {
+// Audited fields of a promotion (all of its own columns), for the audit middleware
+const auditedPromotion = (req) => {
+    const id = parseInt(req.params.promotionId);
+    return isNaN(id) ? null : prisma.promotion.findUnique({where: {id: id}});
+};
+
+router.patch("/:promotionId", auth, audit("promotion.update", "promotion", auditedPromotion), async (req, res) => {
     if(!UPPER_ROLES.includes(req.auth.role)) {
         return res.status(403).json({"message": "Not Authorized"});
     }
@@ -609,6 +765,30 @@ router.patch("/:promotionId", auth, async (req, res) => {
         }
         updated.points = points;
     }
+    // Stacking rules only affect purchases made from now on, so they can change at any time
+    const stacking = promotionStacking.readStackingFields(req.body);
+    if(stacking.error) {
+        return res.status(400).json({"message": stacking.error});
+    }
+    Object.assign(updated, stacking.data);
+    // Caps can also change at any time; lowering one below current usage just stops new uses
+    const caps = promotionCaps.readCapFields(req.body);
+    if(caps.error) {
+        return res.status(400).json({"message": caps.error});
+    }
+    Object.assign(updated, caps.data);
+    // Retargeting only changes who can add or use the promotion from now on
+    const audience = promotionAudience.readAudience(req.body);
+    if(audience.error) {
+        return res.status(400).json({"message": audience.error});
+    }
+    Object.assign(updated, audience.data);
+    // Rescheduling only changes when the promotion runs from now on
+    const recurrence = promotionSchedule.readRecurrence(req.body);
+    if(recurrence.error) {
+        return res.status(400).json({"message": recurrence.error});
+    }
+    Object.assign(updated, recurrence.data);
     promotion = await prisma.promotion.update({
         where: {id: promotionId},
         data: updated,
@@ -634,10 +814,19 @@ router.patch("/:promotionId", auth, async (req, res) => {
     if(points) {
         toReturn["points"] = points;
     }
+    Object.keys({...stacking.data, ...caps.data}).forEach((field) => {
+        toReturn[field] = promotion[field];
+    });
+    if(audience.data.audience !== undefined) {
+        toReturn["audience"] = promotionAudience.parse(promotion);
+    }
+    if(recurrence.data.recurrence !== undefined) {
+        toReturn["recurrence"] = promotionSchedule.parse(promotion);
+    }
     return res.status(200).json(toReturn);
 });
 
-router.delete("/:promotionId", auth, async (req, res) => {
+router.delete("/:promotionId", auth, audit("promotion.delete", "promotion", auditedPromotion), async (req, res) => {
     if(!UPPER_ROLES.includes(req.auth.role)) {
         return res.status(403).json({"message": "Not Authorized"});
     }
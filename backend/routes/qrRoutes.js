@@ -0,0 +1,72 @@
+'use strict'
+
+const dotenv = require("dotenv");
+dotenv.config();
+const express = require("express");
+const router = express.Router();
+
+const auth = require("../middleware/auth");
+const redemptions = require("../services/redemptions");
+const qrTokens = require("../services/qrTokens");
+const {QrTokenError} = qrTokens;
+
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Check a scanned QR token and describe what it stands for, without using it up.
+// The token is consumed by the endpoint that acts on it (POST /transactions or PATCH /transactions/:id/processed).
+router.post('/verify', auth, async (req, res) => {
+    const staffRoles = ["cashier", "manager", "superuser"];
+    if(!staffRoles.includes(req.auth.role)) {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    const {token, type} = req.body;
+    if(!token || typeof token !== "string") {
+        return res.status(400).json({"Message": "Bad request"});
+    }
+    let payload;
+    try {
+        payload = await qrTokens.verify(token, type);
+    } catch (error) {
+        if(error instanceof QrTokenError) {
+            return res.status(error.status).json({"Message": error.message});
+        }
+        console.error('QR verification failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+    const expiresAt = new Date(payload.exp).toISOString();
+
+    if(payload.typ === "user") {
+        const user = await prisma.user.findUnique({
+            where: {id: payload.sub}
+        });
+        if(!user) {
+            return res.status(404).json({"Message": "User not found"});
+        }
+        return res.status(200).json({
+            "type": "user",
+            "utorid": user.utorid,
+            "name": user.name,
+            "expiresAt": expiresAt
+        });
+    }
+
+    const transaction = await prisma.transaction.findUnique({
+        where: {id: payload.sub},
+        include: {receiver: true}
+    });
+    if(!transaction || transaction.type !== "redemption") {
+        return res.status(404).json({"Message": "Transaction not found"});
+    }
+    return res.status(200).json({
+        "type": "redemption",
+        "transactionId": transaction.id,
+        "utorid": transaction.receiver.utorid,
+        "amount": Math.abs(transaction.amount),
+        "remark": transaction.remark,
+        "status": redemptions.statusOf(transaction),
+        "expiresAt": expiresAt
+    });
+});
+
+module.exports = router;
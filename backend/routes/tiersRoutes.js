@@ -0,0 +1,43 @@
+'use strict'
+
+const dotenv = require("dotenv");
+dotenv.config();
+const express = require("express");
+const router = express.Router();
+
+const auth = require("../middleware/auth");
+const tiers = require("../services/tiers");
+
+// List the membership tiers and the earnings window they are computed over
+router.get('/', auth, async (req, res) => {
+    const list = await tiers.listTiers();
+    return res.status(200).json({
+        "basis": tiers.basis(),
+        "tiers": list
+    });
+});
+
+// Replace the membership tiers (managers only)
+router.put('/', auth, async (req, res) => {
+    const higherRoles = ["manager", "superuser"];
+    if(!higherRoles.includes(req.auth.role)) {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    const {tiers: list} = req.body;
+    const problem = tiers.validateTiers(list);
+    if(problem) {
+        return res.status(400).json({"Message": `Bad request: ${problem}`});
+    }
+    try {
+        const saved = await tiers.saveTiers(list);
+        return res.status(200).json({
+            "basis": tiers.basis(),
+            "tiers": saved
+        });
+    } catch (error) {
+        console.error('Saving tiers failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+});
+
+module.exports = router;
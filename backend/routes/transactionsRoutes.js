@@ -6,18 +6,26 @@ const express = require("express");
 const router = express.Router();
 
 const auth = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const ledger = require("../services/ledger");
+const redemptions = require("../services/redemptions");
+const qrTokens = require("../services/qrTokens");
+const promotionStacking = require("../services/promotionStacking");
+const promotionCaps = require("../services/promotionCaps");
+const promotionAudience = require("../services/promotionAudience");
+const promotionSchedule = require("../services/promotionSchedule");
+const referrals = require("../services/referrals");
+const exporter = require("../services/exporter");
+const adjustmentBatches = require("../services/adjustmentBatches");
+const auditLog = require("../services/auditLog");
+const flagReview = require("../services/flagReview");
+const audit = require("../middleware/audit");
+const {QrTokenError} = qrTokens;
+const {LedgerError} = ledger;
 
 const {PrismaClient} = require('@prisma/client');
 const prisma = new PrismaClient();
 
-// Helper function to check if a promotion is currently active
-const isPromotionActive = (promotion) => {
-    const now = Date.now();
-    const startTime = Date.parse(promotion.startTime);
-    const endTime = Date.parse(promotion.endTime);
-    return startTime <= now && now < endTime;
-};
-
 // Helper function to validate a promotion for a transaction
 const validatePromotion = async (promotionId, user, spent) => {
     const promotion = await prisma.promotion.findUnique({
@@ -28,9 +36,15 @@ const validatePromotion = async (promotionId, user, spent) => {
         return { valid: false, error: "Promotion not found." };
     }
     
-    if (!isPromotionActive(promotion)) {
+    // Recurring promotions only apply inside one of their windows
+    if (!promotionSchedule.isActiveAt(promotion)) {
         return { valid: false, error: "Promotion is not active." };
     }
+
+    // Targeted promotions only apply to members in their audience
+    if (!(await promotionAudience.matches(promotion, promotionAudience.memberFor(user)))) {
+        return { valid: false, error: "Member is not in the promotion's audience.", outsideAudience: true, promotion };
+    }
     
     if (promotion.type === "automatic") {
         // Just check minimum spending requirement
@@ -50,19 +64,20 @@ const validatePromotion = async (promotionId, user, spent) => {
     } else {
         return { valid: false, error: "Invalid promotion type." };
     }
-    
-    return { valid: true, promotion };
-};
 
-// Helper function to calculate promotion points
-const calculatePromotionPoints = (promotion, spent) => {
-    if (promotion.minSpending !== null && promotion.minSpending > spent) {
-        return 0;
+    // Usage caps and points budget
+    if (promotionCaps.hasCaps(promotion)) {
+        const used = await promotionCaps.usage(prisma, promotion.id, user.id);
+        const problem = promotionCaps.capProblem(promotion, used);
+        if (problem) {
+            return { valid: false, error: problem };
+        }
     }
-    return (promotion.points || 0) + Math.ceil((promotion.rate || 0) * spent * 100);
+    
+    return { valid: true, promotion };
 };
 
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, idempotency, async (req, res) => {
     const transactionTypes = ["purchase", "adjustment", "transfer"];
     const higherRoles = ["manager", "superuser"];
     
@@ -76,7 +91,38 @@ router.post('/', auth, async (req, res) => {
         return res.status(403).json({"Message": "Forbidden: Only managers can create adjustment transactions"});
     }
     
-    let {utorid, type, spent, promotionIds, remark, relatedId, amount, receiverUtorid} = req.body;
+    let {utorid, type, spent, promotionIds, remark, relatedId, amount, receiverUtorid, qrToken, promotionMode = "trim"} = req.body;
+
+    // Cashiers identify the member by their signed QR code, so the member has to be present;
+    // managers may still ring up a purchase by typed utorid
+    if(type === "purchase" && !qrToken && req.auth.role === "cashier") {
+        return res.status(403).json({"Message": "Forbidden: Scan the member's QR code to ring up a purchase"});
+    }
+    let memberQr = null;
+    if(qrToken) {
+        if(type !== "purchase") {
+            return res.status(400).json({"Message": "Bad request: qrToken is only accepted for purchases"});
+        }
+        try {
+            memberQr = await qrTokens.verify(qrToken, "user");
+        } catch (error) {
+            if(error instanceof QrTokenError) {
+                return res.status(error.status).json({"Message": error.message});
+            }
+            console.error('QR verification failed:', error);
+            return res.status(500).json({"Message": "Something went wrong"});
+        }
+        const member = await prisma.user.findUnique({
+            where: {id: memberQr.sub}
+        });
+        if(!member) {
+            return res.status(404).json({"Message": "User not found"});
+        }
+        if(utorid && utorid !== member.utorid) {
+            return res.status(400).json({"Message": "Bad request: QR code belongs to a different user"});
+        }
+        utorid = member.utorid;
+    }
     
     // Validation for different transaction types
     if(type === "transfer") {
@@ -110,6 +156,10 @@ router.post('/', auth, async (req, res) => {
     if(promotionIds === null) {
         promotionIds = [];
     }
+    // Promotions that can't be combined are trimmed by default; "reject" refuses the purchase instead
+    if(!["trim", "reject"].includes(promotionMode)) {
+        return res.status(400).json({"Message": "Bad request: promotionMode must be trim or reject"});
+    }
     
     // Handle transfer transactions (regular users transferring to another user)
     if(type === "transfer") {
@@ -126,7 +176,7 @@ router.post('/', auth, async (req, res) => {
             return res.status(404).json({"Message": "Sender not found"});
         }
         
-        // Check if sender has enough points
+        // Check if sender has enough available points (points held by pending redemptions are already excluded)
         if(sender.points < amountNum) {
             return res.status(400).json({"Message": "Insufficient points"});
         }
@@ -144,37 +194,41 @@ router.post('/', auth, async (req, res) => {
             return res.status(400).json({"Message": "Cannot transfer points to yourself"});
         }
         
-        // Create transfer transaction
-        const transaction = await prisma.transaction.create({
-            data: {
-                type: "transfer",
-                spent: 0,
-                amount: amountNum,
-                remark: remark || "",
-                suspicious: false,
-                createdBy: sender.utorid,
-                issuerId: sender.id,
-                receiverId: receiver.id
-            }
-        });
-        
-        // Update sender points (deduct)
-        await prisma.user.update({
-            where: { id: sender.id },
-            data: {
-                points: { decrement: amountNum },
-                issuedTransactions: { connect: { id: transaction.id } }
-            }
-        });
-        
-        // Update receiver points (add)
-        await prisma.user.update({
-            where: { id: receiver.id },
-            data: {
-                points: { increment: amountNum },
-                receivedTransactions: { connect: { id: transaction.id } }
+        // Write both halves of the transfer and move the points in one database transaction
+        let transaction;
+        try {
+            transaction = await ledger.post(async (tx) => {
+                const debit = await ledger.createEntry(tx, {
+                    type: "transfer",
+                    spent: 0,
+                    amount: -amountNum,
+                    remark: remark || "",
+                    suspicious: false,
+                    createdBy: sender.utorid,
+                    issuerId: sender.id,
+                    receiverId: sender.id,
+                    relatedId: receiver.id
+                });
+                await ledger.createEntry(tx, {
+                    type: "transfer",
+                    spent: 0,
+                    amount: amountNum,
+                    remark: remark || "",
+                    suspicious: false,
+                    createdBy: sender.utorid,
+                    issuerId: sender.id,
+                    receiverId: receiver.id,
+                    relatedId: sender.id
+                });
+                return debit;
+            });
+        } catch (error) {
+            if(error instanceof LedgerError) {
+                return res.status(error.status).json({"Message": error.message});
             }
-        });
+            console.error('Transfer failed:', error);
+            return res.status(500).json({"Message": "Something went wrong"});
+        }
         
         return res.status(201).json({
             "id": transaction.id,
@@ -218,7 +272,9 @@ router.post('/', auth, async (req, res) => {
     if(!transactionTypes.includes(type)) {
         return res.status(400).json({"Message": "Bad request"});
     }
-    // Validate all promotions
+    // Validate all promotions. Automatic promotions aimed at other members are dropped from a
+    // purchase like promotions trimmed by the stacking rules.
+    const audienceDropped = [];
     if(promotionIds && promotionIds.length > 0) {
         for(let i = 0; i < promotionIds.length; i++) {
             if(isNaN(promotionIds[i])) {
@@ -227,47 +283,36 @@ router.post('/', auth, async (req, res) => {
             
             const validation = await validatePromotion(promotionIds[i], user, spent);
             if(!validation.valid) {
-                    return res.status(400).json({"Message": "Bad request"});
+                if(validation.outsideAudience && validation.promotion.type === "automatic" && type === "purchase") {
+                    audienceDropped.push({promotion: validation.promotion, reason: validation.error});
+                    continue;
+                }
+                return res.status(400).json({"Message": `Bad request: ${validation.error}`});
             }
         }
     }
 
-    // Calculate points: base points + promotion points
-    const basePoints = Math.ceil(spent * 4);
-    let promotionPoints = 0;
-    
-    // Fetch all promotions at once to reduce database queries
-    if(promotionIds && promotionIds.length > 0) {
-        const promotions = await prisma.promotion.findMany({
-            where: { id: { in: promotionIds } }
-        });
-        
-        promotions.forEach(promotion => {
-            promotionPoints += calculatePromotionPoints(promotion, spent);
-        });
+    // Calculate points: base points + the promotions the stacking rules let through
+    let quote = null;
+    let appliedPromotionIds = (promotionIds || []).filter(id => !audienceDropped.some(({promotion}) => promotion.id === Number(id)));
+    let droppedPromotions = [];
+    if(type === "purchase") {
+        quote = await promotionStacking.quotePurchase(user, spent, appliedPromotionIds);
+        droppedPromotions = [...audienceDropped, ...quote.dropped];
+        if(droppedPromotions.length > 0 && promotionMode === "reject") {
+            const reasons = droppedPromotions.map(({promotion, reason}) => `${promotion.name}: ${reason}`);
+            return res.status(400).json({"Message": `Bad request: ${reasons.join("; ")}`});
+        }
+        appliedPromotionIds = quote.applied.map(({promotion}) => promotion.id);
     }
-    
-    const earned = basePoints + promotionPoints;
 
     const suspicious = req.auth.suspicious;
     let data = {};
     if(type === "purchase") {
-        data.amount = earned;
+        data.amount = quote.earned;
     } else {
         data.amount = amount;
     }
-    if(data.amount !== 0 && !(req.auth.role === "cashier" && suspicious)) {
-        await prisma.user.update({
-            where: {
-                utorid: utorid,
-            },
-            data: {
-                points: {
-                    increment: data.amount
-                }
-            }
-        });
-    }
     data.type = type;
     if(type === "adjustment") {
         data.spent = 0;
@@ -275,11 +320,17 @@ router.post('/', auth, async (req, res) => {
     } else {
         data.spent = spent;
     }
+    // Record the rule version so later rule changes don't alter how this purchase was calculated
+    if(quote) {
+        data.earningRuleId = quote.rule.id;
+    }
     
     if(remark) {
         data.remark = remark;
     }
     data.suspicious = suspicious;
+    // A suspicious cashier's purchases credit nothing until they are approved in review
+    data.withheld = req.auth.role === "cashier" && suspicious === true;
     data.issuerId = req.auth.id;
     data.receiverId = user.id;
     data.createdBy = req.auth.utorid;
@@ -291,70 +342,68 @@ router.post('/', auth, async (req, res) => {
         data.spent = parseFloat(spentStr);
     }
     
-    // Create transaction with promotions connected
-    const transaction = await prisma.transaction.create({
-                data: {
-            ...data,
-            promotions: promotionIds && promotionIds.length > 0 ? {
-                connect: promotionIds.map(id => ({ id }))
-            } : undefined
-        }
-    });
-    
-    // Remove one-time promotions from user's wallet after transaction creation
-    if(promotionIds && promotionIds.length > 0) {
-        // Fetch all promotions to identify one-time promotions
+    // Fetch the promotions once to identify one-time promotions that leave the user's wallet;
+    // trimmed promotions stay in the wallet
+    let oneTimePromotionIds = [];
+    if(appliedPromotionIds.length > 0) {
         const promotions = await prisma.promotion.findMany({
-            where: { id: { in: promotionIds } }
-            });
-        
-        // Filter one-time promotions and remove them from user's wallet
-        const oneTimePromotionIds = promotions
+            where: { id: { in: appliedPromotionIds } }
+        });
+        oneTimePromotionIds = promotions
             .filter(p => p.type === "onetime")
             .map(p => p.id);
-        
-        if(oneTimePromotionIds.length > 0) {
-            await prisma.user.update({
-                where: { id: user.id },
-                data: {
-                    promotions: {
-                        disconnect: oneTimePromotionIds.map(id => ({ id }))
-                    }
-                }
-            });
-        }
     }
-    await prisma.transaction.update({
-        where: {
-            id: transaction.id
-        },
-        data: {
-            receiver: {
-                connect: {id: user.id}
-            },
-            issuer: {
-                connect: {id: req.auth.id}
+    
+    // Create the transaction, credit the user and consume one-time promotions atomically.
+    // Points on a withheld purchase are held back by the ledger until it is approved.
+    let transaction;
+    try {
+        transaction = await ledger.post(async (tx) => {
+            if(memberQr) {
+                await qrTokens.consume(tx, memberQr, req.auth.utorid);
             }
+            const created = await ledger.createEntry(tx, {
+                ...data,
+                promotions: appliedPromotionIds.length > 0 ? {
+                    connect: appliedPromotionIds.map(id => ({ id }))
+                } : undefined
+            });
+            if(quote && quote.applied.length > 0) {
+                await promotionCaps.recordUses(tx, quote.applied, user.id, created.id);
+            }
+            if(oneTimePromotionIds.length > 0) {
+                await tx.user.update({
+                    where: { id: user.id },
+                    data: {
+                        promotions: {
+                            disconnect: oneTimePromotionIds.map(id => ({ id }))
+                        }
+                    }
+                });
+            }
+            if(type === "adjustment") {
+                await auditLog.record(req, {
+                    action: "adjustment.create",
+                    targetType: "transaction",
+                    targetId: created.id,
+                    after: {utorid: utorid, amount: created.amount, remark: created.remark, relatedId: created.relatedId, suspicious: created.suspicious}
+                }, tx);
+            }
+            return created;
+        });
+    } catch (error) {
+        if(error instanceof LedgerError || error instanceof QrTokenError) {
+            return res.status(error.status).json({"Message": error.message});
         }
-    });
-    await prisma.user.update({
-        where: {
-            id: user.id
-        },
-        data: {
-            receivedTransactions: {connect: {id: transaction.id}}
-        }
-    });
-    await prisma.user.update({
-        where: {
-            id: req.auth.id
-        },
-        data: {
-            issuedTransactions: {connect: {id: transaction.id}}
-        }
-    });
-    if(suspicious) {
+        console.error('Transaction creation failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+    // A suspicious cashier's purchases, and those the fraud rules flag, are withheld
+    if(transaction.withheld) {
         data.amount = 0;
+    } else if(type === "purchase") {
+        // A first purchase can qualify a referred member's referral bonus
+        await referrals.qualifyQuietly(user.id, "purchase");
     }
     if(type === "adjustment") {
         return res.status(201).json({
@@ -375,22 +424,77 @@ router.post('/', auth, async (req, res) => {
         "spent": parseFloat(transaction.spent) || 0, // Ensure float is returned
         "earned": data.amount,
         "remark": data.remark,
-        "promotionIds": promotionIds,
-        "createdBy": req.auth.utorid
+        "promotionIds": appliedPromotionIds,
+        "droppedPromotions": droppedPromotions.map(({promotion, reason}) => ({"id": promotion.id, "name": promotion.name, "reason": reason})),
+        "createdBy": req.auth.utorid,
+        "tier": quote.tier.name,
+        "multiplier": quote.tier.multiplier,
+        "earningRuleId": transaction.earningRuleId
     });
 });
-router.get('/', auth, async (req, res) => {
+
+// Preview what a purchase would earn without creating it: the base points, the promotions that
+// would apply and those the stacking rules (or validation) would drop, with reasons
+router.post('/preview', auth, async (req, res) => {
+    const staffRoles = ["cashier", "manager", "superuser"];
+    if(!staffRoles.includes(req.auth.role)) {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    let {utorid, spent, promotionIds = []} = req.body;
+    spent = parseFloat(String(spent));
+    if(!utorid || isNaN(spent) || spent < 0 || !Array.isArray(promotionIds)) {
+        return res.status(400).json({"Message": "Bad request"});
+    }
+    const user = await prisma.user.findUnique({
+        where: {utorid: utorid},
+        include: {promotions: true}
+    });
+    if(!user) {
+        return res.status(404).json({"Message": "User not found"});
+    }
+    const valid = [];
+    const invalid = [];
+    for(const id of promotionIds.map(Number)) {
+        if(!Number.isInteger(id)) {
+            return res.status(400).json({"Message": "Bad request"});
+        }
+        const validation = await validatePromotion(id, user, spent);
+        if(validation.valid) {
+            valid.push(id);
+        } else {
+            invalid.push({"id": id, "name": validation.promotion ? validation.promotion.name : null, "reason": validation.error});
+        }
+    }
+    const quote = await promotionStacking.quotePurchase(user, spent, valid);
+    return res.status(200).json({
+        "utorid": user.utorid,
+        "spent": spent,
+        "basePoints": quote.basePoints,
+        "tier": quote.tier.name,
+        "multiplier": quote.tier.multiplier,
+        "earningRuleId": quote.rule.id,
+        "promotions": quote.applied.map(({promotion, points}) => ({"id": promotion.id, "name": promotion.name, "points": points})),
+        "droppedPromotions": [
+            ...invalid,
+            ...quote.dropped.map(({promotion, reason}) => ({"id": promotion.id, "name": promotion.name, "reason": reason}))
+        ],
+        "earned": quote.earned
+    });
+});
+// Filters, sorts and formats every transaction matching the list query parameters and hands
+// them to `respond` along with the page and limit asked for. Answers bad parameters itself.
+const listTransactions = async (req, res, respond) => {
     const higherRoles = ["manager", "superuser"];
-    const validTypes = ["purchase", "adjustment", "transfer", "event", "redemption"];
+    const validTypes = ["purchase", "adjustment", "transfer", "event", "redemption", "expiry", "birthday", "referral"];
     if(!higherRoles.includes(req.auth.role)) {
         return res.status(403).json({"message": "Forbidden"});
     }
-    let {name, createdBy, suspicious, promotionId, type, relatedId, amount, operator, page, limit, sortBy, sortOrder} = req.query;
+    let {name, createdBy, suspicious, reviewStatus, voided, promotionId, type, relatedId, batchId, amount, operator, page, limit, sortBy, sortOrder} = req.query;
     // type checking
     let data = {};
     let filter = {};
     if(name) {
-        data.receiver.utorid = name;
+        data.receiver = {utorid: name};
         const utoridCheck = await prisma.user.findUnique({
             where: {
                 utorid: name
@@ -413,6 +517,18 @@ router.get('/', auth, async (req, res) => {
     if(suspicious) {
         data.suspicious = (suspicious === "true");
     }
+    if(reviewStatus) {
+        if(!flagReview.STATUSES.includes(reviewStatus)) {
+            return res.status(400).json({"message": "Bad request"});
+        }
+        data.reviewStatus = reviewStatus;
+    }
+    if(voided) {
+        data.voided = (voided === "true");
+    }
+    if(batchId) {
+        data.batchId = batchId;
+    }
     if(promotionId) {
         promotionId = parseInt(promotionId);
         if(isNaN(promotionId)) {
@@ -451,6 +567,16 @@ router.get('/', auth, async (req, res) => {
         }
         filter.operator = operator;
     }
+    // Point and spend ranges, as on the transactions page; spend ranges only match purchases
+    const ranges = {};
+    for(const key of ["pointsMin", "pointsMax", "spentMin", "spentMax"]) {
+        if(req.query[key] !== undefined && req.query[key] !== "") {
+            ranges[key] = parseFloat(req.query[key]);
+            if(isNaN(ranges[key])) {
+                return res.status(400).json({"message": "Bad request"});
+            }
+        }
+    }
     if(page) {
         page = parseInt(page);
         if(isNaN(page) || page < 1) {
@@ -512,6 +638,17 @@ router.get('/', auth, async (req, res) => {
             filtered.push(transactions[i]);
         }
     }
+    filtered = filtered.filter(t => {
+        if((ranges.pointsMin !== undefined && t.amount < ranges.pointsMin) || (ranges.pointsMax !== undefined && t.amount > ranges.pointsMax)) {
+            return false;
+        }
+        if(ranges.spentMin !== undefined || ranges.spentMax !== undefined) {
+            return t.type === "purchase"
+                && (ranges.spentMin === undefined || t.spent >= ranges.spentMin)
+                && (ranges.spentMax === undefined || t.spent <= ranges.spentMax);
+        }
+        return true;
+    });
     // Sort filtered results before pagination
     filtered.sort((a, b) => {
         let aVal, bVal;
@@ -547,8 +684,19 @@ router.get('/', auth, async (req, res) => {
         }
     });
     
-    const count = filtered.length;
-    let toReturn = filtered.slice((page - 1) * limit, page * limit);
+    let toReturn = filtered;
+    // The sender half of a transfer is received by the sender; its counterpart is in relatedId
+    const counterpartIds = toReturn
+        .filter(t => t.type === "transfer" && t.amount < 0 && t.relatedId)
+        .map(t => t.relatedId);
+    const counterparts = new Map();
+    if(counterpartIds.length > 0) {
+        const users = await prisma.user.findMany({
+            where: {id: {in: counterpartIds}},
+            select: {id: true, utorid: true}
+        });
+        users.forEach(u => counterparts.set(u.id, u.utorid));
+    }
     let toReturnJson = [];
     for(let i = 0; i < toReturn.length; i++) {
         let data = {};
@@ -566,18 +714,34 @@ router.get('/', auth, async (req, res) => {
             data["amount"] = toReturn[i].amount;
         }
         data["promotionIds"] = promotionIds;
+        data["voided"] = toReturn[i].voided;
+        if(toReturn[i].voided) {
+            data["voidId"] = toReturn[i].voidId;
+        }
+        if(toReturn[i].suspicious) {
+            data["suspicious"] = true;
+            data["suspiciousReason"] = toReturn[i].suspiciousReason;
+        }
+        if(toReturn[i].reviewStatus) {
+            data["reviewStatus"] = toReturn[i].reviewStatus;
+            data["reviewNote"] = toReturn[i].reviewNote;
+            data["reviewedBy"] = toReturn[i].reviewedBy;
+        }
         if(toReturn[i].type === "purchase") {
             // Ensure spent is returned as a float, not rounded
             data["spent"] = parseFloat(toReturn[i].spent) || 0;
             data["suspicious"] = toReturn[i].suspicious;
+            data["earningRuleId"] = toReturn[i].earningRuleId;
         }
         if(toReturn[i].type === "redemption") {
             data["relatedId"] = toReturn[i].relatedId;
             data["redeemed"] = toReturn[i].amount * -1;
+            Object.assign(data, redemptions.describe(toReturn[i]));
         }
         if(toReturn[i].type === "adjustment") {
             data["relatedId"] = toReturn[i].relatedId;
             data["suspicious"] = toReturn[i].suspicious;
+            data["batchId"] = toReturn[i].batchId;
         }
         if(toReturn[i].type === "event") {
             data["recipient"] = toReturn[i].receiver.utorid;
@@ -586,25 +750,113 @@ router.get('/', auth, async (req, res) => {
         }
         if(toReturn[i].type === "transfer") {
             data["sender"] = toReturn[i].issuer.utorid;
-            data["recipient"] = toReturn[i].receiver.utorid;
+            data["recipient"] = (toReturn[i].amount < 0 && counterparts.get(toReturn[i].relatedId)) || toReturn[i].receiver.utorid;
             data["sent"] = toReturn[i].amount;
         }
         toReturnJson.push(data);
     }
-    return res.status(200).json({"count": count, "results": toReturnJson});
+    return respond(toReturnJson, page, limit);
+};
+
+// CSV columns of a transaction export; each type fills in the ones that apply to it
+const EXPORT_COLUMNS = ["id", "utorid", "type", "amount", "spent", "redeemed", "awarded", "sent", "sender", "recipient",
+    "relatedId", "promotionIds", "earningRuleId", "batchId", "suspicious", "suspiciousReason", "reviewStatus", "voided", "voidId", "status", "processedBy", "remark", "createdBy", "date"];
+
+router.get('/', auth, (req, res) => listTransactions(req, res, (results, page, limit) =>
+    res.status(200).json({"count": results.length, "results": results.slice((page - 1) * limit, page * limit)})
+));
+
+// Every transaction matching the list filters (paging is ignored), as CSV or JSON Lines
+router.get('/export', auth, (req, res) => {
+    const {format, error} = exporter.readFormat(req.query.format);
+    if(error) {
+        return res.status(400).json({"message": `Bad request: ${error}`});
+    }
+    return listTransactions(req, res, (results) =>
+        exporter.send(res, {format: format, name: "transactions", columns: EXPORT_COLUMNS, rows: results})
+    );
 });
 
-router.patch('/:transactionId/suspicious', auth, async (req, res) => {
+// The review queue (managers only): pending transactions oldest first by default, or the
+// approved, rejected or all reviewed ones newest first (?status=)
+router.get('/review-queue', auth, async (req, res) => {
+    const higherRoles = ["manager", "superuser"];
+    if(!higherRoles.includes(req.auth.role)) {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    const query = flagReview.readQueueQuery(req.query);
+    if(query.error) {
+        return res.status(400).json({"Message": `Bad request: ${query.error}`});
+    }
+    try {
+        return res.status(200).json(await flagReview.queue(query));
+    } catch (error) {
+        console.error('Review queue failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+});
+
+// Audited fields of a transaction, for the audit middleware
+const auditedTransaction = (req) => {
+    const id = parseInt(req.params.transactionId);
+    return isNaN(id) ? null : prisma.transaction.findUnique({
+        where: {id: id},
+        select: {id: true, suspicious: true, suspiciousReason: true, reviewStatus: true, reviewNote: true, reviewedBy: true}
+    });
+};
+
+// A reviewer's note: required text of at most flagReview.MAX_NOTE_LENGTH characters
+const readReviewNote = (note) => {
+    if(typeof note !== "string" || note.trim() === "") {
+        return {error: "A note explaining the decision is required"};
+    }
+    if(note.length > flagReview.MAX_NOTE_LENGTH) {
+        return {error: `note must be at most ${flagReview.MAX_NOTE_LENGTH} characters`};
+    }
+    return {note: note.trim()};
+};
+
+// The response of the flag and review routes
+const reviewedTransaction = async (updated) => {
+    const [user, creator] = await Promise.all([
+        prisma.user.findUnique({where: {id: updated.receiverId}}),
+        prisma.user.findUnique({where: {id: updated.issuerId}})
+    ]);
+    return {
+        "id": updated.id,
+        "utorid": user.utorid,
+        "type": updated.type,
+        "spent": updated.spent,
+        "amount": updated.amount,
+        "promotionIds": (updated.promotions || []).map(promotion => promotion.id),
+        "suspicious": updated.suspicious,
+        "suspiciousReason": updated.suspiciousReason,
+        "withheld": updated.withheld,
+        "reviewStatus": updated.reviewStatus,
+        "reviewNote": updated.reviewNote,
+        "reviewedBy": updated.reviewedBy,
+        "reviewedAt": updated.reviewedAt,
+        "remark": updated.remark,
+        "createdBy": creator.utorid
+    };
+};
+
+// Flags a transaction for review (suspicious: true, with an optional reason), or clears a
+// pending flag (suspicious: false, with a required note), which approves it
+router.patch('/:transactionId/suspicious', auth, audit("transaction.suspicious", "transaction", auditedTransaction), async (req, res) => {
     if(req.auth.role === "cashier" || req.auth.role === "regular") {
         return res.status(403).json({"Message": "Forbidden"});
     }
-    const {suspicious} = req.body;
+    const {suspicious, reason} = req.body;
     if(suspicious === null) {
         return res.status(400).json({"Message": "Bad request"});
     }
     if(suspicious !== true && suspicious !== false) {
         return res.status(400).json({"Message": "Bad request"});
     }
+    if(reason !== undefined && reason !== null && (typeof reason !== "string" || reason.length > 200)) {
+        return res.status(400).json({"Message": "reason must be text of at most 200 characters"});
+    }
     const transactionId = parseInt(req.params.transactionId);
     const transaction = await prisma.transaction.findUnique({
         where: {
@@ -617,54 +869,72 @@ router.patch('/:transactionId/suspicious', auth, async (req, res) => {
     if(transaction.suspicious === suspicious) {
         return res.status(400).json({"Message": "Already suspicious / not suspicious"});
     }
-    const updated = await prisma.transaction.update({
-        where: {
-            id: transactionId,
-        },
-        data: {
-            suspicious: suspicious
-        },
-        include: {
-            promotions: true
-        }
-    });
-    const receiverId = updated.receiverId;
-    const issuerId = updated.issuerId;
-    let toAdd = 0;
-    if(suspicious) {
-        toAdd = updated.amount * -1
-    } else {
-        toAdd = updated.amount;
+    if(transaction.voided) {
+        return res.status(400).json({"Message": "Voided transactions cannot be flagged or cleared"});
     }
-    const user = await prisma.user.update({
-        where: {
-            id: receiverId
-        },
-        data: {
-            points: {
-                increment: toAdd
+    let updated;
+    try {
+        if(suspicious) {
+            updated = await flagReview.flag(transactionId, req.auth, reason);
+        } else {
+            const {note, error} = readReviewNote(req.body.note);
+            if(error) {
+                return res.status(400).json({"Message": error});
             }
+            const {decided} = await flagReview.decide(transactionId, "approve", note, req.auth);
+            updated = decided[0];
         }
-    });
-    const creator = await prisma.user.findUnique({
-        where: {
-            id: issuerId
+    } catch (error) {
+        if(error instanceof LedgerError) {
+            return res.status(error.status).json({"Message": error.message});
         }
-    });
-    let promotionids = [];
-    for(let i = 0; i < updated.promotions.length; i++) {
-        promotionids.push(updated.promotions[i].id);
+        console.error('Suspicious update failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+    return res.status(200).json(await reviewedTransaction(updated));
+});
+
+// Decides a pending transaction: approve releases its withheld points, reject keeps them
+// withheld and claws back anything it credited, even into a negative balance (listed under
+// owing). Both need a note. A transfer's two halves are decided together.
+router.patch('/:transactionId/review', auth, audit("transaction.review", "transaction", auditedTransaction), async (req, res) => {
+    const higherRoles = ["manager", "superuser"];
+    if(!higherRoles.includes(req.auth.role)) {
+        return res.status(403).json({"Message": "Forbidden"});
     }
+    const transactionId = parseInt(req.params.transactionId);
+    if(isNaN(transactionId)) {
+        return res.status(400).json({"Message": "Bad request"});
+    }
+    const {decision} = req.body;
+    if(!Object.keys(flagReview.DECISIONS).includes(decision)) {
+        return res.status(400).json({"Message": "decision must be approve or reject"});
+    }
+    const {note, error} = readReviewNote(req.body.note);
+    if(error) {
+        return res.status(400).json({"Message": error});
+    }
+    let outcome;
+    try {
+        outcome = await flagReview.decide(transactionId, decision, note, req.auth);
+    } catch (error) {
+        if(error instanceof LedgerError) {
+            return res.status(error.status).json({"Message": error.message});
+        }
+        console.error('Review failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+    const [transaction, ...related] = outcome.decided;
     return res.status(200).json({
-        "id": transactionId,
-        "utorid": user.utorid,
-        "type": updated.type,
-        "spent": updated.spent,
-        "amount": updated.amount,
-        "promotionIds": promotionids,
-        "suspicious": updated.suspicious,
-        "remark": updated.remark,
-        "createdBy": creator.utorid
+        ...(await reviewedTransaction(transaction)),
+        "relatedIds": related.map(row => row.id),
+        "clawbacks": outcome.clawbacks.map(clawback => ({
+            "id": clawback.id,
+            "receiverId": clawback.receiverId,
+            "amount": clawback.amount,
+            "relatedId": clawback.relatedId
+        })),
+        "owing": outcome.owing
     });
 });
 
@@ -676,10 +946,29 @@ router.patch('/:transactionId/processed', auth, async (req, res) => {
    if(isNaN(transactionId)) {
        return res.status(400).json({"Message": "Bad request"});
    }
-   const { processed } = req.body;
+   const { processed, qrToken } = req.body;
    if(!processed || processed !== true) {
        return res.status(400).json({"Message": "Bad request"});
    }
+   // Cashiers need the member's signed redemption QR code; managers may still process by id
+   if(!qrToken && req.auth.role === "cashier") {
+       return res.status(403).json({"Message": "Forbidden: Scan the member's redemption QR code to process it"});
+   }
+   let redemptionQr = null;
+   if(qrToken) {
+       try {
+           redemptionQr = await qrTokens.verify(qrToken, "redemption");
+       } catch (error) {
+           if(error instanceof QrTokenError) {
+               return res.status(error.status).json({"Message": error.message});
+           }
+           console.error('QR verification failed:', error);
+           return res.status(500).json({"Message": "Something went wrong"});
+       }
+       if(redemptionQr.sub !== transactionId) {
+           return res.status(400).json({"Message": "Bad request: QR code is for a different redemption"});
+       }
+   }
    let transaction = await prisma.transaction.findUnique({
        where: {
            id: transactionId,
@@ -694,25 +983,30 @@ router.patch('/:transactionId/processed', auth, async (req, res) => {
    if(transaction.type !== "redemption") {
        return res.status(400).json({"Message": "Bad request"});
    }
-   transaction = await prisma.transaction.update({
-       where: {
-           id: transactionId,
-       },
-       data: {
-           processedBy: req.auth.utorid,
-           processed: true
-       }
-   });
-   await prisma.user.update({
-       where: {
-           id: transaction.receiverId
-       },
-       data: {
-           points: {
-               decrement: transaction.amount
+   const status = redemptions.statusOf(transaction);
+   if(status === "cancelled" || status === "expired") {
+       return res.status(400).json({"Message": `Redemption request was ${status}`});
+   }
+   // Mark processed; a reserved request already holds its points, an older one is deducted now without overdrawing
+   try {
+       transaction = await ledger.post(async (tx) => {
+           if(redemptionQr) {
+               await qrTokens.consume(tx, redemptionQr, req.auth.utorid);
            }
+           return ledger.updateEntry(tx, transactionId, {
+               processedBy: req.auth.utorid,
+               processed: true
+           }, {
+               expected: {cancelled: false, OR: [{processed: null}, {processed: false}]}
+           });
+       });
+   } catch (error) {
+       if(error instanceof LedgerError || error instanceof QrTokenError) {
+           return res.status(error.status).json({"Message": error.message});
        }
-   });
+       console.error('Redemption processing failed:', error);
+       return res.status(500).json({"Message": "Something went wrong"});
+   }
    return res.status(200).json({
        "id": transactionId,
        "utorid": transaction.createdBy,
@@ -724,6 +1018,319 @@ router.patch('/:transactionId/processed', auth, async (req, res) => {
    });
 });
 
+const VOIDABLE_TYPES = ["purchase", "event", "adjustment"];
+
+// Voids `original` (loaded with its promotions) inside a ledger transaction: marks it voided and
+// writes the reversing adjustment, giving back any promotion uses, one-time promotions and
+// event pool points it took. Returns {reversal, voided}.
+const voidEntry = async (tx, original, {remark, auth, allowNegative = false}) => {
+    // Reverse exactly what the original credited; a withheld purchase credited nothing
+    const credited = ledger.entryEffects(original).reduce((sum, change) => sum + change.delta, 0);
+    const oneTimePromotionIds = original.promotions
+        .filter(p => p.type === "onetime")
+        .map(p => p.id);
+    const eventId = original.type === "event" ? (original.eventId || original.relatedId) : null;
+
+    const marked = await tx.transaction.updateMany({
+        where: {id: original.id, voided: false},
+        data: {voided: true, voidedBy: auth.utorid, voidedAt: new Date()}
+    });
+    if(marked.count === 0) {
+        throw new LedgerError("Transaction is already voided");
+    }
+    const entry = await ledger.createEntry(tx, {
+        type: "adjustment",
+        spent: 0,
+        amount: -credited,
+        remark: remark,
+        suspicious: false,
+        createdBy: auth.utorid,
+        issuerId: auth.id,
+        receiverId: original.receiverId,
+        relatedId: original.id
+    }, undefined, {allowNegative: allowNegative});
+    const updated = await tx.transaction.update({
+        where: {id: original.id},
+        data: {voidId: entry.id}
+    });
+    // Give back the promotion uses (and budget points) the original counted against
+    await tx.promotionUse.deleteMany({
+        where: {transactionId: original.id}
+    });
+    // Give back the one-time promotions the original consumed
+    if(oneTimePromotionIds.length > 0) {
+        await tx.user.update({
+            where: {id: original.receiverId},
+            data: {
+                promotions: {
+                    connect: oneTimePromotionIds.map(id => ({ id }))
+                }
+            }
+        });
+    }
+    // Return the awarded points to the event's pool
+    if(eventId) {
+        await tx.event.updateMany({
+            where: {id: eventId},
+            data: {
+                pointsRemain: {increment: original.amount},
+                pointsAwarded: {decrement: original.amount}
+            }
+        });
+    }
+    return {reversal: entry, voided: updated};
+};
+
+router.post('/:transactionId/void', auth, async (req, res) => {
+    const higherRoles = ["manager", "superuser"];
+    if(!higherRoles.includes(req.auth.role)) {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    const transactionId = parseInt(req.params.transactionId);
+    if(isNaN(transactionId)) {
+        return res.status(400).json({"Message": "Bad request"});
+    }
+    let {remark, override} = req.body;
+    if(override !== undefined && override !== null && override !== true && override !== false) {
+        return res.status(400).json({"Message": "Bad request"});
+    }
+    if(override === true && req.auth.role !== "superuser") {
+        return res.status(403).json({"Message": "Forbidden: Only superusers can override the balance check"});
+    }
+    const original = await prisma.transaction.findUnique({
+        where: {
+            id: transactionId
+        },
+        include: {
+            promotions: true,
+            receiver: true
+        }
+    });
+    if(!original) {
+        return res.status(404).json({"Message": "Transaction not found"});
+    }
+    if(!VOIDABLE_TYPES.includes(original.type)) {
+        return res.status(400).json({"Message": "Only purchase, event and adjustment transactions can be voided"});
+    }
+    if(original.voided) {
+        return res.status(400).json({"Message": "Transaction is already voided"});
+    }
+    const voidedByThis = await prisma.transaction.findFirst({
+        where: {
+            voidId: transactionId
+        }
+    });
+    if(voidedByThis) {
+        return res.status(400).json({"Message": "A void reversal cannot itself be voided"});
+    }
+
+    const voidRemark = remark ? `Void of #${transactionId}: ${remark}` : `Void of #${transactionId}`;
+
+    let reversal;
+    let voided;
+    try {
+        ({reversal, voided} = await ledger.post(async (tx) => {
+            const result = await voidEntry(tx, original, {
+                remark: voidRemark,
+                auth: req.auth,
+                allowNegative: override === true
+            });
+            await auditLog.record(req, {
+                action: "transaction.void",
+                targetType: "transaction",
+                targetId: transactionId,
+                before: {voided: false, voidId: null},
+                after: {voided: true, voidId: result.reversal.id, reversalAmount: result.reversal.amount, remark: result.reversal.remark}
+            }, tx);
+            return result;
+        }));
+    } catch (error) {
+        if(error instanceof LedgerError) {
+            const message = error.message === "Insufficient points"
+                ? "Voiding would make the user's balance negative"
+                : error.message;
+            return res.status(error.status).json({"Message": message});
+        }
+        console.error('Void failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+    return res.status(201).json({
+        "id": transactionId,
+        "voided": voided.voided,
+        "voidedBy": voided.voidedBy,
+        "voidedAt": voided.voidedAt,
+        "voidId": reversal.id,
+        "reversal": {
+            "id": reversal.id,
+            "utorid": original.receiver.utorid,
+            "type": reversal.type,
+            "amount": reversal.amount,
+            "remark": reversal.remark,
+            "relatedId": reversal.relatedId,
+            "createdBy": reversal.createdBy
+        }
+    });
+});
+
+// Adjustments from a list of {utorid, amount, remark} rows, all applied or none
+router.post('/batches', auth, async (req, res) => {
+    const higherRoles = ["manager", "superuser"];
+    if(!higherRoles.includes(req.auth.role)) {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    const {adjustments} = req.body;
+    if(!Array.isArray(adjustments) || adjustments.length === 0) {
+        return res.status(400).json({"Message": "adjustments must be a non-empty list"});
+    }
+    if(adjustments.length > adjustmentBatches.MAX_ROWS) {
+        return res.status(400).json({"Message": `At most ${adjustmentBatches.MAX_ROWS} adjustments can be made at once`});
+    }
+    try {
+        const checked = await adjustmentBatches.validate(adjustments);
+        if(!checked.valid) {
+            return res.status(400).json({"Message": "Some rows are invalid; nothing was applied", "results": checked.results});
+        }
+        const batch = await adjustmentBatches.apply(checked, req.auth, (tx, written) => auditLog.record(req, {
+            action: "adjustment.batch",
+            targetType: "batch",
+            targetId: written.batchId,
+            after: {count: written.results.length, total: written.results.reduce((sum, result) => sum + result.amount, 0)}
+        }, tx));
+        return res.status(201).json({
+            "batchId": batch.batchId,
+            "count": batch.results.length,
+            "results": batch.results
+        });
+    } catch (error) {
+        if(error instanceof LedgerError) {
+            return res.status(error.status).json({"Message": error.message});
+        }
+        console.error('Batch adjustment failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+});
+
+router.get('/batches/:batchId', auth, async (req, res) => {
+    const higherRoles = ["manager", "superuser"];
+    if(!higherRoles.includes(req.auth.role)) {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    const transactions = await adjustmentBatches.find(req.params.batchId);
+    if(transactions.length === 0) {
+        return res.status(404).json({"Message": "Batch not found"});
+    }
+    return res.status(200).json({
+        "batchId": req.params.batchId,
+        "createdBy": transactions[0].createdBy,
+        "date": transactions[0].date,
+        "count": transactions.length,
+        "total": transactions.reduce((sum, t) => sum + t.amount, 0),
+        "voided": transactions.every(t => t.voided),
+        "results": transactions.map(t => ({
+            "id": t.id,
+            "utorid": t.receiver.utorid,
+            "amount": t.amount,
+            "remark": t.remark,
+            "suspicious": t.suspicious,
+            "voided": t.voided,
+            "voidId": t.voidId
+        }))
+    });
+});
+
+// Voids every adjustment of a batch that isn't voided yet, all or nothing
+router.post('/batches/:batchId/void', auth, async (req, res) => {
+    const higherRoles = ["manager", "superuser"];
+    if(!higherRoles.includes(req.auth.role)) {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    const {remark, override} = req.body;
+    if(override !== undefined && override !== null && override !== true && override !== false) {
+        return res.status(400).json({"Message": "Bad request"});
+    }
+    if(override === true && req.auth.role !== "superuser") {
+        return res.status(403).json({"Message": "Forbidden: Only superusers can override the balance check"});
+    }
+    const transactions = await prisma.transaction.findMany({
+        where: {batchId: req.params.batchId},
+        include: {promotions: true, receiver: {select: {utorid: true}}},
+        orderBy: {id: "asc"}
+    });
+    if(transactions.length === 0) {
+        return res.status(404).json({"Message": "Batch not found"});
+    }
+    // Debits are reversed first, so their refunds cover the reversals of the credits
+    const toVoid = transactions.filter(t => !t.voided).sort((a, b) => a.amount - b.amount);
+    if(toVoid.length === 0) {
+        return res.status(400).json({"Message": "Batch is already voided"});
+    }
+
+    let reversals;
+    try {
+        reversals = await ledger.post(async (tx) => {
+            const entries = [];
+            for(const original of toVoid) {
+                const {reversal} = await voidEntry(tx, original, {
+                    remark: remark ? `Void of #${original.id}: ${remark}` : `Void of #${original.id}`,
+                    auth: req.auth,
+                    allowNegative: override === true
+                });
+                entries.push(reversal);
+            }
+            await auditLog.record(req, {
+                action: "adjustment.batchVoid",
+                targetType: "batch",
+                targetId: req.params.batchId,
+                before: {voided: false},
+                after: {voided: true, count: entries.length, remark: remark || null}
+            }, tx);
+            return entries;
+        }, {timeout: adjustmentBatches.TRANSACTION_TIMEOUT_MS});
+    } catch (error) {
+        if(error instanceof LedgerError) {
+            const message = error.message === "Insufficient points"
+                ? "Voiding the batch would make a user's balance negative"
+                : error.message;
+            return res.status(error.status).json({"Message": message});
+        }
+        console.error('Batch void failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+    return res.status(201).json({
+        "batchId": req.params.batchId,
+        "count": reversals.length,
+        "results": toVoid.map((original, index) => ({
+            "id": original.id,
+            "utorid": original.receiver.utorid,
+            "voidId": reversals[index].id,
+            "amount": reversals[index].amount
+        }))
+    });
+});
+
+// What a reviewer needs to decide a flagged transaction: the receiver's and issuer's standing
+// and history (managers only)
+router.get("/:transactionId/review-context", auth, async (req, res) => {
+    const higherRoles = ["manager", "superuser"];
+    if(!higherRoles.includes(req.auth.role)) {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    const transactionId = parseInt(req.params.transactionId);
+    if(isNaN(transactionId)) {
+        return res.status(400).json({"Message": "Bad request"});
+    }
+    try {
+        const context = await flagReview.context(transactionId);
+        if(!context) {
+            return res.status(404).json({"Message": "Transaction not found"});
+        }
+        return res.status(200).json(context);
+    } catch (error) {
+        console.error('Review context failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+});
+
 router.get("/:transactionId", auth, async (req, res) => {
     const higherRoles = ["manager", "superuser"];
     if(!higherRoles.includes(req.auth.role)) {
@@ -738,6 +1345,7 @@ router.get("/:transactionId", auth, async (req, res) => {
             promotions: true,
             issuer: true,
             receiver: true,
+            earningRule: true,
         }
     });
     if(!transaction) {
@@ -764,10 +1372,31 @@ router.get("/:transactionId", auth, async (req, res) => {
         "createdBy": transaction.issuer.utorid,
         "relatedId": transaction.relatedId,
         "issuer": transaction.issuer.utorid,
-        "receiver": transaction.receiver.utorid
+        "receiver": transaction.receiver.utorid,
+        "voided": transaction.voided,
+        "voidedBy": transaction.voidedBy,
+        "voidedAt": transaction.voidedAt,
+        "voidId": transaction.voidId,
+        "batchId": transaction.batchId,
+        "suspiciousReason": transaction.suspiciousReason,
+        "withheld": transaction.withheld,
+        "reviewStatus": transaction.reviewStatus,
+        "reviewNote": transaction.reviewNote,
+        "reviewedBy": transaction.reviewedBy,
+        "reviewedAt": transaction.reviewedAt,
+        ...(transaction.type === "redemption" ? redemptions.describe(transaction) : {}),
+        // Purchases made before earning rules were versioned have no recorded rule
+        ...(transaction.type === "purchase" ? {
+            "earningRule": transaction.earningRule ? {
+                "id": transaction.earningRule.id,
+                "pointsPerDollar": transaction.earningRule.pointsPerDollar,
+                "rounding": transaction.earningRule.rounding,
+                "minSpent": transaction.earningRule.minSpent,
+                "maxPromotions": transaction.earningRule.maxPromotions,
+                "effectiveFrom": transaction.earningRule.effectiveFrom
+            } : null
+        } : {})
     });
 });
 
-
-
 module.exports = router;
\ No newline at end of file
@@ -8,6 +8,20 @@ const {v4: uuidv4} = require("uuid");
 const router = express.Router();
 
 const auth = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const audit = require("../middleware/audit");
+const ledger = require("../services/ledger");
+const redemptions = require("../services/redemptions");
+const qrTokens = require("../services/qrTokens");
+const tiers = require("../services/tiers");
+const pointsExpiry = require("../services/pointsExpiry");
+const birthdays = require("../services/birthdays");
+const referrals = require("../services/referrals");
+const promotionSchedule = require("../services/promotionSchedule");
+const exporter = require("../services/exporter");
+const userImport = require("../services/userImport");
+const {ImportError} = userImport;
+const {LedgerError} = ledger;
 
 const {PrismaClient} = require('@prisma/client');
 const prisma = new PrismaClient();
@@ -15,31 +29,36 @@ const prisma = new PrismaClient();
 // regex
 const alphaNum = /^[a-z0-9]+$/i;
 const emailRegex = /^[a-zA-Z0-9._%+-]+@mail\.utoronto\.ca$/i;
-const dateRegex = /^(\d{4})-(02)-(29)|(\d{4})-(0[469]|11)-(30)|(\d{4})-(01|03|05|07|08|10|12)-(31)|(\d{4})-(0[1-9]|1[0-2])-(0[1-9]|1\d|2[0-8])$/;
 const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[\W_])(?!.*\s)[A-Za-z\d\W_]{8,128}$/;
 const nameRegex = /^.{1,50}$/;
 
+// Account rules shared by registration, staff-created accounts and the bulk import. Returns
+// the message for the first rule broken, or null.
+const identityError = ({utorid, name, email}) => {
+    if(!alphaNum.test(utorid) || utorid.length < 7 || utorid.length > 8) {
+        return "UTORid must be alphanumeric and 7 - 8 characters long";
+    }
+    if(name.length < 1 || name.length > 50) {
+        return "Name must be less than 50 characters";
+    }
+    if(!emailRegex.test(email)) {
+        return "Not a valid email";
+    }
+    return null;
+};
+
 // Public registration endpoint (no auth required)
 router.post("/", async (req, res) => {
-    const {utorid, name, email, password} = req.body;
+    const {utorid, name, email, password, referralCode} = req.body;
     if(!utorid || !name || !email || !password) {
         return res.status(400).json({"Message": "You must provide all inputs"});
     }
 
-    let valid = alphaNum.test(utorid);
-    if(!valid || utorid.length < 7 || utorid.length > 8) {
-        return res.status(400).json({"Message": "UTORid must be alphanumeric and 7 - 8 characters long"});
-    }
-
-    if(name.length < 1 || name.length > 50) {
-        return res.status(400).json({"Message": "Name must be less than 50 characters"});
-    }
-
-    valid = emailRegex.test(email);
-    if(!valid) {
-        return res.status(400).json({"Message": "Not a valid email"});
+    const identityProblem = identityError({utorid, name, email});
+    if(identityProblem) {
+        return res.status(400).json({"Message": identityProblem});
     }
-    valid = passwordRegex.test(password);
+    const valid = passwordRegex.test(password);
     if(!valid) {
         return res.status(400).json({"Message": "Password must be alphanumeric and 8 - 128 characters long. Must include an uppercase letter and special character"});
     }
@@ -53,26 +72,37 @@ router.post("/", async (req, res) => {
     if(existing) {
         return res.status(409).json({"Message": "Username not available"});
     }
+    const {referrer, error: referralError} = await referrals.findReferrer(referralCode);
+    if(referralError) {
+        return res.status(400).json({"Message": referralError});
+    }
     const hashedPassword = await bcrypt.hash(password, 10);
-    const created = await prisma.user.create({
-        data: {
-            utorid: utorid,
-            name: name,
-            email: email,
-            password: hashedPassword
-        }
-    });
-
     const uuid = uuidv4();
     const expiresAt = new Date(Date.now() + (7 * 24 * 60 * 60 * 1000)).toISOString();
 
-    await prisma.resetToken.create({
-        data: {
-            token: uuid,
-            uid: created.id,
-            expiresAt: expiresAt,
+    // The account, its referral and its activation token are written together, so a failure
+    // part way doesn't leave an account that lost its referral
+    const created = await prisma.$transaction(async (tx) => {
+        const user = await tx.user.create({
+            data: {
+                utorid: utorid,
+                name: name,
+                email: email,
+                password: hashedPassword
+            }
+        });
+        if(referrer) {
+            await referrals.record(referrer, user, tx);
         }
-    })
+        await tx.resetToken.create({
+            data: {
+                token: uuid,
+                uid: user.id,
+                expiresAt: expiresAt,
+            }
+        });
+        return user;
+    });
 
     return res.status(201).json({"id": created.id,
                                 "utorid": utorid,
@@ -83,6 +113,51 @@ router.post("/", async (req, res) => {
                                 "resetToken": uuid,});
 });
 
+// Bulk import of accounts from a CSV (managers+). With dryRun (the default) it only reports on
+// each row; otherwise it creates the ok rows and their activation tokens in one go. Rows that
+// aren't ok block the commit unless skipInvalid is set.
+router.post("/import", auth, async (req, res) => {
+    if(req.auth.role !== "manager" && req.auth.role !== "superuser") {
+        return res.status(403).json({"Message": "Forbidden"});
+    }
+    const {csv, dryRun, skipInvalid} = req.body;
+    if((dryRun !== undefined && typeof dryRun !== "boolean") || (skipInvalid !== undefined && typeof skipInvalid !== "boolean")) {
+        return res.status(400).json({"Message": "dryRun and skipInvalid must be booleans"});
+    }
+
+    let checked;
+    try {
+        checked = await userImport.report(csv, req.auth.role, identityError);
+    } catch(error) {
+        if(error instanceof ImportError) {
+            return res.status(400).json({"Message": error.message});
+        }
+        console.error('User import check failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+    if(dryRun !== false) {
+        return res.status(200).json({"dryRun": true, ...checked});
+    }
+    if(checked.ok < checked.total && !skipInvalid) {
+        return res.status(400).json({"Message": "Some rows can't be imported; fix them or set skipInvalid", "dryRun": false, ...checked});
+    }
+    if(checked.ok === 0) {
+        return res.status(400).json({"Message": "No rows can be imported", "dryRun": false, ...checked});
+    }
+
+    try {
+        const created = await userImport.commit(checked);
+        return res.status(201).json({"dryRun": false, ...checked, "created": created});
+    } catch(error) {
+        // Another request took one of the utorids since the report was made
+        if(error.code === "P2002") {
+            return res.status(409).json({"Message": "An account was created for one of these UTORids meanwhile; run the import again"});
+        }
+        console.error('User import failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+});
+
 // Endpoint for cashiers+ to create accounts for users
 router.post("/create", auth, async (req, res) => {
     // Check if user is cashier or higher
@@ -90,25 +165,16 @@ router.post("/create", auth, async (req, res) => {
         return res.status(403).json({"Message": "Forbidden: Only cashiers and above can create accounts"});
     }
 
-    const {utorid, name, email, password, role} = req.body;
+    const {utorid, name, email, password, role, referralCode} = req.body;
     if(!utorid || !name || !email || !password) {
         return res.status(400).json({"Message": "You must provide utorid, name, email, and password"});
     }
 
-    let valid = alphaNum.test(utorid);
-    if(!valid || utorid.length < 7 || utorid.length > 8) {
-        return res.status(400).json({"Message": "UTORid must be alphanumeric and 7 - 8 characters long"});
-    }
-
-    if(name.length < 1 || name.length > 50) {
-        return res.status(400).json({"Message": "Name must be less than 50 characters"});
-    }
-
-    valid = emailRegex.test(email);
-    if(!valid) {
-        return res.status(400).json({"Message": "Not a valid email"});
+    const identityProblem = identityError({utorid, name, email});
+    if(identityProblem) {
+        return res.status(400).json({"Message": identityProblem});
     }
-    valid = passwordRegex.test(password);
+    const valid = passwordRegex.test(password);
     if(!valid) {
         return res.status(400).json({"Message": "Password must be alphanumeric and 8 - 128 characters long. Must include an uppercase letter and special character"});
     }
@@ -137,16 +203,26 @@ router.post("/create", auth, async (req, res) => {
     if(existing) {
         return res.status(409).json({"Message": "Username not available"});
     }
+    const {referrer, error: referralError} = await referrals.findReferrer(referralCode);
+    if(referralError) {
+        return res.status(400).json({"Message": referralError});
+    }
     const hashedPassword = await bcrypt.hash(password, 10);
-    const created = await prisma.user.create({
-        data: {
-            utorid: utorid,
-            name: name,
-            email: email,
-            password: hashedPassword,
-            role: userRole,
-            activated: true  // Accounts created by staff are activated
+    const created = await prisma.$transaction(async (tx) => {
+        const user = await tx.user.create({
+            data: {
+                utorid: utorid,
+                name: name,
+                email: email,
+                password: hashedPassword,
+                role: userRole,
+                activated: true  // Accounts created by staff are activated
+            }
+        });
+        if(referrer) {
+            await referrals.record(referrer, user, tx);
         }
+        return user;
     });
 
     return res.status(201).json({
@@ -160,8 +236,9 @@ router.post("/create", auth, async (req, res) => {
     });
 });
 
-router.get("/", auth, async (req, res) => {
-
+// Users matching the list filters. Hands the page asked for and the total count to `respond`,
+// or every match when `all` is set. Answers bad parameters itself.
+const listUsers = async (req, res, respond, all = false) => {
     if(req.auth.role === "regular" || req.auth.role === "cashier") {
         return res.status(403).json({"Message": "Forbidden"});
     }
@@ -171,7 +248,7 @@ router.get("/", auth, async (req, res) => {
         const value = req.query[param];
         if(param === "name" || param === "role") {
             data[param] = req.query[param];
-        } else if(param === "verified" || param === "activated") {
+        } else if(param === "verified" || param === "activated" || param === "suspicious") {
             data[param] = (value === "true");
         }
     });
@@ -192,16 +269,14 @@ router.get("/", auth, async (req, res) => {
 
 
     const users = await prisma.user.findMany({
-        skip: (pageNumber - 1) * limit,
-        take: limit,
+        ...(all ? {orderBy: {id: "asc"}} : {skip: (pageNumber - 1) * limit, take: limit}),
         where: data
     });
 
-    const totalUsers = await prisma.user.findMany({
-            where: data
-        });
+    const count = await prisma.user.count({
+        where: data
+    });
 
-    const count = totalUsers.length;
     let returnArray = [];
     users.forEach((user) => {
         returnArray.push({
@@ -219,7 +294,25 @@ router.get("/", auth, async (req, res) => {
             avatarUrl: user.avatarUrl
         });
     });
-    return res.status(200).json({"count": count, results: returnArray});
+    return respond(returnArray, count);
+};
+
+router.get("/", auth, (req, res) => listUsers(req, res, (results, count) =>
+    res.status(200).json({"count": count, results: results})
+));
+
+// Every user matching the list filters (paging is ignored), as CSV or JSON Lines
+router.get("/export", auth, (req, res) => {
+    const {format, error} = exporter.readFormat(req.query.format);
+    if(error) {
+        return res.status(400).json({"Message": `Bad request: ${error}`});
+    }
+    return listUsers(req, res, (results) => exporter.send(res, {
+        format: format,
+        name: "users",
+        columns: ["id", "utorid", "name", "email", "birthday", "role", "points", "createdAt", "lastLogin", "verified", "suspicious"],
+        rows: results
+    }), true);
 });
 
 router.patch("/me", auth, async (req, res) => {
@@ -256,10 +349,14 @@ router.patch("/me", auth, async (req, res) => {
             data: {email: email}
         });
     }
-    if(birthday) {
-        const valid = dateRegex.test(birthday);
-        if(!valid) {
-            return res.status(400).json({"Message": "Birthday is invalid"});
+    // The birthday can only be set once, since it decides when birthday rewards are granted
+    if(birthday && birthday !== user.birthday) {
+        if(birthdays.isSet(user)) {
+            return res.status(409).json({"Message": "Birthday has already been set and cannot be changed"});
+        }
+        const problem = birthdays.validateBirthday(birthday);
+        if(problem) {
+            return res.status(400).json({"Message": problem});
         }
         await prisma.user.update({
             where: {id: req.auth.id},
@@ -284,7 +381,8 @@ router.patch("/me", auth, async (req, res) => {
         "utorid": user.utorid,
         "name": user.name,
         "email": user.email,
-        "birthday": birthday,
+        "birthday": user.birthday,
+        "birthdayLocked": birthdays.isSet(user),
         "role": user.role,
         "points": user.points,
         "createdAt": user.createdAt,
@@ -302,6 +400,12 @@ router.get("/me", auth, async (req, res) => {
     if(!user) {
         return res.status(404).json({"Message": "How did you get here?"});
     }
+    // points is what the user can spend; heldPoints is reserved by pending redemption requests
+    const heldPoints = await redemptions.heldPoints(user.id);
+    const tier = await tiers.tierFor(user.id);
+    // Next points to expire under the expiry policy, or null if none will
+    const upcoming = await pointsExpiry.nextExpiry(user);
+    const birthday = await birthdays.status(user);
     return res.status(200).json({
         "id": user.id,
         "utorid": user.utorid,
@@ -310,6 +414,11 @@ router.get("/me", auth, async (req, res) => {
         "birthday": user.birthday,
         "role": user.role,
         "points": user.points,
+        "heldPoints": heldPoints,
+        "tier": tier,
+        "nextExpiry": upcoming ? {"amount": upcoming.amount, "expiresAt": upcoming.expiresAt.toISOString()} : null,
+        "birthdayLocked": birthdays.isSet(user),
+        "birthdayStatus": birthday,
         "createdAt": user.createdAt,
         "lastLogin": user.lastLogin,
         "verified": user.verified,
@@ -381,6 +490,9 @@ router.get("/search/:utorid", auth, async (req, res) => {
     if(!user) {
         return res.status(404).json({"Message": "User Not Found"});
     }
+    // Cashiers need the tier multiplier to estimate the points a purchase earns
+    const {name: tierName, multiplier} = await tiers.tierFor(user.id);
+    const tier = {"name": tierName, "multiplier": multiplier};
 
     if(req.auth.role === "cashier") {
         return res.status(200).json({
@@ -389,7 +501,8 @@ router.get("/search/:utorid", auth, async (req, res) => {
             "name": user.name,
             "points": user.points,
             "verified": user.verified,
-            "promotions": user.promotions
+            "promotions": user.promotions,
+            "tier": tier
         });
     }
 
@@ -405,7 +518,8 @@ router.get("/search/:utorid", auth, async (req, res) => {
         "lastLogin": user.lastLogin,
         "verified": user.verified,
         "avatarUrl": user.avatarURL,
-        "promotions": user.promotions
+        "promotions": user.promotions,
+        "tier": tier
     });
 });
 
@@ -455,7 +569,16 @@ router.get("/:userId", auth, async (req, res) => {
     });
 });
 
-router.patch("/:userId", auth, async (req, res) => {
+// Audited fields of a user, for the audit middleware
+const auditedUser = (req) => {
+    const id = parseInt(req.params.userId);
+    return isNaN(id) ? null : prisma.user.findUnique({
+        where: {id: id},
+        select: {id: true, email: true, verified: true, suspicious: true, role: true}
+    });
+};
+
+router.patch("/:userId", auth, audit("user.update", "user", auditedUser), async (req, res) => {
     if(req.auth.role === "regular" || req.auth.role === "cashier") {
         return res.status(403).json({"Message": "Forbidden"});
     }
@@ -514,6 +637,8 @@ router.patch("/:userId", auth, async (req, res) => {
                 data: {verified: true},
             });
             toReturn["verified"] = true;
+            // Verification can qualify a referred member's referral bonus
+            await referrals.qualifyQuietly(user.id, "verified");
         }
     }
     if(suspicious !== undefined && suspicious !== null) {
@@ -587,7 +712,7 @@ router.patch("/me/password", auth, async (req, res) => {
     return res.status(200).json({"Message": "Password updated successfully"});
 });
 
-router.post('/me/transactions', auth, async (req, res) => {
+router.post('/me/transactions', auth, idempotency, async (req, res) => {
     let {type, amount, remark} = req.body;
     if(!req.auth.verified) {
         return res.status(403).json({"Message": "Forbidden"});
@@ -607,24 +732,32 @@ router.post('/me/transactions', auth, async (req, res) => {
     const user = await prisma.user.findUnique({
         where: {id: req.auth.id}
     });
+    // User.points is the available balance; points held by other pending redemptions are already out of it
     if(user.points < amount) {
-        return res.status(400).json({"Message": "Bad request"});
+        return res.status(400).json({"Message": "Insufficient available points"});
     }
-    const redemption = await prisma.transaction.create({
-        data: {
+    // Reserve the points now so they can't be spent twice; the ledger refunds them if the request is cancelled or expires
+    let redemption;
+    try {
+        redemption = await ledger.post((tx) => ledger.createEntry(tx, {
             type: type,
             amount: amount,
             spent: 0,
             remark: remark,
             createdBy: req.auth.utorid,
+            expiresAt: redemptions.expiresAtFrom(),
+            reserved: true,
             issuer: {connect: {id: req.auth.id}},
             receiver: {connect: {id: req.auth.id}}
+        }));
+    } catch (error) {
+        if(error instanceof LedgerError) {
+            const message = error.message === "Insufficient points" ? "Insufficient available points" : error.message;
+            return res.status(error.status).json({"Message": message});
         }
-    });
-    await prisma.user.update({
-        where: {id: req.auth.id},
-        data: {receivedTransactions: {connect: {id: redemption.id}}}
-    });
+        console.error('Redemption request failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
     return res.status(201).json({
         "id": redemption.id,
         "utorid": redemption.createdBy,
@@ -632,7 +765,93 @@ router.post('/me/transactions', auth, async (req, res) => {
         "processedBy": redemption.processedBy,
         "amount": amount,
         "remark": remark,
-        "createdBy": redemption.createdBy
+        "createdBy": redemption.createdBy,
+        "status": redemptions.statusOf(redemption),
+        "expiresAt": redemptions.expiresAtOf(redemption).toISOString()
+    });
+});
+
+// Cancel one of the logged in user's pending redemption requests
+router.post('/me/transactions/:transactionId/cancel', auth, async (req, res) => {
+    const transactionId = parseInt(req.params.transactionId);
+    if(isNaN(transactionId)) {
+        return res.status(400).json({"Message": "Bad request"});
+    }
+    const transaction = await prisma.transaction.findUnique({
+        where: {id: transactionId}
+    });
+    if(!transaction || transaction.receiverId !== req.auth.id) {
+        return res.status(404).json({"Message": "Transaction not found"});
+    }
+    if(transaction.type !== "redemption") {
+        return res.status(400).json({"Message": "Only redemption requests can be cancelled"});
+    }
+    const status = redemptions.statusOf(transaction);
+    if(status !== "pending") {
+        return res.status(400).json({"Message": `Redemption is already ${status}`});
+    }
+    let cancelled;
+    try {
+        cancelled = await ledger.post((tx) => ledger.updateEntry(tx, transactionId, {
+            cancelled: true,
+            cancelReason: "cancelled",
+            cancelledAt: new Date()
+        }, {
+            expected: {cancelled: false, OR: [{processed: null}, {processed: false}]}
+        }));
+    } catch (error) {
+        if(error instanceof LedgerError) {
+            return res.status(error.status).json({"Message": error.message});
+        }
+        console.error('Redemption cancellation failed:', error);
+        return res.status(500).json({"Message": "Something went wrong"});
+    }
+    return res.status(200).json({
+        "id": cancelled.id,
+        "utorid": cancelled.createdBy,
+        "type": cancelled.type,
+        "amount": cancelled.amount,
+        "remark": cancelled.remark,
+        ...redemptions.describe(cancelled)
+    });
+});
+
+// Issue a signed, single-use QR token identifying the logged in user to a cashier
+router.post('/me/qr', auth, async (req, res) => {
+    const {token, expiresAt} = qrTokens.issue("user", req.auth.id);
+    return res.status(201).json({
+        "type": "user",
+        "utorid": req.auth.utorid,
+        "token": token,
+        "expiresAt": expiresAt
+    });
+});
+
+// Issue a signed, single-use QR token for one of the logged in user's pending redemptions
+router.post('/me/transactions/:transactionId/qr', auth, async (req, res) => {
+    const transactionId = parseInt(req.params.transactionId);
+    if(isNaN(transactionId)) {
+        return res.status(400).json({"Message": "Bad request"});
+    }
+    const transaction = await prisma.transaction.findUnique({
+        where: {id: transactionId}
+    });
+    if(!transaction || transaction.receiverId !== req.auth.id || transaction.type !== "redemption") {
+        return res.status(404).json({"Message": "Transaction not found"});
+    }
+    const status = redemptions.statusOf(transaction);
+    if(status !== "pending") {
+        return res.status(400).json({"Message": `Redemption is already ${status}`});
+    }
+    // The code never outlives the request it stands for
+    const {token, expiresAt} = qrTokens.issue("redemption", transactionId, {
+        notAfter: redemptions.expiresAtOf(transaction)
+    });
+    return res.status(201).json({
+        "type": "redemption",
+        "transactionId": transactionId,
+        "token": token,
+        "expiresAt": expiresAt
     });
 });
 
@@ -760,6 +979,18 @@ router.get('/me/transactions', auth, async (req, res) => {
     
     const count = filteredTransactions.length;
     let toReturn = filteredTransactions.slice((page - 1) * limit, page * limit);
+    // The sender half of a transfer is received by the sender; its counterpart is in relatedId
+    const counterpartIds = toReturn
+        .filter(t => t.type === "transfer" && t.amount < 0 && t.relatedId)
+        .map(t => t.relatedId);
+    const counterparts = new Map();
+    if(counterpartIds.length > 0) {
+        const users = await prisma.user.findMany({
+            where: {id: {in: counterpartIds}},
+            select: {id: true, utorid: true}
+        });
+        users.forEach(u => counterparts.set(u.id, u.utorid));
+    }
     let toReturnJson = [];
     for(let i = 0; i < toReturn.length; i++) {
         let data = {};
@@ -777,6 +1008,10 @@ router.get('/me/transactions', auth, async (req, res) => {
             data["amount"] = toReturn[i].amount;
         }
         data["promotionIds"] = promotionIds;
+        data["voided"] = toReturn[i].voided;
+        if(toReturn[i].voided) {
+            data["voidId"] = toReturn[i].voidId;
+        }
         if(toReturn[i].type === "purchase") {
             // Ensure spent is returned as a float, not rounded
             data["spent"] = parseFloat(toReturn[i].spent) || 0;
@@ -785,6 +1020,7 @@ router.get('/me/transactions', auth, async (req, res) => {
         if(toReturn[i].type === "redemption") {
             data["relatedId"] = toReturn[i].relatedId;
             data["redeemed"] = toReturn[i].amount * -1;
+            Object.assign(data, redemptions.describe(toReturn[i]));
         }
         if(toReturn[i].type === "adjustment") {
             data["relatedId"] = toReturn[i].relatedId;
@@ -797,7 +1033,7 @@ router.get('/me/transactions', auth, async (req, res) => {
         }
         if(toReturn[i].type === "transfer") {
             data["sender"] = toReturn[i].issuer.utorid;
-            data["recipient"] = toReturn[i].receiver.utorid;
+            data["recipient"] = (toReturn[i].amount < 0 && counterparts.get(toReturn[i].relatedId)) || toReturn[i].receiver.utorid;
             data["sent"] = toReturn[i].amount;
         }
         toReturnJson.push(data);
@@ -805,6 +1041,46 @@ router.get('/me/transactions', auth, async (req, res) => {
     return res.status(200).json({"count": count, "results": toReturnJson});
 });
 
+// The logged in user's referral code, the bonus terms and the people they referred
+router.get("/me/referrals", auth, async (req, res) => {
+    const user = await prisma.user.findUnique({
+        where: {id: req.auth.id}
+    });
+    if(!user) {
+        return res.status(404).json({"Message": "How did you get here?"});
+    }
+    const code = await referrals.codeFor(user);
+    const rows = await prisma.referral.findMany({
+        where: {referrerId: user.id},
+        orderBy: {createdAt: "desc"}
+    });
+    const referees = await prisma.user.findMany({
+        where: {id: {in: rows.map(row => row.refereeId)}},
+        select: {id: true, utorid: true, name: true}
+    });
+    const settings = referrals.settings();
+    return res.status(200).json({
+        "code": code,
+        "trigger": settings.trigger,
+        "referrerPoints": settings.referrerPoints,
+        "refereePoints": settings.refereePoints,
+        "maxReferrals": settings.maxPerUser,
+        "count": rows.length,
+        "results": rows.map(row => {
+            const referee = referees.find(candidate => candidate.id === row.refereeId);
+            return {
+                "id": row.id,
+                "utorid": referee ? referee.utorid : null,
+                "name": referee ? referee.name : null,
+                "status": row.status,
+                "reason": row.reason,
+                "createdAt": row.createdAt,
+                "rewardedAt": row.rewardedAt
+            };
+        })
+    });
+});
+
 // Return all active promotions held by the logged in user
 router.get("/me/promotions", auth, async (req, res) => {
     if(req.auth.role === "regular") {
@@ -827,9 +1103,7 @@ router.get("/me/promotions", auth, async (req, res) => {
             if (!promotion || !promotion.startTime || !promotion.endTime) {
                 continue;
             }
-            const startTime = new Date(promotion.startTime);
-            const endTime = new Date(promotion.endTime);
-            if(startTime <= now && now <= endTime) {
+            if(promotionSchedule.isActiveAt(promotion, now)) {
                 activePromotions.push(promotion);
             }
         }
@@ -895,7 +1169,7 @@ router.post('/me/:promotionId', auth, async (req, res) => {
     return res.status(200).json({"message": "Promotion added successfully to your account"});
 });
 
-router.post('/:userId/transactions', auth, async (req, res) => {
+router.post('/:userId/transactions', auth, idempotency, async (req, res) => {
     const userId = parseInt(req.params.userId);
     if(isNaN(userId)) {
         return res.status(400).json({"Message": "Bad request"});
@@ -928,51 +1202,37 @@ router.post('/:userId/transactions', auth, async (req, res) => {
     if(!sender.verified) {
         return res.status(403).json({"Message": "Forbidden"});
     }
-    const transaction1 = await prisma.transaction.create({
-        data: {
-            type: type,
-            spent: 0,
-            amount: amount,
-            remark: remark,
-            issuer: {connect: {id: req.auth.id }},
-            receiver: {connect: {id: receiver.id}},
-            createdBy: req.auth.utorid,
-            relatedId: req.auth.id,
-        }
-    });
-    const transaction2 = await prisma.transaction.create({
-        data: {
-            type: type,
-            spent: 0,
-            amount: amount,
-            remark: remark,
-            issuer: {connect: {id: req.auth.id }},
-            receiver: {connect: {id: receiver.id}},
-            createdBy: req.auth.utorid,
-            relatedId: receiver.id
-        }
-    });
-
-    const update1 = await prisma.user.update({
-        where: {id: req.auth.id},
-        data: {
-            issuedTransactions: {connect: {id: transaction1.id}},
-            points: {decrement: amount}
-        }
-    });
-    const update2 = await prisma.user.update({
-        where: {id: userId},
-        data: {
-            receivedTransactions: {connect: {id: transaction2.id}},
-            points: {increment: amount}
+    // One row per side of the transfer: the sender's debit and the receiver's credit
+    let transaction1;
+    try {
+        transaction1 = await ledger.post(async (tx) => {
+            const debit = await ledger.createEntry(tx, {
+                type: type,
+                spent: 0,
+                amount: -amount,
+                remark: remark,
+                issuer: {connect: {id: req.auth.id }},
+                receiver: {connect: {id: req.auth.id}},
+                createdBy: req.auth.utorid,
+                relatedId: receiver.id,
+            });
+            await ledger.createEntry(tx, {
+                type: type,
+                spent: 0,
+                amount: amount,
+                remark: remark,
+                issuer: {connect: {id: req.auth.id }},
+                receiver: {connect: {id: receiver.id}},
+                createdBy: req.auth.utorid,
+                relatedId: req.auth.id
+            });
+            return debit;
+        });
+    } catch (error) {
+        if(error instanceof LedgerError) {
+            return res.status(error.status).json({"Message": error.message});
         }
-    });
-
-    if(!update1 || !update2) {
-        return res.status(500).json({"Message": "Something went wrong"});
-    }
-
-    if(!transaction1 || !transaction2) {
+        console.error('Transfer failed:', error);
         return res.status(500).json({"Message": "Something went wrong"});
     }
 
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+'use strict';
+
+/*
+ * Recomputes every user's balance from their Transaction history and reports drift
+ * against the stored User.points.
+ * Usage:
+ *   node scripts/reconcile-balances.js                     report only
+ *   node scripts/reconcile-balances.js --fix --actor <utorid>
+ *                                                          write corrected balances
+ *
+ * With --fix, each drifting user gets their ledger balance written to User.points and a
+ * zero-amount adjustment issued by the actor that records the old and new values, so the
+ * correction shows up in their history without changing the ledger sum. Rows flagged before
+ * reviews were recorded are marked withheld and pending review when the flag left them
+ * crediting nothing, so the ledger and the review queue treat them the way they were applied.
+ * Flagged rows whose effect can't be told from the history are reported, and the balances
+ * they touch are left for a manager to check.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { entryEffects, mergeChanges } = require('../services/ledger');
+
+const parseArgs = (argv) => {
+    const options = { fix: false, actor: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--fix') {
+            options.fix = true;
+        } else if (argv[i] === '--actor') {
+            options.actor = argv[i + 1] || null;
+            i++;
+        } else {
+            console.error(`Unknown argument: ${argv[i]}`);
+            console.log('Usage: node scripts/reconcile-balances.js [--fix --actor <utorid>]');
+            process.exit(1);
+        }
+    }
+    return options;
+};
+
+// Two positive transfer rows written by the old POST /users/:userId/transactions for one transfer:
+// same parties, amount and remark, consecutive ids, relatedId set to the sender and then the receiver
+const isLegacyDuplicatePair = (first, second) => {
+    return second && first.type === 'transfer' && second.type === 'transfer' &&
+        second.id === first.id + 1 &&
+        first.amount > 0 && first.amount === second.amount &&
+        first.issuerId === second.issuerId && first.receiverId === second.receiverId &&
+        first.remark === second.remark &&
+        first.relatedId === first.issuerId && second.relatedId === second.receiverId;
+};
+
+// A positive transfer row is the recipient half of a pair when the row before it is the sender half
+const hasSenderHalf = (row, previous) => {
+    return previous && previous.type === 'transfer' &&
+        previous.amount === -row.amount && previous.issuerId === row.issuerId;
+};
+
+// Each user's role over time, from the role changes in the audit log: roleAt(userId, date) is
+// the role they had at `date`. Changes made before the audit log existed weren't recorded, so
+// without a later change this falls back to the user's current role.
+const roleHistory = (users, auditEntries) => {
+    const changes = new Map();
+    for (const entry of auditEntries) {
+        const role = JSON.parse(entry.changes).role;
+        if (!role) {
+            continue;
+        }
+        const userId = parseInt(entry.targetId, 10);
+        if (!changes.has(userId)) {
+            changes.set(userId, []);
+        }
+        changes.get(userId).push({ at: new Date(entry.createdAt), from: role.from });
+    }
+    changes.forEach(list => list.sort((a, b) => a.at - b.at));
+    const current = new Map(users.map(user => [user.id, user.role]));
+    return (userId, date) => {
+        const later = (changes.get(userId) || []).find(change => change.at > new Date(date));
+        return later ? later.from : current.get(userId);
+    };
+};
+
+// What the old PATCH /transactions/:id/suspicious did to a row of any type: flagging took its
+// amount off the receiver, and clearing the flag gave it back
+const toggleEffect = (row) => ({ userId: row.receiverId, delta: -row.amount });
+
+// A row flagged before reviews were recorded (flags raised since always carry a reviewStatus).
+// Returns 'withheld' when the row ended up crediting nothing, so marking it withheld describes
+// it: a purchase rung up by a cashier (a suspicious cashier's credited nothing, and the toggle
+// took back any other), or a row the toggle cancelled out. Returns 'unresolved' when the history
+// can't tell: a manager's or superuser's purchase or adjustment was credited if it was created
+// by a suspicious account but taken back if it was flagged later, and the toggle didn't cancel
+// out other rows (such as redemptions). Returns null for any other row.
+const legacyFlag = (row, roleAt) => {
+    if (!row.suspicious || row.withheld || row.reviewStatus !== null) {
+        return null;
+    }
+    if (row.type === 'purchase' && roleAt(row.issuerId, row.date) === 'cashier') {
+        return 'withheld';
+    }
+    if (row.type === 'purchase' || row.type === 'adjustment') {
+        return 'unresolved';
+    }
+    return mergeChanges(entryEffects(row), [toggleEffect(row)]).length === 0 ? 'withheld' : 'unresolved';
+};
+
+// Balance changes for the whole history, accounting for transfer shapes and flags written
+// before the ledger. Unresolved rows are counted as if the toggle flagged them.
+const computeLedger = (transactions, roleAt) => {
+    const changes = [];
+    const legacyPairs = [];
+    const legacySingles = [];
+    const legacyWithheld = [];
+    const withheld = [];
+    const unresolved = [];
+
+    for (let i = 0; i < transactions.length; i++) {
+        const row = transactions[i];
+        if (row.type === 'transfer' && row.amount > 0 && row.issuerId !== row.receiverId) {
+            if (isLegacyDuplicatePair(row, transactions[i + 1])) {
+                // Count the pair once: debit the sender, credit the receiver
+                legacyPairs.push([row.id, row.id + 1]);
+                changes.push({ userId: row.issuerId, delta: -row.amount });
+                changes.push({ userId: row.receiverId, delta: row.amount });
+                i++;
+                continue;
+            }
+            if (!hasSenderHalf(row, transactions[i - 1])) {
+                // Single row from the old POST /transactions that also debited the sender
+                legacySingles.push(row.id);
+                changes.push({ userId: row.issuerId, delta: -row.amount });
+            }
+        }
+        const legacy = legacyFlag(row, roleAt);
+        if (legacy === 'withheld') {
+            legacyWithheld.push(row.id);
+            if (row.amount !== 0) {
+                withheld.push(row);
+            }
+            continue;
+        }
+        if (legacy === 'unresolved') {
+            unresolved.push(row);
+            changes.push(...entryEffects(row), toggleEffect(row));
+            continue;
+        }
+        if (row.withheld && row.amount !== 0) {
+            withheld.push(row);
+        }
+        changes.push(...entryEffects(row));
+    }
+
+    const balances = new Map();
+    mergeChanges(changes).forEach(({ userId, delta }) => balances.set(userId, delta));
+    return { balances, legacyPairs, legacySingles, legacyWithheld, withheld, unresolved };
+};
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+
+    try {
+        let actor = null;
+        if (options.fix) {
+            if (!options.actor) {
+                console.error('ERROR: --fix requires --actor <utorid> to issue the audit adjustments');
+                process.exit(1);
+            }
+            actor = await prisma.user.findUnique({ where: { utorid: options.actor } });
+            if (!actor || (actor.role !== 'manager' && actor.role !== 'superuser')) {
+                console.error(`ERROR: ${options.actor} is not a manager or superuser`);
+                process.exit(1);
+            }
+        }
+
+        const users = await prisma.user.findMany({ orderBy: { id: 'asc' } });
+        const transactions = await prisma.transaction.findMany({ orderBy: { id: 'asc' } });
+        const roleChanges = await prisma.auditLog.findMany({
+            where: { action: 'user.update', targetType: 'user' },
+            orderBy: { id: 'asc' }
+        });
+        const { balances, legacyPairs, legacySingles, legacyWithheld, withheld, unresolved } =
+            computeLedger(transactions, roleHistory(users, roleChanges));
+
+        console.log(`Checked ${users.length} users against ${transactions.length} transactions.`);
+        if (legacyPairs.length > 0) {
+            console.log(`Counted ${legacyPairs.length} duplicate transfer pairs once: ${legacyPairs.map(p => p.join('+')).join(', ')}`);
+        }
+        if (legacySingles.length > 0) {
+            console.log(`Debited senders for ${legacySingles.length} single-row transfers: ${legacySingles.join(', ')}`);
+        }
+        if (withheld.length > 0) {
+            const issuers = new Set(withheld.map(t => t.createdBy));
+            console.log(`Excluded ${withheld.length} withheld transactions (${[...issuers].join(', ')}) that credited no points: ${withheld.map(t => t.id).join(', ')}`);
+        }
+        if (legacyWithheld.length > 0) {
+            if (options.fix) {
+                await prisma.transaction.updateMany({
+                    where: { id: { in: legacyWithheld } },
+                    data: { withheld: true, reviewStatus: 'pending' }
+                });
+                console.log(`Marked ${legacyWithheld.length} old flagged transactions as withheld and pending review.`);
+            } else {
+                console.log(`${legacyWithheld.length} old flagged transactions are not marked withheld yet; --fix marks them and queues them for review.`);
+            }
+        }
+        // Users an unresolved row touches keep their stored balance until someone checks it
+        const held = new Set(unresolved.flatMap(row => [row.receiverId, ...entryEffects(row).map(effect => effect.userId)]));
+        if (unresolved.length > 0) {
+            console.log(`\n${unresolved.length} old flagged transactions can't be resolved from the history; check them by hand:`);
+            console.table(unresolved.map(row => ({
+                id: row.id,
+                type: row.type,
+                amount: row.amount,
+                createdBy: row.createdBy,
+                receiverId: row.receiverId
+            })));
+            process.exitCode = 2;
+        }
+
+        const drifted = users
+            .filter(user => !held.has(user.id))
+            .map(user => ({ user, expected: balances.get(user.id) || 0 }))
+            .filter(({ user, expected }) => user.points !== expected);
+
+        if (drifted.length === 0) {
+            console.log('All balances match the ledger.');
+            return;
+        }
+
+        console.log(`\n${drifted.length} users have drifted balances:`);
+        console.table(drifted.map(({ user, expected }) => ({
+            id: user.id,
+            utorid: user.utorid,
+            stored: user.points,
+            ledger: expected,
+            drift: user.points - expected
+        })));
+
+        if (!options.fix) {
+            console.log('Run again with --fix --actor <utorid> to write the ledger balances.');
+            process.exitCode = 2;
+            return;
+        }
+
+        await prisma.$transaction(async (tx) => {
+            for (const { user, expected } of drifted) {
+                await tx.user.update({
+                    where: { id: user.id },
+                    data: { points: expected }
+                });
+                await tx.transaction.create({
+                    data: {
+                        type: 'adjustment',
+                        spent: 0,
+                        amount: 0,
+                        remark: `Balance reconciliation: stored ${user.points}, ledger ${expected}`,
+                        createdBy: actor.utorid,
+                        issuerId: actor.id,
+                        receiverId: user.id
+                    }
+                });
+            }
+        });
+        console.log(`Corrected ${drifted.length} balances.`);
+    } catch (error) {
+        console.error('Reconciliation failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await prisma.$disconnect();
+    }
+};
+
+if (require.main === module) {
+    // Load environment variables
+    require('dotenv').config();
+    main();
+}
+
+module.exports = { roleHistory, legacyFlag, computeLedger };
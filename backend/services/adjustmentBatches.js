@@ -0,0 +1,128 @@
+'use strict'
+
+const {v4: uuidv4} = require("uuid");
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+const ledger = require('./ledger');
+
+/*
+ * Batch adjustments
+ * A list of {utorid, amount, remark} rows (at most MAX_ROWS) credited or debited together.
+ * Every row is checked before anything is written: the utorid must have an account, the
+ * amount must be a non-zero integer, and a member's debits in the batch (net of their credits)
+ * can't take their balance below zero. If any row fails, nothing is applied. Otherwise every
+ * row becomes an adjustment transaction in one database transaction, all sharing a batchId so
+ * the batch can be reviewed or voided as a whole later.
+ */
+
+const MAX_ROWS = 500;
+const MAX_REMARK_LENGTH = 200;
+// A full batch writes a few statements per row, well past Prisma's 5 second default
+const TRANSACTION_TIMEOUT_MS = 30000;
+
+// Checks every row; returns per-row results (each with its `errors`) and whether all passed
+const validate = async (rows) => {
+    const utorids = rows.map(row => row && typeof row.utorid === "string" ? row.utorid.trim() : "");
+    const users = await prisma.user.findMany({
+        where: {utorid: {in: utorids.filter(Boolean)}},
+        select: {id: true, utorid: true, points: true}
+    });
+    const byUtorid = new Map(users.map(user => [user.utorid, user]));
+
+    const results = rows.map((row, index) => {
+        const utorid = utorids[index];
+        const amount = row ? row.amount : undefined;
+        const remark = row && row.remark !== undefined && row.remark !== null ? row.remark : "";
+        const errors = [];
+        if(!utorid) {
+            errors.push("utorid is required");
+        } else if(!byUtorid.has(utorid)) {
+            errors.push("User not found");
+        }
+        if(!Number.isInteger(amount) || amount === 0) {
+            errors.push("amount must be a non-zero integer");
+        }
+        if(typeof remark !== "string" || remark.length > MAX_REMARK_LENGTH) {
+            errors.push(`remark must be text of at most ${MAX_REMARK_LENGTH} characters`);
+        }
+        return {
+            "row": index + 1,
+            "utorid": utorid,
+            "amount": amount,
+            "remark": typeof remark === "string" ? remark : "",
+            "errors": errors
+        };
+    });
+
+    // Net change per member over the rows that are otherwise fine
+    const net = new Map();
+    results.filter(result => result.errors.length === 0).forEach(result => {
+        net.set(result.utorid, (net.get(result.utorid) || 0) + result.amount);
+    });
+    results.forEach(result => {
+        const user = byUtorid.get(result.utorid);
+        if(result.errors.length === 0 && result.amount < 0 && user.points + net.get(result.utorid) < 0) {
+            result.errors.push(`The batch would take ${result.utorid}'s balance of ${user.points} below zero`);
+        }
+    });
+
+    return {
+        "valid": results.every(result => result.errors.length === 0),
+        "results": results,
+        "users": byUtorid
+    };
+};
+
+// Writes a validated batch. `issuer` is the manager's {id, utorid, suspicious}; like a single
+// adjustment, a suspicious issuer's rows still apply but wait for review. `written(tx, batch)`
+// runs in the same transaction once the rows are in, with the batch as returned.
+const apply = async (checked, issuer, written = async () => {}) => {
+    const batchId = uuidv4();
+    // Credits go in before debits so a member's running balance never dips below what the
+    // net check allowed for
+    const ordered = [...checked.results].sort((a, b) => (a.amount < 0) - (b.amount < 0));
+    return ledger.post(async (tx) => {
+        const entries = new Map();
+        for(const result of ordered) {
+            entries.set(result.row, await ledger.createEntry(tx, {
+                type: "adjustment",
+                spent: 0,
+                amount: result.amount,
+                remark: result.remark,
+                suspicious: issuer.suspicious === true,
+                createdBy: issuer.utorid,
+                issuerId: issuer.id,
+                receiverId: checked.users.get(result.utorid).id,
+                batchId: batchId
+            }));
+        }
+        const batch = {
+            "batchId": batchId,
+            "results": checked.results.map(result => ({
+                "row": result.row,
+                "id": entries.get(result.row).id,
+                "utorid": result.utorid,
+                "amount": result.amount,
+                "remark": result.remark,
+                "suspicious": entries.get(result.row).suspicious
+            }))
+        };
+        await written(tx, batch);
+        return batch;
+    }, {timeout: TRANSACTION_TIMEOUT_MS});
+};
+
+// The adjustments of a batch, in the order they were written
+const find = (batchId) => prisma.transaction.findMany({
+    where: {batchId: batchId},
+    include: {receiver: {select: {utorid: true}}},
+    orderBy: {id: "asc"}
+});
+
+module.exports = {
+    MAX_ROWS,
+    TRANSACTION_TIMEOUT_MS,
+    validate,
+    apply,
+    find
+};
@@ -0,0 +1,187 @@
+'use strict'
+
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+
+/*
+ * Program analytics
+ * Everything is counted and summed by the database; no table is loaded whole. Voided
+ * transactions and withheld purchases are left out. Figures cover [from, to),
+ * except the outstanding liability, which is every member's balance right now. The series
+ * splits the range into days, weeks or months depending on its length. Days are in the
+ * server's time zone.
+ */
+
+const CREDIT_TYPES = ["purchase", "adjustment", "event", "birthday", "referral"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 731;
+const DEFAULT_RANGE_DAYS = 30;
+const TOP_EARNERS = 10;
+const MAX_EVENTS = 50;
+
+// Reads the from/to query parameters. Returns {error} or {from, to}; defaults to the last
+// DEFAULT_RANGE_DAYS days.
+const readRange = ({from, to}, now = new Date()) => {
+    const end = to ? new Date(to) : now;
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    if(isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return {error: "from and to must be dates"};
+    }
+    if(start >= end) {
+        return {error: "from must be before to"};
+    }
+    if(end.getTime() - start.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+        return {error: `The range can be at most ${MAX_RANGE_DAYS} days`};
+    }
+    return {from: start, to: end};
+};
+
+// Where a transaction counts as points issued
+const creditsWhere = (from, to) => ({
+    type: {in: CREDIT_TYPES},
+    amount: {gt: 0},
+    voided: false,
+    withheld: false,
+    date: {gte: from, lt: to}
+});
+
+const redeemedWhere = (from, to) => ({
+    type: "redemption",
+    processed: true,
+    date: {gte: from, lt: to}
+});
+
+// Splits [from, to) into day, week or month buckets so a chart has a sensible number of bars
+const buckets = (from, to) => {
+    const days = (to.getTime() - from.getTime()) / DAY_MS;
+    const unit = days <= 31 ? "day" : days <= 182 ? "week" : "month";
+    const result = [];
+    let start = new Date(from);
+    while(start < to) {
+        const next = new Date(start);
+        if(unit === "day") {
+            next.setDate(next.getDate() + 1);
+            next.setHours(0, 0, 0, 0);
+        } else if(unit === "week") {
+            next.setDate(next.getDate() + 7);
+            next.setHours(0, 0, 0, 0);
+        } else {
+            next.setMonth(next.getMonth() + 1, 1);
+            next.setHours(0, 0, 0, 0);
+        }
+        const end = next < to ? next : to;
+        result.push({start, end});
+        start = end;
+    }
+    return {unit, buckets: result};
+};
+
+// Program-wide figures for [from, to)
+const overview = async (from, to) => {
+    const issuedRows = await prisma.transaction.groupBy({
+        by: ["type"],
+        where: creditsWhere(from, to),
+        _sum: {amount: true},
+        _count: {_all: true}
+    });
+    const issuedByType = Object.fromEntries(CREDIT_TYPES.map(type => [type, {"points": 0, "count": 0}]));
+    issuedRows.forEach(row => {
+        issuedByType[row.type] = {"points": row._sum.amount || 0, "count": row._count._all};
+    });
+    const issued = Object.values(issuedByType).reduce((sum, entry) => sum + entry.points, 0);
+
+    const redeemed = await prisma.transaction.aggregate({
+        where: redeemedWhere(from, to),
+        _sum: {amount: true},
+        _count: {_all: true}
+    });
+    const expired = await prisma.transaction.aggregate({
+        where: {type: "expiry", date: {gte: from, lt: to}},
+        _sum: {amount: true}
+    });
+    const liability = await prisma.user.aggregate({_sum: {points: true}});
+
+    // Members who earned, spent or moved points in the range
+    const activeUsers = await prisma.user.count({
+        where: {receivedTransactions: {some: {date: {gte: from, lt: to}, voided: false}}}
+    });
+    const newRegistrations = await prisma.user.count({
+        where: {createdAt: {gte: from, lt: to}}
+    });
+
+    const earnerRows = await prisma.transaction.groupBy({
+        by: ["receiverId"],
+        where: creditsWhere(from, to),
+        _sum: {amount: true},
+        orderBy: {_sum: {amount: "desc"}},
+        take: TOP_EARNERS
+    });
+    const earners = await prisma.user.findMany({
+        where: {id: {in: earnerRows.map(row => row.receiverId)}},
+        select: {id: true, utorid: true, name: true}
+    });
+    const topEarners = earnerRows.map(row => {
+        const earner = earners.find(candidate => candidate.id === row.receiverId);
+        return {
+            "id": row.receiverId,
+            "utorid": earner ? earner.utorid : null,
+            "name": earner ? earner.name : null,
+            "points": row._sum.amount || 0
+        };
+    });
+
+    const events = await prisma.event.findMany({
+        where: {startTime: {gte: from, lt: to}},
+        select: {id: true, name: true, startTime: true, capacity: true, _count: {select: {guests: true}}},
+        orderBy: {startTime: "asc"}
+    });
+    const attendees = events.reduce((sum, event) => sum + event._count.guests, 0);
+
+    const {unit, buckets: periods} = buckets(from, to);
+    const series = [];
+    for(const {start, end} of periods) {
+        const periodIssued = await prisma.transaction.aggregate({where: creditsWhere(start, end), _sum: {amount: true}});
+        const periodRedeemed = await prisma.transaction.aggregate({where: redeemedWhere(start, end), _sum: {amount: true}});
+        const periodRegistrations = await prisma.user.count({where: {createdAt: {gte: start, lt: end}}});
+        series.push({
+            "start": start,
+            "end": end,
+            "issued": periodIssued._sum.amount || 0,
+            "redeemed": Math.abs(periodRedeemed._sum.amount || 0),
+            "registrations": periodRegistrations
+        });
+    }
+
+    return {
+        "from": from,
+        "to": to,
+        "pointsIssued": issued,
+        "issuedByType": issuedByType,
+        "pointsRedeemed": Math.abs(redeemed._sum.amount || 0),
+        "redemptions": redeemed._count._all,
+        "pointsExpired": Math.abs(expired._sum.amount || 0),
+        "outstandingLiability": liability._sum.points || 0,
+        "activeUsers": activeUsers,
+        "newRegistrations": newRegistrations,
+        "topEarners": topEarners,
+        "eventAttendance": {
+            "events": events.length,
+            "attendees": attendees,
+            "results": events.slice(0, MAX_EVENTS).map(event => ({
+                "id": event.id,
+                "name": event.name,
+                "startTime": event.startTime,
+                "capacity": event.capacity,
+                "attendees": event._count.guests
+            }))
+        },
+        "seriesUnit": unit,
+        "series": series
+    };
+};
+
+module.exports = {
+    readRange,
+    buckets,
+    overview
+};
@@ -0,0 +1,140 @@
+'use strict'
+
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+
+/*
+ * Audit log
+ * An append-only record of privileged actions: who did it (the actor's id, utorid and role at
+ * the time), what they did (`action`, e.g. "user.update"), to which record (`targetType`,
+ * `targetId`), the fields that changed as {field: {from, to}} (from is null for a created
+ * record, to is null for a deleted one), the request's IP and when. This module only ever
+ * creates and reads entries, and no route updates or deletes them. "Append-only" is kept by
+ * the application alone: nothing in the database stops a direct write from changing or
+ * removing rows.
+ * Ledger actions pass their transaction client to `record`, so the entry commits or rolls
+ * back with the change it describes. Entries from the audit middleware are best-effort (see
+ * middleware/audit.js).
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Makes a field value comparable and storable as JSON
+const plain = (value) => {
+    if(value instanceof Date) {
+        return value.toISOString();
+    }
+    return value === undefined ? null : value;
+};
+
+// The fields whose values differ between two snapshots, as {field: {from, to}}. Either
+// snapshot may be null (the record didn't exist).
+const diff = (before, after) => {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    fields.forEach(field => {
+        const from = plain(before ? before[field] : null);
+        const to = plain(after ? after[field] : null);
+        if(JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = {"from": from, "to": to};
+        }
+    });
+    return changes;
+};
+
+// Records an action taken by the authenticated user of `req`, through `client` (a transaction's
+// client to write it with that transaction). Nothing is written when the snapshots don't
+// differ, unless `always` is set (for actions with no record of their own).
+const record = async (req, {action, targetType, targetId, before = null, after = null, always = false}, client = prisma) => {
+    const changes = diff(before, after);
+    if(!always && Object.keys(changes).length === 0) {
+        return null;
+    }
+    return client.auditLog.create({
+        data: {
+            actorId: req.auth.id,
+            actorUtorid: req.auth.utorid,
+            actorRole: req.auth.role,
+            action: action,
+            targetType: targetType,
+            targetId: targetId === undefined || targetId === null ? null : String(targetId),
+            changes: JSON.stringify(changes),
+            ip: req.ip || null
+        }
+    });
+};
+
+// Reads the GET /audit query. Returns {error} or {where, page, limit}.
+const readQuery = (query) => {
+    const {actor, action, targetType, targetId, from, to} = query;
+    const where = {};
+    if(actor) {
+        where.actorUtorid = actor;
+    }
+    if(action) {
+        // "user" matches every user.* action
+        where.action = action.includes(".") ? action : {startsWith: `${action}.`};
+    }
+    if(targetType) {
+        where.targetType = targetType;
+    }
+    if(targetId) {
+        where.targetId = String(targetId);
+    }
+    if(from || to) {
+        where.createdAt = {};
+        for(const [key, value, operator] of [["from", from, "gte"], ["to", to, "lte"]]) {
+            if(!value) {
+                continue;
+            }
+            const date = new Date(value);
+            if(isNaN(date.getTime())) {
+                return {error: `${key} must be a date`};
+            }
+            where.createdAt[operator] = date;
+        }
+    }
+    const page = query.page === undefined ? 1 : parseInt(query.page);
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit);
+    if(isNaN(page) || page < 1) {
+        return {error: "page must be a positive integer"};
+    }
+    if(isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return {error: `limit must be between 1 and ${MAX_LIMIT}`};
+    }
+    return {where, page, limit};
+};
+
+// A page of entries, newest first
+const list = async ({where, page, limit}) => {
+    const [count, entries] = await Promise.all([
+        prisma.auditLog.count({where}),
+        prisma.auditLog.findMany({
+            where,
+            orderBy: {id: "desc"},
+            skip: (page - 1) * limit,
+            take: limit
+        })
+    ]);
+    return {
+        "count": count,
+        "results": entries.map(entry => ({
+            "id": entry.id,
+            "actor": {"id": entry.actorId, "utorid": entry.actorUtorid, "role": entry.actorRole},
+            "action": entry.action,
+            "targetType": entry.targetType,
+            "targetId": entry.targetId,
+            "changes": JSON.parse(entry.changes),
+            "ip": entry.ip,
+            "createdAt": entry.createdAt
+        }))
+    };
+};
+
+module.exports = {
+    diff,
+    record,
+    readQuery,
+    list
+};
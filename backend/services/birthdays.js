@@ -0,0 +1,237 @@
+'use strict'
+
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+const ledger = require('./ledger');
+
+/*
+ * Birthday rewards
+ * Members set their birthday once (PATCH /users/me); after that it is locked. BIRTHDAY_REWARD
+ * picks what a member gets on their birthday:
+ *   none       nothing (default)
+ *   points     BIRTHDAY_BONUS_POINTS points (default 100)
+ *   promotion  the one-time promotion BIRTHDAY_PROMOTION_ID is added to their wallet
+ * A daily sweep grants the reward as a "birthday" transaction (0 points for a promotion), once
+ * per member per year. Birthdays in the last GRACE_DAYS days are still rewarded, so a sweep
+ * missed while the server was down catches up; a late December birthday caught up in January
+ * is recorded against the year it fell in. Members born on 29 February celebrate on
+ * 28 February in other years.
+ */
+
+const REWARDS = ["none", "points", "promotion"];
+const DEFAULT_BONUS_POINTS = 100;
+const GRACE_DAYS = 7;
+const SWEEP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Placeholder stored for members who haven't set a birthday
+const NO_BIRTHDAY = "1111-11-11";
+
+const reward = () => REWARDS.includes(process.env.BIRTHDAY_REWARD) ? process.env.BIRTHDAY_REWARD : "none";
+
+const bonusPoints = () => {
+    const points = parseInt(process.env.BIRTHDAY_BONUS_POINTS, 10);
+    return !isNaN(points) && points > 0 ? points : DEFAULT_BONUS_POINTS;
+};
+
+const isSet = (user) => Boolean(user.birthday) && user.birthday !== NO_BIRTHDAY;
+
+// Returns an error message for an invalid birthday, or null if it can be saved
+const validateBirthday = (value, now = new Date()) => {
+    if(typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return "Birthday must be a date in YYYY-MM-DD format";
+    }
+    const [year, month, day] = value.split("-").map(Number);
+    const date = new Date(year, month - 1, day);
+    if(date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return "Birthday is not a real date";
+    }
+    if(year < 1900 || date > now) {
+        return "Birthday must be between 1900 and today";
+    }
+    return null;
+};
+
+// The member's birthday in `year`, at local midnight
+const birthdayIn = (user, year) => {
+    const [, month, day] = user.birthday.split("-").map(Number);
+    const date = new Date(year, month - 1, day);
+    // 29 February in a non-leap year rolls over to 1 March; celebrate on the 28th instead
+    return date.getMonth() === month - 1 ? date : new Date(year, 1, 28);
+};
+
+const startOfDay = (date) => {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    return start;
+};
+
+// The year of the member's birthday that falls within the last GRACE_DAYS days (today
+// included), or null if none does. Early in January that can be last year's birthday.
+const dueYear = (user, now = new Date()) => {
+    if(!isSet(user)) {
+        return null;
+    }
+    const today = startOfDay(now).getTime();
+    for(const year of [now.getFullYear(), now.getFullYear() - 1]) {
+        const age = (today - birthdayIn(user, year).getTime()) / DAY_MS;
+        if(age >= 0 && age < GRACE_DAYS) {
+            return year;
+        }
+    }
+    return null;
+};
+
+const isDue = (user, now = new Date()) => dueYear(user, now) !== null;
+
+// Birthday summary for GET /users/me: whether it is today, days until the next one and whether
+// the reward for the birthday being celebrated (this year's otherwise) was granted. null when
+// the member hasn't set a birthday.
+const status = async (user, now = new Date()) => {
+    if(!isSet(user)) {
+        return null;
+    }
+    const today = startOfDay(now);
+    let next = birthdayIn(user, now.getFullYear());
+    if(next < today) {
+        next = birthdayIn(user, now.getFullYear() + 1);
+    }
+    const granted = await prisma.birthdayReward.findUnique({
+        where: {userId_year: {userId: user.id, year: dueYear(user, now) ?? now.getFullYear()}}
+    });
+    return {
+        "isToday": next.getTime() === today.getTime(),
+        "daysUntil": Math.round((next.getTime() - today.getTime()) / DAY_MS),
+        "rewarded": Boolean(granted),
+        "reward": reward()
+    };
+};
+
+// The configured birthday promotion, if it is a one-time promotion that is running now
+const birthdayPromotion = async (client, now) => {
+    const id = parseInt(process.env.BIRTHDAY_PROMOTION_ID, 10);
+    if(isNaN(id)) {
+        return null;
+    }
+    const promotion = await client.promotion.findUnique({where: {id}});
+    if(!promotion || promotion.type !== "onetime" || promotion.startTime > now || promotion.endTime <= now) {
+        return null;
+    }
+    return promotion;
+};
+
+// Grants the reward for the user's due birthday. Returns the transaction, or null if there was
+// nothing to grant (not due, already rewarded, or no usable birthday promotion).
+const rewardUser = async (userId, now = new Date()) => {
+    try {
+        return await ledger.post(async (tx) => {
+            const user = await tx.user.findUnique({where: {id: userId}});
+            const year = user ? dueYear(user, now) : null;
+            if(year === null) {
+                return null;
+            }
+            // Claim the year first; a second sweep for the same year fails on the unique key
+            const claim = await tx.birthdayReward.create({
+                data: {userId: user.id, year}
+            });
+            let entry;
+            if(reward() === "promotion") {
+                const promotion = await birthdayPromotion(tx, now);
+                if(!promotion) {
+                    throw new ledger.LedgerError("No running one-time birthday promotion is configured");
+                }
+                await tx.user.update({
+                    where: {id: user.id},
+                    data: {promotions: {connect: {id: promotion.id}}}
+                });
+                entry = await ledger.createEntry(tx, {
+                    type: "birthday",
+                    amount: 0,
+                    spent: 0,
+                    remark: `Happy birthday! "${promotion.name}" was added to your wallet`,
+                    issuerId: user.id,
+                    receiverId: user.id,
+                    createdBy: "system"
+                });
+            } else {
+                entry = await ledger.createEntry(tx, {
+                    type: "birthday",
+                    amount: bonusPoints(),
+                    spent: 0,
+                    remark: "Happy birthday! Birthday bonus",
+                    issuerId: user.id,
+                    receiverId: user.id,
+                    createdBy: "system"
+                });
+            }
+            await tx.birthdayReward.update({
+                where: {id: claim.id},
+                data: {transactionId: entry.id}
+            });
+            return entry;
+        });
+    } catch (error) {
+        // Already rewarded for that birthday
+        if(error.code === "P2002") {
+            return null;
+        }
+        throw error;
+    }
+};
+
+// Grants birthday rewards to every member whose birthday is due and not yet rewarded
+const sweep = async (now = new Date()) => {
+    if(reward() === "none") {
+        return {rewarded: 0};
+    }
+    const users = await prisma.user.findMany({
+        where: {birthday: {not: NO_BIRTHDAY}},
+        select: {id: true, birthday: true}
+    });
+    const granted = new Set((await prisma.birthdayReward.findMany({
+        where: {year: {in: [now.getFullYear() - 1, now.getFullYear()]}},
+        select: {userId: true, year: true}
+    })).map(row => `${row.userId}:${row.year}`));
+    let rewarded = 0;
+    for(const user of users) {
+        const year = dueYear(user, now);
+        if(year === null || granted.has(`${user.id}:${year}`)) {
+            continue;
+        }
+        try {
+            if(await rewardUser(user.id, now)) {
+                rewarded++;
+            }
+        } catch (error) {
+            if(!(error instanceof ledger.LedgerError)) {
+                throw error;
+            }
+            // Misconfigured promotion: nobody can be rewarded until it is fixed
+            console.error('Birthday rewards skipped:', error.message);
+            break;
+        }
+    }
+    return {rewarded};
+};
+
+// Runs sweep daily for the lifetime of the server
+const startBirthdaySweep = () => {
+    const run = () => sweep().catch((error) => console.error('Birthday reward sweep failed:', error));
+    run();
+    const timer = setInterval(run, SWEEP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    NO_BIRTHDAY,
+    reward,
+    isSet,
+    validateBirthday,
+    dueYear,
+    isDue,
+    status,
+    rewardUser,
+    sweep,
+    startBirthdaySweep
+};
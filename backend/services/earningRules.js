@@ -0,0 +1,103 @@
+'use strict'
+
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+
+/*
+ * Earning rules
+ * How many base points a purchase earns is a versioned rule: points per dollar, a rounding mode,
+ * the minimum purchase that earns base points and the most promotions one purchase can stack
+ * (maxPromotions, null for no limit). Each version has an effectiveFrom date and a
+ * purchase records the version in force when it was created (Transaction.earningRuleId), so
+ * changing the rule never changes how existing transactions were calculated.
+ * Versions are never edited; a manager adds a new one, optionally scheduled for later.
+ */
+
+const DEFAULT_RULE = {pointsPerDollar: 4, rounding: "ceil", minSpent: 0, maxPromotions: null};
+
+const ROUNDING_MODES = {
+    ceil: Math.ceil,
+    floor: Math.floor,
+    round: Math.round
+};
+
+// The version in force at `at`. When none is (an empty table, or only versions scheduled for
+// later), the default rule is recorded effective from the epoch, so that every purchase can
+// point at a version.
+const ruleAt = async (at = new Date()) => {
+    const rule = await prisma.earningRule.findFirst({
+        where: {effectiveFrom: {lte: at}},
+        orderBy: {effectiveFrom: "desc"}
+    });
+    if(rule) {
+        return rule;
+    }
+    try {
+        return await prisma.earningRule.create({
+            data: {...DEFAULT_RULE, effectiveFrom: new Date(0), createdBy: "system"}
+        });
+    } catch (error) {
+        // A concurrent request recorded it first
+        if(error.code === "P2002") {
+            return prisma.earningRule.findFirst({
+                where: {effectiveFrom: {lte: at}},
+                orderBy: {effectiveFrom: "desc"}
+            });
+        }
+        throw error;
+    }
+};
+
+// Applies the rule's rounding mode
+const roundPoints = (rule, value) => (ROUNDING_MODES[rule.rounding] || Math.ceil)(value);
+
+// Base points for a purchase under `rule`, scaled by the member's tier multiplier
+const basePoints = (rule, spent, multiplier = 1) => {
+    if(spent < rule.minSpent) {
+        return 0;
+    }
+    return roundPoints(rule, spent * rule.pointsPerDollar * multiplier);
+};
+
+// Returns an error message for an invalid new version, or null if it can be saved
+const validateRule = ({pointsPerDollar, rounding, minSpent, maxPromotions, effectiveFrom}) => {
+    if(typeof pointsPerDollar !== "number" || !isFinite(pointsPerDollar) || pointsPerDollar < 0) {
+        return "pointsPerDollar must be a non-negative number";
+    }
+    if(!Object.keys(ROUNDING_MODES).includes(rounding)) {
+        return `rounding must be one of ${Object.keys(ROUNDING_MODES).join(", ")}`;
+    }
+    if(typeof minSpent !== "number" || !isFinite(minSpent) || minSpent < 0) {
+        return "minSpent must be a non-negative number";
+    }
+    if(maxPromotions !== null && (!Number.isInteger(maxPromotions) || maxPromotions < 0)) {
+        return "maxPromotions must be a non-negative integer or null";
+    }
+    if(effectiveFrom !== undefined && isNaN(Date.parse(effectiveFrom))) {
+        return "effectiveFrom must be a date";
+    }
+    return null;
+};
+
+// JSON shape of a version; `current` marks the one in force now
+const describe = (rule, currentId) => ({
+    "id": rule.id,
+    "pointsPerDollar": rule.pointsPerDollar,
+    "rounding": rule.rounding,
+    "minSpent": rule.minSpent,
+    "maxPromotions": rule.maxPromotions,
+    "effectiveFrom": rule.effectiveFrom,
+    "createdBy": rule.createdBy,
+    "createdAt": rule.createdAt,
+    "current": rule.id === currentId
+});
+
+module.exports = {
+    DEFAULT_RULE,
+    ROUNDING_MODES,
+    ruleAt,
+    roundPoints,
+    basePoints,
+    validateRule,
+    describe
+};
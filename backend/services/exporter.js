@@ -0,0 +1,100 @@
+'use strict'
+
+/*
+ * Table exports
+ * List routes hand their full filtered result (no paging) to `send`, which writes it as CSV
+ * (a header row, then one row per result) or JSON Lines (one result per line), a batch of rows
+ * at a time so a large export doesn't sit in memory as one string. In CSV, nested values
+ * (arrays, objects) are written as JSON inside the cell, and text starting with = + - @, a tab
+ * or a carriage return is prefixed with ' so spreadsheets don't run it as a formula. If the
+ * client goes away mid-export, writing stops.
+ */
+
+const FORMATS = {
+    "csv": "text/csv; charset=utf-8",
+    "jsonl": "application/x-ndjson; charset=utf-8"
+};
+const BATCH_SIZE = 500;
+
+// Reads the format query parameter (csv by default). Returns {error} or {format}.
+const readFormat = (format) => {
+    if(format === undefined || format === "") {
+        return {format: "csv"};
+    }
+    if(!FORMATS[format]) {
+        return {error: `format must be one of ${Object.keys(FORMATS).join(", ")}`};
+    }
+    return {format: format};
+};
+
+const csvCell = (value) => {
+    if(value === null || value === undefined) {
+        return "";
+    }
+    let text;
+    if(value instanceof Date) {
+        text = value.toISOString();
+    } else if(typeof value === "object") {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+    if(typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (columns, row) => columns.map(column => csvCell(row[column])).join(",") + "\r\n";
+
+// Waits for the response to drain when its buffer is full. Resolves to false once the
+// connection has closed or failed, as "drain" would never come.
+const write = (res, chunk) => new Promise(resolve => {
+    if(res.destroyed || res.writableEnded) {
+        return resolve(false);
+    }
+    if(res.write(chunk)) {
+        return resolve(true);
+    }
+    const settle = (written) => () => {
+        res.off("drain", onDrain);
+        res.off("close", onClose);
+        res.off("error", onClose);
+        resolve(written);
+    };
+    const onDrain = settle(true);
+    const onClose = settle(false);
+    res.on("drain", onDrain);
+    res.on("close", onClose);
+    res.on("error", onClose);
+});
+
+// Sends rows as an attachment named `${name}-YYYY-MM-DD.${format}`. `columns` sets the CSV
+// columns and their order; JSON Lines writes each row as it is.
+const send = async (res, {format, name, columns, rows}) => {
+    const filename = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.status(200);
+    res.set("Content-Type", FORMATS[format]);
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    res.set("X-Total-Count", String(rows.length));
+
+    if(format === "csv" && !await write(res, columns.join(",") + "\r\n")) {
+        return;
+    }
+    for(let i = 0; i < rows.length; i += BATCH_SIZE) {
+        const batch = rows.slice(i, i + BATCH_SIZE);
+        const written = await write(res, batch
+            .map(row => format === "csv" ? csvRow(columns, row) : JSON.stringify(row) + "\n")
+            .join(""));
+        if(!written) {
+            return;
+        }
+    }
+    res.end();
+};
+
+module.exports = {
+    readFormat,
+    csvCell,
+    send
+};
@@ -0,0 +1,260 @@
+'use strict'
+
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+const ledger = require('./ledger');
+const {LedgerError} = ledger;
+
+/*
+ * Flag review
+ * A suspicious transaction (flagged by the fraud rules, by a manager, or issued by a suspicious
+ * account) waits in the review queue with reviewStatus "pending". A withheld purchase (rung up
+ * by a suspicious cashier or flagged by the fraud rules; see ledger.js) credits nothing while it
+ * waits; anything else has already applied. A manager then decides, always with a note:
+ *   approved  the flag is cleared and withheld points are released to the receiver
+ *   rejected  the transaction stays suspicious for good, so withheld points are never
+ *             credited; whatever it did credit is clawed back with reversing adjustments
+ *             linked by relatedId
+ * Both halves of a transfer are decided together. A clawback always goes through, even when
+ * the receiver has already spent the points: their balance goes below zero, and the shortfall
+ * is owed until later credits cover it (a negative balance can't be spent).
+ * Rows flagged before reviews were recorded have no reviewStatus, and the old flag toggle may
+ * already have taken their points. They can't be decided until the balance reconciliation
+ * (scripts/reconcile-balances.js --fix) marks them withheld and pending.
+ */
+
+const DECISIONS = {"approve": "approved", "reject": "rejected"};
+const STATUSES = ["pending", "approved", "rejected"];
+const MAX_NOTE_LENGTH = 500;
+const HISTORY_LIMIT = 10;
+
+// The other half of a transfer: the sender's negative half names the recipient in relatedId
+// and is written just before the recipient's positive half
+const transferPair = (tx, transaction) => tx.transaction.findFirst({
+    where: {
+        type: "transfer",
+        issuerId: transaction.issuerId,
+        receiverId: transaction.relatedId,
+        relatedId: transaction.receiverId,
+        amount: -transaction.amount,
+        id: transaction.amount < 0 ? {gt: transaction.id} : {lt: transaction.id}
+    },
+    orderBy: {id: transaction.amount < 0 ? "asc" : "desc"}
+});
+
+const awaitingReview = (transaction) => transaction.suspicious && transaction.reviewStatus === "pending";
+
+// Flagged before reviews were recorded and not yet reconciled
+const legacyFlagged = (transaction) => transaction.suspicious && transaction.reviewStatus === null;
+
+const LEGACY_MESSAGE = "Transaction was flagged before reviews were recorded; run the balance reconciliation first";
+
+// Flags a transaction for review (a manager's manual flag)
+const flag = (transactionId, actor, reason) => ledger.post((tx) => ledger.updateEntry(tx, transactionId, {
+    suspicious: true,
+    suspiciousReason: reason ? `Flagged by ${actor.utorid}: ${reason}` : `Flagged by ${actor.utorid}`,
+    reviewStatus: "pending",
+    reviewNote: null,
+    reviewedBy: null,
+    reviewedAt: null
+}, {
+    expected: {suspicious: false},
+    include: {promotions: true}
+}));
+
+// Approves or rejects a pending transaction (and the other half of a transfer). Returns
+// {decided: [rows], clawbacks: [reversing adjustments], owing: [{userId, utorid, owed}]}, where
+// owing lists the clawed-back members left with a negative balance.
+const decide = (transactionId, decision, note, reviewer) => ledger.post(async (tx) => {
+    const transaction = await tx.transaction.findUnique({where: {id: transactionId}});
+    if(!transaction) {
+        throw new LedgerError("Transaction not found", 404);
+    }
+    if(legacyFlagged(transaction)) {
+        throw new LedgerError(LEGACY_MESSAGE, 409);
+    }
+    if(!awaitingReview(transaction)) {
+        throw new LedgerError("Transaction is not waiting for review");
+    }
+    if(transaction.voided) {
+        throw new LedgerError("Voided transactions cannot be reviewed");
+    }
+    const rows = [transaction];
+    if(transaction.type === "transfer") {
+        const pair = await transferPair(tx, transaction);
+        // Decided together even if only one half was flagged, so a rejection can't refund the
+        // sender while the recipient keeps the points
+        if(pair && legacyFlagged(pair)) {
+            throw new LedgerError(LEGACY_MESSAGE, 409);
+        }
+        if(pair && (pair.reviewStatus === null || pair.reviewStatus === "pending")) {
+            rows.push(pair);
+        }
+    }
+    const status = DECISIONS[decision];
+    const decided = [];
+    const clawbacks = [];
+    for(const row of rows) {
+        // What the row credited; a withheld row credited nothing
+        const effects = status === "rejected" ? ledger.entryEffects(row) : [];
+        decided.push(await ledger.updateEntry(tx, row.id, {
+            suspicious: status === "rejected",
+            // Approving releases withheld points; a rejected row stays withheld
+            withheld: status === "rejected" && row.withheld,
+            reviewStatus: status,
+            reviewNote: note,
+            reviewedBy: reviewer.utorid,
+            reviewedAt: new Date()
+        }, {
+            expected: {reviewStatus: row.reviewStatus},
+            include: {promotions: true}
+        }));
+        for(const {userId, delta} of effects) {
+            clawbacks.push(await ledger.createEntry(tx, {
+                type: "adjustment",
+                spent: 0,
+                amount: -delta,
+                remark: `Rejected #${row.id}: ${note}`,
+                suspicious: false,
+                createdBy: reviewer.utorid,
+                issuerId: reviewer.id,
+                receiverId: userId,
+                relatedId: row.id
+            }, undefined, {allowNegative: true}));
+        }
+    }
+    const owing = await tx.user.findMany({
+        where: {id: {in: clawbacks.map(clawback => clawback.receiverId)}, points: {lt: 0}},
+        select: {id: true, utorid: true, points: true}
+    });
+    return {
+        decided,
+        clawbacks,
+        owing: owing.map(user => ({userId: user.id, utorid: user.utorid, owed: -user.points}))
+    };
+});
+
+// Reads the queue query. Returns {error} or {where, page, limit}.
+const readQueueQuery = (query) => {
+    const status = query.status === undefined || query.status === "" ? "pending" : query.status;
+    if(status !== "all" && !STATUSES.includes(status)) {
+        return {error: `status must be one of ${STATUSES.join(", ")} or all`};
+    }
+    const page = query.page === undefined ? 1 : parseInt(query.page);
+    const limit = query.limit === undefined ? 10 : parseInt(query.limit);
+    if(isNaN(page) || page < 1 || isNaN(limit) || limit < 1) {
+        return {error: "page and limit must be positive integers"};
+    }
+    const where = status === "all" ? {reviewStatus: {in: STATUSES}} : {reviewStatus: status};
+    if(status === "pending") {
+        where.voided = false;
+    }
+    return {where, page, limit, status};
+};
+
+// A page of the queue: pending transactions oldest first, decided ones newest first
+const queue = async ({where, page, limit, status}) => {
+    const [count, transactions] = await Promise.all([
+        prisma.transaction.count({where}),
+        prisma.transaction.findMany({
+            where,
+            include: {receiver: {select: {utorid: true}}, issuer: {select: {utorid: true}}},
+            orderBy: {id: status === "pending" ? "asc" : "desc"},
+            skip: (page - 1) * limit,
+            take: limit
+        })
+    ]);
+    return {
+        "count": count,
+        "results": transactions.map(t => ({
+            "id": t.id,
+            "type": t.type,
+            "utorid": t.receiver.utorid,
+            "issuer": t.issuer.utorid,
+            "amount": t.amount,
+            "spent": t.spent,
+            "remark": t.remark,
+            "date": t.date,
+            "suspiciousReason": t.suspiciousReason,
+            "withheld": t.withheld,
+            "reviewStatus": t.reviewStatus,
+            "reviewNote": t.reviewNote,
+            "reviewedBy": t.reviewedBy,
+            "reviewedAt": t.reviewedAt
+        }))
+    };
+};
+
+const historyRow = (t) => ({
+    "id": t.id,
+    "type": t.type,
+    "amount": t.amount,
+    "spent": t.spent,
+    "date": t.date,
+    "suspicious": t.suspicious,
+    "withheld": t.withheld,
+    "reviewStatus": t.reviewStatus,
+    "voided": t.voided
+});
+
+// What a reviewer needs to know about the people involved: the receiver's standing and recent
+// transactions, and the issuer's recent activity and how often it has been flagged or rejected
+const context = async (transactionId) => {
+    const transaction = await prisma.transaction.findUnique({
+        where: {id: transactionId},
+        include: {receiver: true, issuer: true}
+    });
+    if(!transaction) {
+        return null;
+    }
+    const summarize = async (where) => {
+        const [total, flagged, rejected, recent] = await Promise.all([
+            prisma.transaction.count({where}),
+            prisma.transaction.count({where: {...where, reviewStatus: {not: null}}}),
+            prisma.transaction.count({where: {...where, reviewStatus: "rejected"}}),
+            prisma.transaction.findMany({
+                where: {...where, id: {not: transaction.id}},
+                orderBy: {id: "desc"},
+                take: HISTORY_LIMIT
+            })
+        ]);
+        return {"total": total, "flagged": flagged, "rejected": rejected, "recent": recent.map(historyRow)};
+    };
+    const person = (user) => ({
+        "id": user.id,
+        "utorid": user.utorid,
+        "name": user.name,
+        "role": user.role,
+        "points": user.points,
+        "verified": user.verified,
+        "suspicious": user.suspicious,
+        "createdAt": user.createdAt
+    });
+    const [receiverHistory, issuerHistory] = await Promise.all([
+        summarize({receiverId: transaction.receiverId}),
+        summarize({issuerId: transaction.issuerId})
+    ]);
+    return {
+        "transaction": {
+            ...historyRow(transaction),
+            "remark": transaction.remark,
+            "suspiciousReason": transaction.suspiciousReason,
+            "reviewNote": transaction.reviewNote,
+            "reviewedBy": transaction.reviewedBy,
+            "reviewedAt": transaction.reviewedAt
+        },
+        "receiver": {...person(transaction.receiver), "history": receiverHistory},
+        "issuer": {...person(transaction.issuer), "history": issuerHistory}
+    };
+};
+
+module.exports = {
+    DECISIONS,
+    STATUSES,
+    MAX_NOTE_LENGTH,
+    flag,
+    decide,
+    readQueueQuery,
+    queue,
+    context
+};
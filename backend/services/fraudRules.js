@@ -0,0 +1,185 @@
+'use strict'
+
+/*
+ * Fraud rules
+ * Every new Transaction row is checked against the enabled rules inside the database
+ * transaction that writes it (see ledger.createEntry). A row that matches any rule is flagged
+ * suspicious, with the matching rules' reasons in suspiciousReason, before its balance changes
+ * apply, so a flagged purchase's points are withheld until a manager approves it (see flagReview.js).
+ *   FRAUD_RULES                 comma-separated rule names to run (default: all), or "none"
+ *   FRAUD_TRANSFERS_PER_HOUR    transferVelocity: most transfers a member may send in an hour
+ *                               (default 10)
+ *   FRAUD_SPEND_MULTIPLIER      unusualSpend: a purchase spending more than this many times the
+ *                               member's average purchase (default 5)...
+ *   FRAUD_SPEND_MIN_HISTORY     ...once they have at least this many purchases (default 5)
+ *   FRAUD_REPEAT_PURCHASES      cashierRepeat: most purchases one staff member may ring up for
+ *                               the same member in an hour (default 5)
+ *   FRAUD_CIRCULAR_HOURS        circularTransfer: how far back to look for transfers that lead
+ *                               back to the sender (default 24)...
+ *   FRAUD_CIRCULAR_HOPS         ...and through how many accounts (default 3)
+ * A rule is {name, types, check(tx, entry, settings)}: `check` runs for new rows of the listed
+ * types and returns a reason, or null. More rules can be added with `register`.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const intFromEnv = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return !isNaN(value) && value > 0 ? value : fallback;
+};
+
+const floatFromEnv = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return !isNaN(value) && value > 0 ? value : fallback;
+};
+
+const settings = () => ({
+    transfersPerHour: intFromEnv("FRAUD_TRANSFERS_PER_HOUR", 10),
+    spendMultiplier: floatFromEnv("FRAUD_SPEND_MULTIPLIER", 5),
+    spendMinHistory: intFromEnv("FRAUD_SPEND_MIN_HISTORY", 5),
+    repeatPurchases: intFromEnv("FRAUD_REPEAT_PURCHASES", 5),
+    circularHours: intFromEnv("FRAUD_CIRCULAR_HOURS", 24),
+    circularHops: intFromEnv("FRAUD_CIRCULAR_HOPS", 3)
+});
+
+// Both halves of a transfer are written by the sender (issuer); the sender's half is the
+// negative one and names the recipient in relatedId
+const transferParties = (entry) => ({
+    senderId: entry.issuerId,
+    recipientId: entry.amount < 0 ? entry.relatedId : entry.receiverId
+});
+
+const rules = [
+    {
+        name: "transferVelocity",
+        types: ["transfer"],
+        check: async (tx, entry, config) => {
+            const {senderId} = transferParties(entry);
+            const sent = await tx.transaction.count({
+                where: {
+                    type: "transfer",
+                    issuerId: senderId,
+                    amount: {lt: 0},
+                    date: {gte: new Date(Date.now() - HOUR_MS)}
+                }
+            });
+            return sent > config.transfersPerHour
+                ? `${sent} transfers sent in the last hour (limit ${config.transfersPerHour})`
+                : null;
+        }
+    },
+    {
+        name: "unusualSpend",
+        types: ["purchase"],
+        check: async (tx, entry, config) => {
+            const history = await tx.transaction.aggregate({
+                where: {
+                    type: "purchase",
+                    receiverId: entry.receiverId,
+                    voided: false,
+                    id: {not: entry.id}
+                },
+                _avg: {spent: true},
+                _count: {_all: true}
+            });
+            const average = history._avg.spent;
+            if(history._count._all < config.spendMinHistory || !average) {
+                return null;
+            }
+            return entry.spent > average * config.spendMultiplier
+                ? `Spent $${entry.spent.toFixed(2)}, over ${config.spendMultiplier}x the member's average of $${average.toFixed(2)}`
+                : null;
+        }
+    },
+    {
+        name: "cashierRepeat",
+        types: ["purchase"],
+        check: async (tx, entry, config) => {
+            const purchases = await tx.transaction.count({
+                where: {
+                    type: "purchase",
+                    issuerId: entry.issuerId,
+                    receiverId: entry.receiverId,
+                    date: {gte: new Date(Date.now() - HOUR_MS)}
+                }
+            });
+            return purchases > config.repeatPurchases
+                ? `${purchases} purchases for this member by ${entry.createdBy} in the last hour (limit ${config.repeatPurchases})`
+                : null;
+        }
+    },
+    {
+        name: "circularTransfer",
+        types: ["transfer"],
+        check: async (tx, entry, config) => {
+            const {senderId, recipientId} = transferParties(entry);
+            const since = new Date(Date.now() - config.circularHours * HOUR_MS);
+            // Follow recent transfers onward from the recipient, looking for the sender
+            const seen = new Set([recipientId]);
+            let frontier = [recipientId];
+            for(let hop = 1; hop <= config.circularHops && frontier.length > 0; hop++) {
+                const onward = await tx.transaction.findMany({
+                    where: {
+                        type: "transfer",
+                        amount: {lt: 0},
+                        issuerId: {in: frontier},
+                        date: {gte: since}
+                    },
+                    select: {relatedId: true}
+                });
+                const next = [];
+                for(const {relatedId} of onward) {
+                    if(relatedId === senderId) {
+                        return `Points sent back to the sender through ${hop} transfer${hop > 1 ? "s" : ""} in the last ${config.circularHours} hours`;
+                    }
+                    if(relatedId !== null && !seen.has(relatedId)) {
+                        seen.add(relatedId);
+                        next.push(relatedId);
+                    }
+                }
+                frontier = next;
+            }
+            return null;
+        }
+    }
+];
+
+// Adds a rule; it runs when enabled by FRAUD_RULES (or when FRAUD_RULES is unset)
+const register = (rule) => {
+    if(rules.some(existing => existing.name === rule.name)) {
+        throw new Error(`A fraud rule named ${rule.name} is already registered`);
+    }
+    rules.push(rule);
+};
+
+const enabledRules = () => {
+    const setting = (process.env.FRAUD_RULES || "").trim();
+    if(setting === "") {
+        return rules;
+    }
+    const names = setting.split(",").map(name => name.trim());
+    return rules.filter(rule => names.includes(rule.name));
+};
+
+// The reasons a new row matches the enabled rules, as "rule: reason" strings
+const evaluate = async (tx, entry) => {
+    const config = settings();
+    const reasons = [];
+    for(const rule of enabledRules()) {
+        if(!rule.types.includes(entry.type)) {
+            continue;
+        }
+        const reason = await rule.check(tx, entry, config);
+        if(reason) {
+            reasons.push(`${rule.name}: ${reason}`);
+        }
+    }
+    return reasons;
+};
+
+module.exports = {
+    settings,
+    rules,
+    register,
+    evaluate
+};
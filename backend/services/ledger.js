@@ -0,0 +1,162 @@
+'use strict'
+
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+const fraudRules = require('./fraudRules');
+
+/*
+ * Ledger service
+ * Every route that moves points goes through here so the Transaction row and the
+ * balance changes it implies are written in the same database transaction.
+ *
+ * Sign rules (how a Transaction row affects User.points):
+ *   purchase    +amount to the receiver, nothing while the row is withheld
+ *   adjustment  +amount to the receiver (may be negative)
+ *   event       +amount to the receiver
+ *   redemption  -|amount| from the receiver once processed, or from the moment it is requested
+ *               when it reserved the points then (refunded if it is cancelled or expires)
+ *   transfer    written as a pair: the sender half is negative and debits its issuer,
+ *               the recipient half is positive and credits its receiver
+ *   expiry      -|amount| from the receiver (posted by the points expiry sweep)
+ *
+ * Whether a row is withheld is decided when it is written and recorded on it: a purchase rung
+ * up by a suspicious cashier, or one the fraud rules flag. Flagging a row later doesn't
+ * withhold it, and clearing the suspicious flag alone doesn't release it; approving it in
+ * review does (see flagReview.js). Rows of any type flagged before reviews were recorded are
+ * marked withheld by the balance reconciliation when the old flag toggle cancelled them out.
+ */
+
+class LedgerError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = "LedgerError";
+        this.status = status;
+    }
+}
+
+// Returns the balance changes a single Transaction row implies, as [{userId, delta}]
+const entryEffects = (transaction) => {
+    const amount = transaction.amount || 0;
+    if(amount === 0) {
+        return [];
+    }
+    if(transaction.withheld) {
+        return [];
+    }
+    switch(transaction.type) {
+        case "purchase":
+        case "adjustment":
+        case "event":
+        case "birthday":
+        case "referral":
+            return [{userId: transaction.receiverId, delta: amount}];
+        case "redemption":
+            // Requests made before points were reserved only deduct when processed
+            if(transaction.processed !== true && (!transaction.reserved || transaction.cancelled)) {
+                return [];
+            }
+            return [{userId: transaction.receiverId, delta: -Math.abs(amount)}];
+        case "expiry":
+            return [{userId: transaction.receiverId, delta: -Math.abs(amount)}];
+        case "transfer":
+            if(amount < 0) {
+                return [{userId: transaction.issuerId, delta: amount}];
+            }
+            return [{userId: transaction.receiverId, delta: amount}];
+        default:
+            return [];
+    }
+};
+
+// Sums lists of balance changes per user, dropping users whose net change is zero
+const mergeChanges = (...lists) => {
+    const totals = new Map();
+    lists.flat().forEach(({userId, delta}) => {
+        totals.set(userId, (totals.get(userId) || 0) + delta);
+    });
+    return [...totals.entries()]
+        .filter(([, delta]) => delta !== 0)
+        .map(([userId, delta]) => ({userId, delta}));
+};
+
+// Applies balance changes with the given client, refusing to take any balance below zero
+// unless `allowNegative` is set (reserved for superuser overrides)
+const applyBalanceChanges = async (tx, changes, {allowNegative = false} = {}) => {
+    for(const {userId, delta} of mergeChanges(changes)) {
+        if(delta > 0 || allowNegative) {
+            await tx.user.update({
+                where: {id: userId},
+                data: {points: {increment: delta}}
+            });
+            continue;
+        }
+        // Conditional decrement so the check and the write happen in one statement
+        const result = await tx.user.updateMany({
+            where: {id: userId, points: {gte: -delta}},
+            data: {points: {decrement: -delta}}
+        });
+        if(result.count === 0) {
+            throw new LedgerError("Insufficient points");
+        }
+    }
+};
+
+// Inserts a Transaction row and applies its balance changes. The row is checked against the
+// fraud rules first; a match flags it suspicious and withholds a purchase's points. Rows created
+// suspicious (issued by a suspicious account) or flagged here wait for review.
+const createEntry = async (tx, data, include, options) => {
+    let created = await tx.transaction.create({data});
+    const reasons = await fraudRules.evaluate(tx, created);
+    if(reasons.length > 0 || created.suspicious) {
+        created = await tx.transaction.update({
+            where: {id: created.id},
+            data: {
+                suspicious: true,
+                suspiciousReason: reasons.length > 0
+                    ? reasons.join("; ")
+                    : created.suspiciousReason || "Issued by an account flagged as suspicious",
+                withheld: created.withheld || (reasons.length > 0 && created.type === "purchase"),
+                reviewStatus: "pending"
+            }
+        });
+    }
+    await applyBalanceChanges(tx, entryEffects(created), options);
+    if(!include) {
+        return created;
+    }
+    return tx.transaction.findUnique({where: {id: created.id}, include});
+};
+
+// Updates a Transaction row and applies the difference between its old and new effects.
+// `expected` is matched in the same statement, so a concurrent change is reported as a conflict.
+const updateEntry = async (tx, id, data, {expected = {}, include} = {}) => {
+    const before = await tx.transaction.findUnique({where: {id}});
+    if(!before) {
+        throw new LedgerError("Transaction not found", 404);
+    }
+    const result = await tx.transaction.updateMany({
+        where: {id, ...expected},
+        data
+    });
+    if(result.count === 0) {
+        throw new LedgerError("Transaction was changed by another request", 409);
+    }
+    const after = await tx.transaction.findUnique({where: {id}, include});
+    const reversed = entryEffects(before).map(({userId, delta}) => ({userId, delta: -delta}));
+    await applyBalanceChanges(tx, mergeChanges(entryEffects(after), reversed));
+    return after;
+};
+
+// Runs `work` inside a single database transaction; anything it throws rolls everything back.
+// `options` go to Prisma (e.g. a longer `timeout` for work that writes many rows).
+const post = (work, options) => prisma.$transaction(work, options);
+
+module.exports = {
+    LedgerError,
+    entryEffects,
+    mergeChanges,
+    applyBalanceChanges,
+    createEntry,
+    updateEntry,
+    post
+};
@@ -0,0 +1,233 @@
+'use strict'
+
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+const ledger = require('./ledger');
+
+/*
+ * Points expiry
+ * POINTS_EXPIRY_POLICY picks how points expire:
+ *   none        points never expire (default)
+ *   earned      each credit expires POINTS_EXPIRY_MONTHS after it was earned; spending uses the
+ *               oldest points first
+ *   inactivity  the whole balance expires after POINTS_EXPIRY_MONTHS without activity: no
+ *               login (User.lastLogin, or createdAt for users who never logged in) and no
+ *               transaction the member took part in. Entries the system posts on its own
+ *               (expiries, birthday and referral bonuses) are not activity.
+ * Points held by a pending redemption are already out of User.points and never expire while
+ * held. If the request is cancelled or expires, the refund puts them back under the policy as
+ * if they had never been spent: under "earned" they keep the date they were earned on.
+ * A sweep posts the expired points as "expiry" transactions. When POINTS_EXPIRY_NOTICE_DAYS is
+ * set, it also queues an ExpiryNotice for points that will expire within that many days.
+ */
+
+const POLICIES = ["none", "earned", "inactivity"];
+const DEFAULT_MONTHS = 12;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const policy = () => POLICIES.includes(process.env.POINTS_EXPIRY_POLICY) ? process.env.POINTS_EXPIRY_POLICY : "none";
+
+const expiryMonths = () => {
+    const months = parseInt(process.env.POINTS_EXPIRY_MONTHS, 10);
+    return !isNaN(months) && months > 0 ? months : DEFAULT_MONTHS;
+};
+
+const noticeDays = () => {
+    const days = parseInt(process.env.POINTS_EXPIRY_NOTICE_DAYS, 10);
+    return !isNaN(days) && days > 0 ? days : 0;
+};
+
+const addMonths = (date, months) => {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() + months);
+    return result;
+};
+
+// Credits the user still holds, oldest first, as [{date, remaining}]. Replays the user's ledger
+// effects in order; every debit (including earlier expiries) uses up the oldest credits first.
+const openCredits = async (client, userId) => {
+    const rows = await client.transaction.findMany({
+        where: {OR: [{receiverId: userId}, {issuerId: userId, type: "transfer"}]},
+        orderBy: [{date: "asc"}, {id: "asc"}]
+    });
+    const credits = [];
+    for(const row of rows) {
+        for(const {userId: affected, delta} of ledger.entryEffects(row)) {
+            if(affected !== userId) {
+                continue;
+            }
+            if(delta > 0) {
+                credits.push({date: new Date(row.date), remaining: delta});
+                continue;
+            }
+            let owed = -delta;
+            while(owed > 0 && credits.length > 0) {
+                const used = Math.min(owed, credits[0].remaining);
+                credits[0].remaining -= used;
+                owed -= used;
+                if(credits[0].remaining === 0) {
+                    credits.shift();
+                }
+            }
+        }
+    }
+    return credits;
+};
+
+// When the member was last active: their last login or their latest transaction, whichever is
+// later
+const lastActive = async (client, user) => {
+    const login = new Date(user.lastLogin || user.createdAt);
+    const latest = await client.transaction.findFirst({
+        where: {OR: [{receiverId: user.id}, {issuerId: user.id}], createdBy: {not: "system"}},
+        orderBy: {date: "desc"},
+        select: {date: true}
+    });
+    return latest && new Date(latest.date) > login ? new Date(latest.date) : login;
+};
+
+// Points that have expired by `now` and not been posted yet, capped at the available balance
+// (held points are not part of it)
+const dueFor = async (client, user, now = new Date()) => {
+    if(user.points <= 0) {
+        return 0;
+    }
+    if(policy() === "inactivity") {
+        return addMonths(await lastActive(client, user), expiryMonths()) <= now ? user.points : 0;
+    }
+    if(policy() === "earned") {
+        const credits = await openCredits(client, user.id);
+        const due = credits
+            .filter(credit => addMonths(credit.date, expiryMonths()) <= now)
+            .reduce((sum, credit) => sum + credit.remaining, 0);
+        return Math.min(due, user.points);
+    }
+    return 0;
+};
+
+// The next points to expire for the user as {amount, expiresAt}, or null if nothing will
+const nextExpiry = async (user) => {
+    if(user.points <= 0) {
+        return null;
+    }
+    if(policy() === "inactivity") {
+        return {amount: user.points, expiresAt: addMonths(await lastActive(prisma, user), expiryMonths())};
+    }
+    if(policy() === "earned") {
+        const credits = await openCredits(prisma, user.id);
+        if(credits.length === 0) {
+            return null;
+        }
+        // Group credits earned on the same day so the amount matches what expires together
+        const expiresAt = addMonths(credits[0].date, expiryMonths());
+        const day = expiresAt.toDateString();
+        const amount = credits
+            .filter(credit => addMonths(credit.date, expiryMonths()).toDateString() === day)
+            .reduce((sum, credit) => sum + credit.remaining, 0);
+        return {amount: Math.min(amount, user.points), expiresAt};
+    }
+    return null;
+};
+
+// Posts an expiry transaction for the user if any of their points are due
+const expireUser = async (userId, now = new Date()) => {
+    return ledger.post(async (tx) => {
+        const user = await tx.user.findUnique({where: {id: userId}});
+        if(!user) {
+            return null;
+        }
+        const due = await dueFor(tx, user, now);
+        if(due <= 0) {
+            return null;
+        }
+        return ledger.createEntry(tx, {
+            type: "expiry",
+            amount: -due,
+            spent: 0,
+            remark: policy() === "inactivity"
+                ? `Points expired after ${expiryMonths()} months without activity`
+                : `Points earned more than ${expiryMonths()} months ago expired`,
+            issuerId: user.id,
+            receiverId: user.id,
+            createdBy: "system"
+        });
+    });
+};
+
+// Queues a notice for points that expire within the notice window, once per expiry date
+const queueNotice = async (user, now = new Date()) => {
+    const upcoming = await nextExpiry(user);
+    if(!upcoming || upcoming.amount <= 0) {
+        return false;
+    }
+    const windowEnd = new Date(now.getTime() + noticeDays() * 24 * 60 * 60 * 1000);
+    if(upcoming.expiresAt > windowEnd) {
+        return false;
+    }
+    try {
+        await prisma.expiryNotice.create({
+            data: {userId: user.id, amount: upcoming.amount, expiresAt: upcoming.expiresAt}
+        });
+        return true;
+    } catch (error) {
+        // Already queued for this expiry date
+        if(error.code === "P2002") {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// Expires due points for every user with a balance and queues upcoming expiry notices
+const sweep = async () => {
+    if(policy() === "none") {
+        return {expired: 0, notices: 0};
+    }
+    const now = new Date();
+    const users = await prisma.user.findMany({
+        where: {points: {gt: 0}},
+        select: {id: true}
+    });
+    let expired = 0;
+    let notices = 0;
+    for(const {id} of users) {
+        try {
+            if(await expireUser(id, now)) {
+                expired++;
+            }
+        } catch (error) {
+            // The balance changed under us; the next sweep will pick it up
+            if(!(error instanceof ledger.LedgerError)) {
+                throw error;
+            }
+        }
+        if(noticeDays() > 0) {
+            const user = await prisma.user.findUnique({where: {id}});
+            if(user && await queueNotice(user, now)) {
+                notices++;
+            }
+        }
+    }
+    return {expired, notices};
+};
+
+// Runs sweep on an interval for the lifetime of the server
+const startExpirySweep = () => {
+    const run = () => sweep().catch((error) => console.error('Points expiry sweep failed:', error));
+    run();
+    const timer = setInterval(run, SWEEP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    policy,
+    expiryMonths,
+    openCredits,
+    lastActive,
+    dueFor,
+    nextExpiry,
+    expireUser,
+    sweep,
+    startExpirySweep
+};
@@ -0,0 +1,181 @@
+'use strict'
+
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+const tiers = require('./tiers');
+const birthdays = require('./birthdays');
+
+/*
+ * Promotion audiences
+ * A promotion with no audience is for everyone. Otherwise Promotion.audience holds a JSON
+ * object and a member must match every criterion it sets:
+ *   roles          the member's role is one of these
+ *   tiers          the member's tier name is one of these
+ *   utorids        the member is one of these users
+ *   eventIds       the member attended at least one of these events
+ *   birthdayMonth  true: it is currently the member's birthday month
+ *   newWithinDays  the account was created at most this many days ago
+ *   minPoints      the member's balance is at least this
+ *   maxPoints      the member's balance is at most this
+ */
+
+const ROLES = ["regular", "cashier", "manager", "superuser"];
+
+const isStringList = (value) => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === "string" && item.trim());
+const isIdList = (value) => Array.isArray(value) && value.length > 0 && value.every(item => Number.isInteger(item) && item > 0);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// The audience stored on a promotion, or null for everyone
+const parse = (promotion) => {
+    if(!promotion.audience) {
+        return null;
+    }
+    try {
+        return JSON.parse(promotion.audience);
+    } catch {
+        return null;
+    }
+};
+
+// Reads and validates the audience of a promotion create/update body.
+// Returns {error} or {data} holding the serialized audience when one was given.
+const readAudience = ({audience}) => {
+    if(audience === undefined) {
+        return {data: {}};
+    }
+    if(audience === null) {
+        return {data: {audience: null}};
+    }
+    if(typeof audience !== "object" || Array.isArray(audience)) {
+        return {error: "audience must be an object or null"};
+    }
+    const known = ["roles", "tiers", "utorids", "eventIds", "birthdayMonth", "newWithinDays", "minPoints", "maxPoints"];
+    const unknown = Object.keys(audience).filter(key => !known.includes(key));
+    if(unknown.length > 0) {
+        return {error: `Unknown audience criteria: ${unknown.join(", ")}`};
+    }
+    const {roles, tiers: tierNames, utorids, eventIds, birthdayMonth, newWithinDays, minPoints, maxPoints} = audience;
+    const clean = {};
+    if(roles !== undefined) {
+        if(!isStringList(roles) || !roles.every(role => ROLES.includes(role))) {
+            return {error: `audience.roles must list roles from ${ROLES.join(", ")}`};
+        }
+        clean.roles = roles;
+    }
+    if(tierNames !== undefined) {
+        if(!isStringList(tierNames)) {
+            return {error: "audience.tiers must be a list of tier names"};
+        }
+        clean.tiers = tierNames.map(name => name.trim());
+    }
+    if(utorids !== undefined) {
+        if(!isStringList(utorids)) {
+            return {error: "audience.utorids must be a list of UTORids"};
+        }
+        clean.utorids = utorids.map(utorid => utorid.trim());
+    }
+    if(eventIds !== undefined) {
+        if(!isIdList(eventIds)) {
+            return {error: "audience.eventIds must be a list of event ids"};
+        }
+        clean.eventIds = eventIds;
+    }
+    if(birthdayMonth !== undefined) {
+        if(typeof birthdayMonth !== "boolean") {
+            return {error: "audience.birthdayMonth must be a boolean"};
+        }
+        if(birthdayMonth) {
+            clean.birthdayMonth = true;
+        }
+    }
+    for(const [field, value] of [["newWithinDays", newWithinDays], ["minPoints", minPoints], ["maxPoints", maxPoints]]) {
+        if(value === undefined) {
+            continue;
+        }
+        if(!isCount(value)) {
+            return {error: `audience.${field} must be a non-negative integer`};
+        }
+        clean[field] = value;
+    }
+    if(clean.minPoints !== undefined && clean.maxPoints !== undefined && clean.minPoints > clean.maxPoints) {
+        return {error: "audience.minPoints cannot be more than audience.maxPoints"};
+    }
+    // An audience without criteria is everyone
+    return {data: {audience: Object.keys(clean).length > 0 ? JSON.stringify(clean) : null}};
+};
+
+// Wraps a user (with at least id, utorid, role, points, birthday and createdAt) so that the
+// parts of their profile an audience needs are only loaded once, and only when needed
+const memberFor = (user) => {
+    let tierName = null;
+    let eventIds = null;
+    return {
+        user,
+        tier: async () => {
+            if(tierName === null) {
+                tierName = (await tiers.tierFor(user.id)).name;
+            }
+            return tierName;
+        },
+        attendedEventIds: async () => {
+            if(eventIds === null) {
+                const events = await prisma.event.findMany({
+                    where: {guests: {some: {id: user.id}}},
+                    select: {id: true}
+                });
+                eventIds = events.map(event => event.id);
+            }
+            return eventIds;
+        }
+    };
+};
+
+// Whether the member is in the promotion's audience
+const matches = async (promotion, member, now = new Date()) => {
+    const audience = parse(promotion);
+    if(!audience) {
+        return true;
+    }
+    const {user} = member;
+    if(audience.roles && !audience.roles.includes(user.role)) {
+        return false;
+    }
+    if(audience.utorids && !audience.utorids.includes(user.utorid)) {
+        return false;
+    }
+    if(audience.minPoints !== undefined && user.points < audience.minPoints) {
+        return false;
+    }
+    if(audience.maxPoints !== undefined && user.points > audience.maxPoints) {
+        return false;
+    }
+    if(audience.newWithinDays !== undefined) {
+        const joinedDaysAgo = (now.getTime() - new Date(user.createdAt).getTime()) / (24 * 60 * 60 * 1000);
+        if(joinedDaysAgo > audience.newWithinDays) {
+            return false;
+        }
+    }
+    if(audience.birthdayMonth) {
+        const month = parseInt(String(user.birthday || "").split("-")[1], 10);
+        if(!birthdays.isSet(user) || month !== now.getMonth() + 1) {
+            return false;
+        }
+    }
+    if(audience.tiers && !audience.tiers.includes(await member.tier())) {
+        return false;
+    }
+    if(audience.eventIds) {
+        const attended = await member.attendedEventIds();
+        if(!audience.eventIds.some(id => attended.includes(id))) {
+            return false;
+        }
+    }
+    return true;
+};
+
+module.exports = {
+    parse,
+    readAudience,
+    memberFor,
+    matches
+};
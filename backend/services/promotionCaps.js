@@ -0,0 +1,126 @@
+'use strict'
+
+const ledger = require('./ledger');
+
+/*
+ * Promotion caps
+ * A promotion may limit how often it pays out; every cap is optional (null for no limit):
+ *   maxUses         purchases it can apply to in total
+ *   maxUsesPerUser  purchases it can apply to for one member
+ *   maxUsesPerDay   purchases it can apply to per calendar day
+ *   pointsBudget    points it can award in total; the purchase that reaches the budget gets
+ *                   only what is left
+ * Each purchase a promotion applies to is recorded as a PromotionUse with the points awarded.
+ * Voiding the purchase deletes its uses, which gives the uses and points back.
+ */
+
+const CAP_FIELDS = ["maxUses", "maxUsesPerUser", "maxUsesPerDay", "pointsBudget"];
+
+const startOfDay = (date) => {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    return start;
+};
+
+const hasCaps = (promotion) => CAP_FIELDS.some(field => promotion[field] !== null && promotion[field] !== undefined);
+
+// Uses of the promotion so far: in total, by userId (when given), today, and points awarded
+const usage = async (client, promotionId, userId = null, now = new Date()) => {
+    const uses = await client.promotionUse.count({where: {promotionId}});
+    const userUses = userId ? await client.promotionUse.count({where: {promotionId, userId}}) : 0;
+    const dayUses = await client.promotionUse.count({where: {promotionId, usedAt: {gte: startOfDay(now)}}});
+    const awarded = await client.promotionUse.aggregate({where: {promotionId}, _sum: {points: true}});
+    return {uses, userUses, dayUses, pointsAwarded: awarded._sum.points || 0};
+};
+
+// Points left in the budget, or null when there is no budget
+const budgetLeft = (promotion, used) => promotion.pointsBudget === null || promotion.pointsBudget === undefined
+    ? null
+    : Math.max(promotion.pointsBudget - used.pointsAwarded, 0);
+
+// Returns why the promotion can't apply to another purchase, or null if it can.
+// `reserved` counts uses already promised elsewhere (one-time promotions sitting in wallets).
+const capProblem = (promotion, used, reserved = 0) => {
+    if(promotion.maxUses !== null && promotion.maxUses !== undefined && used.uses + reserved >= promotion.maxUses) {
+        return "Promotion has reached its usage limit";
+    }
+    if(promotion.maxUsesPerUser !== null && promotion.maxUsesPerUser !== undefined && used.userUses >= promotion.maxUsesPerUser) {
+        return "Member has reached this promotion's usage limit";
+    }
+    if(promotion.maxUsesPerDay !== null && promotion.maxUsesPerDay !== undefined && used.dayUses >= promotion.maxUsesPerDay) {
+        return "Promotion has reached today's usage limit";
+    }
+    if(budgetLeft(promotion, used) === 0) {
+        return "Promotion's points budget is used up";
+    }
+    return null;
+};
+
+// Caps `points` at what is left in the promotion's budget
+const capPoints = async (client, promotion, points) => {
+    if(promotion.pointsBudget === null || promotion.pointsBudget === undefined) {
+        return points;
+    }
+    return Math.min(points, budgetLeft(promotion, await usage(client, promotion.id)));
+};
+
+// Records the uses of a purchase inside its ledger transaction. The caps are checked again
+// against the committed uses so concurrent purchases can't overrun them.
+const recordUses = async (tx, applied, userId, transactionId, now = new Date()) => {
+    for(const {promotion, points} of applied) {
+        if(hasCaps(promotion)) {
+            const used = await usage(tx, promotion.id, userId, now);
+            const problem = capProblem(promotion, used);
+            const left = budgetLeft(promotion, used);
+            if(problem || (left !== null && points > left)) {
+                throw new ledger.LedgerError(`${promotion.name}: ${problem || "Promotion's points budget is used up"}`, 409);
+            }
+        }
+        await tx.promotionUse.create({
+            data: {promotionId: promotion.id, userId, transactionId, points, usedAt: now}
+        });
+    }
+};
+
+// Reads and validates the cap fields of a promotion create/update body.
+// Returns {error} or {data} holding only the fields that were given; null clears a cap.
+const readCapFields = (body) => {
+    const data = {};
+    for(const field of CAP_FIELDS) {
+        const value = body[field];
+        if(value === undefined) {
+            continue;
+        }
+        if(value !== null && (!Number.isInteger(value) || value < 0)) {
+            return {error: `${field} must be a non-negative integer or null`};
+        }
+        data[field] = value;
+    }
+    return {data};
+};
+
+// JSON shape of the caps with what is left of each, for the promotion detail view.
+// userUses is only reported when the usage was read for a member.
+const describeCaps = (promotion, used, withUser = false) => ({
+    "maxUses": promotion.maxUses,
+    "maxUsesPerUser": promotion.maxUsesPerUser,
+    "maxUsesPerDay": promotion.maxUsesPerDay,
+    "pointsBudget": promotion.pointsBudget,
+    "uses": used.uses,
+    "pointsAwarded": used.pointsAwarded,
+    "remainingUses": promotion.maxUses === null ? null : Math.max(promotion.maxUses - used.uses, 0),
+    "remainingUsesToday": promotion.maxUsesPerDay === null ? null : Math.max(promotion.maxUsesPerDay - used.dayUses, 0),
+    "remainingUserUses": !withUser || promotion.maxUsesPerUser === null ? null : Math.max(promotion.maxUsesPerUser - used.userUses, 0),
+    "remainingBudget": budgetLeft(promotion, used)
+});
+
+module.exports = {
+    CAP_FIELDS,
+    hasCaps,
+    usage,
+    capProblem,
+    capPoints,
+    recordUses,
+    readCapFields,
+    describeCaps
+};
@@ -0,0 +1,150 @@
+'use strict'
+
+/*
+ * Promotion schedules
+ * A promotion runs from startTime to endTime. A recurrence rule (Promotion.recurrence, a JSON
+ * object) narrows that down to repeating windows, and the promotion is only active inside one:
+ *   frequency        "weekly" or "monthly"
+ *   days             weekdays a window opens on, 0 (Sunday) to 6 (Saturday)
+ *   weeks            monthly only: which of those weekdays of the month, 1 to 5, or -1 for the last
+ *   start            time of day the window opens, "HH:MM"
+ *   durationMinutes  how long the window stays open; it may run past midnight
+ * "Every Tuesday 2-5pm" is {frequency: "weekly", days: [2], start: "14:00", durationMinutes: 180}
+ * and "the first weekend of each month" is {frequency: "monthly", days: [6], weeks: [1],
+ * start: "00:00", durationMinutes: 2880}. Times are in the server's time zone.
+ */
+
+const FREQUENCIES = ["weekly", "monthly"];
+const WEEKS = [1, 2, 3, 4, 5, -1];
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+// How far ahead to look for the next window; every valid rule has one well within a year
+const SEARCH_DAYS = 400;
+const MINUTE_MS = 60 * 1000;
+
+const isIntList = (value, allowed) => Array.isArray(value) && value.length > 0
+    && value.every(item => allowed.includes(item)) && new Set(value).size === value.length;
+
+// The recurrence rule stored on a promotion, or null when it runs for its whole window
+const parse = (promotion) => {
+    if(!promotion.recurrence) {
+        return null;
+    }
+    try {
+        return JSON.parse(promotion.recurrence);
+    } catch {
+        return null;
+    }
+};
+
+// Reads and validates the recurrence of a promotion create/update body.
+// Returns {error} or {data} holding the serialized rule when one was given.
+const readRecurrence = ({recurrence}) => {
+    if(recurrence === undefined) {
+        return {data: {}};
+    }
+    if(recurrence === null) {
+        return {data: {recurrence: null}};
+    }
+    if(typeof recurrence !== "object" || Array.isArray(recurrence)) {
+        return {error: "recurrence must be an object or null"};
+    }
+    const known = ["frequency", "days", "weeks", "start", "durationMinutes"];
+    const unknown = Object.keys(recurrence).filter(key => !known.includes(key));
+    if(unknown.length > 0) {
+        return {error: `Unknown recurrence fields: ${unknown.join(", ")}`};
+    }
+    const {frequency, days, weeks, start, durationMinutes} = recurrence;
+    if(!FREQUENCIES.includes(frequency)) {
+        return {error: `recurrence.frequency must be one of ${FREQUENCIES.join(", ")}`};
+    }
+    if(!isIntList(days, [0, 1, 2, 3, 4, 5, 6])) {
+        return {error: "recurrence.days must list weekdays from 0 (Sunday) to 6 (Saturday)"};
+    }
+    if(frequency === "monthly" && !isIntList(weeks, WEEKS)) {
+        return {error: "recurrence.weeks must list weeks of the month from 1 to 5, or -1 for the last"};
+    }
+    if(frequency === "weekly" && weeks !== undefined) {
+        return {error: "recurrence.weeks only applies to monthly rules"};
+    }
+    if(typeof start !== "string" || !/^([01]\d|2[0-3]):[0-5]\d$/.test(start)) {
+        return {error: "recurrence.start must be a time of day in HH:MM format"};
+    }
+    if(!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_DURATION_MINUTES) {
+        return {error: `recurrence.durationMinutes must be an integer from 1 to ${MAX_DURATION_MINUTES}`};
+    }
+    const clean = {frequency, days: [...days].sort((a, b) => a - b), start, durationMinutes};
+    if(frequency === "monthly") {
+        clean.weeks = [...weeks].sort((a, b) => (a === -1) - (b === -1) || a - b);
+    }
+    return {data: {recurrence: JSON.stringify(clean)}};
+};
+
+// Whether a window of the rule opens on this calendar day
+const opensOn = (rule, day) => {
+    if(!rule.days.includes(day.getDay())) {
+        return false;
+    }
+    if(rule.frequency === "weekly") {
+        return true;
+    }
+    const date = day.getDate();
+    const daysInMonth = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+    return rule.weeks.includes(Math.ceil(date / 7)) || (rule.weeks.includes(-1) && date + 7 > daysInMonth);
+};
+
+// The promotion's windows that are still open at or after `from`, clipped to its startTime and
+// endTime, in order. A promotion without a rule has a single window.
+const occurrences = (promotion, from = new Date(), count = 1) => {
+    const startMs = new Date(promotion.startTime).getTime();
+    const endMs = new Date(promotion.endTime).getTime();
+    const fromMs = Math.max(new Date(from).getTime(), startMs);
+    const rule = parse(promotion);
+    if(!rule) {
+        return fromMs < endMs ? [{start: new Date(startMs), end: new Date(endMs)}] : [];
+    }
+    const [hours, minutes] = rule.start.split(":").map(Number);
+    const durationMs = rule.durationMinutes * MINUTE_MS;
+    // Start far enough back to catch a window that opened earlier and is still open
+    const first = new Date(fromMs - durationMs);
+    const results = [];
+    for(let offset = 0; results.length < count && offset <= SEARCH_DAYS + rule.durationMinutes / 1440 + 1; offset++) {
+        const day = new Date(first.getFullYear(), first.getMonth(), first.getDate() + offset);
+        if(day.getTime() >= endMs) {
+            break;
+        }
+        if(!opensOn(rule, day)) {
+            continue;
+        }
+        const opens = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes).getTime();
+        const start = Math.max(opens, startMs);
+        const end = Math.min(opens + durationMs, endMs);
+        if(end > fromMs && start < end) {
+            results.push({start: new Date(start), end: new Date(end)});
+        }
+    }
+    return results;
+};
+
+// Where the promotion is in its schedule at `now`: running, between windows (upcoming) or done
+// (ended), plus the window it is running in or will run in next
+const status = (promotion, now = new Date()) => {
+    const [next = null] = occurrences(promotion, now, 1);
+    const isActive = next !== null && next.start <= now;
+    const hasEnded = next === null;
+    return {
+        isActive,
+        isUpcoming: !isActive && !hasEnded,
+        hasEnded,
+        nextOccurrence: next
+    };
+};
+
+const isActiveAt = (promotion, now = new Date()) => status(promotion, now).isActive;
+
+module.exports = {
+    parse,
+    readRecurrence,
+    occurrences,
+    status,
+    isActiveAt
+};
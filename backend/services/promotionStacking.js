@@ -0,0 +1,114 @@
+'use strict'
+
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+const earningRules = require('./earningRules');
+const tiers = require('./tiers');
+const promotionCaps = require('./promotionCaps');
+
+/*
+ * Promotion stacking
+ * Decides which of the promotions on a purchase actually apply:
+ *   priority     higher priority promotions are considered first (ties by id)
+ *   exclusive    an exclusive promotion applies on its own; it is dropped if a higher priority
+ *                promotion already applies, and drops everything after it otherwise
+ *   stackGroup   at most one promotion from each group applies
+ * The earning rule's maxPromotions caps how many apply to a single purchase. quotePurchase
+ * works out what a purchase earns under these rules, for both the purchase and its preview.
+ */
+
+// Splits promotions into those that apply and those dropped, as {applied, dropped: [{promotion, reason}]}
+const resolve = (promotions, {maxPromotions = null} = {}) => {
+    const ordered = [...promotions].sort((a, b) => (b.priority || 0) - (a.priority || 0) || a.id - b.id);
+    const applied = [];
+    const dropped = [];
+    const groups = new Set();
+    for(const promotion of ordered) {
+        const exclusive = applied.find(p => p.exclusive);
+        let reason = null;
+        if(exclusive) {
+            reason = `Cannot be combined with exclusive promotion "${exclusive.name}"`;
+        } else if(promotion.exclusive && applied.length > 0) {
+            reason = "Exclusive promotion cannot be combined with other promotions";
+        } else if(promotion.stackGroup && groups.has(promotion.stackGroup)) {
+            reason = `Only one promotion from group "${promotion.stackGroup}" applies`;
+        } else if(maxPromotions !== null && maxPromotions !== undefined && applied.length >= maxPromotions) {
+            reason = `At most ${maxPromotions} promotion${maxPromotions === 1 ? "" : "s"} apply to a purchase`;
+        }
+        if(reason) {
+            dropped.push({promotion, reason});
+            continue;
+        }
+        applied.push(promotion);
+        if(promotion.stackGroup) {
+            groups.add(promotion.stackGroup);
+        }
+    }
+    return {applied, dropped};
+};
+
+// Points a promotion adds to a purchase, rounded the way the earning rule says
+const promotionPoints = (promotion, spent, rule) => {
+    if(promotion.minSpending !== null && promotion.minSpending > spent) {
+        return 0;
+    }
+    return (promotion.points || 0) + earningRules.roundPoints(rule, (promotion.rate || 0) * spent * 100);
+};
+
+// Works out what a purchase earns: base points from the earning rule in force (scaled by the
+// member's tier) plus the promotions that survive the stacking rules
+const quotePurchase = async (user, spent, promotionIds) => {
+    const rule = await earningRules.ruleAt();
+    const tier = await tiers.tierFor(user.id);
+    const promotions = promotionIds.length > 0 ? await prisma.promotion.findMany({
+        where: {id: {in: promotionIds}}
+    }) : [];
+    const {applied, dropped} = resolve(promotions, rule);
+    const basePoints = earningRules.basePoints(rule, spent, tier.multiplier);
+    // A promotion near the end of its points budget pays out only what is left
+    const awarded = [];
+    for(const promotion of applied) {
+        const points = promotionPoints(promotion, spent, rule);
+        awarded.push({promotion, points: await promotionCaps.capPoints(prisma, promotion, points)});
+    }
+    return {
+        rule,
+        tier,
+        basePoints,
+        applied: awarded,
+        dropped,
+        earned: basePoints + awarded.reduce((sum, p) => sum + p.points, 0)
+    };
+};
+
+// Reads and validates the stacking fields of a promotion create/update body.
+// Returns {error} or {data} holding only the fields that were given.
+const readStackingFields = ({exclusive, stackGroup, priority}) => {
+    const data = {};
+    if(exclusive !== undefined) {
+        if(typeof exclusive !== "boolean") {
+            return {error: "exclusive must be a boolean"};
+        }
+        data.exclusive = exclusive;
+    }
+    if(stackGroup !== undefined) {
+        if(stackGroup !== null && typeof stackGroup !== "string") {
+            return {error: "stackGroup must be a string"};
+        }
+        data.stackGroup = stackGroup && stackGroup.trim() ? stackGroup.trim() : null;
+    }
+    if(priority !== undefined) {
+        if(!Number.isInteger(priority)) {
+            return {error: "priority must be an integer"};
+        }
+        data.priority = priority;
+    }
+    return {data};
+};
+
+module.exports = {
+    resolve,
+    promotionPoints,
+    quotePurchase,
+    readStackingFields
+};
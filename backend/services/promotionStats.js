@@ -0,0 +1,145 @@
+'use strict'
+
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+
+/*
+ * Promotion performance
+ * Built from the purchases that carried a promotion (voided ones left out): how often it was
+ * redeemed, by how many members, the bonus points it paid (none on suspicious or rejected
+ * purchases, which credited nothing) and what was spent, with a daily
+ * series. The store-wide purchase rate while it ran is compared with a baseline of the same
+ * number of days just before it started (at most BASELINE_MAX_DAYS). Days are in the server's
+ * time zone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BASELINE_MAX_DAYS = 90;
+const SERIES_MAX_DAYS = 366;
+
+const startOfDay = (date) => {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    return start;
+};
+
+const dayKey = (date) => {
+    const day = new Date(date);
+    return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, "0")}-${String(day.getDate()).padStart(2, "0")}`;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Percentage change from `before` to `after`, or null when there is nothing to compare with
+const percentChange = (before, after) => before > 0 ? round2(((after - before) / before) * 100) : null;
+
+// Bonus the promotion paid on a purchase made before promotion uses were recorded, worked out
+// again from its terms the way purchases calculate it
+const estimateBonus = (promotion, spent) => {
+    if(promotion.minSpending !== null && promotion.minSpending > spent) {
+        return 0;
+    }
+    return (promotion.points || 0) + Math.ceil((promotion.rate || 0) * spent * 100);
+};
+
+// Bonus the promotion actually paid on a purchase
+const bonusIssued = (promotion, transaction, bonusByTransaction) => {
+    if(transaction.suspicious || transaction.reviewStatus === "rejected") {
+        return 0;
+    }
+    return bonusByTransaction.has(transaction.id)
+        ? bonusByTransaction.get(transaction.id)
+        : estimateBonus(promotion, transaction.spent);
+};
+
+// Store-wide purchase rate between `from` and `to`
+const purchaseRate = async (from, to) => {
+    // Per-day rates use fractional days, so a promotion part way through a day compares fairly
+    const days = Math.max((to.getTime() - from.getTime()) / DAY_MS, 1 / 24);
+    const purchases = await prisma.transaction.findMany({
+        where: {type: "purchase", voided: false, date: {gte: from, lt: to}},
+        select: {spent: true}
+    });
+    const spent = purchases.reduce((sum, purchase) => sum + purchase.spent, 0);
+    return {
+        "from": from,
+        "to": to,
+        "days": round2(days),
+        "purchases": purchases.length,
+        "purchasesPerDay": round2(purchases.length / days),
+        "spentPerDay": round2(spent / days),
+        "averageSpent": purchases.length > 0 ? round2(spent / purchases.length) : 0
+    };
+};
+
+const stats = async (promotion, now = new Date()) => {
+    const transactions = await prisma.transaction.findMany({
+        where: {promotions: {some: {id: promotion.id}}, voided: false},
+        select: {id: true, receiverId: true, spent: true, date: true, suspicious: true, reviewStatus: true},
+        orderBy: {date: "asc"}
+    });
+    const uses = await prisma.promotionUse.findMany({
+        where: {promotionId: promotion.id},
+        select: {transactionId: true, points: true}
+    });
+    const bonusByTransaction = new Map(uses.map(use => [use.transactionId, use.points]));
+
+    // Daily series over the days the promotion has run so far
+    const seriesEnd = startOfDay(Math.min(now.getTime(), new Date(promotion.endTime).getTime() - 1));
+    const seriesStart = new Date(Math.max(
+        startOfDay(promotion.startTime).getTime(),
+        seriesEnd.getTime() - (SERIES_MAX_DAYS - 1) * DAY_MS
+    ));
+    const days = new Map();
+    for(let day = new Date(seriesStart); day <= seriesEnd; day.setDate(day.getDate() + 1)) {
+        days.set(dayKey(day), {"date": dayKey(day), "redemptions": 0, "bonusPoints": 0, "spent": 0});
+    }
+
+    let bonusPoints = 0;
+    let spent = 0;
+    for(const transaction of transactions) {
+        const bonus = bonusIssued(promotion, transaction, bonusByTransaction);
+        bonusPoints += bonus;
+        spent += transaction.spent;
+        const day = days.get(dayKey(transaction.date));
+        if(day) {
+            day.redemptions++;
+            day.bonusPoints += bonus;
+            day.spent = round2(day.spent + transaction.spent);
+        }
+    }
+
+    // Store-wide purchases while it ran, against the same stretch of time before it started
+    const start = new Date(promotion.startTime);
+    let comparison = null;
+    if(start < now) {
+        const duringEnd = new Date(Math.min(now.getTime(), new Date(promotion.endTime).getTime()));
+        const baselineDays = Math.min(BASELINE_MAX_DAYS, Math.max(1, Math.ceil((duringEnd.getTime() - start.getTime()) / DAY_MS)));
+        const baseline = await purchaseRate(new Date(start.getTime() - baselineDays * DAY_MS), start);
+        const during = await purchaseRate(start, duringEnd);
+        comparison = {
+            "baseline": baseline,
+            "during": during,
+            "change": {
+                "purchasesPerDay": percentChange(baseline.purchasesPerDay, during.purchasesPerDay),
+                "spentPerDay": percentChange(baseline.spentPerDay, during.spentPerDay),
+                "averageSpent": percentChange(baseline.averageSpent, during.averageSpent)
+            }
+        };
+    }
+
+    return {
+        "promotionId": promotion.id,
+        "redemptions": transactions.length,
+        "uniqueUsers": new Set(transactions.map(transaction => transaction.receiverId)).size,
+        "bonusPoints": bonusPoints,
+        "spent": round2(spent),
+        "averageSpent": transactions.length > 0 ? round2(spent / transactions.length) : 0,
+        "daily": [...days.values()],
+        "comparison": comparison
+    };
+};
+
+module.exports = {
+    stats
+};
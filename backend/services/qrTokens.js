@@ -0,0 +1,120 @@
+'use strict'
+
+const crypto = require("crypto");
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+
+/*
+ * Signed QR payloads
+ * QR codes carry a short-lived token instead of a raw utorid or transaction id:
+ *   PF1.<base64url(JSON payload)>.<base64url(HMAC-SHA256 of the payload part)>
+ * The payload holds the type ("user" or "redemption"), the subject id, a random jti and the
+ * expiry. A token is single use: acting on it records its jti, and a second use is refused.
+ *
+ * Signed with QR_SECRET, falling back to JWT_SECRET. Lifetime is QR_TOKEN_TTL_SECONDS (default 120).
+ */
+
+const PREFIX = "PF1";
+const DEFAULT_TTL_SECONDS = 120;
+const TYPES = ["user", "redemption"];
+
+class QrTokenError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = "QrTokenError";
+        this.status = status;
+    }
+}
+
+const secret = () => process.env.QR_SECRET || process.env.JWT_SECRET;
+
+const ttlSeconds = () => {
+    const seconds = parseInt(process.env.QR_TOKEN_TTL_SECONDS, 10);
+    return !isNaN(seconds) && seconds > 0 ? seconds : DEFAULT_TTL_SECONDS;
+};
+
+const sign = (data) => crypto.createHmac("sha256", secret()).update(data).digest("base64url");
+
+// True when the string has the shape of a signed QR token (as opposed to a typed utorid or id)
+const looksLikeToken = (value) => typeof value === "string" && value.startsWith(`${PREFIX}.`);
+
+// Issues a token for `subject` (a user id or a redemption transaction id); `notAfter` caps the expiry
+const issue = (type, subject, {notAfter} = {}) => {
+    let exp = Date.now() + ttlSeconds() * 1000;
+    if(notAfter) {
+        exp = Math.min(exp, new Date(notAfter).getTime());
+    }
+    const payload = {
+        typ: type,
+        sub: subject,
+        jti: crypto.randomBytes(12).toString("base64url"),
+        exp: exp
+    };
+    const data = `${PREFIX}.${Buffer.from(JSON.stringify(payload)).toString("base64url")}`;
+    return {
+        token: `${data}.${sign(data)}`,
+        expiresAt: new Date(exp).toISOString()
+    };
+};
+
+// Checks the signature, type, expiry and that the token has not been used; returns its payload
+const verify = async (token, type) => {
+    if(!looksLikeToken(token)) {
+        throw new QrTokenError("Invalid QR code");
+    }
+    const parts = token.split(".");
+    if(parts.length !== 3) {
+        throw new QrTokenError("Invalid QR code");
+    }
+    const data = `${parts[0]}.${parts[1]}`;
+    const expected = Buffer.from(sign(data));
+    const given = Buffer.from(parts[2]);
+    if(expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        throw new QrTokenError("Invalid QR code");
+    }
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(parts[1], "base64url").toString());
+    } catch (error) {
+        throw new QrTokenError("Invalid QR code");
+    }
+    if(!TYPES.includes(payload.typ) || (type && payload.typ !== type)) {
+        throw new QrTokenError("This QR code can't be used here");
+    }
+    if(typeof payload.exp !== "number" || payload.exp <= Date.now()) {
+        throw new QrTokenError("QR code has expired; ask the member to refresh it", 410);
+    }
+    const used = await prisma.qrTokenUse.findUnique({where: {jti: payload.jti}});
+    if(used) {
+        throw new QrTokenError("QR code was already used", 409);
+    }
+    return payload;
+};
+
+// Records the token as used with the given client, so it runs in the same database transaction
+// as the action it authorises; a concurrent second use fails on the unique jti
+const consume = async (tx, payload, usedBy) => {
+    try {
+        await tx.qrTokenUse.create({
+            data: {
+                jti: payload.jti,
+                type: payload.typ,
+                subject: payload.sub,
+                usedBy: usedBy
+            }
+        });
+    } catch (error) {
+        if(error.code === "P2002") {
+            throw new QrTokenError("QR code was already used", 409);
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    QrTokenError,
+    looksLikeToken,
+    issue,
+    verify,
+    consume
+};
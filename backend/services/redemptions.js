@@ -0,0 +1,125 @@
+'use strict'
+
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+const ledger = require('./ledger');
+
+/*
+ * Redemption lifecycle
+ * A redemption request is pending until a cashier processes it, the user cancels it, or it
+ * expires. Its points are reserved (taken out of User.points and reported as held) while it is
+ * pending, and the ledger refunds them when it is cancelled or expires.
+ *
+ * The expiry window is REDEMPTION_EXPIRY_MINUTES (default 24 hours) and is stamped on the row
+ * when it is created; requests created before expiry existed fall back to date + window.
+ */
+
+const DEFAULT_EXPIRY_MINUTES = 24 * 60;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const expiryMinutes = () => {
+    const minutes = parseInt(process.env.REDEMPTION_EXPIRY_MINUTES, 10);
+    return !isNaN(minutes) && minutes > 0 ? minutes : DEFAULT_EXPIRY_MINUTES;
+};
+
+// Expiry time for a redemption created at `date`
+const expiresAtFrom = (date = new Date()) => {
+    return new Date(new Date(date).getTime() + expiryMinutes() * 60 * 1000);
+};
+
+// When a redemption row expires, including rows created before expiresAt was stored
+const expiresAtOf = (transaction) => {
+    return transaction.expiresAt ? new Date(transaction.expiresAt) : expiresAtFrom(transaction.date);
+};
+
+// One of "processed", "cancelled", "expired" or "pending"
+const statusOf = (transaction, now = new Date()) => {
+    if(transaction.processed === true) {
+        return "processed";
+    }
+    if(transaction.cancelled) {
+        return transaction.cancelReason === "expired" ? "expired" : "cancelled";
+    }
+    if(expiresAtOf(transaction) <= now) {
+        return "expired";
+    }
+    return "pending";
+};
+
+// Response fields shared by every endpoint that returns a redemption
+const describe = (transaction) => ({
+    "processed": transaction.processed === true,
+    "processedBy": transaction.processedBy,
+    "status": statusOf(transaction),
+    "expiresAt": expiresAtOf(transaction).toISOString(),
+    "cancelledAt": transaction.cancelledAt ? new Date(transaction.cancelledAt).toISOString() : null
+});
+
+const PENDING = {
+    type: "redemption",
+    cancelled: false,
+    OR: [{processed: null}, {processed: false}]
+};
+
+// Points held by the user's pending redemptions that reserved them
+const heldPoints = async (userId) => {
+    const pending = await prisma.transaction.findMany({
+        where: {...PENDING, receiverId: userId, reserved: true},
+        select: {amount: true}
+    });
+    return pending.reduce((sum, t) => sum + Math.abs(t.amount), 0);
+};
+
+// Cancels every pending redemption past its expiry and refunds what it reserved
+const expireStale = async () => {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - expiryMinutes() * 60 * 1000);
+    const stale = await prisma.transaction.findMany({
+        where: {
+            ...PENDING,
+            AND: [{OR: [
+                {expiresAt: {lte: now}},
+                {expiresAt: null, date: {lte: cutoff}}
+            ]}]
+        },
+        select: {id: true}
+    });
+    let expired = 0;
+    for(const {id} of stale) {
+        try {
+            await ledger.post((tx) => ledger.updateEntry(tx, id, {
+                cancelled: true,
+                cancelReason: "expired",
+                cancelledAt: now
+            }, {
+                expected: PENDING
+            }));
+            expired++;
+        } catch (error) {
+            // Processed or cancelled since it was read; nothing to expire
+            if(!(error instanceof ledger.LedgerError)) {
+                throw error;
+            }
+        }
+    }
+    return expired;
+};
+
+// Runs expireStale on an interval for the lifetime of the server
+const startExpirySweep = () => {
+    const run = () => expireStale().catch((error) => console.error('Redemption expiry sweep failed:', error));
+    run();
+    const timer = setInterval(run, SWEEP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    expiresAtFrom,
+    expiresAtOf,
+    statusOf,
+    describe,
+    heldPoints,
+    expireStale,
+    startExpirySweep
+};
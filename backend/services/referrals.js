@@ -0,0 +1,187 @@
+'use strict'
+
+const crypto = require('crypto');
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+const ledger = require('./ledger');
+
+/*
+ * Referrals
+ * Every user has a referral code (created the first time it is asked for). A new account
+ * registered with a code is recorded as a pending Referral. Once the referee qualifies, both
+ * sides get bonus points as "referral" transactions:
+ *   REFERRAL_TRIGGER          verified, purchase, or either (default): what qualifies the referee
+ *   REFERRAL_REFERRER_POINTS  bonus for the referrer (default 100)
+ *   REFERRAL_REFEREE_POINTS   bonus for the new member (default 50)
+ *   REFERRAL_MAX_PER_USER     most referrals one referrer can be rewarded for (default 20)
+ * Referrals that look like abuse are recorded as rejected, with the reason, and never pay out:
+ * the referee's email matching the referrer's once case, dots and +tags are ignored, or the
+ * referrer having reached the maximum.
+ */
+
+const TRIGGERS = ["verified", "purchase", "either"];
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+
+const intFromEnv = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return !isNaN(value) && value >= 0 ? value : fallback;
+};
+
+const settings = () => ({
+    trigger: TRIGGERS.includes(process.env.REFERRAL_TRIGGER) ? process.env.REFERRAL_TRIGGER : "either",
+    referrerPoints: intFromEnv("REFERRAL_REFERRER_POINTS", 100),
+    refereePoints: intFromEnv("REFERRAL_REFEREE_POINTS", 50),
+    maxPerUser: intFromEnv("REFERRAL_MAX_PER_USER", 20)
+});
+
+const generateCode = () => Array.from(crypto.randomBytes(CODE_LENGTH))
+    .map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+    .join("");
+
+// The user's referral code, created on first use
+const codeFor = async (user) => {
+    if(user.referralCode) {
+        return user.referralCode;
+    }
+    for(let attempt = 0; attempt < 5; attempt++) {
+        const code = generateCode();
+        // Conditional on the code still being empty, in case a concurrent request set one
+        const result = await prisma.user.updateMany({
+            where: {id: user.id, referralCode: null},
+            data: {referralCode: code}
+        }).catch((error) => {
+            // Code already taken by someone else; try another
+            if(error.code === "P2002") {
+                return null;
+            }
+            throw error;
+        });
+        if(result) {
+            const updated = await prisma.user.findUnique({where: {id: user.id}});
+            return updated.referralCode;
+        }
+    }
+    throw new Error("Could not generate a unique referral code");
+};
+
+// Email with case, dots and +tags removed from the local part, so that "Jane.Doe+2@..." and
+// "janedoe@..." compare equal. Digits are kept: jsmith1 and jsmith2 are different students.
+const emailStem = (email) => {
+    const [local = "", domain = ""] = String(email || "").toLowerCase().split("@");
+    return `${local.split("+")[0].replace(/\./g, "")}@${domain}`;
+};
+
+// Looks up the referrer for a registration. Returns {error} when the code is unknown,
+// otherwise {referrer} (null when no code was given).
+const findReferrer = async (code) => {
+    if(code === undefined || code === null || code === "") {
+        return {referrer: null};
+    }
+    if(typeof code !== "string") {
+        return {error: "Referral code is invalid"};
+    }
+    const referrer = await prisma.user.findUnique({
+        where: {referralCode: code.trim().toUpperCase()}
+    });
+    if(!referrer) {
+        return {error: "Referral code not found"};
+    }
+    return {referrer};
+};
+
+// Why a referral should not pay out, or null if it looks legitimate
+const abuseReason = async (referrer, referee, client) => {
+    if(referrer.id === referee.id || referrer.utorid === referee.utorid) {
+        return "Self-referral";
+    }
+    if(emailStem(referrer.email) === emailStem(referee.email)) {
+        return "Referee's email matches the referrer's";
+    }
+    const rewardable = await client.referral.count({
+        where: {referrerId: referrer.id, status: {in: ["pending", "rewarded"]}}
+    });
+    if(rewardable >= settings().maxPerUser) {
+        return "Referrer has reached the maximum number of referrals";
+    }
+    return null;
+};
+
+// Records the referral of a newly created account. Pass the transaction creating the account
+// as `client` so the account and its referral are written together.
+const record = async (referrer, referee, client = prisma) => {
+    const reason = await abuseReason(referrer, referee, client);
+    return client.referral.create({
+        data: {
+            referrerId: referrer.id,
+            refereeId: referee.id,
+            status: reason ? "rejected" : "pending",
+            reason: reason
+        }
+    });
+};
+
+// Pays out the referee's pending referral when `event` ("verified" or "purchase") qualifies
+// under REFERRAL_TRIGGER. Safe to call repeatedly; only the first qualifying call pays.
+const qualify = async (refereeId, event) => {
+    const {trigger, referrerPoints, refereePoints} = settings();
+    if(trigger !== "either" && trigger !== event) {
+        return null;
+    }
+    return ledger.post(async (tx) => {
+        const referral = await tx.referral.findUnique({where: {refereeId}});
+        if(!referral || referral.status !== "pending") {
+            return null;
+        }
+        // Conditional on the status so concurrent triggers pay out once
+        const claimed = await tx.referral.updateMany({
+            where: {id: referral.id, status: "pending"},
+            data: {status: "rewarded", rewardedAt: new Date(), trigger: event}
+        });
+        if(claimed.count === 0) {
+            return null;
+        }
+        const referee = await tx.user.findUnique({where: {id: refereeId}});
+        const referrer = await tx.user.findUnique({where: {id: referral.referrerId}});
+        if(referrer && referrerPoints > 0) {
+            await ledger.createEntry(tx, {
+                type: "referral",
+                amount: referrerPoints,
+                spent: 0,
+                remark: `Referral bonus: ${referee.utorid} joined`,
+                relatedId: referral.id,
+                issuerId: referrer.id,
+                receiverId: referrer.id,
+                createdBy: "system"
+            });
+        }
+        if(refereePoints > 0) {
+            await ledger.createEntry(tx, {
+                type: "referral",
+                amount: refereePoints,
+                spent: 0,
+                remark: referrer ? `Welcome bonus: referred by ${referrer.utorid}` : "Welcome bonus",
+                relatedId: referral.id,
+                issuerId: referee.id,
+                receiverId: referee.id,
+                createdBy: "system"
+            });
+        }
+        return tx.referral.findUnique({where: {id: referral.id}});
+    });
+};
+
+// Same as qualify, but only logs failures; a referral payout must never fail the request that
+// triggered it
+const qualifyQuietly = (refereeId, event) => qualify(refereeId, event)
+    .catch((error) => console.error('Referral payout failed:', error));
+
+module.exports = {
+    settings,
+    emailStem,
+    codeFor,
+    findReferrer,
+    record,
+    qualify,
+    qualifyQuietly
+};
@@ -0,0 +1,131 @@
+'use strict'
+
+const {PrismaClient} = require('@prisma/client');
+const prisma = new PrismaClient();
+
+/*
+ * Membership tiers
+ * A user's tier is the highest tier whose minPoints they have earned, counting credited purchase
+ * and event points (not transfers, adjustments, voided, withheld or rejected transactions).
+ * A purchase counts for the whole amount it credited, so the tier multiplier, earning rule and
+ * promotion bonuses all count towards the next tier.
+ * TIER_BASIS picks the window: "lifetime" (default) or "rolling12" for the last 12 months.
+ * Tiers are configured through PUT /tiers; until then DEFAULT_TIERS apply.
+ */
+
+const DEFAULT_TIERS = [
+    {name: "Bronze", minPoints: 0, multiplier: 1},
+    {name: "Silver", minPoints: 1000, multiplier: 1.25},
+    {name: "Gold", minPoints: 5000, multiplier: 1.5}
+];
+
+const BASES = ["lifetime", "rolling12"];
+
+const basis = () => BASES.includes(process.env.TIER_BASIS) ? process.env.TIER_BASIS : "lifetime";
+
+// Configured tiers in ascending minPoints order
+const listTiers = async () => {
+    const tiers = await prisma.tier.findMany({
+        orderBy: {minPoints: "asc"}
+    });
+    if(tiers.length === 0) {
+        return DEFAULT_TIERS;
+    }
+    return tiers.map(({name, minPoints, multiplier}) => ({name, minPoints, multiplier}));
+};
+
+// Points the user has earned within the current basis window. A rejected row was either never
+// credited or clawed back by an adjustment, so it doesn't count.
+const earnedPoints = async (userId) => {
+    const where = {
+        receiverId: userId,
+        type: {in: ["purchase", "event"]},
+        withheld: false,
+        voided: false,
+        amount: {gt: 0},
+        // `not` alone would also drop the rows that were never reviewed (null)
+        OR: [{reviewStatus: null}, {reviewStatus: {not: "rejected"}}]
+    };
+    if(basis() === "rolling12") {
+        const since = new Date();
+        since.setFullYear(since.getFullYear() - 1);
+        where.date = {gte: since};
+    }
+    const result = await prisma.transaction.aggregate({
+        where,
+        _sum: {amount: true}
+    });
+    return result._sum.amount || 0;
+};
+
+// The user's tier, the next one up and how far along they are
+const tierFor = async (userId) => {
+    const [tiers, earned] = await Promise.all([listTiers(), earnedPoints(userId)]);
+    let index = 0;
+    tiers.forEach((tier, i) => {
+        if(earned >= tier.minPoints) {
+            index = i;
+        }
+    });
+    const current = tiers[index];
+    const next = tiers[index + 1] || null;
+    return {
+        "name": current.name,
+        "multiplier": current.multiplier,
+        "minPoints": current.minPoints,
+        "earned": earned,
+        "basis": basis(),
+        "next": next ? {"name": next.name, "minPoints": next.minPoints, "multiplier": next.multiplier} : null,
+        "pointsToNext": next ? Math.max(next.minPoints - earned, 0) : 0
+    };
+};
+
+// Returns an error message for an invalid tier list, or null if it can be saved
+const validateTiers = (tiers) => {
+    if(!Array.isArray(tiers) || tiers.length === 0) {
+        return "tiers must be a non-empty array";
+    }
+    const names = new Set();
+    const mins = new Set();
+    for(const tier of tiers) {
+        if(!tier || typeof tier.name !== "string" || !tier.name.trim()) {
+            return "Every tier needs a name";
+        }
+        if(!Number.isInteger(tier.minPoints) || tier.minPoints < 0) {
+            return "minPoints must be a non-negative integer";
+        }
+        if(typeof tier.multiplier !== "number" || !(tier.multiplier > 0)) {
+            return "multiplier must be a positive number";
+        }
+        if(names.has(tier.name.trim()) || mins.has(tier.minPoints)) {
+            return "Tier names and minPoints must be unique";
+        }
+        names.add(tier.name.trim());
+        mins.add(tier.minPoints);
+    }
+    if(!mins.has(0)) {
+        return "One tier must start at 0 points";
+    }
+    return null;
+};
+
+// Replaces the configured tiers
+const saveTiers = async (tiers) => {
+    await prisma.$transaction([
+        prisma.tier.deleteMany({}),
+        prisma.tier.createMany({
+            data: tiers.map(({name, minPoints, multiplier}) => ({name: name.trim(), minPoints, multiplier}))
+        })
+    ]);
+    return listTiers();
+};
+
+module.exports = {
+    DEFAULT_TIERS,
+    basis,
+    listTiers,
+    earnedPoints,
+    tierFor,
+    validateTiers,
+    saveTiers
+};
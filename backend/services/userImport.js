@@ -0,0 +1,226 @@
+'use strict'
+
+const {v4: uuidv4} = require("uuid");
+const {PrismaClient, Prisma} = require('@prisma/client');
+const prisma = new PrismaClient();
+
+/*
+ * Bulk user import
+ * A CSV with a header row naming utorid, name and email (and optionally role) columns, in any
+ * order, at most MAX_ROWS rows. Every row gets a status in the report:
+ *   ok         can be created
+ *   error      fails the same checks as POST /users/create, or asks for a role the importer
+ *              can't give
+ *   duplicate  its utorid or email is already used by an account or by an earlier row. Emails
+ *              are compared ignoring case, and imported accounts store them in lower case.
+ * Committing creates every ok row, with an activation token (like a self-registered account),
+ * in one database transaction. Imported accounts have no password until it is set with the
+ * token.
+ */
+
+const MAX_ROWS = 1000;
+const COLUMNS = ["utorid", "name", "email", "role"];
+const REQUIRED_COLUMNS = ["utorid", "name", "email"];
+const ROLES = ["regular", "cashier", "manager", "superuser"];
+// Roles each staff role may give out, as for POST /users/create
+const GRANTABLE_ROLES = {
+    "manager": ["regular", "cashier"],
+    "superuser": ROLES
+};
+const ACTIVATION_MS = 7 * 24 * 60 * 60 * 1000;
+
+class ImportError extends Error {}
+
+// Splits CSV text into rows of fields. Handles quoted fields (with "" for a quote, and commas
+// or line breaks inside) and CRLF line endings; blank lines are dropped.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    for(let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if(quoted) {
+            if(char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if(char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if(char === '"') {
+            quoted = true;
+        } else if(char === ",") {
+            row.push(field);
+            field = "";
+        } else if(char === "\n" || char === "\r") {
+            if(char === "\r" && text[i + 1] === "\n") {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if(quoted) {
+        throw new ImportError("The CSV has an unclosed quote");
+    }
+    if(field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== ""));
+};
+
+// Reads the CSV into {line, utorid, name, email, role} records. `line` numbers the rows,
+// counting the header as line 1 and skipping blank lines.
+const readRows = (csv) => {
+    if(typeof csv !== "string" || csv.trim() === "") {
+        throw new ImportError("csv must be the text of a CSV file");
+    }
+    const [header, ...rows] = parseCsv(csv.replace(/^\uFEFF/, ""));
+    const columns = header.map(name => name.trim().toLowerCase());
+    const missing = REQUIRED_COLUMNS.filter(name => !columns.includes(name));
+    if(missing.length > 0) {
+        throw new ImportError(`The header row must name the ${missing.join(", ")} column${missing.length > 1 ? "s" : ""}`);
+    }
+    if(rows.length === 0) {
+        throw new ImportError("The CSV has no rows after the header");
+    }
+    if(rows.length > MAX_ROWS) {
+        throw new ImportError(`At most ${MAX_ROWS} rows can be imported at once`);
+    }
+    return rows.map((fields, index) => {
+        const record = {"line": index + 2};
+        COLUMNS.forEach(name => {
+            const position = columns.indexOf(name);
+            record[name] = position >= 0 && fields[position] !== undefined ? fields[position].trim() : "";
+        });
+        return record;
+    });
+};
+
+// Checks every row. `checkIdentity({utorid, name, email})` applies the account rules and returns
+// an error message or null; `importerRole` limits the roles rows can ask for.
+const report = async (csv, importerRole, checkIdentity) => {
+    const records = readRows(csv);
+    const grantable = GRANTABLE_ROLES[importerRole] || [];
+
+    const utorids = records.map(record => record.utorid).filter(Boolean);
+    const emails = records.map(record => record.email.toLowerCase()).filter(Boolean);
+    const existing = await prisma.user.findMany({
+        where: {utorid: {in: utorids}},
+        select: {utorid: true}
+    });
+    // SQLite compares with = and IN case-sensitively, and older accounts keep the case they
+    // were registered with
+    const existingEmails = emails.length === 0 ? [] : await prisma.$queryRaw`
+        SELECT email FROM User WHERE LOWER(email) IN (${Prisma.join(emails)})`;
+    const takenUtorids = new Set(existing.map(user => user.utorid));
+    const takenEmails = new Set(existingEmails.map(user => user.email.toLowerCase()));
+    const seenUtorids = new Map();
+    const seenEmails = new Map();
+
+    const rows = records.map(record => {
+        const role = record.role === "" ? "regular" : record.role.toLowerCase();
+        const errors = [];
+        const identityError = checkIdentity(record);
+        if(identityError) {
+            errors.push(identityError);
+        }
+        if(!ROLES.includes(role)) {
+            errors.push(`Invalid role ${record.role}`);
+        } else if(!grantable.includes(role)) {
+            errors.push(`You can't create ${role} accounts`);
+        }
+
+        const duplicates = [];
+        const email = record.email.toLowerCase();
+        if(takenUtorids.has(record.utorid)) {
+            duplicates.push("UTORid already has an account");
+        } else if(seenUtorids.has(record.utorid)) {
+            duplicates.push(`UTORid repeats line ${seenUtorids.get(record.utorid)}`);
+        }
+        if(takenEmails.has(email)) {
+            duplicates.push("Email already has an account");
+        } else if(seenEmails.has(email)) {
+            duplicates.push(`Email repeats line ${seenEmails.get(email)}`);
+        }
+        if(record.utorid && !seenUtorids.has(record.utorid)) {
+            seenUtorids.set(record.utorid, record.line);
+        }
+        if(email && !seenEmails.has(email)) {
+            seenEmails.set(email, record.line);
+        }
+
+        return {
+            "line": record.line,
+            "utorid": record.utorid,
+            "name": record.name,
+            "email": record.email,
+            "role": role,
+            "status": errors.length > 0 ? "error" : duplicates.length > 0 ? "duplicate" : "ok",
+            "errors": [...errors, ...duplicates]
+        };
+    });
+
+    return {
+        "total": rows.length,
+        "ok": rows.filter(row => row.status === "ok").length,
+        "errors": rows.filter(row => row.status === "error").length,
+        "duplicates": rows.filter(row => row.status === "duplicate").length,
+        "rows": rows
+    };
+};
+
+// Creates the ok rows of a report and their activation tokens, all or nothing. Returns the
+// created accounts with their tokens.
+const commit = async (checked, now = new Date()) => {
+    const expiresAt = new Date(now.getTime() + ACTIVATION_MS);
+    const toCreate = checked.rows.filter(row => row.status === "ok");
+    const tokens = new Map(toCreate.map(row => [row.utorid, uuidv4()]));
+    return prisma.$transaction(async (tx) => {
+        await tx.user.createMany({
+            data: toCreate.map(row => ({
+                utorid: row.utorid,
+                name: row.name,
+                email: row.email.toLowerCase(),
+                role: row.role
+            }))
+        });
+        const users = await tx.user.findMany({
+            where: {utorid: {in: toCreate.map(row => row.utorid)}},
+            select: {id: true, utorid: true}
+        });
+        const ids = new Map(users.map(user => [user.utorid, user.id]));
+        await tx.resetToken.createMany({
+            data: toCreate.map(row => ({
+                token: tokens.get(row.utorid),
+                uid: ids.get(row.utorid),
+                expiresAt: expiresAt
+            }))
+        });
+        return toCreate.map(row => ({
+            "line": row.line,
+            "id": ids.get(row.utorid),
+            "utorid": row.utorid,
+            "name": row.name,
+            "email": row.email.toLowerCase(),
+            "role": row.role,
+            "resetToken": tokens.get(row.utorid),
+            "expiresAt": expiresAt.toISOString()
+        }));
+    });
+};
+
+module.exports = {
+    ImportError,
+    MAX_ROWS,
+    parseCsv,
+    report,
+    commit
+};
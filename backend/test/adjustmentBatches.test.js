@@ -0,0 +1,89 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const adjustmentBatches = require('../services/adjustmentBatches');
+
+process.env.FRAUD_RULES = "none";
+
+let alice;
+let bob;
+let manager;
+
+beforeEach(() => {
+    fakePrisma.reset();
+    [alice, bob, manager] = fakePrisma.seed("user", [
+        {utorid: "alice001", name: "Alice", email: "alice001@mail.utoronto.ca", points: 50},
+        {utorid: "bob00001", name: "Bob", email: "bob00001@mail.utoronto.ca", points: 0},
+        {utorid: "manager1", name: "Manager", email: "manager1@mail.utoronto.ca", role: "manager"}
+    ]);
+});
+
+const balance = (user) => fakePrisma.rows("user").find(row => row.id === user.id).points;
+const issuer = () => ({id: manager.id, utorid: manager.utorid, suspicious: false});
+
+test("validate reports every bad row", async () => {
+    const checked = await adjustmentBatches.validate([
+        {utorid: "alice001", amount: 10, remark: "ok"},
+        {utorid: "nobody01", amount: 5},
+        {utorid: "bob00001", amount: 1.5},
+        {utorid: "", amount: 0},
+        {utorid: "bob00001", amount: 3, remark: "x".repeat(201)}
+    ]);
+    assert.equal(checked.valid, false);
+    assert.deepEqual(checked.results.map(result => result.errors.length), [0, 1, 1, 2, 1]);
+    assert.deepEqual(checked.results[1].errors, ["User not found"]);
+});
+
+test("validate checks a member's debits net of their credits", async () => {
+    const covered = await adjustmentBatches.validate([
+        {utorid: "alice001", amount: -70},
+        {utorid: "alice001", amount: 30}
+    ]);
+    assert.equal(covered.valid, true);
+    const uncovered = await adjustmentBatches.validate([
+        {utorid: "alice001", amount: -70},
+        {utorid: "alice001", amount: 10}
+    ]);
+    assert.equal(uncovered.valid, false);
+    assert.match(uncovered.results[0].errors[0], /below zero/);
+});
+
+test("apply writes credits before debits under one batch id", async () => {
+    const checked = await adjustmentBatches.validate([
+        {utorid: "alice001", amount: -70, remark: "correction"},
+        {utorid: "alice001", amount: 30},
+        {utorid: "bob00001", amount: 15}
+    ]);
+    const batch = await adjustmentBatches.apply(checked, issuer());
+    assert.deepEqual(batch.results.map(result => result.row), [1, 2, 3]);
+    const written = fakePrisma.rows("transaction");
+    assert.deepEqual(written.map(row => row.amount), [30, 15, -70]);
+    assert.ok(written.every(row => row.batchId === batch.batchId && row.type === "adjustment" && row.issuerId === manager.id));
+    assert.equal(balance(alice), 10);
+    assert.equal(balance(bob), 15);
+    assert.deepEqual((await adjustmentBatches.find(batch.batchId)).map(row => row.receiver.utorid), ["alice001", "bob00001", "alice001"]);
+});
+
+test("a suspicious issuer's batch still applies but waits for review", async () => {
+    const checked = await adjustmentBatches.validate([{utorid: "bob00001", amount: 15}]);
+    const batch = await adjustmentBatches.apply(checked, {...issuer(), suspicious: true});
+    assert.equal(batch.results[0].suspicious, true);
+    assert.equal(fakePrisma.rows("transaction")[0].reviewStatus, "pending");
+    assert.equal(balance(bob), 15);
+});
+
+test("apply runs the written callback in the batch's transaction", async () => {
+    const checked = await adjustmentBatches.validate([
+        {utorid: "alice001", amount: 5},
+        {utorid: "bob00001", amount: 15}
+    ]);
+    await assert.rejects(adjustmentBatches.apply(checked, issuer(), async (tx, batch) => {
+        assert.equal(batch.results.length, 2);
+        throw new Error("audit write failed");
+    }), {message: "audit write failed"});
+    assert.equal(fakePrisma.rows("transaction").length, 0);
+    assert.equal(balance(alice), 50);
+    assert.equal(balance(bob), 0);
+});
@@ -0,0 +1,44 @@
+'use strict'
+
+require('./helpers/fakePrisma');
+const {test} = require('node:test');
+const assert = require('node:assert/strict');
+const analytics = require('../services/analytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("readRange defaults to the last 30 days", () => {
+    const now = new Date("2026-06-30T12:00:00Z");
+    const {from, to} = analytics.readRange({}, now);
+    assert.equal(to, now);
+    assert.equal(to.getTime() - from.getTime(), 30 * DAY_MS);
+    assert.equal(analytics.readRange({to: "2026-06-30"}, now).from.toISOString(), "2026-05-31T00:00:00.000Z");
+});
+
+test("readRange refuses bad and oversized ranges", () => {
+    assert.deepEqual(analytics.readRange({from: "someday"}), {error: "from and to must be dates"});
+    assert.deepEqual(analytics.readRange({from: "2026-06-02", to: "2026-06-01"}), {error: "from must be before to"});
+    assert.deepEqual(analytics.readRange({from: "2024-01-01", to: "2026-06-01"}), {error: "The range can be at most 731 days"});
+});
+
+test("buckets splits short ranges into days from midnight to midnight", () => {
+    const {unit, buckets} = analytics.buckets(new Date(2026, 5, 1, 15), new Date(2026, 5, 4, 9));
+    assert.equal(unit, "day");
+    assert.deepEqual(buckets.map(({start, end}) => [start, end]), [
+        [new Date(2026, 5, 1, 15), new Date(2026, 5, 2)],
+        [new Date(2026, 5, 2), new Date(2026, 5, 3)],
+        [new Date(2026, 5, 3), new Date(2026, 5, 4)],
+        [new Date(2026, 5, 4), new Date(2026, 5, 4, 9)]
+    ]);
+});
+
+test("buckets uses weeks, then months, as the range grows", () => {
+    const weekly = analytics.buckets(new Date(2026, 0, 1), new Date(2026, 2, 1));
+    assert.equal(weekly.unit, "week");
+    assert.equal(weekly.buckets.length, 9);
+    const monthly = analytics.buckets(new Date(2026, 0, 15), new Date(2026, 11, 1));
+    assert.equal(monthly.unit, "month");
+    assert.deepEqual(monthly.buckets.slice(0, 2).map(({end}) => end), [new Date(2026, 1, 1), new Date(2026, 2, 1)]);
+    assert.equal(monthly.buckets.length, 11);
+    assert.equal(monthly.buckets.at(-1).end.getTime(), new Date(2026, 11, 1).getTime());
+});
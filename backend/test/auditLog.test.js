@@ -0,0 +1,69 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {PrismaClient} = require('@prisma/client');
+const auditLog = require('../services/auditLog');
+
+const prisma = new PrismaClient();
+
+beforeEach(() => {
+    fakePrisma.reset();
+});
+
+const req = {auth: {id: 3, utorid: "manager1", role: "manager"}, ip: "10.0.0.1"};
+
+test("diff lists the fields that changed", () => {
+    const date = new Date("2026-06-01T00:00:00Z");
+    assert.deepEqual(auditLog.diff({role: "regular", verified: false, lastLogin: date}, {role: "cashier", verified: false, lastLogin: new Date(date)}), {
+        role: {from: "regular", to: "cashier"}
+    });
+    assert.deepEqual(auditLog.diff(null, {name: "Summer"}), {name: {from: null, to: "Summer"}});
+    assert.deepEqual(auditLog.diff({name: "Summer"}, null), {name: {from: "Summer", to: null}});
+    assert.deepEqual(auditLog.diff({tags: ["a"]}, {tags: ["a"]}), {});
+});
+
+test("record writes who changed what", async () => {
+    const entry = await auditLog.record(req, {action: "user.update", targetType: "user", targetId: 7, before: {role: "regular"}, after: {role: "cashier"}});
+    assert.equal(entry.actorUtorid, "manager1");
+    assert.equal(entry.actorRole, "manager");
+    assert.equal(entry.targetId, "7");
+    assert.equal(entry.ip, "10.0.0.1");
+    assert.deepEqual(JSON.parse(entry.changes), {role: {from: "regular", to: "cashier"}});
+});
+
+test("record skips actions that changed nothing unless told to keep them", async () => {
+    assert.equal(await auditLog.record(req, {action: "user.update", targetType: "user", targetId: 7, before: {role: "regular"}, after: {role: "regular"}}), null);
+    const kept = await auditLog.record(req, {action: "transaction.export", targetType: "transaction", always: true});
+    assert.equal(kept.targetId, null);
+    assert.equal(fakePrisma.rows("auditLog").length, 1);
+});
+
+test("record writes with the transaction it is given", async () => {
+    await assert.rejects(prisma.$transaction(async (tx) => {
+        await auditLog.record(req, {action: "transaction.void", targetType: "transaction", targetId: 1, always: true}, tx);
+        throw new Error("void failed");
+    }), {message: "void failed"});
+    assert.deepEqual(fakePrisma.rows("auditLog"), []);
+});
+
+test("readQuery builds the filters and checks the paging", () => {
+    assert.deepEqual(auditLog.readQuery({}), {where: {}, page: 1, limit: 20});
+    const {where} = auditLog.readQuery({actor: "manager1", action: "user", targetId: 7, from: "2026-06-01"});
+    assert.deepEqual(where, {actorUtorid: "manager1", action: {startsWith: "user."}, targetId: "7", createdAt: {gte: new Date("2026-06-01")}});
+    assert.equal(auditLog.readQuery({action: "user.update"}).where.action, "user.update");
+    assert.deepEqual(auditLog.readQuery({to: "never"}), {error: "to must be a date"});
+    assert.deepEqual(auditLog.readQuery({page: "0"}), {error: "page must be a positive integer"});
+    assert.deepEqual(auditLog.readQuery({limit: "101"}), {error: "limit must be between 1 and 100"});
+});
+
+test("list pages entries newest first", async () => {
+    for(const action of ["user.update", "promotion.create", "user.delete"]) {
+        await auditLog.record(req, {action, targetType: action.split(".")[0], targetId: 1, always: true});
+    }
+    const page = await auditLog.list(auditLog.readQuery({action: "user", limit: "1"}));
+    assert.equal(page.count, 2);
+    assert.deepEqual(page.results.map(entry => [entry.action, entry.actor.utorid]), [["user.delete", "manager1"]]);
+    assert.deepEqual(page.results[0].changes, {});
+});
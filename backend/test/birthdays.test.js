@@ -0,0 +1,81 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const birthdays = require('../services/birthdays');
+
+process.env.FRAUD_RULES = "none";
+
+let member;
+
+beforeEach(() => {
+    fakePrisma.reset();
+    process.env.BIRTHDAY_REWARD = "points";
+    delete process.env.BIRTHDAY_BONUS_POINTS;
+    [member] = fakePrisma.seed("user", [
+        {utorid: "member01", name: "Member", email: "member01@mail.utoronto.ca", birthday: "2001-12-28"}
+    ]);
+});
+
+const balance = (user) => fakePrisma.rows("user").find(row => row.id === user.id).points;
+const on = (year, month, day) => new Date(year, month - 1, day, 10);
+
+test("validateBirthday wants a real past date", () => {
+    const now = on(2026, 6, 1);
+    assert.equal(birthdays.validateBirthday("2001-12-28", now), null);
+    assert.equal(birthdays.validateBirthday("28/12/2001", now), "Birthday must be a date in YYYY-MM-DD format");
+    assert.equal(birthdays.validateBirthday("2001-02-29", now), "Birthday is not a real date");
+    assert.equal(birthdays.validateBirthday("2027-01-01", now), "Birthday must be between 1900 and today");
+});
+
+test("a birthday is due for GRACE_DAYS days", () => {
+    assert.equal(birthdays.dueYear(member, on(2026, 12, 27)), null);
+    assert.equal(birthdays.dueYear(member, on(2026, 12, 28)), 2026);
+    assert.equal(birthdays.dueYear(member, on(2026, 12, 31)), 2026);
+    assert.equal(birthdays.isDue({...member, birthday: birthdays.NO_BIRTHDAY}, on(2026, 12, 28)), false);
+});
+
+test("a late December birthday is still due early in January", () => {
+    assert.equal(birthdays.dueYear(member, on(2027, 1, 2)), 2026);
+    assert.equal(birthdays.dueYear(member, on(2027, 1, 3)), 2026);
+    assert.equal(birthdays.dueYear(member, on(2027, 1, 4)), null);
+});
+
+test("members born on 29 February celebrate on the 28th in other years", () => {
+    const leapling = {...member, birthday: "2004-02-29"};
+    assert.equal(birthdays.dueYear(leapling, on(2027, 2, 28)), 2027);
+    assert.equal(birthdays.dueYear(leapling, on(2027, 2, 27)), null);
+});
+
+test("a birthday caught up in January is rewarded once, against the year it fell in", async () => {
+    const entry = await birthdays.rewardUser(member.id, on(2027, 1, 2));
+    assert.equal(entry.amount, 100);
+    assert.deepEqual(fakePrisma.rows("birthdayReward").map(row => [row.userId, row.year, row.transactionId]), [[member.id, 2026, entry.id]]);
+    assert.equal(await birthdays.rewardUser(member.id, on(2027, 1, 3)), null);
+    assert.equal(balance(member), 100);
+});
+
+test("a birthday rewarded in December isn't rewarded again in January", async () => {
+    await birthdays.rewardUser(member.id, on(2026, 12, 30));
+    assert.deepEqual(await birthdays.sweep(on(2027, 1, 2)), {rewarded: 0});
+    assert.equal(balance(member), 100);
+    assert.equal((await birthdays.status(member, on(2027, 1, 2))).rewarded, true);
+});
+
+test("the sweep rewards each due member once", async () => {
+    fakePrisma.seed("user", [
+        {utorid: "member02", name: "Later", email: "member02@mail.utoronto.ca", birthday: "2001-06-01"},
+        {utorid: "member03", name: "Unset", email: "member03@mail.utoronto.ca"}
+    ]);
+    process.env.BIRTHDAY_BONUS_POINTS = "25";
+    assert.deepEqual(await birthdays.sweep(on(2027, 1, 1)), {rewarded: 1});
+    assert.deepEqual(await birthdays.sweep(on(2027, 1, 1)), {rewarded: 0});
+    assert.equal(balance(member), 25);
+});
+
+test("the sweep does nothing when rewards are off", async () => {
+    process.env.BIRTHDAY_REWARD = "none";
+    assert.deepEqual(await birthdays.sweep(on(2026, 12, 28)), {rewarded: 0});
+    assert.deepEqual(fakePrisma.rows("transaction"), []);
+});
@@ -0,0 +1,53 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const earningRules = require('../services/earningRules');
+
+beforeEach(() => {
+    fakePrisma.reset();
+});
+
+const rule = (fields) => ({...earningRules.DEFAULT_RULE, createdBy: "manager1", ...fields});
+
+test("ruleAt records the default rule when none is in force", async () => {
+    const current = await earningRules.ruleAt();
+    assert.equal(current.pointsPerDollar, 4);
+    assert.equal(current.effectiveFrom.getTime(), 0);
+    assert.equal(current.createdBy, "system");
+    assert.equal((await earningRules.ruleAt()).id, current.id);
+    assert.equal(fakePrisma.rows("earningRule").length, 1);
+});
+
+test("ruleAt picks the latest version in force at the time", async () => {
+    const [old, current] = fakePrisma.seed("earningRule", [
+        rule({pointsPerDollar: 2, effectiveFrom: new Date("2025-01-01")}),
+        rule({pointsPerDollar: 5, effectiveFrom: new Date("2025-06-01")}),
+        rule({pointsPerDollar: 9, effectiveFrom: new Date(Date.now() + 24 * 60 * 60 * 1000)})
+    ]);
+    assert.equal((await earningRules.ruleAt()).id, current.id);
+    assert.equal((await earningRules.ruleAt(new Date("2025-03-01"))).id, old.id);
+});
+
+test("basePoints applies the minimum, the rounding and the multiplier", () => {
+    assert.equal(earningRules.basePoints(rule({}), 10.1), 41);
+    assert.equal(earningRules.basePoints(rule({rounding: "floor"}), 10.1), 40);
+    assert.equal(earningRules.basePoints(rule({rounding: "round", pointsPerDollar: 1}), 10.5, 1.5), 16);
+    assert.equal(earningRules.basePoints(rule({minSpent: 5}), 4.99), 0);
+});
+
+test("validateRule explains what is wrong", () => {
+    assert.equal(earningRules.validateRule(rule({})), null);
+    assert.equal(earningRules.validateRule(rule({pointsPerDollar: -1})), "pointsPerDollar must be a non-negative number");
+    assert.match(earningRules.validateRule(rule({rounding: "up"})), /^rounding must be one of ceil, floor, round/);
+    assert.equal(earningRules.validateRule(rule({minSpent: "5"})), "minSpent must be a non-negative number");
+    assert.equal(earningRules.validateRule(rule({maxPromotions: 1.5})), "maxPromotions must be a non-negative integer or null");
+    assert.equal(earningRules.validateRule(rule({effectiveFrom: "soon"})), "effectiveFrom must be a date");
+});
+
+test("describe marks the version in force", () => {
+    const [version] = fakePrisma.seed("earningRule", [rule({effectiveFrom: new Date(0)})]);
+    assert.equal(earningRules.describe(version, version.id).current, true);
+    assert.equal(earningRules.describe(version, version.id + 1).current, false);
+});
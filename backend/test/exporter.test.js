@@ -0,0 +1,96 @@
+'use strict'
+
+const {test} = require('node:test');
+const assert = require('node:assert/strict');
+const {EventEmitter} = require('events');
+const exporter = require('../services/exporter');
+
+// A response that keeps what was written. With `fullAt`, writing that chunk (counting from 1)
+// fills the buffer, as with a slow client.
+const response = (fullAt = 0) => {
+    const res = new EventEmitter();
+    res.chunks = [];
+    res.headers = {};
+    res.destroyed = false;
+    res.writableEnded = false;
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.set = (name, value) => {
+        res.headers[name] = value;
+        return res;
+    };
+    res.write = (chunk) => {
+        res.chunks.push(chunk);
+        return res.chunks.length !== fullAt;
+    };
+    res.end = () => {
+        res.writableEnded = true;
+    };
+    return res;
+};
+
+const rows = [
+    {id: 1, utorid: "member01", remark: "Lunch, with \"friends\"", tags: ["a", "b"], date: new Date("2026-06-01T10:00:00Z")},
+    {id: 2, utorid: "member02", remark: "=SUM(A1:A9)", tags: null, date: null}
+];
+
+test("readFormat defaults to csv and knows jsonl", () => {
+    assert.deepEqual(exporter.readFormat(undefined), {format: "csv"});
+    assert.deepEqual(exporter.readFormat("jsonl"), {format: "jsonl"});
+    assert.deepEqual(exporter.readFormat("xlsx"), {error: "format must be one of csv, jsonl"});
+});
+
+test("csvCell quotes, flattens and defuses cells", () => {
+    assert.equal(exporter.csvCell(null), "");
+    assert.equal(exporter.csvCell(42), "42");
+    assert.equal(exporter.csvCell(-5), "-5");
+    assert.equal(exporter.csvCell('say "hi", then\nleave'), '"say ""hi"", then\nleave"');
+    assert.equal(exporter.csvCell({a: 1}), '"{""a"":1}"');
+    assert.equal(exporter.csvCell(new Date("2026-06-01T10:00:00Z")), "2026-06-01T10:00:00.000Z");
+    assert.equal(exporter.csvCell("=1+1"), "'=1+1");
+    assert.equal(exporter.csvCell("-2"), "'-2");
+    assert.equal(exporter.csvCell("\tcmd"), "'\tcmd");
+    assert.equal(exporter.csvCell("\rcmd"), "\"'\rcmd\"");
+});
+
+test("send writes CSV with a header row and the chosen columns", async () => {
+    const res = response();
+    await exporter.send(res, {format: "csv", name: "transactions", columns: ["id", "remark", "tags"], rows});
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers["Content-Type"], "text/csv; charset=utf-8");
+    assert.match(res.headers["Content-Disposition"], /^attachment; filename="transactions-\d{4}-\d{2}-\d{2}\.csv"$/);
+    assert.equal(res.headers["X-Total-Count"], "2");
+    assert.equal(res.chunks.join(""), 'id,remark,tags\r\n1,"Lunch, with ""friends""","[""a"",""b""]"\r\n2,\'=SUM(A1:A9),\r\n');
+    assert.equal(res.writableEnded, true);
+});
+
+test("send writes JSON Lines as the rows are", async () => {
+    const res = response();
+    await exporter.send(res, {format: "jsonl", name: "users", columns: ["id"], rows});
+    const lines = res.chunks.join("").trim().split("\n").map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.utorid), ["member01", "member02"]);
+    assert.equal(lines[0].date, "2026-06-01T10:00:00.000Z");
+});
+
+test("send waits for a full buffer to drain", async () => {
+    const res = response(1);
+    const sending = exporter.send(res, {format: "csv", name: "users", columns: ["id"], rows});
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(res.chunks.length, 1);
+    res.emit("drain");
+    await sending;
+    assert.equal(res.chunks.length, 2);
+    assert.equal(res.writableEnded, true);
+});
+
+test("send stops when the client goes away", async () => {
+    const res = response(1);
+    const sending = exporter.send(res, {format: "csv", name: "users", columns: ["id"], rows});
+    await new Promise(resolve => setImmediate(resolve));
+    res.emit("close");
+    await sending;
+    assert.equal(res.chunks.length, 1);
+    assert.equal(res.writableEnded, false);
+});
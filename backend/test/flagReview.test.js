@@ -0,0 +1,169 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const flagReview = require('../services/flagReview');
+
+process.env.FRAUD_RULES = "none";
+
+let sender;
+let member;
+let manager;
+
+beforeEach(() => {
+    fakePrisma.reset();
+    [sender, member, manager] = fakePrisma.seed("user", [
+        {utorid: "sender01", name: "Sender", email: "sender01@mail.utoronto.ca", points: 80},
+        {utorid: "member01", name: "Member", email: "member01@mail.utoronto.ca", points: 100},
+        {utorid: "manager1", name: "Manager", email: "manager1@mail.utoronto.ca", role: "manager"}
+    ]);
+});
+
+const balance = (user) => fakePrisma.rows("user").find(row => row.id === user.id).points;
+const row = (id) => fakePrisma.rows("transaction").find(transaction => transaction.id === id);
+
+// A purchase for member01 that already credited them (unless withheld)
+const seedPurchase = (overrides = {}) => fakePrisma.seed("transaction", [{
+    type: "purchase",
+    spent: 10,
+    amount: 40,
+    createdBy: manager.utorid,
+    issuerId: manager.id,
+    receiverId: member.id,
+    ...overrides
+}])[0];
+
+// Both halves of a 20 point transfer from sender01 to member01, already applied
+const seedTransfer = (overrides = {}) => fakePrisma.seed("transaction", [
+    {type: "transfer", spent: 0, amount: -20, createdBy: sender.utorid, issuerId: sender.id, receiverId: sender.id, relatedId: member.id},
+    {type: "transfer", spent: 0, amount: 20, createdBy: sender.utorid, issuerId: sender.id, receiverId: member.id, relatedId: sender.id, ...overrides}
+]);
+
+test("flag queues a transaction for review without moving points", async () => {
+    const purchase = seedPurchase();
+    const flagged = await flagReview.flag(purchase.id, manager, "looks odd");
+    assert.equal(flagged.suspicious, true);
+    assert.equal(flagged.reviewStatus, "pending");
+    assert.equal(flagged.withheld, false);
+    assert.equal(flagged.suspiciousReason, "Flagged by manager1: looks odd");
+    assert.equal(balance(member), 100);
+    await assert.rejects(flagReview.flag(purchase.id, manager), {name: "LedgerError", status: 409});
+});
+
+test("approving a withheld purchase releases its points", async () => {
+    const purchase = seedPurchase({suspicious: true, withheld: true, reviewStatus: "pending"});
+    const {decided, clawbacks} = await flagReview.decide(purchase.id, "approve", "checked the receipt", manager);
+    assert.equal(decided[0].suspicious, false);
+    assert.equal(decided[0].withheld, false);
+    assert.equal(decided[0].reviewStatus, "approved");
+    assert.equal(decided[0].reviewNote, "checked the receipt");
+    assert.equal(decided[0].reviewedBy, "manager1");
+    assert.deepEqual(clawbacks, []);
+    assert.equal(balance(member), 140);
+});
+
+test("rejecting a withheld purchase keeps it withheld and claws nothing back", async () => {
+    const purchase = seedPurchase({suspicious: true, withheld: true, reviewStatus: "pending"});
+    const {decided, clawbacks} = await flagReview.decide(purchase.id, "reject", "no receipt", manager);
+    assert.equal(decided[0].suspicious, true);
+    assert.equal(decided[0].withheld, true);
+    assert.equal(decided[0].reviewStatus, "rejected");
+    assert.deepEqual(clawbacks, []);
+    assert.equal(balance(member), 100);
+});
+
+test("rejecting a credited transaction claws it back with a linked adjustment", async () => {
+    const purchase = seedPurchase({suspicious: true, reviewStatus: "pending"});
+    const {clawbacks, owing} = await flagReview.decide(purchase.id, "reject", "no receipt", manager);
+    assert.equal(clawbacks.length, 1);
+    assert.equal(clawbacks[0].type, "adjustment");
+    assert.equal(clawbacks[0].amount, -40);
+    assert.equal(clawbacks[0].relatedId, purchase.id);
+    assert.equal(clawbacks[0].remark, `Rejected #${purchase.id}: no receipt`);
+    assert.deepEqual(owing, []);
+    assert.equal(balance(member), 60);
+});
+
+test("rejecting one half of a transfer decides both and refunds the sender", async () => {
+    const [debit, credit] = seedTransfer({suspicious: true, reviewStatus: "pending"});
+    const {decided, clawbacks} = await flagReview.decide(credit.id, "reject", "circular", manager);
+    assert.deepEqual(decided.map(transaction => transaction.id), [credit.id, debit.id]);
+    assert.equal(row(debit.id).reviewStatus, "rejected");
+    assert.equal(clawbacks.length, 2);
+    assert.equal(balance(sender), 100);
+    assert.equal(balance(member), 80);
+});
+
+test("a clawback the receiver can't cover leaves them owing the rest", async () => {
+    // member01 was credited 40 and has since spent all but 10 points
+    fakePrisma.reset();
+    [member, manager] = fakePrisma.seed("user", [
+        {utorid: "member01", name: "Member", email: "member01@mail.utoronto.ca", points: 10},
+        {utorid: "manager1", name: "Manager", email: "manager1@mail.utoronto.ca", role: "manager"}
+    ]);
+    const purchase = seedPurchase({suspicious: true, reviewStatus: "pending"});
+    const {decided, clawbacks, owing} = await flagReview.decide(purchase.id, "reject", "no receipt", manager);
+    assert.equal(decided[0].reviewStatus, "rejected");
+    assert.equal(clawbacks[0].amount, -40);
+    assert.deepEqual(owing, [{userId: member.id, utorid: "member01", owed: 30}]);
+    assert.equal(balance(member), -30);
+});
+
+test("decide refuses transactions that aren't waiting for review", async () => {
+    const clean = seedPurchase();
+    const voided = seedPurchase({suspicious: true, reviewStatus: "pending", voided: true});
+    await assert.rejects(flagReview.decide(999, "approve", "note", manager), {name: "LedgerError", status: 404});
+    await assert.rejects(flagReview.decide(clean.id, "approve", "note", manager), {message: "Transaction is not waiting for review"});
+    await assert.rejects(flagReview.decide(voided.id, "reject", "note", manager), {message: "Voided transactions cannot be reviewed"});
+});
+
+test("rows flagged before reviews were recorded wait for the reconciliation", async () => {
+    // The old toggle already took the 40 points back from member01
+    const legacy = seedPurchase({suspicious: true, reviewStatus: null});
+    await assert.rejects(flagReview.decide(legacy.id, "reject", "old flag", manager), {name: "LedgerError", status: 409});
+    await assert.rejects(flagReview.decide(legacy.id, "approve", "old flag", manager), {name: "LedgerError", status: 409});
+    assert.equal(balance(member), 100);
+    assert.equal(fakePrisma.rows("transaction").length, 1);
+});
+
+test("a transfer whose other half was flagged before reviews waits for the reconciliation", async () => {
+    const [debit] = seedTransfer({suspicious: true, reviewStatus: null});
+    await flagReview.flag(debit.id, manager, "new flag");
+    await assert.rejects(flagReview.decide(debit.id, "reject", "note", manager), {status: 409});
+    assert.equal(balance(sender), 80);
+});
+
+test("approving a reconciled legacy row gives back what the old toggle took", async () => {
+    // As left by reconcile-balances --fix: withheld and pending
+    const legacy = seedPurchase({suspicious: true, withheld: true, reviewStatus: "pending"});
+    const {decided, clawbacks} = await flagReview.decide(legacy.id, "approve", "old flag", manager);
+    assert.equal(decided[0].reviewStatus, "approved");
+    assert.deepEqual(clawbacks, []);
+    assert.equal(balance(member), 140);
+});
+
+test("rejecting a reconciled legacy row doesn't take the points a second time", async () => {
+    const legacy = seedPurchase({suspicious: true, withheld: true, reviewStatus: "pending"});
+    const {clawbacks, owing} = await flagReview.decide(legacy.id, "reject", "old flag", manager);
+    assert.deepEqual(clawbacks, []);
+    assert.deepEqual(owing, []);
+    assert.equal(balance(member), 100);
+});
+
+test("a reconciled legacy transfer half is decided with its clean half", async () => {
+    // The old toggle flagged the recipient half, taking the 20 points back from member01
+    const [debit, credit] = seedTransfer({suspicious: true, withheld: true, reviewStatus: "pending"});
+    const {decided, clawbacks} = await flagReview.decide(credit.id, "reject", "circular", manager);
+    assert.deepEqual(decided.map(transaction => transaction.id), [credit.id, debit.id]);
+    assert.deepEqual(clawbacks.map(clawback => [clawback.receiverId, clawback.amount]), [[sender.id, 20]]);
+    assert.equal(balance(sender), 100);
+    assert.equal(balance(member), 100);
+});
+
+test("readQueueQuery defaults to pending and checks its parameters", () => {
+    assert.deepEqual(flagReview.readQueueQuery({}), {where: {reviewStatus: "pending", voided: false}, page: 1, limit: 10, status: "pending"});
+    assert.deepEqual(flagReview.readQueueQuery({status: "all", page: "2", limit: "5"}).where, {reviewStatus: {in: flagReview.STATUSES}});
+    assert.ok(flagReview.readQueueQuery({status: "open"}).error);
+    assert.ok(flagReview.readQueueQuery({page: "0"}).error);
+});
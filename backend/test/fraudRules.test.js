@@ -0,0 +1,83 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {PrismaClient} = require('@prisma/client');
+const fraudRules = require('../services/fraudRules');
+
+const prisma = new PrismaClient();
+const FRAUD_ENV = ["FRAUD_RULES", "FRAUD_TRANSFERS_PER_HOUR", "FRAUD_SPEND_MIN_HISTORY", "FRAUD_REPEAT_PURCHASES", "FRAUD_CIRCULAR_HOPS"];
+
+beforeEach(() => {
+    fakePrisma.reset();
+    FRAUD_ENV.forEach(name => delete process.env[name]);
+});
+
+// The sender's half of a transfer of `amount` points from `from` to `to`
+const sent = (from, to, amount = 10, fields = {}) => ({
+    type: "transfer", spent: 0, amount: -amount, createdBy: `user${from}`, issuerId: from, receiverId: from, relatedId: to, ...fields
+});
+
+const purchase = (spent, fields = {}) => ({
+    type: "purchase", spent, amount: spent * 4, createdBy: "cashier1", issuerId: 9, receiverId: 1, ...fields
+});
+
+// Seeds the row as if just written, then runs the rules on it
+const evaluate = async (row) => {
+    const [entry] = fakePrisma.seed("transaction", [row]);
+    return fraudRules.evaluate(prisma, entry);
+};
+
+test("transferVelocity flags a member sending too many transfers in an hour", async () => {
+    process.env.FRAUD_RULES = "transferVelocity";
+    process.env.FRAUD_TRANSFERS_PER_HOUR = "2";
+    fakePrisma.seed("transaction", [sent(1, 2), sent(1, 3), sent(1, 4, 10, {date: new Date(Date.now() - 2 * 60 * 60 * 1000)})]);
+    assert.deepEqual(await evaluate(sent(1, 5)), ["transferVelocity: 3 transfers sent in the last hour (limit 2)"]);
+});
+
+test("unusualSpend compares a purchase with the member's average once they have a history", async () => {
+    process.env.FRAUD_RULES = "unusualSpend";
+    process.env.FRAUD_SPEND_MIN_HISTORY = "3";
+    fakePrisma.seed("transaction", [purchase(10), purchase(10)]);
+    // Too little history to judge
+    assert.deepEqual(await evaluate(purchase(100)), []);
+    fakePrisma.seed("transaction", [purchase(10, {receiverId: 2}), purchase(500, {voided: true})]);
+    // The average is now (10 + 10 + 100) / 3; other members and voided purchases don't count
+    assert.deepEqual(await evaluate(purchase(250)), ["unusualSpend: Spent $250.00, over 5x the member's average of $40.00"]);
+});
+
+test("cashierRepeat flags a staff member ringing up one member too often", async () => {
+    process.env.FRAUD_RULES = "cashierRepeat";
+    process.env.FRAUD_REPEAT_PURCHASES = "2";
+    fakePrisma.seed("transaction", [purchase(5), purchase(5, {issuerId: 8})]);
+    assert.deepEqual(await evaluate(purchase(5)), []);
+    assert.deepEqual(await evaluate(purchase(5)), ["cashierRepeat: 3 purchases for this member by cashier1 in the last hour (limit 2)"]);
+});
+
+test("circularTransfer follows transfers back to the sender", async () => {
+    process.env.FRAUD_RULES = "circularTransfer";
+    // 2 sent on to 3, and 3 back to 1
+    fakePrisma.seed("transaction", [sent(2, 3), sent(3, 1)]);
+    assert.deepEqual(await evaluate(sent(1, 2)), ["circularTransfer: Points sent back to the sender through 2 transfers in the last 24 hours"]);
+    process.env.FRAUD_CIRCULAR_HOPS = "1";
+    assert.deepEqual(await evaluate(sent(1, 2)), []);
+});
+
+test("only the enabled rules for the row's type run", async () => {
+    process.env.FRAUD_RULES = "none";
+    process.env.FRAUD_TRANSFERS_PER_HOUR = "1";
+    fakePrisma.seed("transaction", [sent(1, 2), sent(1, 3)]);
+    assert.deepEqual(await evaluate(sent(1, 4)), []);
+    process.env.FRAUD_RULES = "transferVelocity, cashierRepeat";
+    assert.deepEqual(await evaluate(purchase(5)), []);
+    assert.equal((await evaluate(sent(1, 4))).length, 1);
+});
+
+test("register adds a rule and refuses duplicate names", async () => {
+    fraudRules.register({name: "roundAmounts", types: ["purchase"], check: async (tx, entry) => entry.spent % 100 === 0 ? "Round amount" : null});
+    process.env.FRAUD_RULES = "roundAmounts";
+    assert.deepEqual(await evaluate(purchase(200)), ["roundAmounts: Round amount"]);
+    assert.throws(() => fraudRules.register({name: "roundAmounts", types: [], check: async () => null}), {message: "A fraud rule named roundAmounts is already registered"});
+    fraudRules.rules.pop();
+});
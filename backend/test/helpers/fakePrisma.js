@@ -0,0 +1,310 @@
+'use strict'
+
+const Module = require('module');
+
+/*
+ * In-memory stand-in for @prisma/client, so services can be tested without a database or a
+ * generated client. Requiring this file makes every `new PrismaClient()` share one store;
+ * require it before the modules under test. It covers the query shapes the services use:
+ * where filters (equals, not, in, gt/gte/lt/lte, startsWith, OR/AND, compound unique keys such
+ * as userId_key), orderBy, skip/take,
+ * select, include of a Transaction's receiver/issuer, increment/decrement updates, unique
+ * constraints (P2002), and $transaction, which rolls the store back when the work throws.
+ */
+
+// Column defaults, as in schema.prisma, for the models the tests write
+const DEFAULTS = {
+    user: () => ({
+        role: "regular", points: 0, birthday: "1111-11-11", createdAt: new Date(), lastLogin: new Date(),
+        verified: false, avatarURL: "", suspicious: false, activated: false
+    }),
+    transaction: () => ({
+        type: "purchase", processed: null, remark: "", date: new Date(), suspicious: false,
+        processedBy: null, relatedId: null, eventId: null, voided: false, voidedBy: null,
+        voidedAt: null, voidId: null, cancelled: false, cancelReason: null, cancelledAt: null,
+        expiresAt: null, reserved: false, earningRuleId: null, batchId: null,
+        suspiciousReason: null, withheld: false, reviewStatus: null, reviewNote: null,
+        reviewedBy: null, reviewedAt: null
+    }),
+    auditLog: () => ({targetId: null, ip: null, createdAt: new Date()}),
+    idempotencyKey: () => ({status: null, response: null, createdAt: new Date()})
+};
+
+// Unique constraints, as in schema.prisma, for the models the tests write
+const UNIQUE = {
+    user: [["utorid"], ["email"]],
+    qrTokenUse: [["jti"]],
+    idempotencyKey: [["userId", "key"]],
+    birthdayReward: [["userId", "year"]]
+};
+
+// Relations the tests include, as {model: {relation: [related model, foreign key]}}
+const RELATIONS = {
+    transaction: {receiver: ["user", "receiverId"], issuer: ["user", "issuerId"]}
+};
+
+let tables = {};
+let ids = {};
+// Answers $queryRaw as (sql with ? for each value, values); raw SQL is up to each test
+let rawQuery = null;
+
+const reset = () => {
+    tables = {};
+    ids = {};
+};
+
+const table = (name) => {
+    if(!tables[name]) {
+        tables[name] = [];
+    }
+    return tables[name];
+};
+
+const comparable = (value) => value instanceof Date ? value.getTime() : value;
+
+const matchesValue = (value, condition) => {
+    if(condition === null || typeof condition !== "object" || condition instanceof Date) {
+        return comparable(value ?? null) === comparable(condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch(operator) {
+            case "equals": return matchesValue(value, operand);
+            case "not": return !matchesValue(value, operand);
+            case "in": return operand.some(item => matchesValue(value, item));
+            case "notIn": return !operand.some(item => matchesValue(value, item));
+            case "gt": return value !== null && comparable(value) > comparable(operand);
+            case "gte": return value !== null && comparable(value) >= comparable(operand);
+            case "lt": return value !== null && comparable(value) < comparable(operand);
+            case "lte": return value !== null && comparable(value) <= comparable(operand);
+            case "startsWith": return typeof value === "string" && value.startsWith(operand);
+            // List relations connected when the row was created
+            case "some": return Array.isArray(value) && value.some(item => matches(item, operand));
+            default: throw new Error(`fakePrisma: unsupported filter ${operator}`);
+        }
+    });
+};
+
+const matches = (row, where = {}) => Object.entries(where).every(([field, condition]) => {
+    if(condition === undefined) {
+        return true;
+    }
+    if(field === "OR") {
+        return condition.some(part => matches(row, part));
+    }
+    if(field === "AND") {
+        return [].concat(condition).every(part => matches(row, part));
+    }
+    if(field === "NOT") {
+        return ![].concat(condition).some(part => matches(row, part));
+    }
+    if(!(field in row) && field.includes("_") && condition && typeof condition === "object") {
+        return matches(row, condition);
+    }
+    return matchesValue(row[field], condition);
+});
+
+const ordered = (rows, orderBy) => {
+    const keys = [].concat(orderBy || []).flatMap(entry => Object.entries(entry));
+    return [...rows].sort((a, b) => {
+        for(const [field, direction] of keys) {
+            const x = comparable(a[field]);
+            const y = comparable(b[field]);
+            if(x !== y) {
+                return (x < y ? -1 : 1) * (direction === "desc" ? -1 : 1);
+            }
+        }
+        return 0;
+    });
+};
+
+// A copy of a row shaped by select/include, so callers never hold the stored object
+const shaped = (name, row, {select, include} = {}) => {
+    const related = (relation, options) => {
+        const link = (RELATIONS[name] || {})[relation];
+        if(!link) {
+            return [];
+        }
+        const [model, key] = link;
+        const target = table(model).find(candidate => candidate.id === row[key]);
+        return target ? shaped(model, target, options === true ? {} : options) : null;
+    };
+    if(select) {
+        const result = {};
+        Object.entries(select).forEach(([field, option]) => {
+            if(option) {
+                result[field] = field in row ? row[field] : related(field, option);
+            }
+        });
+        return result;
+    }
+    const result = {...row};
+    Object.entries(include || {}).forEach(([relation, option]) => {
+        if(option) {
+            result[relation] = related(relation, option);
+        }
+    });
+    return result;
+};
+
+// Scalar fields of a write; nested relation writes (connect, disconnect) are left out
+const scalars = (data) => Object.fromEntries(Object.entries(data).filter(([, value]) =>
+    value !== undefined
+    && !(value && typeof value === "object" && !(value instanceof Date) && !("increment" in value) && !("decrement" in value))));
+
+const applyUpdate = (row, data) => {
+    Object.entries(scalars(data)).forEach(([field, value]) => {
+        if(value && typeof value === "object" && "increment" in value) {
+            row[field] += value.increment;
+        } else if(value && typeof value === "object" && "decrement" in value) {
+            row[field] -= value.decrement;
+        } else {
+            row[field] = value;
+        }
+    });
+    return row;
+};
+
+// List relations a create connects, kept on the row as arrays of {id} for `some` filters
+const connected = (data) => Object.fromEntries(Object.entries(data)
+    .filter(([, value]) => value && typeof value === "object" && value.connect)
+    .map(([field, value]) => [field, [].concat(value.connect).map(({id}) => ({id}))]));
+
+const insert = (name, data) => {
+    const fields = scalars(data);
+    for(const columns of UNIQUE[name] || []) {
+        if(table(name).some(row => columns.every(column => row[column] === fields[column]))) {
+            throw Object.assign(new Error(`Unique constraint failed on ${columns.join(", ")}`), {code: "P2002"});
+        }
+    }
+    ids[name] = (ids[name] || 0) + 1;
+    const row = {...(DEFAULTS[name] ? DEFAULTS[name]() : {}), id: ids[name], ...fields, ...connected(data)};
+    table(name).push(row);
+    return row;
+};
+
+const notFound = () => Object.assign(new Error("Record to update not found."), {code: "P2025"});
+
+const model = (name) => ({
+    findUnique: async ({where, ...options}) => {
+        const row = table(name).find(candidate => matches(candidate, where));
+        return row ? shaped(name, row, options) : null;
+    },
+    findFirst: async ({where, orderBy, ...options} = {}) => {
+        const row = ordered(table(name).filter(candidate => matches(candidate, where)), orderBy)[0];
+        return row ? shaped(name, row, options) : null;
+    },
+    findMany: async ({where, orderBy, skip = 0, take, ...options} = {}) => {
+        const rows = ordered(table(name).filter(candidate => matches(candidate, where)), orderBy);
+        return rows.slice(skip, take === undefined ? undefined : skip + take).map(row => shaped(name, row, options));
+    },
+    count: async ({where} = {}) => table(name).filter(candidate => matches(candidate, where)).length,
+    aggregate: async ({where, _sum = {}, _avg = {}, _count} = {}) => {
+        const rows = table(name).filter(candidate => matches(candidate, where));
+        const total = (field) => rows.reduce((sum, row) => sum + (row[field] || 0), 0);
+        const sums = {};
+        Object.keys(_sum).forEach(field => {
+            sums[field] = rows.length === 0 ? null : total(field);
+        });
+        const averages = {};
+        Object.keys(_avg).forEach(field => {
+            averages[field] = rows.length === 0 ? null : total(field) / rows.length;
+        });
+        return {_sum: sums, _avg: averages, _count: _count ? {_all: rows.length} : undefined};
+    },
+    create: async ({data, ...options}) => shaped(name, insert(name, data), options),
+    createMany: async ({data}) => {
+        data.forEach(row => insert(name, row));
+        return {count: data.length};
+    },
+    update: async ({where, data, ...options}) => {
+        const row = table(name).find(candidate => matches(candidate, where));
+        if(!row) {
+            throw notFound();
+        }
+        return shaped(name, applyUpdate(row, data), options);
+    },
+    delete: async ({where}) => {
+        const row = table(name).find(candidate => matches(candidate, where));
+        if(!row) {
+            throw notFound();
+        }
+        tables[name] = table(name).filter(candidate => candidate !== row);
+        return {...row};
+    },
+    updateMany: async ({where, data}) => {
+        const rows = table(name).filter(candidate => matches(candidate, where));
+        rows.forEach(row => applyUpdate(row, data));
+        return {count: rows.length};
+    },
+    deleteMany: async ({where} = {}) => {
+        const kept = table(name).filter(candidate => !matches(candidate, where));
+        const count = table(name).length - kept.length;
+        tables[name] = kept;
+        return {count};
+    }
+});
+
+const client = new Proxy({}, {
+    get: (target, property) => {
+        if(property === "$transaction") {
+            return async (work) => {
+                if(Array.isArray(work)) {
+                    return Promise.all(work);
+                }
+                const saved = structuredClone({tables, ids});
+                try {
+                    return await work(client);
+                } catch (error) {
+                    ({tables, ids} = saved);
+                    throw error;
+                }
+            };
+        }
+        if(property === "$queryRaw") {
+            return async (strings, ...values) => {
+                if(!rawQuery) {
+                    throw new Error("fakePrisma: no handler for $queryRaw");
+                }
+                return rawQuery(strings.join("?"), values);
+            };
+        }
+        if(property === "$connect" || property === "$disconnect") {
+            return async () => {};
+        }
+        if(typeof property !== "string" || property === "then") {
+            return undefined;
+        }
+        return model(property);
+    }
+});
+
+class PrismaClient {
+    constructor() {
+        return client;
+    }
+}
+
+const load = Module._load;
+Module._load = function (request, ...rest) {
+    if(request === "@prisma/client") {
+        return {PrismaClient, Prisma: {join: (values) => values}};
+    }
+    return load.call(this, request, ...rest);
+};
+
+// Stores rows directly, with the model's defaults; returns copies
+const seed = (name, rows) => rows.map(row => ({...insert(name, row)}));
+
+// The stored rows of a model, as copies
+const rows = (name) => table(name).map(row => ({...row}));
+
+const onQueryRaw = (handler) => {
+    rawQuery = handler;
+};
+
+module.exports = {
+    reset,
+    seed,
+    rows,
+    onQueryRaw
+};
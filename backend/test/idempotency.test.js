@@ -0,0 +1,105 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {EventEmitter} = require('events');
+const idempotency = require('../middleware/idempotency');
+
+beforeEach(() => {
+    fakePrisma.reset();
+});
+
+const request = (key, body = {utorid: "member01", amount: 5}) => ({
+    get: (name) => name === "Idempotency-Key" ? key : undefined,
+    auth: {id: 1},
+    method: "POST",
+    baseUrl: "/transactions",
+    path: "/",
+    body
+});
+
+// A response that records what was sent; `sent` resolves with {status, body, headers}
+const response = () => {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.headers = {};
+    res.sent = new Promise(resolve => {
+        res.json = (body) => {
+            resolve({status: res.statusCode, body, headers: res.headers});
+            return res;
+        };
+    });
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.set = (name, value) => {
+        res.headers[name] = value;
+        return res;
+    };
+    return res;
+};
+
+// Runs the middleware, then `handler` if it calls next; resolves with what was sent
+const run = async (req, handler) => {
+    const res = response();
+    await idempotency(req, res, () => handler(req, res));
+    return res.sent;
+};
+
+const create = (req, res) => res.status(201).json({id: 7});
+
+test("requests without a key go straight to the handler", async () => {
+    const sent = await run(request(undefined), create);
+    assert.equal(sent.status, 201);
+    assert.deepEqual(fakePrisma.rows("idempotencyKey"), []);
+});
+
+test("a malformed key is refused", async () => {
+    const sent = await run(request("short"), create);
+    assert.equal(sent.status, 400);
+});
+
+test("repeating a successful request replays its response", async () => {
+    let calls = 0;
+    const handler = (req, res) => {
+        calls += 1;
+        create(req, res);
+    };
+    await run(request("submit-0001"), handler);
+    const replay = await run(request("submit-0001"), handler);
+    assert.equal(calls, 1);
+    assert.equal(replay.status, 201);
+    assert.deepEqual(replay.body, {id: 7});
+    assert.equal(replay.headers["Idempotent-Replayed"], "true");
+});
+
+test("a key reused for a different request is refused", async () => {
+    await run(request("submit-0001"), create);
+    const sent = await run(request("submit-0001", {utorid: "member01", amount: 6}), create);
+    assert.equal(sent.status, 422);
+});
+
+test("a key still being processed is refused", async () => {
+    const first = response();
+    await idempotency(request("submit-0001"), first, () => {});
+    const sent = await run(request("submit-0001"), create);
+    assert.equal(sent.status, 409);
+});
+
+test("a failed request still answers and frees its key for a retry", async () => {
+    const failed = await run(request("submit-0001"), (req, res) => res.status(400).json({"Message": "Insufficient points"}));
+    assert.equal(failed.status, 400);
+    assert.deepEqual(fakePrisma.rows("idempotencyKey"), []);
+    const retried = await run(request("submit-0001"), create);
+    assert.equal(retried.status, 201);
+});
+
+test("a handler that never answers frees its key when the connection closes", async () => {
+    const res = response();
+    await idempotency(request("submit-0001"), res, () => {});
+    res.emit("close");
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(fakePrisma.rows("idempotencyKey"), []);
+});
@@ -0,0 +1,123 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const fraudRules = require('../services/fraudRules');
+const ledger = require('../services/ledger');
+
+// Only the rule registered here runs: it flags purchases remarked "flag me"
+fraudRules.register({
+    name: "testRemark",
+    types: ["purchase"],
+    check: async (tx, entry) => entry.remark === "flag me" ? "remarked for the test" : null
+});
+process.env.FRAUD_RULES = "testRemark";
+
+let member;
+let cashier;
+
+beforeEach(() => {
+    fakePrisma.reset();
+    [member, cashier] = fakePrisma.seed("user", [
+        {utorid: "member01", name: "Member", email: "member01@mail.utoronto.ca", points: 100},
+        {utorid: "cashier1", name: "Cashier", email: "cashier1@mail.utoronto.ca", role: "cashier"}
+    ]);
+});
+
+const balance = (user) => fakePrisma.rows("user").find(row => row.id === user.id).points;
+
+const purchase = (overrides = {}) => ({
+    type: "purchase",
+    spent: 10,
+    amount: 40,
+    createdBy: cashier.utorid,
+    issuerId: cashier.id,
+    receiverId: member.id,
+    ...overrides
+});
+
+test("entryEffects follows the sign rules", () => {
+    assert.deepEqual(ledger.entryEffects({type: "purchase", amount: 40, receiverId: 1}), [{userId: 1, delta: 40}]);
+    assert.deepEqual(ledger.entryEffects({type: "purchase", amount: 40, receiverId: 1, withheld: true}), []);
+    assert.deepEqual(ledger.entryEffects({type: "adjustment", amount: -5, receiverId: 1}), [{userId: 1, delta: -5}]);
+    assert.deepEqual(ledger.entryEffects({type: "transfer", amount: -20, issuerId: 2, receiverId: 2, relatedId: 1}), [{userId: 2, delta: -20}]);
+    assert.deepEqual(ledger.entryEffects({type: "transfer", amount: 20, issuerId: 2, receiverId: 1, relatedId: 2}), [{userId: 1, delta: 20}]);
+    assert.deepEqual(ledger.entryEffects({type: "expiry", amount: 7, receiverId: 1}), [{userId: 1, delta: -7}]);
+});
+
+test("entryEffects only deducts a redemption once it is processed or reserved", () => {
+    const redemption = {type: "redemption", amount: 30, receiverId: 1, processed: false};
+    assert.deepEqual(ledger.entryEffects(redemption), []);
+    assert.deepEqual(ledger.entryEffects({...redemption, reserved: true}), [{userId: 1, delta: -30}]);
+    assert.deepEqual(ledger.entryEffects({...redemption, reserved: true, cancelled: true}), []);
+    assert.deepEqual(ledger.entryEffects({...redemption, processed: true}), [{userId: 1, delta: -30}]);
+});
+
+test("mergeChanges nets changes per user and drops zeroes", () => {
+    const merged = ledger.mergeChanges([{userId: 1, delta: 5}, {userId: 2, delta: 3}], [{userId: 1, delta: -5}, {userId: 2, delta: 1}]);
+    assert.deepEqual(merged, [{userId: 2, delta: 4}]);
+});
+
+test("createEntry writes the row and credits the receiver", async () => {
+    const created = await ledger.post((tx) => ledger.createEntry(tx, purchase()));
+    assert.equal(created.suspicious, false);
+    assert.equal(created.withheld, false);
+    assert.equal(balance(member), 140);
+});
+
+test("createEntry withholds a purchase the fraud rules flag", async () => {
+    const created = await ledger.post((tx) => ledger.createEntry(tx, purchase({remark: "flag me"})));
+    assert.equal(created.suspicious, true);
+    assert.equal(created.withheld, true);
+    assert.equal(created.reviewStatus, "pending");
+    assert.match(created.suspiciousReason, /testRemark: remarked for the test/);
+    assert.equal(balance(member), 100);
+});
+
+test("createEntry queues a suspicious issuer's adjustment for review but still applies it", async () => {
+    const created = await ledger.post((tx) => ledger.createEntry(tx, purchase({type: "adjustment", spent: 0, amount: 25, suspicious: true})));
+    assert.equal(created.reviewStatus, "pending");
+    assert.equal(created.withheld, false);
+    assert.equal(created.suspiciousReason, "Issued by an account flagged as suspicious");
+    assert.equal(balance(member), 125);
+});
+
+test("createEntry keeps withheld set by the caller", async () => {
+    const created = await ledger.post((tx) => ledger.createEntry(tx, purchase({suspicious: true, withheld: true})));
+    assert.equal(created.withheld, true);
+    assert.equal(balance(member), 100);
+});
+
+test("a debit beyond the balance is refused and nothing is written", async () => {
+    await assert.rejects(
+        ledger.post((tx) => ledger.createEntry(tx, purchase({type: "adjustment", spent: 0, amount: -150}))),
+        {name: "LedgerError", message: "Insufficient points"}
+    );
+    assert.equal(balance(member), 100);
+    assert.equal(fakePrisma.rows("transaction").length, 0);
+});
+
+test("allowNegative lets a debit take the balance below zero", async () => {
+    await ledger.post((tx) => ledger.createEntry(tx, purchase({type: "adjustment", spent: 0, amount: -150}), undefined, {allowNegative: true}));
+    assert.equal(balance(member), -50);
+});
+
+test("updateEntry applies the difference between the old and new effects", async () => {
+    const created = await ledger.post((tx) => ledger.createEntry(tx, purchase({remark: "flag me"})));
+    const released = await ledger.post((tx) => ledger.updateEntry(tx, created.id, {withheld: false}, {expected: {withheld: true}}));
+    assert.equal(released.withheld, false);
+    assert.equal(balance(member), 140);
+});
+
+test("updateEntry reports a conflict when the row no longer matches", async () => {
+    const created = await ledger.post((tx) => ledger.createEntry(tx, purchase()));
+    await assert.rejects(
+        ledger.post((tx) => ledger.updateEntry(tx, created.id, {voided: true}, {expected: {voided: true}})),
+        {name: "LedgerError", status: 409}
+    );
+    await assert.rejects(
+        ledger.post((tx) => ledger.updateEntry(tx, created.id + 1, {voided: true})),
+        {name: "LedgerError", status: 404}
+    );
+});
@@ -0,0 +1,114 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {PrismaClient} = require('@prisma/client');
+const pointsExpiry = require('../services/pointsExpiry');
+
+process.env.FRAUD_RULES = "none";
+
+const prisma = new PrismaClient();
+const now = new Date("2026-06-01T12:00:00Z");
+const monthsAgo = (months) => {
+    const date = new Date(now);
+    date.setMonth(date.getMonth() - months);
+    return date;
+};
+
+let member;
+let cashier;
+
+beforeEach(() => {
+    fakePrisma.reset();
+    process.env.POINTS_EXPIRY_MONTHS = "12";
+    [member, cashier] = fakePrisma.seed("user", [
+        {utorid: "member01", name: "Member", email: "member01@mail.utoronto.ca", createdAt: monthsAgo(24), lastLogin: monthsAgo(13)},
+        {utorid: "cashier1", name: "Cashier", email: "cashier1@mail.utoronto.ca", role: "cashier"}
+    ]);
+});
+
+const balance = (user) => fakePrisma.rows("user").find(row => row.id === user.id).points;
+const setBalance = (points) => prisma.user.update({where: {id: member.id}, data: {points}});
+
+// A credit to member01 rung up by the cashier
+const credit = (amount, date, fields = {}) => ({
+    type: "purchase", spent: amount / 4, amount, date, createdBy: cashier.utorid, issuerId: cashier.id, receiverId: member.id, ...fields
+});
+
+// A redemption request by member01 that reserved its points
+const redemption = (amount, date, fields = {}) => ({
+    type: "redemption", spent: 0, amount, date, reserved: true, createdBy: member.utorid, issuerId: member.id, receiverId: member.id, ...fields
+});
+
+test("openCredits spends the oldest credits first", async () => {
+    fakePrisma.seed("transaction", [
+        credit(40, monthsAgo(14)),
+        credit(30, monthsAgo(6)),
+        redemption(50, monthsAgo(5), {processed: true})
+    ]);
+    const credits = await pointsExpiry.openCredits(prisma, member.id);
+    assert.deepEqual(credits.map(open => [open.date.getTime(), open.remaining]), [[monthsAgo(6).getTime(), 20]]);
+});
+
+test("under the earned policy only credits older than the period expire", async () => {
+    process.env.POINTS_EXPIRY_POLICY = "earned";
+    fakePrisma.seed("transaction", [credit(40, monthsAgo(14)), credit(30, monthsAgo(6))]);
+    const user = await setBalance(70);
+    assert.equal(await pointsExpiry.dueFor(prisma, user, now), 40);
+    const entry = await pointsExpiry.expireUser(member.id, now);
+    assert.equal(entry.type, "expiry");
+    assert.equal(entry.amount, -40);
+    assert.equal(balance(member), 30);
+    assert.equal(await pointsExpiry.expireUser(member.id, now), null);
+});
+
+test("points held by a pending redemption don't expire", async () => {
+    process.env.POINTS_EXPIRY_POLICY = "earned";
+    fakePrisma.seed("transaction", [credit(40, monthsAgo(14)), redemption(25, monthsAgo(1))]);
+    const user = await setBalance(15);
+    assert.equal(await pointsExpiry.dueFor(prisma, user, now), 15);
+});
+
+test("a cancelled redemption's points keep the date they were earned on", async () => {
+    process.env.POINTS_EXPIRY_POLICY = "earned";
+    fakePrisma.seed("transaction", [credit(40, monthsAgo(14)), redemption(25, monthsAgo(1), {cancelled: true})]);
+    const user = await setBalance(40);
+    assert.equal(await pointsExpiry.dueFor(prisma, user, now), 40);
+});
+
+test("lastActive is the later of the last login and the latest transaction", async () => {
+    assert.equal((await pointsExpiry.lastActive(prisma, member)).getTime(), monthsAgo(13).getTime());
+    fakePrisma.seed("transaction", [credit(10, monthsAgo(2))]);
+    assert.equal((await pointsExpiry.lastActive(prisma, member)).getTime(), monthsAgo(2).getTime());
+    assert.equal((await pointsExpiry.lastActive(prisma, {...member, lastLogin: null, createdAt: monthsAgo(1)})).getTime(), monthsAgo(1).getTime());
+});
+
+test("under the inactivity policy a recent transaction keeps the balance", async () => {
+    process.env.POINTS_EXPIRY_POLICY = "inactivity";
+    const user = await setBalance(70);
+    assert.equal(await pointsExpiry.dueFor(prisma, user, now), 70);
+    fakePrisma.seed("transaction", [credit(10, monthsAgo(3))]);
+    assert.equal(await pointsExpiry.dueFor(prisma, user, now), 0);
+    // 12 months after that transaction
+    assert.equal((await pointsExpiry.nextExpiry(user)).expiresAt.getTime(), monthsAgo(-9).getTime());
+});
+
+test("bonuses the system posts on its own are not activity", async () => {
+    process.env.POINTS_EXPIRY_POLICY = "inactivity";
+    fakePrisma.seed("transaction", [
+        {type: "birthday", spent: 0, amount: 100, date: monthsAgo(1), createdBy: "system", issuerId: member.id, receiverId: member.id}
+    ]);
+    const user = await setBalance(100);
+    assert.equal(await pointsExpiry.dueFor(prisma, user, now), 100);
+});
+
+test("under the inactivity policy a pending redemption's held points stay held", async () => {
+    process.env.POINTS_EXPIRY_POLICY = "inactivity";
+    fakePrisma.seed("transaction", [redemption(25, monthsAgo(13))]);
+    await setBalance(45);
+    const entry = await pointsExpiry.expireUser(member.id, now);
+    assert.equal(entry.amount, -45);
+    assert.equal(balance(member), 0);
+    assert.equal(fakePrisma.rows("transaction")[0].cancelled, false);
+});
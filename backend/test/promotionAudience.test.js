@@ -0,0 +1,66 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const promotionAudience = require('../services/promotionAudience');
+
+let member;
+
+beforeEach(() => {
+    fakePrisma.reset();
+    [member] = fakePrisma.seed("user", [{
+        utorid: "member01", name: "Member", email: "member01@mail.utoronto.ca", points: 300,
+        birthday: "2001-03-15", createdAt: new Date("2026-02-20T12:00:00Z")
+    }]);
+});
+
+const now = new Date("2026-03-02T12:00:00Z");
+const aimedAt = (audience) => ({audience: audience ? JSON.stringify(audience) : null});
+const matches = (audience, user = member) => promotionAudience.matches(aimedAt(audience), promotionAudience.memberFor(user), now);
+
+test("readAudience keeps the criteria it knows and serializes them", () => {
+    assert.deepEqual(promotionAudience.readAudience({}), {data: {}});
+    assert.deepEqual(promotionAudience.readAudience({audience: null}), {data: {audience: null}});
+    assert.deepEqual(promotionAudience.readAudience({audience: {}}), {data: {audience: null}});
+    assert.deepEqual(promotionAudience.readAudience({audience: {tiers: [" Gold "], birthdayMonth: false, minPoints: 10}}), {data: {audience: '{"tiers":["Gold"],"minPoints":10}'}});
+});
+
+test("readAudience explains what is wrong", () => {
+    assert.deepEqual(promotionAudience.readAudience({audience: []}), {error: "audience must be an object or null"});
+    assert.deepEqual(promotionAudience.readAudience({audience: {vip: true}}), {error: "Unknown audience criteria: vip"});
+    assert.match(promotionAudience.readAudience({audience: {roles: ["admin"]}}).error, /^audience.roles must list roles/);
+    assert.deepEqual(promotionAudience.readAudience({audience: {eventIds: [0]}}), {error: "audience.eventIds must be a list of event ids"});
+    assert.deepEqual(promotionAudience.readAudience({audience: {minPoints: 10, maxPoints: 5}}), {error: "audience.minPoints cannot be more than audience.maxPoints"});
+});
+
+test("a promotion without an audience is for everyone", async () => {
+    assert.equal(await matches(null), true);
+    assert.equal(await promotionAudience.matches({audience: "not json"}, promotionAudience.memberFor(member), now), true);
+});
+
+test("a member must match every criterion", async () => {
+    assert.equal(await matches({roles: ["regular"], utorids: ["member01"]}), true);
+    assert.equal(await matches({roles: ["regular"], utorids: ["member02"]}), false);
+    assert.equal(await matches({minPoints: 300, maxPoints: 300}), true);
+    assert.equal(await matches({minPoints: 301}), false);
+    assert.equal(await matches({newWithinDays: 10}), true);
+    assert.equal(await matches({newWithinDays: 5}), false);
+});
+
+test("birthdayMonth matches members whose birthday month it is", async () => {
+    assert.equal(await matches({birthdayMonth: true}), true);
+    assert.equal(await matches({birthdayMonth: true}, {...member, birthday: "2001-04-15"}), false);
+    assert.equal(await matches({birthdayMonth: true}, {...member, birthday: "1111-11-11"}), false);
+});
+
+test("tiers are matched by the member's current tier", async () => {
+    assert.equal(await matches({tiers: ["Bronze"]}), true);
+    assert.equal(await matches({tiers: ["Gold"]}), false);
+});
+
+test("eventIds matches members who attended any of the events", async () => {
+    const attendee = {user: member, tier: async () => "Bronze", attendedEventIds: async () => [4, 9]};
+    assert.equal(await promotionAudience.matches(aimedAt({eventIds: [1, 9]}), attendee, now), true);
+    assert.equal(await promotionAudience.matches(aimedAt({eventIds: [1, 2]}), attendee, now), false);
+});
@@ -0,0 +1,82 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {PrismaClient} = require('@prisma/client');
+const promotionCaps = require('../services/promotionCaps');
+
+const prisma = new PrismaClient();
+
+beforeEach(() => {
+    fakePrisma.reset();
+});
+
+const promotion = (fields = {}) => ({
+    id: 1, name: "Double Up", maxUses: null, maxUsesPerUser: null, maxUsesPerDay: null, pointsBudget: null, ...fields
+});
+
+const yesterday = () => new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+// Two uses of promotion 1 by user 1 (one yesterday) and one by user 2
+const seedUses = () => fakePrisma.seed("promotionUse", [
+    {promotionId: 1, userId: 1, transactionId: 1, points: 30, usedAt: yesterday()},
+    {promotionId: 1, userId: 1, transactionId: 2, points: 30, usedAt: new Date()},
+    {promotionId: 1, userId: 2, transactionId: 3, points: 15, usedAt: new Date()},
+    {promotionId: 2, userId: 1, transactionId: 4, points: 99, usedAt: new Date()}
+]);
+
+test("usage counts uses in total, by member and today", async () => {
+    seedUses();
+    assert.deepEqual(await promotionCaps.usage(prisma, 1, 1), {uses: 3, userUses: 2, dayUses: 2, pointsAwarded: 75});
+    assert.equal((await promotionCaps.usage(prisma, 1)).userUses, 0);
+});
+
+test("capProblem names the first cap reached", () => {
+    const used = {uses: 3, userUses: 2, dayUses: 2, pointsAwarded: 75};
+    assert.equal(promotionCaps.capProblem(promotion(), used), null);
+    assert.equal(promotionCaps.capProblem(promotion({maxUses: 3}), used), "Promotion has reached its usage limit");
+    assert.equal(promotionCaps.capProblem(promotion({maxUses: 4}), used, 1), "Promotion has reached its usage limit");
+    assert.equal(promotionCaps.capProblem(promotion({maxUsesPerUser: 2}), used), "Member has reached this promotion's usage limit");
+    assert.equal(promotionCaps.capProblem(promotion({maxUsesPerDay: 2}), used), "Promotion has reached today's usage limit");
+    assert.equal(promotionCaps.capProblem(promotion({pointsBudget: 75}), used), "Promotion's points budget is used up");
+    assert.equal(promotionCaps.capProblem(promotion({pointsBudget: 80}), used), null);
+});
+
+test("capPoints pays out only what is left of the budget", async () => {
+    seedUses();
+    assert.equal(await promotionCaps.capPoints(prisma, promotion({pointsBudget: 100}), 40), 25);
+    assert.equal(await promotionCaps.capPoints(prisma, promotion(), 40), 40);
+});
+
+test("recordUses writes a use per applied promotion", async () => {
+    await promotionCaps.recordUses(prisma, [{promotion: promotion({maxUses: 1}), points: 20}, {promotion: promotion({id: 2}), points: 5}], 1, 7);
+    assert.deepEqual(fakePrisma.rows("promotionUse").map(use => [use.promotionId, use.userId, use.transactionId, use.points]), [[1, 1, 7, 20], [2, 1, 7, 5]]);
+});
+
+test("recordUses refuses a purchase that would overrun a cap", async () => {
+    seedUses();
+    await assert.rejects(
+        promotionCaps.recordUses(prisma, [{promotion: promotion({maxUsesPerUser: 2}), points: 20}], 1, 7),
+        {name: "LedgerError", status: 409, message: "Double Up: Member has reached this promotion's usage limit"}
+    );
+    await assert.rejects(
+        promotionCaps.recordUses(prisma, [{promotion: promotion({pointsBudget: 90}), points: 20}], 1, 7),
+        {message: "Double Up: Promotion's points budget is used up"}
+    );
+});
+
+test("readCapFields accepts non-negative integers and null", () => {
+    assert.deepEqual(promotionCaps.readCapFields({maxUses: 10, pointsBudget: null}), {data: {maxUses: 10, pointsBudget: null}});
+    assert.deepEqual(promotionCaps.readCapFields({maxUsesPerDay: -1}), {error: "maxUsesPerDay must be a non-negative integer or null"});
+});
+
+test("describeCaps reports what is left of each cap", () => {
+    const used = {uses: 3, userUses: 2, dayUses: 2, pointsAwarded: 75};
+    const caps = promotionCaps.describeCaps(promotion({maxUses: 5, maxUsesPerUser: 4, pointsBudget: 100}), used, true);
+    assert.equal(caps.remainingUses, 2);
+    assert.equal(caps.remainingUsesToday, null);
+    assert.equal(caps.remainingUserUses, 2);
+    assert.equal(caps.remainingBudget, 25);
+    assert.equal(promotionCaps.describeCaps(promotion({maxUsesPerUser: 4}), used).remainingUserUses, null);
+});
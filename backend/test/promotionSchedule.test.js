@@ -0,0 +1,79 @@
+'use strict'
+
+const {test} = require('node:test');
+const assert = require('node:assert/strict');
+const promotionSchedule = require('../services/promotionSchedule');
+
+// Local times in March 2026, which starts on a Sunday
+const at = (day, hours = 0, minutes = 0) => new Date(2026, 2, day, hours, minutes);
+
+const promotion = (recurrence, fields = {}) => ({
+    startTime: at(1),
+    endTime: new Date(2026, 5, 1),
+    recurrence: recurrence ? JSON.stringify(recurrence) : null,
+    ...fields
+});
+
+// Every Tuesday 2-5pm
+const tuesdays = {frequency: "weekly", days: [2], start: "14:00", durationMinutes: 180};
+
+test("readRecurrence normalizes a valid rule", () => {
+    assert.deepEqual(promotionSchedule.readRecurrence({}), {data: {}});
+    assert.deepEqual(promotionSchedule.readRecurrence({recurrence: null}), {data: {recurrence: null}});
+    const {data} = promotionSchedule.readRecurrence({recurrence: {frequency: "monthly", days: [6, 0], weeks: [-1, 2], start: "09:30", durationMinutes: 60}});
+    assert.deepEqual(JSON.parse(data.recurrence), {frequency: "monthly", days: [0, 6], start: "09:30", durationMinutes: 60, weeks: [2, -1]});
+});
+
+test("readRecurrence explains what is wrong", () => {
+    const read = (changes) => promotionSchedule.readRecurrence({recurrence: {...tuesdays, ...changes}}).error;
+    assert.equal(read({every: 2}), "Unknown recurrence fields: every");
+    assert.equal(read({frequency: "daily"}), "recurrence.frequency must be one of weekly, monthly");
+    assert.equal(read({days: [2, 2]}), "recurrence.days must list weekdays from 0 (Sunday) to 6 (Saturday)");
+    assert.equal(read({weeks: [1]}), "recurrence.weeks only applies to monthly rules");
+    assert.equal(read({frequency: "monthly"}), "recurrence.weeks must list weeks of the month from 1 to 5, or -1 for the last");
+    assert.equal(read({start: "2pm"}), "recurrence.start must be a time of day in HH:MM format");
+    assert.equal(read({durationMinutes: 0}), "recurrence.durationMinutes must be an integer from 1 to 10080");
+});
+
+test("a promotion without a rule runs for its whole window", () => {
+    const plain = promotion(null);
+    assert.deepEqual(promotionSchedule.occurrences(plain, at(2)), [{start: plain.startTime, end: plain.endTime}]);
+    assert.deepEqual(promotionSchedule.occurrences(plain, new Date(2026, 6, 1)), []);
+});
+
+test("a weekly rule is only active inside its windows", () => {
+    const weekly = promotion(tuesdays);
+    assert.equal(promotionSchedule.isActiveAt(weekly, at(3, 15)), true);
+    assert.equal(promotionSchedule.isActiveAt(weekly, at(3, 17)), false);
+    assert.equal(promotionSchedule.isActiveAt(weekly, at(4, 15)), false);
+    assert.deepEqual(promotionSchedule.occurrences(weekly, at(3, 18), 2).map(window => window.start), [at(10, 14), at(17, 14)]);
+});
+
+test("a monthly rule opens on the chosen weeks of the month", () => {
+    // The first and the last Saturday of the month, all day
+    const monthly = promotion({frequency: "monthly", days: [6], weeks: [1, -1], start: "00:00", durationMinutes: 1440});
+    assert.deepEqual(promotionSchedule.occurrences(monthly, at(1), 3).map(window => window.start), [at(7), at(28), new Date(2026, 3, 4)]);
+});
+
+test("a window that runs past midnight is still open the next day", () => {
+    const lateNight = promotion({frequency: "weekly", days: [5], start: "22:00", durationMinutes: 240});
+    assert.equal(promotionSchedule.isActiveAt(lateNight, at(7, 1)), true);
+    assert.deepEqual(promotionSchedule.occurrences(lateNight, at(7, 1))[0], {start: at(6, 22), end: at(7, 2)});
+});
+
+test("windows are clipped to the promotion's start and end", () => {
+    const clipped = promotion(tuesdays, {startTime: at(3, 15), endTime: at(10, 15)});
+    assert.deepEqual(promotionSchedule.occurrences(clipped, at(1), 3), [
+        {start: at(3, 15), end: at(3, 17)},
+        {start: at(10, 14), end: at(10, 15)}
+    ]);
+});
+
+test("status says whether the promotion is running, upcoming or done", () => {
+    const weekly = promotion(tuesdays);
+    assert.deepEqual(promotionSchedule.status(weekly, at(3, 15)), {
+        isActive: true, isUpcoming: false, hasEnded: false, nextOccurrence: {start: at(3, 14), end: at(3, 17)}
+    });
+    assert.equal(promotionSchedule.status(weekly, at(4)).isUpcoming, true);
+    assert.equal(promotionSchedule.status(weekly, new Date(2026, 5, 2)).hasEnded, true);
+});
@@ -0,0 +1,89 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const promotionStacking = require('../services/promotionStacking');
+
+let member;
+
+beforeEach(() => {
+    fakePrisma.reset();
+    [member] = fakePrisma.seed("user", [
+        {utorid: "member01", name: "Member", email: "member01@mail.utoronto.ca"}
+    ]);
+});
+
+const promotion = (id, fields = {}) => ({
+    id, name: `Promo ${id}`, type: "automatic", minSpending: null, rate: null, points: 0,
+    exclusive: false, stackGroup: null, priority: 0, maxUses: null, maxUsesPerUser: null,
+    maxUsesPerDay: null, pointsBudget: null, ...fields
+});
+
+const ids = (promotions) => promotions.map(p => p.id);
+
+test("resolve considers higher priority promotions first", () => {
+    const {applied} = promotionStacking.resolve([promotion(1), promotion(2, {priority: 5}), promotion(3)]);
+    assert.deepEqual(ids(applied), [2, 1, 3]);
+});
+
+test("an exclusive promotion applies on its own", () => {
+    const first = promotionStacking.resolve([promotion(1, {exclusive: true, priority: 1}), promotion(2)]);
+    assert.deepEqual(ids(first.applied), [1]);
+    assert.equal(first.dropped[0].reason, 'Cannot be combined with exclusive promotion "Promo 1"');
+    const later = promotionStacking.resolve([promotion(1, {priority: 1}), promotion(2, {exclusive: true})]);
+    assert.deepEqual(ids(later.applied), [1]);
+    assert.equal(later.dropped[0].reason, "Exclusive promotion cannot be combined with other promotions");
+});
+
+test("only one promotion per stack group applies", () => {
+    const {applied, dropped} = promotionStacking.resolve([
+        promotion(1, {stackGroup: "dining"}),
+        promotion(2, {stackGroup: "dining"}),
+        promotion(3, {stackGroup: "books"})
+    ]);
+    assert.deepEqual(ids(applied), [1, 3]);
+    assert.deepEqual(dropped.map(({promotion: p, reason}) => [p.id, reason]), [[2, 'Only one promotion from group "dining" applies']]);
+});
+
+test("maxPromotions caps how many apply", () => {
+    const {applied, dropped} = promotionStacking.resolve([promotion(1), promotion(2), promotion(3)], {maxPromotions: 1});
+    assert.deepEqual(ids(applied), [1]);
+    assert.equal(dropped[0].reason, "At most 1 promotion apply to a purchase");
+    assert.equal(promotionStacking.resolve([promotion(1), promotion(2)], {maxPromotions: null}).applied.length, 2);
+});
+
+test("readStackingFields keeps only the fields given", () => {
+    assert.deepEqual(promotionStacking.readStackingFields({}), {data: {}});
+    assert.deepEqual(promotionStacking.readStackingFields({exclusive: true, stackGroup: "  ", priority: 3}), {data: {exclusive: true, stackGroup: null, priority: 3}});
+    assert.deepEqual(promotionStacking.readStackingFields({exclusive: "yes"}), {error: "exclusive must be a boolean"});
+    assert.deepEqual(promotionStacking.readStackingFields({priority: 1.5}), {error: "priority must be an integer"});
+});
+
+test("promotionPoints adds the flat points and the rounded rate", () => {
+    const rule = {rounding: "ceil"};
+    assert.equal(promotionStacking.promotionPoints(promotion(1, {points: 10, rate: 0.01}), 12.3, rule), 23);
+    assert.equal(promotionStacking.promotionPoints(promotion(1, {points: 10, minSpending: 20}), 12.3, rule), 0);
+});
+
+test("quotePurchase adds base points and the promotions that apply", async () => {
+    fakePrisma.seed("promotion", [
+        promotion(1, {points: 20, stackGroup: "dining"}),
+        promotion(2, {points: 50, stackGroup: "dining", priority: 1}),
+        promotion(3, {rate: 0.01})
+    ]);
+    const quote = await promotionStacking.quotePurchase(member, 10, [1, 2, 3]);
+    assert.equal(quote.basePoints, 40);
+    assert.equal(quote.tier.name, "Bronze");
+    assert.deepEqual(quote.applied.map(({promotion: p, points}) => [p.id, points]), [[2, 50], [3, 10]]);
+    assert.deepEqual(quote.dropped.map(({promotion: p}) => p.id), [1]);
+    assert.equal(quote.earned, 100);
+});
+
+test("quotePurchase pays out only what is left of a points budget", async () => {
+    fakePrisma.seed("promotion", [promotion(1, {points: 50, pointsBudget: 100})]);
+    fakePrisma.seed("promotionUse", [{promotionId: 1, userId: member.id, transactionId: 1, points: 80, usedAt: new Date()}]);
+    const quote = await promotionStacking.quotePurchase(member, 10, [1]);
+    assert.deepEqual(quote.applied.map(({points}) => points), [20]);
+    assert.equal(quote.earned, 60);
+});
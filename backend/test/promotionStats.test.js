@@ -0,0 +1,67 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const promotionStats = require('../services/promotionStats');
+
+// Local times in June 2026
+const at = (day, hours = 0) => new Date(2026, 5, day, hours);
+const now = at(11, 12);
+
+const promotion = {id: 1, name: "Summer", startTime: at(9), endTime: at(20), minSpending: null, rate: 0.01, points: 5};
+
+const purchase = (spent, date, fields = {}) => ({
+    type: "purchase", spent, amount: spent * 4, date, createdBy: "cashier1", issuerId: 9, receiverId: 1, ...fields
+});
+
+beforeEach(() => {
+    fakePrisma.reset();
+    const onPromotion = {promotions: {connect: [{id: 1}]}};
+    const [first] = fakePrisma.seed("transaction", [
+        purchase(10, at(9, 10), onPromotion),
+        // Made before promotion uses were recorded: its bonus is worked out again
+        purchase(20, at(10, 10), {...onPromotion, receiverId: 2}),
+        // Withheld for review, so it paid no bonus
+        purchase(30, at(10, 11), {...onPromotion, suspicious: true, withheld: true, reviewStatus: "pending"}),
+        purchase(100, at(11, 9), {...onPromotion, voided: true}),
+        // Store-wide purchases in the three days before it started
+        purchase(12, at(7, 10)),
+        purchase(12, at(8, 10)),
+        purchase(6, at(8, 11))
+    ]);
+    fakePrisma.seed("promotionUse", [{promotionId: 1, userId: 1, transactionId: first.id, points: 30, usedAt: at(9, 10)}]);
+});
+
+test("stats sums what the promotion paid out, leaving voided purchases out", async () => {
+    const result = await promotionStats.stats(promotion, now);
+    assert.equal(result.redemptions, 3);
+    assert.equal(result.uniqueUsers, 2);
+    assert.equal(result.bonusPoints, 30 + 25);
+    assert.equal(result.spent, 60);
+    assert.equal(result.averageSpent, 20);
+});
+
+test("stats gives a daily series over the days it has run", async () => {
+    const {daily} = await promotionStats.stats(promotion, now);
+    assert.deepEqual(daily, [
+        {date: "2026-06-09", redemptions: 1, bonusPoints: 30, spent: 10},
+        {date: "2026-06-10", redemptions: 2, bonusPoints: 25, spent: 50},
+        {date: "2026-06-11", redemptions: 0, bonusPoints: 0, spent: 0}
+    ]);
+});
+
+test("stats compares store-wide purchases with the days before it started", async () => {
+    const {comparison} = await promotionStats.stats(promotion, now);
+    assert.equal(comparison.baseline.days, 3);
+    assert.equal(comparison.baseline.purchasesPerDay, 1);
+    assert.equal(comparison.during.days, 2.5);
+    assert.equal(comparison.during.purchasesPerDay, 1.2);
+    assert.deepEqual(comparison.change, {purchasesPerDay: 20, spentPerDay: 140, averageSpent: 100});
+});
+
+test("a promotion that hasn't started has nothing to compare", async () => {
+    const upcoming = {...promotion, startTime: at(15)};
+    const result = await promotionStats.stats(upcoming, now);
+    assert.equal(result.comparison, null);
+});
@@ -0,0 +1,65 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {PrismaClient} = require('@prisma/client');
+const qrTokens = require('../services/qrTokens');
+
+const prisma = new PrismaClient();
+
+process.env.QR_SECRET = "test-secret";
+
+beforeEach(() => {
+    fakePrisma.reset();
+    delete process.env.QR_TOKEN_TTL_SECONDS;
+});
+
+const consume = (payload) => qrTokens.consume(prisma, payload, "cashier1");
+
+test("an issued token verifies to its payload", async () => {
+    const {token, expiresAt} = qrTokens.issue("user", 4);
+    assert.equal(qrTokens.looksLikeToken(token), true);
+    const payload = await qrTokens.verify(token, "user");
+    assert.equal(payload.typ, "user");
+    assert.equal(payload.sub, 4);
+    assert.equal(new Date(payload.exp).toISOString(), expiresAt);
+});
+
+test("typed utorids and ids don't look like tokens", () => {
+    assert.equal(qrTokens.looksLikeToken("member01"), false);
+    assert.equal(qrTokens.looksLikeToken("42"), false);
+});
+
+test("a tampered token is refused", async () => {
+    const {token} = qrTokens.issue("user", 4);
+    const [prefix, payload, signature] = token.split(".");
+    const forged = Buffer.from(JSON.stringify({...JSON.parse(Buffer.from(payload, "base64url").toString()), sub: 5})).toString("base64url");
+    await assert.rejects(qrTokens.verify(`${prefix}.${forged}.${signature}`, "user"), {name: "QrTokenError", message: "Invalid QR code"});
+    await assert.rejects(qrTokens.verify(`${token}x`, "user"), {message: "Invalid QR code"});
+});
+
+test("a token is only accepted where its type belongs", async () => {
+    const {token} = qrTokens.issue("redemption", 9);
+    await assert.rejects(qrTokens.verify(token, "user"), {message: "This QR code can't be used here"});
+});
+
+test("an expired token is refused", async () => {
+    const {token} = qrTokens.issue("user", 4, {notAfter: new Date(Date.now() - 1000)});
+    await assert.rejects(qrTokens.verify(token, "user"), {status: 410});
+});
+
+test("QR_TOKEN_TTL_SECONDS sets the lifetime", () => {
+    process.env.QR_TOKEN_TTL_SECONDS = "30";
+    const {expiresAt} = qrTokens.issue("user", 4);
+    const seconds = (new Date(expiresAt).getTime() - Date.now()) / 1000;
+    assert.ok(seconds > 28 && seconds <= 30);
+});
+
+test("a token can be used once", async () => {
+    const {token} = qrTokens.issue("user", 4);
+    const payload = await qrTokens.verify(token, "user");
+    await consume(payload);
+    await assert.rejects(qrTokens.verify(token, "user"), {status: 409});
+    await assert.rejects(consume(payload), {name: "QrTokenError", status: 409});
+});
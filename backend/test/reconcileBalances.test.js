@@ -0,0 +1,99 @@
+'use strict'
+
+require('./helpers/fakePrisma');
+const {test} = require('node:test');
+const assert = require('node:assert/strict');
+const {roleHistory, legacyFlag, computeLedger} = require('../scripts/reconcile-balances');
+
+const day = (n) => new Date(Date.UTC(2025, 0, n));
+
+// user 1 is a member, user 2 was a cashier until day 10 and a manager since, user 3 a manager
+const users = [
+    {id: 1, role: "regular"},
+    {id: 2, role: "manager"},
+    {id: 3, role: "manager"}
+];
+const auditEntries = [
+    {targetId: "2", createdAt: day(10), changes: JSON.stringify({role: {from: "cashier", to: "manager"}})},
+    {targetId: "1", createdAt: day(12), changes: JSON.stringify({verified: {from: false, to: true}})}
+];
+const roleAt = roleHistory(users, auditEntries);
+
+const row = (id, fields) => ({
+    id, spent: 0, remark: "", withheld: false, suspicious: false, reviewStatus: null, date: day(5), ...fields
+});
+
+test("roleHistory gives the role a user had at the time", () => {
+    assert.equal(roleAt(2, day(5)), "cashier");
+    assert.equal(roleAt(2, day(11)), "manager");
+    assert.equal(roleAt(1, day(5)), "regular");
+    assert.equal(roleAt(3, day(1)), "manager");
+});
+
+test("legacyFlag treats old flagged cashier purchases as withheld", () => {
+    const legacy = row(1, {type: "purchase", amount: 40, suspicious: true, issuerId: 2, receiverId: 1});
+    assert.equal(legacyFlag(legacy, roleAt), "withheld");
+    assert.equal(legacyFlag({...legacy, reviewStatus: "pending"}, roleAt), null);
+    assert.equal(legacyFlag({...legacy, withheld: true}, roleAt), null);
+    assert.equal(legacyFlag({...legacy, suspicious: false}, roleAt), null);
+});
+
+test("legacyFlag can't resolve old flagged purchases and adjustments by managers", () => {
+    const purchase = row(1, {type: "purchase", amount: 40, suspicious: true, issuerId: 2, receiverId: 1, date: day(11)});
+    assert.equal(legacyFlag(purchase, roleAt), "unresolved");
+    assert.equal(legacyFlag({...purchase, type: "adjustment", issuerId: 3}, roleAt), "unresolved");
+});
+
+test("legacyFlag models the old toggle on other rows", () => {
+    const debit = row(1, {type: "transfer", amount: -20, suspicious: true, issuerId: 1, receiverId: 1, relatedId: 3});
+    const credit = row(2, {type: "transfer", amount: 20, suspicious: true, issuerId: 1, receiverId: 3, relatedId: 1});
+    const event = row(3, {type: "event", amount: 15, suspicious: true, issuerId: 3, receiverId: 1});
+    const redemption = row(4, {type: "redemption", amount: 10, processed: true, suspicious: true, issuerId: 1, receiverId: 1});
+    assert.equal(legacyFlag(debit, roleAt), "withheld");
+    assert.equal(legacyFlag(credit, roleAt), "withheld");
+    assert.equal(legacyFlag(event, roleAt), "withheld");
+    assert.equal(legacyFlag(redemption, roleAt), "unresolved");
+});
+
+test("computeLedger sums the history with the ledger's sign rules", () => {
+    const {balances, withheld} = computeLedger([
+        row(1, {type: "purchase", amount: 40, issuerId: 3, receiverId: 1}),
+        row(2, {type: "transfer", amount: -15, issuerId: 1, receiverId: 1, relatedId: 3}),
+        row(3, {type: "transfer", amount: 15, issuerId: 1, receiverId: 3, relatedId: 1}),
+        row(4, {type: "purchase", amount: 25, issuerId: 3, receiverId: 1, suspicious: true, withheld: true, reviewStatus: "pending"}),
+        row(5, {type: "redemption", amount: 10, processed: true, issuerId: 1, receiverId: 1})
+    ], roleAt);
+    assert.equal(balances.get(1), 15);
+    assert.equal(balances.get(3), 15);
+    assert.deepEqual(withheld.map(transaction => transaction.id), [4]);
+});
+
+test("computeLedger leaves out old flagged rows and reports the ones it can't resolve", () => {
+    const {balances, legacyWithheld, unresolved} = computeLedger([
+        row(1, {type: "purchase", amount: 40, issuerId: 2, receiverId: 1, suspicious: true}),
+        row(2, {type: "adjustment", amount: 30, issuerId: 3, receiverId: 1}),
+        // A flagged adjustment: taken back by the toggle, or credited if created suspicious
+        row(3, {type: "adjustment", amount: 5, issuerId: 3, receiverId: 1, suspicious: true}),
+        // A transfer whose recipient half was flagged with the toggle
+        row(4, {type: "transfer", amount: -20, issuerId: 3, receiverId: 3, relatedId: 1}),
+        row(5, {type: "transfer", amount: 20, issuerId: 3, receiverId: 1, relatedId: 3, suspicious: true})
+    ], roleAt);
+    assert.deepEqual(legacyWithheld, [1, 5]);
+    assert.deepEqual(unresolved.map(transaction => transaction.id), [3]);
+    assert.equal(balances.get(1), 30);
+    assert.equal(balances.get(3), -20);
+});
+
+test("computeLedger counts legacy transfer shapes once", () => {
+    const {balances, legacyPairs, legacySingles} = computeLedger([
+        // Old duplicate pair: two positive rows for one transfer from user 1 to user 3
+        row(1, {type: "transfer", amount: 20, issuerId: 1, receiverId: 3, relatedId: 1, remark: "rent"}),
+        row(2, {type: "transfer", amount: 20, issuerId: 1, receiverId: 3, relatedId: 3, remark: "rent"}),
+        // Old single row that also debited the sender
+        row(3, {type: "transfer", amount: 5, issuerId: 3, receiverId: 1, relatedId: 3})
+    ], roleAt);
+    assert.deepEqual(legacyPairs, [[1, 2]]);
+    assert.deepEqual(legacySingles, [3]);
+    assert.equal(balances.get(1), -15);
+    assert.equal(balances.get(3), 15);
+});
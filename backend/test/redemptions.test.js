@@ -0,0 +1,82 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const redemptions = require('../services/redemptions');
+
+process.env.FRAUD_RULES = "none";
+
+const MINUTE = 60 * 1000;
+
+let member;
+
+beforeEach(() => {
+    fakePrisma.reset();
+    delete process.env.REDEMPTION_EXPIRY_MINUTES;
+    // 70 points available after the 30 held by the reserved request below
+    [member] = fakePrisma.seed("user", [
+        {utorid: "member01", name: "Member", email: "member01@mail.utoronto.ca", points: 70}
+    ]);
+});
+
+const balance = (user) => fakePrisma.rows("user").find(row => row.id === user.id).points;
+const row = (id) => fakePrisma.rows("transaction").find(transaction => transaction.id === id);
+
+// A pending redemption request by member01
+const request = (amount, fields = {}) => fakePrisma.seed("transaction", [{
+    type: "redemption", spent: 0, amount, reserved: true, createdBy: member.utorid, issuerId: member.id, receiverId: member.id,
+    expiresAt: new Date(Date.now() + 60 * MINUTE), ...fields
+}])[0];
+
+test("expiresAtFrom uses REDEMPTION_EXPIRY_MINUTES", () => {
+    const date = new Date("2026-01-01T00:00:00Z");
+    assert.equal(redemptions.expiresAtFrom(date).toISOString(), "2026-01-02T00:00:00.000Z");
+    process.env.REDEMPTION_EXPIRY_MINUTES = "30";
+    assert.equal(redemptions.expiresAtFrom(date).toISOString(), "2026-01-01T00:30:00.000Z");
+    assert.equal(redemptions.expiresAtOf({date, expiresAt: null}).toISOString(), "2026-01-01T00:30:00.000Z");
+});
+
+test("statusOf tells the four states apart", () => {
+    const now = new Date();
+    const pending = {processed: null, cancelled: false, expiresAt: new Date(now.getTime() + MINUTE)};
+    assert.equal(redemptions.statusOf(pending, now), "pending");
+    assert.equal(redemptions.statusOf({...pending, processed: true}, now), "processed");
+    assert.equal(redemptions.statusOf({...pending, cancelled: true, cancelReason: "user"}, now), "cancelled");
+    assert.equal(redemptions.statusOf({...pending, cancelled: true, cancelReason: "expired"}, now), "expired");
+    assert.equal(redemptions.statusOf({...pending, expiresAt: new Date(now.getTime() - MINUTE)}, now), "expired");
+});
+
+test("heldPoints sums the pending requests that reserved points", async () => {
+    request(30);
+    request(10, {processed: true});
+    request(15, {cancelled: true, cancelReason: "user"});
+    request(5, {reserved: false});
+    assert.equal(await redemptions.heldPoints(member.id), 30);
+});
+
+test("expireStale cancels overdue requests and refunds what they reserved", async () => {
+    const overdue = request(30, {expiresAt: new Date(Date.now() - MINUTE)});
+    const current = request(20);
+    assert.equal(await redemptions.expireStale(), 1);
+    assert.equal(row(overdue.id).cancelled, true);
+    assert.equal(row(overdue.id).cancelReason, "expired");
+    assert.equal(row(current.id).cancelled, false);
+    assert.equal(balance(member), 100);
+    assert.equal(await redemptions.expireStale(), 0);
+});
+
+test("expireStale falls back to the request date for rows without expiresAt", async () => {
+    // Made before points were reserved: nothing to refund
+    const old = request(30, {reserved: false, expiresAt: null, date: new Date(Date.now() - 25 * 60 * MINUTE)});
+    assert.equal(await redemptions.expireStale(), 1);
+    assert.equal(row(old.id).cancelReason, "expired");
+    assert.equal(balance(member), 70);
+});
+
+test("expireStale leaves processed requests alone", async () => {
+    const processed = request(30, {processed: true, expiresAt: new Date(Date.now() - MINUTE)});
+    assert.equal(await redemptions.expireStale(), 0);
+    assert.equal(row(processed.id).cancelled, false);
+    assert.equal(balance(member), 70);
+});
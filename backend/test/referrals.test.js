@@ -0,0 +1,105 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {PrismaClient} = require('@prisma/client');
+const referrals = require('../services/referrals');
+
+process.env.FRAUD_RULES = "none";
+
+const prisma = new PrismaClient();
+
+let referrer;
+let referee;
+
+beforeEach(() => {
+    fakePrisma.reset();
+    delete process.env.REFERRAL_TRIGGER;
+    delete process.env.REFERRAL_MAX_PER_USER;
+    [referrer, referee] = fakePrisma.seed("user", [
+        {utorid: "jsmith01", name: "Jane", email: "jane.smith@mail.utoronto.ca", referralCode: "ABCD2345"},
+        {utorid: "newbie01", name: "New", email: "newbie@mail.utoronto.ca"}
+    ]);
+});
+
+const balance = (user) => fakePrisma.rows("user").find(row => row.id === user.id).points;
+
+test("emailStem folds case, dots and +tags but keeps digits", () => {
+    assert.equal(referrals.emailStem("Jane.Doe+2@Mail.UToronto.ca"), "janedoe@mail.utoronto.ca");
+    assert.equal(referrals.emailStem("janedoe@mail.utoronto.ca"), "janedoe@mail.utoronto.ca");
+    assert.notEqual(referrals.emailStem("jsmith1@mail.utoronto.ca"), referrals.emailStem("jsmith2@mail.utoronto.ca"));
+    assert.equal(referrals.emailStem(undefined), "@");
+});
+
+test("findReferrer looks codes up case-insensitively", async () => {
+    assert.deepEqual(await referrals.findReferrer(""), {referrer: null});
+    assert.equal((await referrals.findReferrer(" abcd2345 ")).referrer.id, referrer.id);
+    assert.deepEqual(await referrals.findReferrer("ZZZZ9999"), {error: "Referral code not found"});
+    assert.deepEqual(await referrals.findReferrer(42), {error: "Referral code is invalid"});
+});
+
+test("record keeps legitimate referrals pending", async () => {
+    const recorded = await referrals.record(referrer, referee);
+    assert.equal(recorded.status, "pending");
+    assert.equal(recorded.reason, null);
+});
+
+test("record rejects self-referrals and matching emails", async () => {
+    const self = await referrals.record(referrer, referrer);
+    assert.deepEqual([self.status, self.reason], ["rejected", "Self-referral"]);
+    const [alias] = fakePrisma.seed("user", [{utorid: "jsmith02", name: "Alias", email: "JaneSmith+uni@mail.utoronto.ca"}]);
+    const matched = await referrals.record(referrer, alias);
+    assert.deepEqual([matched.status, matched.reason], ["rejected", "Referee's email matches the referrer's"]);
+});
+
+test("record doesn't treat emails that differ only in digits as the same person", async () => {
+    const [first, second] = fakePrisma.seed("user", [
+        {utorid: "jsmith1x", name: "J Smith", email: "jsmith1@mail.utoronto.ca"},
+        {utorid: "jsmith2x", name: "J Smith", email: "jsmith2@mail.utoronto.ca"}
+    ]);
+    assert.equal((await referrals.record(first, second)).status, "pending");
+});
+
+test("record rejects referrals past the maximum", async () => {
+    process.env.REFERRAL_MAX_PER_USER = "1";
+    await referrals.record(referrer, referee);
+    const [another] = fakePrisma.seed("user", [{utorid: "newbie02", name: "Another", email: "another@mail.utoronto.ca"}]);
+    const over = await referrals.record(referrer, another);
+    assert.equal(over.reason, "Referrer has reached the maximum number of referrals");
+});
+
+test("an account and its referral are rolled back together", async () => {
+    await assert.rejects(prisma.$transaction(async (tx) => {
+        const user = await tx.user.create({data: {utorid: "newbie02", name: "Another", email: "another@mail.utoronto.ca"}});
+        await referrals.record(referrer, user, tx);
+        throw new Error("activation token failed");
+    }), {message: "activation token failed"});
+    assert.equal(fakePrisma.rows("user").length, 2);
+    assert.deepEqual(fakePrisma.rows("referral"), []);
+});
+
+test("qualify pays both sides once", async () => {
+    await referrals.record(referrer, referee);
+    const rewarded = await referrals.qualify(referee.id, "verified");
+    assert.equal(rewarded.status, "rewarded");
+    assert.equal(rewarded.trigger, "verified");
+    assert.equal(await referrals.qualify(referee.id, "purchase"), null);
+    assert.equal(balance(referrer), 100);
+    assert.equal(balance(referee), 50);
+    assert.deepEqual(fakePrisma.rows("transaction").map(row => row.type), ["referral", "referral"]);
+});
+
+test("qualify ignores events other than the configured trigger", async () => {
+    process.env.REFERRAL_TRIGGER = "purchase";
+    await referrals.record(referrer, referee);
+    assert.equal(await referrals.qualify(referee.id, "verified"), null);
+    assert.equal(fakePrisma.rows("referral")[0].status, "pending");
+    assert.equal((await referrals.qualify(referee.id, "purchase")).status, "rewarded");
+});
+
+test("rejected referrals never pay out", async () => {
+    await referrals.record(referrer, referrer);
+    assert.equal(await referrals.qualify(referrer.id, "verified"), null);
+    assert.equal(balance(referrer), 0);
+});
@@ -0,0 +1,77 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const tiers = require('../services/tiers');
+
+let member;
+
+beforeEach(() => {
+    fakePrisma.reset();
+    delete process.env.TIER_BASIS;
+    [member] = fakePrisma.seed("user", [
+        {utorid: "member01", name: "Member", email: "member01@mail.utoronto.ca"}
+    ]);
+});
+
+const credit = (type, amount, fields = {}) => ({
+    type, spent: 0, amount, createdBy: "cashier1", issuerId: member.id, receiverId: member.id, ...fields
+});
+
+test("earnedPoints counts credited purchases and events only", async () => {
+    fakePrisma.seed("transaction", [
+        credit("purchase", 400),
+        credit("event", 100),
+        credit("purchase", 50, {reviewStatus: "approved"}),
+        credit("adjustment", 1000),
+        credit("transfer", 200),
+        credit("purchase", 300, {voided: true}),
+        credit("purchase", 300, {withheld: true, suspicious: true, reviewStatus: "pending"})
+    ]);
+    assert.equal(await tiers.earnedPoints(member.id), 550);
+});
+
+test("earnedPoints leaves out rejected transactions", async () => {
+    fakePrisma.seed("transaction", [
+        credit("purchase", 400),
+        // Credited, then clawed back when the review rejected it
+        credit("purchase", 600, {suspicious: true, reviewStatus: "rejected"}),
+        credit("adjustment", -600, {relatedId: 2})
+    ]);
+    assert.equal(await tiers.earnedPoints(member.id), 400);
+});
+
+test("the rolling12 basis only counts the last 12 months", async () => {
+    const old = new Date();
+    old.setMonth(old.getMonth() - 13);
+    fakePrisma.seed("transaction", [credit("purchase", 400), credit("purchase", 900, {date: old})]);
+    assert.equal(await tiers.earnedPoints(member.id), 1300);
+    process.env.TIER_BASIS = "rolling12";
+    assert.equal(await tiers.earnedPoints(member.id), 400);
+});
+
+test("tierFor reports the tier and the progress to the next one", async () => {
+    fakePrisma.seed("transaction", [credit("purchase", 1200)]);
+    const tier = await tiers.tierFor(member.id);
+    assert.equal(tier.name, "Silver");
+    assert.equal(tier.multiplier, 1.25);
+    assert.deepEqual(tier.next, {name: "Gold", minPoints: 5000, multiplier: 1.5});
+    assert.equal(tier.pointsToNext, 3800);
+});
+
+test("saved tiers replace the defaults", async () => {
+    await tiers.saveTiers([{name: " Member ", minPoints: 0, multiplier: 1}, {name: "VIP", minPoints: 100, multiplier: 2}]);
+    fakePrisma.seed("transaction", [credit("purchase", 150)]);
+    const tier = await tiers.tierFor(member.id);
+    assert.deepEqual([tier.name, tier.next, tier.pointsToNext], ["VIP", null, 0]);
+    assert.deepEqual((await tiers.listTiers()).map(saved => saved.name), ["Member", "VIP"]);
+});
+
+test("validateTiers explains what is wrong", () => {
+    assert.equal(tiers.validateTiers(tiers.DEFAULT_TIERS), null);
+    assert.equal(tiers.validateTiers([]), "tiers must be a non-empty array");
+    assert.equal(tiers.validateTiers([{name: "A", minPoints: 10, multiplier: 1}]), "One tier must start at 0 points");
+    assert.equal(tiers.validateTiers([{name: "A", minPoints: 0, multiplier: 0}]), "multiplier must be a positive number");
+    assert.equal(tiers.validateTiers([{name: "A", minPoints: 0, multiplier: 1}, {name: "A", minPoints: 5, multiplier: 1}]), "Tier names and minPoints must be unique");
+});
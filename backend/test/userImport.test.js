@@ -0,0 +1,73 @@
+'use strict'
+
+const fakePrisma = require('./helpers/fakePrisma');
+const {test, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const userImport = require('../services/userImport');
+
+// The email lookup: SELECT email FROM User WHERE LOWER(email) IN (...)
+fakePrisma.onQueryRaw((sql, [emails]) => fakePrisma.rows("user")
+    .filter(user => emails.includes(user.email.toLowerCase()))
+    .map(user => ({email: user.email})));
+
+beforeEach(() => {
+    fakePrisma.reset();
+    fakePrisma.seed("user", [
+        {utorid: "taken001", name: "Taken", email: "Taken.Person@mail.utoronto.ca"}
+    ]);
+});
+
+// Stands in for the account rules of POST /users/create
+const checkIdentity = ({utorid}) => utorid.length < 7 ? "UTORid must be alphanumeric and 7 - 8 characters long" : null;
+
+test("parseCsv handles quotes, line breaks in quotes and CRLF", () => {
+    assert.deepEqual(userImport.parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\r\n\r\nlast,'), [
+        ["a", "b"],
+        ["x, y", 'say "hi"\nthere'],
+        ["last", ""]
+    ]);
+    assert.throws(() => userImport.parseCsv('a,"b'), {message: "The CSV has an unclosed quote"});
+});
+
+test("report needs the required columns and at least one row", async () => {
+    await assert.rejects(userImport.report("", "manager", checkIdentity), {message: "csv must be the text of a CSV file"});
+    await assert.rejects(userImport.report("utorid,name\nabc1234,A", "manager", checkIdentity), {message: "The header row must name the email column"});
+    await assert.rejects(userImport.report("utorid,name,email\n", "manager", checkIdentity), {message: "The CSV has no rows after the header"});
+});
+
+test("report gives every row a status", async () => {
+    const csv = [
+        "\uFEFFEmail,UTORid,Name,Role",
+        "new.one@mail.utoronto.ca,newone01,New One,",
+        "taken.person@mail.utoronto.ca,newtwo01,New Two,regular",
+        "other@mail.utoronto.ca,taken001,Other,",
+        "NEW.ONE@mail.utoronto.ca,newthree,New Three,",
+        "short@mail.utoronto.ca,abc,Short,",
+        "boss@mail.utoronto.ca,bossman1,Boss,manager",
+        "owner@mail.utoronto.ca,owner001,Owner,owner"
+    ].join("\n");
+    const checked = await userImport.report(csv, "manager", checkIdentity);
+    assert.deepEqual(checked.rows.map(row => [row.line, row.status, row.errors]), [
+        [2, "ok", []],
+        [3, "duplicate", ["Email already has an account"]],
+        [4, "duplicate", ["UTORid already has an account"]],
+        [5, "duplicate", ["Email repeats line 2"]],
+        [6, "error", ["UTORid must be alphanumeric and 7 - 8 characters long"]],
+        [7, "error", ["You can't create manager accounts"]],
+        [8, "error", ["Invalid role owner"]]
+    ]);
+    assert.deepEqual([checked.total, checked.ok, checked.errors, checked.duplicates], [7, 1, 3, 3]);
+    assert.equal(checked.rows[0].role, "regular");
+});
+
+test("commit creates the ok rows with activation tokens", async () => {
+    const checked = await userImport.report("utorid,name,email\nnewone01,New One,New.One@mail.utoronto.ca\ntaken001,Again,a@mail.utoronto.ca", "superuser", checkIdentity);
+    const now = new Date("2026-06-01T00:00:00Z");
+    const created = await userImport.commit(checked, now);
+    assert.equal(created.length, 1);
+    assert.equal(created[0].email, "new.one@mail.utoronto.ca");
+    assert.equal(created[0].expiresAt, "2026-06-08T00:00:00.000Z");
+    const tokens = fakePrisma.rows("resetToken");
+    assert.deepEqual(tokens.map(token => [token.token, token.uid]), [[created[0].resetToken, created[0].id]]);
+    assert.equal(fakePrisma.rows("user").length, 2);
+});
@@ -14,6 +14,9 @@ import RedemptionQR from './pages/redemption-qr';
 import CashierCreatePurchase from './pages/cashierCreatePurchase.jsx';
 import CashierProcessRedemption from './pages/cashierProcessRedemption.jsx';
 import ManagerCreateAdjustment from './pages/managerCreateAdjustment.jsx';
+import ManagerEarningRules from './pages/managerEarningRules.jsx';
+import ManagerFlagReview from './pages/managerFlagReview.jsx';
+import SuperuserAuditLog from './pages/superuserAuditLog.jsx';
 import TransferPoints from './pages/transferPoints.jsx';
 import { LoginLayout, DashboardLayout } from "./components";
 import Register from "./pages/register.jsx";
@@ -53,6 +56,9 @@ function App() {
                         <Route path="cashier/create-purchase" element={<CashierCreatePurchase/>}/>
                         <Route path="cashier/process-redemption" element={<CashierProcessRedemption/>}/>
                         <Route path="manager/create-adjustment" element={<ManagerCreateAdjustment/>}/>
+                        <Route path="manager/earning-rules" element={<ManagerEarningRules/>}/>
+                        <Route path="manager/flag-review" element={<ManagerFlagReview/>}/>
+                        <Route path="superuser/audit" element={<SuperuserAuditLog/>}/>
                         <Route path="transfer" element={<TransferPoints/>}/>
                     </Route>
                 </Routes>
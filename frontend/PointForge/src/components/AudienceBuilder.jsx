@@ -0,0 +1,157 @@
+import { useEffect, useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.jsx';
+import { authenticatedFetch } from '../utils/api.js';
+import './AudienceBuilder.css';
+
+const ROLES = ['regular', 'cashier', 'manager', 'superuser'];
+
+/**
+ * Audience Builder Component
+ * Picks who a promotion is aimed at. Every criterion that is filled in must match;
+ * leaving everything empty targets all members.
+ * @param {object} value - Audience form state (see audienceToForm in utils/promotionUtils.js)
+ * @param {function} onChange - Called with the updated form state
+ */
+function AudienceBuilder({ value, onChange }) {
+    const { t } = useLanguage();
+    const [tierNames, setTierNames] = useState([]);
+
+    // Load the configured tiers so they can be picked by name
+    useEffect(() => {
+        let cancelled = false;
+        const fetchTiers = async () => {
+            try {
+                const response = await authenticatedFetch('/tiers');
+                if (response.ok) {
+                    const data = await response.json();
+                    if (!cancelled) {
+                        setTierNames(data.tiers.map((tier) => tier.name));
+                    }
+                }
+            } catch {
+                // Without the tier list the tier criterion just isn't offered
+            }
+        };
+        fetchTiers();
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const update = (field, fieldValue) => {
+        onChange({ ...value, [field]: fieldValue });
+    };
+
+    const toggle = (field, item) => {
+        const current = value[field] || [];
+        update(field, current.includes(item) ? current.filter((entry) => entry !== item) : [...current, item]);
+    };
+
+    const isEveryone = !value.roles.length && !value.tiers.length && !value.utorids.trim() && !value.eventIds.trim()
+        && !value.birthdayMonth && value.newWithinDays === '' && value.minPoints === '' && value.maxPoints === '';
+
+    return (
+        <fieldset className="audience-builder">
+            <legend>{t('audience.title')}</legend>
+            <p className="audience-builder__hint">
+                {isEveryone ? t('audience.everyone') : t('audience.allMustMatch')}
+            </p>
+
+            <div className="audience-builder__group">
+                <span>{t('audience.roles')}</span>
+                <div className="audience-builder__options">
+                    {ROLES.map((role) => (
+                        <label key={role} className="audience-builder__option">
+                            <input
+                                type="checkbox"
+                                checked={value.roles.includes(role)}
+                                onChange={() => toggle('roles', role)}
+                            />
+                            {t(`audience.role.${role}`)}
+                        </label>
+                    ))}
+                </div>
+            </div>
+
+            {tierNames.length > 0 && (
+                <div className="audience-builder__group">
+                    <span>{t('audience.tiers')}</span>
+                    <div className="audience-builder__options">
+                        {tierNames.map((name) => (
+                            <label key={name} className="audience-builder__option">
+                                <input
+                                    type="checkbox"
+                                    checked={value.tiers.includes(name)}
+                                    onChange={() => toggle('tiers', name)}
+                                />
+                                {name}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            <label>
+                {t('audience.utorids')}
+                <input
+                    type="text"
+                    value={value.utorids}
+                    onChange={(e) => update('utorids', e.target.value)}
+                    placeholder={t('audience.listPlaceholder')}
+                />
+            </label>
+            <label>
+                {t('audience.eventIds')}
+                <input
+                    type="text"
+                    value={value.eventIds}
+                    onChange={(e) => update('eventIds', e.target.value)}
+                    placeholder={t('audience.listPlaceholder')}
+                />
+            </label>
+
+            <div className="modal-grid">
+                <label>
+                    {t('audience.newWithinDays')}
+                    <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={value.newWithinDays}
+                        onChange={(e) => update('newWithinDays', e.target.value)}
+                    />
+                </label>
+                <label>
+                    {t('audience.minPoints')}
+                    <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={value.minPoints}
+                        onChange={(e) => update('minPoints', e.target.value)}
+                    />
+                </label>
+                <label>
+                    {t('audience.maxPoints')}
+                    <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={value.maxPoints}
+                        onChange={(e) => update('maxPoints', e.target.value)}
+                    />
+                </label>
+                <label className="promotion-modal__checkbox">
+                    <input
+                        type="checkbox"
+                        checked={value.birthdayMonth}
+                        onChange={(e) => update('birthdayMonth', e.target.checked)}
+                    />
+                    {t('audience.birthdayMonth')}
+                </label>
+            </div>
+        </fieldset>
+    );
+}
+
+export default AudienceBuilder;
@@ -0,0 +1,264 @@
+import { useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.jsx';
+import { authenticatedFetch } from '../utils/api.js';
+import Error from './Error.jsx';
+import ConfirmModal from './ConfirmModal.jsx';
+import './BatchAdjustment.css';
+
+// Utility function to split one pasted line into fields, on tabs (spreadsheet paste) or
+// commas (CSV), allowing "quoted, fields"
+const splitLine = (line) => {
+    const delimiter = line.includes('\t') ? '\t' : ',';
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields.map((value) => value.trim());
+};
+
+// Utility function to read pasted rows as {utorid, amount, remark}; a header row is skipped
+const parseRows = (text) => {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+    if (lines.length > 0 && splitLine(lines[0])[0].toLowerCase() === 'utorid') {
+        lines.shift();
+    }
+    return lines.map((line) => {
+        const [utorid = '', amount = '', ...remark] = splitLine(line);
+        const number = Number(amount);
+        return {
+            utorid,
+            amount: amount !== '' && Number.isFinite(number) ? number : amount,
+            remark: remark.join(', ')
+        };
+    });
+};
+
+/**
+ * Batch Adjustment Component
+ * Points adjustments for many members at once (managers only): paste rows of utorid, amount
+ * and remark from a spreadsheet, check them, and apply them all or none. The applied batch can
+ * be voided as a whole.
+ */
+function BatchAdjustment() {
+    const { t } = useLanguage();
+    const [text, setText] = useState('');
+    const [rows, setRows] = useState(null);
+    const [rowErrors, setRowErrors] = useState(null);
+    const [batch, setBatch] = useState(null);
+    const [voided, setVoided] = useState(false);
+    const [confirmVoid, setConfirmVoid] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            setText(await file.text());
+            setRows(null);
+            setRowErrors(null);
+        }
+    };
+
+    const reset = () => {
+        setText('');
+        setRows(null);
+        setRowErrors(null);
+        setBatch(null);
+        setVoided(false);
+        setError('');
+    };
+
+    const preview = () => {
+        setError('');
+        setRowErrors(null);
+        const parsed = parseRows(text);
+        if (parsed.length === 0) {
+            setError(t('batchAdjustment.empty'));
+            return;
+        }
+        setRows(parsed);
+    };
+
+    const apply = async () => {
+        setBusy(true);
+        setError('');
+        try {
+            const response = await authenticatedFetch('/transactions/batches', {
+                method: 'POST',
+                body: JSON.stringify({ adjustments: rows })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                if (data.results) {
+                    setRowErrors(new Map(data.results.map((result) => [result.row, result.errors])));
+                }
+                setError(data.Message || data.message || t('batchAdjustment.failed'));
+                return;
+            }
+            setBatch(data);
+        } catch {
+            setError(t('batchAdjustment.failed'));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const voidBatch = async () => {
+        setConfirmVoid(false);
+        setBusy(true);
+        setError('');
+        try {
+            const response = await authenticatedFetch(`/transactions/batches/${batch.batchId}/void`, {
+                method: 'POST',
+                body: JSON.stringify({})
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                setError(data.Message || data.message || t('batchAdjustment.voidFailed'));
+                return;
+            }
+            setVoided(true);
+        } catch {
+            setError(t('batchAdjustment.voidFailed'));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const total = rows ? rows.reduce((sum, row) => sum + (typeof row.amount === 'number' ? row.amount : 0), 0) : 0;
+
+    return (
+        <section className="form-section batch-adjustment">
+            <h2>{t('batchAdjustment.title')}</h2>
+            <p className="form-hint">{t('batchAdjustment.instructions')}</p>
+
+            {error && <Error error={error} />}
+
+            {!rows && (
+                <>
+                    <div className="form-group">
+                        <textarea
+                            value={text}
+                            onChange={(e) => setText(e.target.value)}
+                            placeholder={'utorid,amount,remark\nalice001,50,Volunteer bonus\nbob00002,-20,Correction'}
+                            rows={8}
+                        />
+                        <input type="file" accept=".csv,.tsv,.txt,text/csv" onChange={handleFileChange} />
+                    </div>
+                    <div className="form-actions">
+                        <button type="button" className="submit-btn" onClick={preview} disabled={!text.trim()}>
+                            {t('batchAdjustment.preview')}
+                        </button>
+                    </div>
+                </>
+            )}
+
+            {rows && (
+                <>
+                    <div className="batch-adjustment__summary">
+                        <span>{t('batchAdjustment.rows', { count: rows.length })}</span>
+                        <span>{t('batchAdjustment.net', { total: total.toLocaleString() })}</span>
+                        {batch && <span>{t('batchAdjustment.batchId', { id: batch.batchId })}</span>}
+                    </div>
+                    <div className="batch-adjustment__table-wrapper">
+                        <table className="batch-adjustment__table">
+                            <thead>
+                                <tr>
+                                    <th>#</th>
+                                    <th>{t('managerAdjustment.utorid')}</th>
+                                    <th>{t('managerAdjustment.pointsAdjustment')}</th>
+                                    <th>{t('managerAdjustment.remark')}</th>
+                                    <th>{t('batchAdjustment.result')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map((row, index) => {
+                                    const errors = rowErrors?.get(index + 1) || [];
+                                    const applied = batch?.results[index];
+                                    return (
+                                        <tr key={index} className={errors.length > 0 ? 'batch-adjustment__row--error' : ''}>
+                                            <td>{index + 1}</td>
+                                            <td>{row.utorid}</td>
+                                            <td>{String(row.amount)}</td>
+                                            <td>{row.remark}</td>
+                                            <td>
+                                                {errors.length > 0 && errors.join('; ')}
+                                                {applied && (voided
+                                                    ? t('batchAdjustment.voidedRow')
+                                                    : t('batchAdjustment.appliedRow', { id: applied.id }))}
+                                                {applied?.suspicious && ` ${t('batchAdjustment.pendingReview')}`}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {batch && (
+                        <div className="success-message">
+                            <p>✓ {voided ? t('batchAdjustment.voided', { count: batch.count }) : t('batchAdjustment.applied', { count: batch.count })}</p>
+                        </div>
+                    )}
+
+                    <div className="form-actions">
+                        {!batch && (
+                            <>
+                                <button type="button" className="cancel-btn" onClick={() => setRows(null)} disabled={busy}>
+                                    {t('batchAdjustment.edit')}
+                                </button>
+                                <button type="button" className="submit-btn" onClick={apply} disabled={busy}>
+                                    {busy ? t('batchAdjustment.applying') : t('batchAdjustment.apply', { count: rows.length })}
+                                </button>
+                            </>
+                        )}
+                        {batch && (
+                            <>
+                                {!voided && (
+                                    <button type="button" className="cancel-btn" onClick={() => setConfirmVoid(true)} disabled={busy}>
+                                        {busy ? t('batchAdjustment.voiding') : t('batchAdjustment.void')}
+                                    </button>
+                                )}
+                                <button type="button" className="submit-btn" onClick={reset} disabled={busy}>
+                                    {t('batchAdjustment.newBatch')}
+                                </button>
+                            </>
+                        )}
+                    </div>
+                </>
+            )}
+
+            <ConfirmModal
+                isOpen={confirmVoid}
+                title={t('batchAdjustment.voidTitle')}
+                message={t('batchAdjustment.voidMessage', { count: batch?.count || 0 })}
+                confirmText={t('batchAdjustment.void')}
+                cancelText={t('managerAdjustment.cancel')}
+                onConfirm={voidBatch}
+                onCancel={() => setConfirmVoid(false)}
+            />
+        </section>
+    );
+}
+
+export default BatchAdjustment;
@@ -26,6 +26,9 @@ const DashboardLayout = () => {
         { path: '/dashboard/redemption', label: t('nav.redemption'), roles: ['regular'] },
         { path: '/dashboard/transfer', label: t('nav.transfer'), roles: ['regular'] },
         { path: '/dashboard/users', label: t('nav.users') },
+        { path: '/dashboard/manager/earning-rules', label: t('nav.earningRules'), roles: ['manager', 'superuser'] },
+        { path: '/dashboard/manager/flag-review', label: t('nav.flagReview'), roles: ['manager', 'superuser'] },
+        { path: '/dashboard/superuser/audit', label: t('nav.audit'), roles: ['superuser'] },
     ];
 
     // Use effectiveRole from InterfaceViewContext (which respects interface switching)
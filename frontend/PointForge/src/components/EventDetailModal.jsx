@@ -7,7 +7,7 @@ import EventEditorModal from './EventEditorModal.jsx';
 import EventPointsModal from './EventPointsModal.jsx';
 import ConfirmModal from './ConfirmModal.jsx';
 import GoogleMapsEmbed from './GoogleMapsEmbed.jsx';
-import { authenticatedFetch } from '../utils/api.js';
+import { authenticatedFetch, createSubmissionKeys } from '../utils/api.js';
 import { formatDate } from '../utils/dateUtils.js';
 import './EventDetailModal.css';
 
@@ -29,6 +29,8 @@ function EventDetailModal({ eventId, isOpen, onClose, onEventUpdated }) {
 
     // State for the event data being displayed
     const [event, setEvent] = useState(null);
+    // Idempotency-Keys for the submits: only a retry of the same submit reuses one
+    const [submissionKeys] = useState(createSubmissionKeys);
     const [loading, setLoading] = useState(true);      // Loading state while fetching
     const [error, setError] = useState('');            // Error message if fetch fails
 
@@ -355,15 +357,18 @@ function EventDetailModal({ eventId, isOpen, onClose, onEventUpdated }) {
         setPointsModalBusy(true);
         setPointsModalError('');
         try {
+            const request = JSON.stringify(payload);
             const response = await authenticatedFetch(`/events/${eventId}/transactions`, {
                 method: 'POST',
-                body: JSON.stringify(payload),
+                body: request,
+                idempotencyKey: submissionKeys.keyFor(`${eventId}|${request}`),
             });
 
             const body = await response.json();
             if (!response.ok) {
                 throw new Error(body.message || 'Failed to distribute points');
             }
+            submissionKeys.done();
 
             setPointsModalOpen(false);
             refresh();
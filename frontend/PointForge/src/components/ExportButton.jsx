@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.jsx';
+import { downloadFile } from '../utils/api.js';
+import './ExportButton.css';
+
+const FORMATS = ['csv', 'jsonl'];
+
+/**
+ * Export Button Component
+ * Downloads everything matching a list page's current filters (not just the visible page) from
+ * the list's export endpoint, as CSV or JSON Lines
+ * @param {string} endpoint - Export endpoint, e.g. '/transactions/export'
+ * @param {URLSearchParams} params - The list's filter and sort parameters; paging is dropped
+ * @param {string} name - File name (without extension) if the server doesn't send one
+ */
+function ExportButton({ endpoint, params, name }) {
+    const { t } = useLanguage();
+    const [format, setFormat] = useState('csv');
+    const [exporting, setExporting] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleExport = async () => {
+        const query = new URLSearchParams(params);
+        query.delete('page');
+        query.delete('limit');
+        query.set('format', format);
+
+        setExporting(true);
+        setError('');
+        try {
+            const response = await downloadFile(`${endpoint}?${query.toString()}`, `${name}.${format}`);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                setError(data.message || data.Message || t('export.failed'));
+            }
+        } catch {
+            setError(t('export.failed'));
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    return (
+        <div className="export-button">
+            <select
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                aria-label={t('export.format')}
+                disabled={exporting}
+            >
+                {FORMATS.map((value) => (
+                    <option key={value} value={value}>{t(`export.format.${value}`)}</option>
+                ))}
+            </select>
+            <button type="button" onClick={handleExport} disabled={exporting}>
+                {exporting ? t('export.exporting') : t('export.currentView')}
+            </button>
+            {error && <span className="export-button__error">{error}</span>}
+        </div>
+    );
+}
+
+export default ExportButton;
@@ -0,0 +1,94 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useLanguage } from '../contexts/LanguageContext.jsx';
+import { authenticatedFetch } from '../utils/api.js';
+import Error from './Error.jsx';
+import Loading from './Loading.jsx';
+import EmptyState from './EmptyState.jsx';
+import './FlagReviewQueue.css';
+
+const QUEUE_LIMIT = 10;
+
+// Utility function to get the translation key of a transaction type's label
+const typeKey = (type) => `transactionDetail.type${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+
+/**
+ * Flag Review Queue Component
+ * Dashboard panel listing the flagged transactions waiting for review (oldest first), with the
+ * reason each was flagged; each links to the review page, where managers approve or reject it
+ * @param {Function} onSelect - Called with a transaction id to show its details
+ */
+function FlagReviewQueue({ onSelect }) {
+    const { t } = useLanguage();
+    const [result, setResult] = useState({ data: null, error: '' });
+
+    useEffect(() => {
+        let cancelled = false;
+        const fetchQueue = async () => {
+            try {
+                const response = await authenticatedFetch(`/transactions/review-queue?limit=${QUEUE_LIMIT}`);
+                const data = await response.json().catch(() => ({}));
+                if (!cancelled) {
+                    setResult(response.ok
+                        ? { data, error: '' }
+                        : { data: null, error: data.Message || data.message || 'flagReview.loadFailed' });
+                }
+            } catch {
+                if (!cancelled) {
+                    setResult({ data: null, error: 'flagReview.loadFailed' });
+                }
+            }
+        };
+        fetchQueue();
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const renderList = () => {
+        if (!result.data && !result.error) {
+            return <Loading />;
+        }
+        if (result.error) {
+            return <Error error={t(result.error)} className="manager-error" />;
+        }
+        if (result.data.results.length === 0) {
+            return <ul className="section-list"><EmptyState message={t('flagReview.empty')} /></ul>;
+        }
+        return (
+            <ul className="section-list flag-review-list">
+                {result.data.results.map((item) => (
+                    <li key={item.id} className="flag-review-item">
+                        <button type="button" className="flag-review-summary" onClick={() => onSelect?.(item.id)}>
+                            <strong>#{item.id} · {t(typeKey(item.type))} · {item.utorid}</strong>
+                            <span className="flag-review-meta">
+                                {item.type === 'purchase' ? `$${item.spent.toFixed(2)} · ` : ''}
+                                {item.amount} {t('transactionCard.points')} · {t('flagReview.by', { utorid: item.issuer })}
+                            </span>
+                            {item.suspiciousReason && <span className="flag-review-reason">{item.suspiciousReason}</span>}
+                        </button>
+                        <Link className="flag-review-link" to={`/dashboard/manager/flag-review?transaction=${item.id}`}>
+                            {t('flagReview.review')}
+                        </Link>
+                    </li>
+                ))}
+            </ul>
+        );
+    };
+
+    return (
+        <div className="gridItem detail-section manager-panel flag-review">
+            <div className="section-header">
+                <h2>{t('flagReview.title')}</h2>
+                {result.data && (
+                    <Link to="/dashboard/manager/flag-review" className="status-pill status-pill--warning">
+                        {t('flagReview.pending', { count: result.data.count })}
+                    </Link>
+                )}
+            </div>
+            {renderList()}
+        </div>
+    );
+}
+
+export default FlagReviewQueue;
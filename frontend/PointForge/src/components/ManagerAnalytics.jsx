@@ -0,0 +1,239 @@
+import { useEffect, useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.jsx';
+import { authenticatedFetch } from '../utils/api.js';
+import Error from './Error.jsx';
+import Loading from './Loading.jsx';
+import './ManagerAnalytics.css';
+
+const PRESETS = [7, 30, 90, 365];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Utility function to format a Date as the value of a date input (local time)
+const toDateInput = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+// Utility function to get the date range covering the last `days` days, today included
+const presetRange = (days) => {
+    const today = new Date();
+    return { from: toDateInput(new Date(today.getTime() - (days - 1) * DAY_MS)), to: toDateInput(today), preset: days };
+};
+
+// Utility function to label a series period by its first day
+const periodLabel = (period) => new Date(period.start).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+/**
+ * Manager Analytics Component
+ * Program-wide figures from GET /analytics/overview for a picked date range: points issued,
+ * redeemed and outstanding, member activity, top earners and event attendance, with charts
+ */
+function ManagerAnalytics() {
+    const { t } = useLanguage();
+    const [range, setRange] = useState(() => presetRange(30));
+    const [result, setResult] = useState({ key: null, data: null, error: '' });
+
+    // Dates are picked as whole days; the range runs to the end of the `to` day
+    const query = new URLSearchParams({
+        from: new Date(`${range.from}T00:00`).toISOString(),
+        to: new Date(new Date(`${range.to}T00:00`).getTime() + DAY_MS).toISOString()
+    }).toString();
+
+    useEffect(() => {
+        let cancelled = false;
+        const fetchOverview = async () => {
+            try {
+                const response = await authenticatedFetch(`/analytics/overview?${query}`);
+                const data = await response.json();
+                if (!cancelled) {
+                    setResult(response.ok
+                        ? { key: query, data, error: '' }
+                        : { key: query, data: null, error: data.Message || data.message || 'analytics.loadFailed' });
+                }
+            } catch {
+                if (!cancelled) {
+                    setResult({ key: query, data: null, error: 'analytics.loadFailed' });
+                }
+            }
+        };
+        fetchOverview();
+        return () => {
+            cancelled = true;
+        };
+    }, [query]);
+
+    const handleDateChange = (field, value) => {
+        if (value) {
+            setRange((prev) => ({ ...prev, [field]: value, preset: null }));
+        }
+    };
+
+    const loading = result.key !== query;
+    const overview = result.data;
+
+    const renderBody = () => {
+        if (loading) {
+            return <Loading message={t('analytics.loading')} />;
+        }
+        if (result.error) {
+            return <Error error={t(result.error)} />;
+        }
+
+        const tiles = [
+            { label: t('analytics.pointsIssued'), value: overview.pointsIssued },
+            { label: t('analytics.pointsRedeemed'), value: overview.pointsRedeemed },
+            { label: t('analytics.pointsExpired'), value: overview.pointsExpired },
+            { label: t('analytics.liability'), value: overview.outstandingLiability },
+            { label: t('analytics.activeUsers'), value: overview.activeUsers },
+            { label: t('analytics.newRegistrations'), value: overview.newRegistrations },
+            { label: t('analytics.eventAttendees'), value: overview.eventAttendance.attendees }
+        ];
+        const seriesPeak = Math.max(1, ...overview.series.map((period) => Math.max(period.issued, period.redeemed)));
+        const registrationsPeak = Math.max(1, ...overview.series.map((period) => period.registrations));
+        const issuedTypes = Object.entries(overview.issuedByType);
+        const typePeak = Math.max(1, ...issuedTypes.map(([, entry]) => entry.points));
+        const attendancePeak = Math.max(1, ...overview.eventAttendance.results.map((event) => event.capacity || event.attendees));
+
+        return (
+            <>
+                <div className="analytics-tiles">
+                    {tiles.map((tile) => (
+                        <div className="analytics-tile" key={tile.label}>
+                            <span>{tile.label}</span>
+                            <strong>{tile.value.toLocaleString()}</strong>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="analytics-panels">
+                    <div className="analytics-panel analytics-panel--wide">
+                        <h3>{t('analytics.issuedVsRedeemed', { unit: t(`analytics.unit.${overview.seriesUnit}`) })}</h3>
+                        <div className="analytics-legend">
+                            <span className="analytics-legend__issued">{t('analytics.pointsIssued')}</span>
+                            <span className="analytics-legend__redeemed">{t('analytics.pointsRedeemed')}</span>
+                        </div>
+                        <div className="analytics-chart">
+                            {overview.series.map((period) => (
+                                <div
+                                    className="analytics-chart__group"
+                                    key={period.start}
+                                    title={`${periodLabel(period)}: +${period.issued} / -${period.redeemed}`}
+                                >
+                                    <div className="analytics-chart__bar analytics-chart__bar--issued" style={{ height: `${(period.issued / seriesPeak) * 100}%` }} />
+                                    <div className="analytics-chart__bar analytics-chart__bar--redeemed" style={{ height: `${(period.redeemed / seriesPeak) * 100}%` }} />
+                                </div>
+                            ))}
+                        </div>
+                        {overview.series.length > 0 && (
+                            <div className="analytics-axis">
+                                <span>{periodLabel(overview.series[0])}</span>
+                                <span>{periodLabel(overview.series[overview.series.length - 1])}</span>
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="analytics-panel">
+                        <h3>{t('analytics.issuedByType')}</h3>
+                        <ul className="analytics-bars">
+                            {issuedTypes.map(([type, entry]) => (
+                                <li key={type}>
+                                    <span>{t(`transactions.type${type.charAt(0).toUpperCase()}${type.slice(1)}`)}</span>
+                                    <div className="analytics-bars__track">
+                                        <div className="analytics-bars__fill" style={{ width: `${(entry.points / typePeak) * 100}%` }} />
+                                    </div>
+                                    <strong>{entry.points.toLocaleString()}</strong>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+
+                    <div className="analytics-panel">
+                        <h3>{t('analytics.registrations')}</h3>
+                        <div className="analytics-chart analytics-chart--small">
+                            {overview.series.map((period) => (
+                                <div className="analytics-chart__group" key={period.start} title={`${periodLabel(period)}: ${period.registrations}`}>
+                                    <div className="analytics-chart__bar analytics-chart__bar--registrations" style={{ height: `${(period.registrations / registrationsPeak) * 100}%` }} />
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="analytics-panel">
+                        <h3>{t('analytics.topEarners')}</h3>
+                        {overview.topEarners.length === 0 ? (
+                            <p className="analytics-empty">{t('analytics.noData')}</p>
+                        ) : (
+                            <ol className="analytics-ranking">
+                                {overview.topEarners.map((earner) => (
+                                    <li key={earner.id}>
+                                        <span>{earner.name || earner.utorid}</span>
+                                        <strong>{earner.points.toLocaleString()}</strong>
+                                    </li>
+                                ))}
+                            </ol>
+                        )}
+                    </div>
+
+                    <div className="analytics-panel">
+                        <h3>{t('analytics.eventAttendance', { count: overview.eventAttendance.events })}</h3>
+                        {overview.eventAttendance.results.length === 0 ? (
+                            <p className="analytics-empty">{t('analytics.noEvents')}</p>
+                        ) : (
+                            <ul className="analytics-bars">
+                                {overview.eventAttendance.results.map((event) => (
+                                    <li key={event.id}>
+                                        <span title={event.name}>{event.name}</span>
+                                        <div className="analytics-bars__track">
+                                            <div className="analytics-bars__fill" style={{ width: `${(event.attendees / attendancePeak) * 100}%` }} />
+                                        </div>
+                                        <strong>{event.capacity ? `${event.attendees}/${event.capacity}` : event.attendees}</strong>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                </div>
+            </>
+        );
+    };
+
+    return (
+        <section className="manager-analytics">
+            <div className="manager-analytics__header">
+                <h2>{t('analytics.title')}</h2>
+                <div className="manager-analytics__range">
+                    {PRESETS.map((days) => (
+                        <button
+                            key={days}
+                            type="button"
+                            className={`manager-analytics__preset ${range.preset === days ? 'active' : ''}`}
+                            onClick={() => setRange(presetRange(days))}
+                        >
+                            {t('analytics.lastDays', { days })}
+                        </button>
+                    ))}
+                    <input
+                        type="date"
+                        aria-label={t('analytics.from')}
+                        value={range.from}
+                        max={range.to}
+                        onChange={(e) => handleDateChange('from', e.target.value)}
+                    />
+                    <span>–</span>
+                    <input
+                        type="date"
+                        aria-label={t('analytics.to')}
+                        value={range.to}
+                        min={range.from}
+                        onChange={(e) => handleDateChange('to', e.target.value)}
+                    />
+                </div>
+            </div>
+            {renderBody()}
+        </section>
+    );
+}
+
+export default ManagerAnalytics;
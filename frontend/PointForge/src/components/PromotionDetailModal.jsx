@@ -4,6 +4,7 @@ import { useLanguage, translatePromotionDescription } from '../contexts/Language
 import Loading from './Loading.jsx';
 import Error from './Error.jsx';
 import PromotionEditorModal from './PromotionEditorModal.jsx';
+import PromotionStats from './PromotionStats.jsx';
 import ConfirmModal from './ConfirmModal.jsx';
 import { authenticatedFetch } from '../utils/api.js';
 import { formatDate } from '../utils/dateUtils.js';
@@ -329,6 +330,51 @@ function PromotionDetailModal({ promotionId, isOpen, onClose, onPromotionUpdated
 
     const rewardDisplay = rewardParts.length > 0 ? rewardParts.join(' · ') : t('common.none');
     const minSpending = promotion.minSpending ? `$${promotion.minSpending}` : t('common.n/a');
+
+    // Remaining uses and budget - only for the caps this promotion has
+    const caps = promotion.caps || {};
+    const capItems = [];
+    if (caps.maxUses !== null && caps.maxUses !== undefined) {
+        capItems.push({ label: t('promotionDetail.remainingUses'), value: `${caps.remainingUses} / ${caps.maxUses}` });
+    }
+    if (caps.maxUsesPerDay !== null && caps.maxUsesPerDay !== undefined) {
+        capItems.push({ label: t('promotionDetail.remainingUsesToday'), value: `${caps.remainingUsesToday} / ${caps.maxUsesPerDay}` });
+    }
+    if (caps.remainingUserUses !== null && caps.remainingUserUses !== undefined) {
+        capItems.push({ label: t('promotionDetail.remainingUserUses'), value: `${caps.remainingUserUses} / ${caps.maxUsesPerUser}` });
+    } else if (isManager && caps.maxUsesPerUser !== null && caps.maxUsesPerUser !== undefined) {
+        capItems.push({ label: t('promotionDetail.usesPerMember'), value: caps.maxUsesPerUser });
+    }
+    if (caps.pointsBudget !== null && caps.pointsBudget !== undefined) {
+        capItems.push({ label: t('promotionDetail.remainingBudget'), value: `${caps.remainingBudget} / ${caps.pointsBudget} ${t('promotionCard.points')}` });
+    }
+
+    // Recurring schedule and the next time it runs
+    const recurrence = promotion.recurrence;
+    const scheduleItems = [];
+    if (recurrence) {
+        const summary = {
+            days: recurrence.days.map((day) => t(`schedule.day.${day}`)).join(', '),
+            weeks: (recurrence.weeks || []).map((week) => t(`schedule.week.${week}`)).join(', '),
+            start: recurrence.start,
+            hours: recurrence.durationMinutes / 60
+        };
+        scheduleItems.push({
+            label: t('promotionDetail.schedule'),
+            value: recurrence.frequency === 'monthly'
+                ? t('promotionDetail.scheduleMonthly', summary)
+                : t('promotionDetail.scheduleWeekly', summary)
+        });
+        // The first occurrence is the window it is running in right now, if it is active
+        const [current, following] = promotion.nextOccurrences || [];
+        const next = promotion.isActive ? following : current;
+        if (promotion.isActive && current) {
+            scheduleItems.push({ label: t('promotionDetail.runningUntil'), value: formatDate(current.end) });
+        }
+        if (next) {
+            scheduleItems.push({ label: t('promotionDetail.nextRun'), value: formatDate(next.start) });
+        }
+    }
     
     // Determine if user can add this promotion to wallet
     const canApply = isRegular && promotion.isOneTime;
@@ -368,6 +414,12 @@ function PromotionDetailModal({ promotionId, isOpen, onClose, onPromotionUpdated
                         <span>{t('promotionDetail.minimumSpending')}</span>
                         <strong>{minSpending}</strong>
                     </div>
+                    {[...scheduleItems, ...capItems].map((item) => (
+                        <div className="promotion-meta-item" key={item.label}>
+                            <span>{item.label}</span>
+                            <strong>{item.value}</strong>
+                        </div>
+                    ))}
                 </div>
                 
                 {/* Manager-only action buttons */}
@@ -383,6 +435,9 @@ function PromotionDetailModal({ promotionId, isOpen, onClose, onPromotionUpdated
                         </>
                     )}
                 </div>
+
+                {/* Manager-only performance stats */}
+                {isManager && <PromotionStats promotionId={promotion.id} />}
                 
                 {/* Footer with validity and eligibility information */}
                 <div className="promotion-detail-footer">
@@ -1,7 +1,16 @@
 import { useEffect, useState } from 'react';
 import { useLanguage } from '../contexts/LanguageContext.jsx';
 import './PromotionEditorModal.css';
-import { percentFromDecimal } from '../utils/promotionUtils.js';
+import AudienceBuilder from './AudienceBuilder.jsx';
+import ScheduleBuilder from './ScheduleBuilder.jsx';
+import {
+    percentFromDecimal,
+    audienceToForm,
+    recurrenceToForm,
+    buildPromotionPayload,
+    EMPTY_AUDIENCE_FORM,
+    EMPTY_SCHEDULE_FORM
+} from '../utils/promotionUtils.js';
 
 const DEFAULT_FORM = {
     name: '',
@@ -11,7 +20,16 @@ const DEFAULT_FORM = {
     endTime: '',
     minSpending: '',
     rate: '',
-    points: ''
+    points: '',
+    exclusive: false,
+    stackGroup: '',
+    priority: '',
+    maxUses: '',
+    maxUsesPerUser: '',
+    maxUsesPerDay: '',
+    pointsBudget: '',
+    audience: EMPTY_AUDIENCE_FORM,
+    recurrence: EMPTY_SCHEDULE_FORM
 };
 
 // Convert a date (from server in UTC/ISO format) to local datetime-local format
@@ -118,7 +136,16 @@ function PromotionEditorModal({ isOpen, mode = 'create', initialValues = {}, onC
                 endTime: values.endTime ? toInputValue(values.endTime) : defaultEndTime,
                 minSpending: values.minSpending ?? '',
                 rate: values.rate != null ? String(percentFromDecimal(values.rate)) : '',
-                points: values.points ?? ''
+                points: values.points ?? '',
+                exclusive: Boolean(values.exclusive),
+                stackGroup: values.stackGroup || '',
+                priority: values.priority ?? '',
+                maxUses: values.caps?.maxUses ?? values.maxUses ?? '',
+                maxUsesPerUser: values.caps?.maxUsesPerUser ?? values.maxUsesPerUser ?? '',
+                maxUsesPerDay: values.caps?.maxUsesPerDay ?? values.maxUsesPerDay ?? '',
+                pointsBudget: values.caps?.pointsBudget ?? values.pointsBudget ?? '',
+                audience: audienceToForm(values.audience),
+                recurrence: recurrenceToForm(values.recurrence)
             });
         } else {
             setFormValues(DEFAULT_FORM);
@@ -130,7 +157,8 @@ function PromotionEditorModal({ isOpen, mode = 'create', initialValues = {}, onC
     }
 
     const handleChange = (event) => {
-        const { name, value } = event.target;
+        const { name, type, checked } = event.target;
+        const value = type === 'checkbox' ? checked : event.target.value;
         setFormValues((prev) => ({
             ...prev,
             [name]: value
@@ -141,6 +169,19 @@ function PromotionEditorModal({ isOpen, mode = 'create', initialValues = {}, onC
         }));
     };
 
+    const handleAudienceChange = (audience) => {
+        setFormValues((prev) => ({ ...prev, audience }));
+        setPayloadValues((prev) => ({ ...prev, audience }));
+    };
+
+    const handleRecurrenceChange = (recurrence) => {
+        setFormValues((prev) => ({ ...prev, recurrence }));
+        setPayloadValues((prev) => ({ ...prev, recurrence }));
+    };
+
+    // The schedule preview needs the window in the same form the server gets it
+    const schedulePreviewWindow = buildPromotionPayload({ startTime: formValues.startTime, endTime: formValues.endTime });
+
     const handleSubmit = (event) => {
         event.preventDefault();
         onSubmit?.(payloadValues);
@@ -219,6 +260,55 @@ function PromotionEditorModal({ isOpen, mode = 'create', initialValues = {}, onC
                             />
                         </label>
                     </div>
+                    <div className="modal-grid">
+                        <label>
+                            {t('editor.priority')}
+                            <input
+                                type="number"
+                                name="priority"
+                                step="1"
+                                value={formValues.priority}
+                                onChange={handleChange}
+                                placeholder="0"
+                            />
+                        </label>
+                        <label>
+                            {t('editor.stackGroup')}
+                            <input
+                                type="text"
+                                name="stackGroup"
+                                value={formValues.stackGroup}
+                                onChange={handleChange}
+                                placeholder={t('editor.stackGroupPlaceholder')}
+                            />
+                        </label>
+                        <label className="promotion-modal__checkbox">
+                            <input
+                                type="checkbox"
+                                name="exclusive"
+                                checked={formValues.exclusive}
+                                onChange={handleChange}
+                            />
+                            {t('editor.exclusive')}
+                        </label>
+                    </div>
+                    <div className="modal-grid">
+                        {['maxUses', 'maxUsesPerUser', 'maxUsesPerDay', 'pointsBudget'].map((field) => (
+                            <label key={field}>
+                                {t(`editor.${field}`)}
+                                <input
+                                    type="number"
+                                    name={field}
+                                    min="0"
+                                    step="1"
+                                    value={formValues[field]}
+                                    onChange={handleChange}
+                                    placeholder={t('editor.noLimit')}
+                                />
+                            </label>
+                        ))}
+                    </div>
+                    <AudienceBuilder value={formValues.audience} onChange={handleAudienceChange} />
                     <div className="modal-grid">
                         <label>
                             {t('editor.startTime')}
@@ -243,6 +333,12 @@ function PromotionEditorModal({ isOpen, mode = 'create', initialValues = {}, onC
                             />
                         </label>
                     </div>
+                    <ScheduleBuilder
+                        value={formValues.recurrence}
+                        onChange={handleRecurrenceChange}
+                        startTime={schedulePreviewWindow.startTime}
+                        endTime={schedulePreviewWindow.endTime}
+                    />
                     {error && <p className="modal-error">{error}</p>}
                     <div className="modal-actions">
                         <button type="button" className="secondary-btn" onClick={onClose} disabled={busy}>
@@ -0,0 +1,155 @@
+import { useEffect, useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.jsx';
+import { authenticatedFetch } from '../utils/api.js';
+import Error from './Error.jsx';
+import Loading from './Loading.jsx';
+import './PromotionStats.css';
+
+const METRICS = ['redemptions', 'bonusPoints', 'spent'];
+
+const formatMoney = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+/**
+ * Promotion Stats Component
+ * Shows how a promotion performed (managers only): totals, a daily chart and a comparison of
+ * store-wide purchases while it ran against the days before it started
+ * @param {number} promotionId - Promotion to show stats for
+ */
+function PromotionStats({ promotionId }) {
+    const { t } = useLanguage();
+    const [stats, setStats] = useState(null);
+    const [error, setError] = useState('');
+    const [metric, setMetric] = useState('redemptions');
+
+    useEffect(() => {
+        let cancelled = false;
+        const fetchStats = async () => {
+            try {
+                const response = await authenticatedFetch(`/promotions/${promotionId}/stats`);
+                const data = await response.json();
+                if (cancelled) {
+                    return;
+                }
+                if (!response.ok) {
+                    setError(data.message || data.Message || 'promotionStats.loadFailed');
+                    return;
+                }
+                setStats(data);
+            } catch {
+                if (!cancelled) {
+                    setError('promotionStats.loadFailed');
+                }
+            }
+        };
+        fetchStats();
+        return () => {
+            cancelled = true;
+        };
+    }, [promotionId]);
+
+    if (error) {
+        return <Error error={t(error)} />;
+    }
+    if (!stats) {
+        return <Loading message={t('promotionStats.loading')} />;
+    }
+
+    const formatMetric = (name, value) => (name === 'spent' ? formatMoney(value) : Number(value || 0).toLocaleString());
+    const peak = Math.max(1, ...stats.daily.map((day) => day[metric]));
+
+    const totals = [
+        { label: t('promotionStats.redemptions'), value: stats.redemptions.toLocaleString() },
+        { label: t('promotionStats.uniqueUsers'), value: stats.uniqueUsers.toLocaleString() },
+        { label: t('promotionStats.bonusPoints'), value: stats.bonusPoints.toLocaleString() },
+        { label: t('promotionStats.spent'), value: formatMoney(stats.spent) },
+        { label: t('promotionStats.averageSpent'), value: formatMoney(stats.averageSpent) }
+    ];
+
+    const comparisonRows = stats.comparison ? [
+        { key: 'purchasesPerDay', format: (value) => value.toLocaleString() },
+        { key: 'spentPerDay', format: formatMoney },
+        { key: 'averageSpent', format: formatMoney }
+    ] : [];
+
+    return (
+        <section className="promotion-stats">
+            <h3>{t('promotionStats.title')}</h3>
+            <div className="promotion-meta-grid">
+                {totals.map((item) => (
+                    <div className="promotion-meta-item" key={item.label}>
+                        <span>{item.label}</span>
+                        <strong>{item.value}</strong>
+                    </div>
+                ))}
+            </div>
+
+            {stats.daily.length > 0 && (
+                <div className="promotion-stats__chart-wrapper">
+                    <div className="promotion-stats__metrics" role="group" aria-label={t('promotionStats.daily')}>
+                        {METRICS.map((name) => (
+                            <button
+                                key={name}
+                                type="button"
+                                className={`promotion-stats__metric ${metric === name ? 'active' : ''}`}
+                                onClick={() => setMetric(name)}
+                            >
+                                {t(`promotionStats.${name}`)}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="promotion-stats__chart" role="img" aria-label={t('promotionStats.daily')}>
+                        {stats.daily.map((day) => (
+                            <div
+                                key={day.date}
+                                className="promotion-stats__bar"
+                                title={`${day.date}: ${formatMetric(metric, day[metric])}`}
+                            >
+                                <div
+                                    className="promotion-stats__bar-fill"
+                                    style={{ height: `${(day[metric] / peak) * 100}%` }}
+                                />
+                            </div>
+                        ))}
+                    </div>
+                    <div className="promotion-stats__axis">
+                        <span>{stats.daily[0].date}</span>
+                        <span>{t('promotionStats.peak', { value: formatMetric(metric, peak) })}</span>
+                        <span>{stats.daily[stats.daily.length - 1].date}</span>
+                    </div>
+                </div>
+            )}
+
+            {stats.comparison ? (
+                <table className="promotion-stats__comparison">
+                    <thead>
+                        <tr>
+                            <th>{t('promotionStats.storeWide')}</th>
+                            <th>{t('promotionStats.baseline', { days: Math.round(stats.comparison.baseline.days) })}</th>
+                            <th>{t('promotionStats.during')}</th>
+                            <th>{t('promotionStats.change')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {comparisonRows.map(({ key, format }) => {
+                            const change = stats.comparison.change[key];
+                            return (
+                                <tr key={key}>
+                                    <td>{t(`promotionStats.${key}`)}</td>
+                                    <td>{format(stats.comparison.baseline[key])}</td>
+                                    <td>{format(stats.comparison.during[key])}</td>
+                                    <td className={change > 0 ? 'promotion-stats__up' : change < 0 ? 'promotion-stats__down' : ''}>
+                                        {change === null ? t('common.n/a') : `${change > 0 ? '+' : ''}${change}%`}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            ) : (
+                <p className="promotion-stats__note">{t('promotionStats.notStarted')}</p>
+            )}
+        </section>
+    );
+}
+
+export default PromotionStats;
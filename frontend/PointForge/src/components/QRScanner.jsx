@@ -0,0 +1,211 @@
+// External library: jsQR
+// Source: https://www.npmjs.com/package/jsqr
+// Used for decoding QR codes from camera frames and uploaded images
+import { useEffect, useRef, useState } from 'react';
+import jsQR from 'jsqr';
+import { useLanguage } from '../contexts/LanguageContext.jsx';
+import { parseQrPayload } from '../utils/qrTokens.js';
+import './QRScanner.css';
+
+/**
+ * Decode a QR code from an image source drawn onto a canvas
+ * @param {HTMLCanvasElement} canvas - Scratch canvas
+ * @param {CanvasImageSource} source - Video frame or image to decode
+ * @param {number} width - Source width in pixels
+ * @param {number} height - Source height in pixels
+ * @returns {string|null} Decoded text, or null if no QR code was found
+ */
+const decodeFrom = (canvas, source, width, height) => {
+    if (!width || !height) {
+        return null;
+    }
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(source, 0, 0, width, height);
+    const image = context.getImageData(0, 0, width, height);
+    const code = jsQR(image.data, width, height, { inversionAttempts: 'dontInvert' });
+    return code ? code.data : null;
+};
+
+/**
+ * QR Code Scanner Component
+ * Reads PointForge QR codes from the device camera, or from an uploaded image as a fallback
+ * @param {function} onScan - Called with { type, token } when an accepted code is read
+ * @param {string[]} accept - Payload types to accept ("user" and/or "redemption")
+ * @param {boolean} disabled - Whether scanning is disabled
+ */
+function QRScanner({ onScan, accept = ['user', 'redemption'], disabled = false }) {
+    const { t } = useLanguage();
+    const [open, setOpen] = useState(false);
+    const [error, setError] = useState('');
+    // Translation key describing why the camera couldn't start
+    const [cameraError, setCameraError] = useState('');
+
+    const videoRef = useRef(null);
+    const canvasRef = useRef(null);
+    const fileInputRef = useRef(null);
+
+    // Check decoded text and hand it to the parent, or explain why it was rejected
+    const handleDecoded = (text) => {
+        const payload = parseQrPayload(text);
+        if (!payload) {
+            setError(t('qrScanner.unrecognised'));
+            return false;
+        }
+        if (!accept.includes(payload.type)) {
+            setError(payload.type === 'user' ? t('qrScanner.wrongTypeUser') : t('qrScanner.wrongTypeRedemption'));
+            return false;
+        }
+        setError('');
+        setOpen(false);
+        onScan(payload);
+        return true;
+    };
+
+    // The camera loop outlives renders, so it reads the latest handler through a ref
+    const handleDecodedRef = useRef(handleDecoded);
+    useEffect(() => {
+        handleDecodedRef.current = handleDecoded;
+    });
+
+    // Run the camera while the scanner is open
+    useEffect(() => {
+        if (!open) {
+            return;
+        }
+        let stream = null;
+        let frameId = null;
+        let stopped = false;
+        let lastRejected = '';
+
+        const scanFrame = () => {
+            if (stopped) {
+                return;
+            }
+            const video = videoRef.current;
+            if (video && video.readyState === video.HAVE_ENOUGH_DATA) {
+                const text = decodeFrom(canvasRef.current, video, video.videoWidth, video.videoHeight);
+                // Keep scanning after a rejected code, but only report it once
+                if (text && text !== lastRejected && !handleDecodedRef.current(text)) {
+                    lastRejected = text;
+                }
+            }
+            frameId = requestAnimationFrame(scanFrame);
+        };
+
+        const start = async () => {
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                setCameraError('qrScanner.cameraUnsupported');
+                return;
+            }
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({
+                    video: { facingMode: 'environment' },
+                    audio: false
+                });
+                if (stopped) {
+                    stream.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                const video = videoRef.current;
+                video.srcObject = stream;
+                await video.play();
+                setCameraError('');
+                frameId = requestAnimationFrame(scanFrame);
+            } catch (err) {
+                if (!stopped) {
+                    setCameraError(err.name === 'NotAllowedError' ? 'qrScanner.cameraDenied' : 'qrScanner.cameraUnavailable');
+                }
+            }
+        };
+
+        start();
+        return () => {
+            stopped = true;
+            if (frameId) {
+                cancelAnimationFrame(frameId);
+            }
+            if (stream) {
+                stream.getTracks().forEach(track => track.stop());
+            }
+        };
+    }, [open]);
+
+    // Decode an uploaded photo or screenshot of a QR code
+    const handleFileChange = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (!file) {
+            return;
+        }
+        const url = URL.createObjectURL(file);
+        try {
+            const image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = reject;
+                image.src = url;
+            });
+            const text = decodeFrom(canvasRef.current, image, image.naturalWidth, image.naturalHeight);
+            if (!text) {
+                setError(t('qrScanner.noCodeInImage'));
+                return;
+            }
+            handleDecoded(text);
+        } catch {
+            setError(t('qrScanner.imageUnreadable'));
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    };
+
+    const openScanner = () => {
+        setError('');
+        setCameraError('');
+        setOpen(true);
+    };
+
+    return (
+        <div className="qr-scanner">
+            <div className="qr-scanner-buttons">
+                {!open ? (
+                    <button type="button" className="qr-scanner-btn" onClick={openScanner} disabled={disabled}>
+                        {t('qrScanner.scan')}
+                    </button>
+                ) : (
+                    <button type="button" className="qr-scanner-btn" onClick={() => setOpen(false)}>
+                        {t('qrScanner.stop')}
+                    </button>
+                )}
+                <button type="button" className="qr-scanner-btn" onClick={() => fileInputRef.current?.click()} disabled={disabled}>
+                    {t('qrScanner.upload')}
+                </button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="image/*"
+                    className="qr-scanner-file"
+                    onChange={handleFileChange}
+                />
+            </div>
+
+            {open && (
+                <div className="qr-scanner-viewport">
+                    <video ref={videoRef} className="qr-scanner-video" muted playsInline />
+                    {cameraError ? (
+                        <p className="qr-scanner-message qr-scanner-message--error">{t(cameraError)}</p>
+                    ) : (
+                        <p className="qr-scanner-message">{t('qrScanner.pointCamera')}</p>
+                    )}
+                </div>
+            )}
+
+            {error && <p className="qr-scanner-message qr-scanner-message--error">{error}</p>}
+
+            <canvas ref={canvasRef} className="qr-scanner-canvas" />
+        </div>
+    );
+}
+
+export default QRScanner;
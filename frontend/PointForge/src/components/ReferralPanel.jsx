@@ -0,0 +1,112 @@
+import { useEffect, useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.jsx';
+import { authenticatedFetch } from '../utils/api.js';
+import Error from './Error.jsx';
+import Loading from './Loading.jsx';
+import './ReferralPanel.css';
+
+/**
+ * Referral Panel Component
+ * Shows the member's referral code and share link, the bonus terms and the people they referred
+ */
+function ReferralPanel() {
+    const { t } = useLanguage();
+    const [referrals, setReferrals] = useState(null);
+    const [error, setError] = useState('');
+    const [copied, setCopied] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        const fetchReferrals = async () => {
+            try {
+                const response = await authenticatedFetch('/users/me/referrals');
+                const data = await response.json();
+                if (cancelled) {
+                    return;
+                }
+                if (!response.ok) {
+                    setError(data.Message || data.message || 'referrals.loadFailed');
+                    return;
+                }
+                setReferrals(data);
+            } catch {
+                if (!cancelled) {
+                    setError('referrals.loadFailed');
+                }
+            }
+        };
+        fetchReferrals();
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    if (error) {
+        return <Error error={t(error)} />;
+    }
+    if (!referrals) {
+        return <Loading message={t('referrals.loading')} />;
+    }
+
+    const shareLink = `${window.location.origin}/register?ref=${referrals.code}`;
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(shareLink);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch {
+            // Clipboard access can be refused; the link is still shown for copying by hand
+        }
+    };
+
+    return (
+        <div className="referral-panel">
+            <div className="account-profile-field">
+                <label>{t('referrals.code')}</label>
+                <p className="referral-panel__code">{referrals.code}</p>
+            </div>
+            <div className="account-profile-field">
+                <label>{t('referrals.shareLink')}</label>
+                <div className="referral-panel__share">
+                    <p>{shareLink}</p>
+                    <button type="button" className="account-form-submit" onClick={handleCopy}>
+                        {copied ? t('referrals.copied') : t('referrals.copy')}
+                    </button>
+                </div>
+            </div>
+            <p className="referral-panel__terms">
+                {t('referrals.terms', {
+                    referrerPoints: referrals.referrerPoints,
+                    refereePoints: referrals.refereePoints
+                })}{' '}
+                {t(`referrals.trigger.${referrals.trigger}`)}{' '}
+                {t('referrals.limit', { max: referrals.maxReferrals })}
+            </p>
+
+            <h4 className="referral-panel__heading">{t('referrals.yourReferrals', { count: referrals.count })}</h4>
+            {referrals.results.length === 0 ? (
+                <p className="account-skeleton-note">{t('referrals.none')}</p>
+            ) : (
+                <ul className="referral-panel__list">
+                    {referrals.results.map((referral) => (
+                        <li key={referral.id} className="referral-panel__item">
+                            <div>
+                                <span className="referral-panel__name">{referral.name || referral.utorid}</span>
+                                <span className="referral-panel__date">
+                                    {new Date(referral.rewardedAt || referral.createdAt).toLocaleDateString()}
+                                </span>
+                                {referral.reason && <small>{referral.reason}</small>}
+                            </div>
+                            <span className={`referral-panel__status referral-panel__status--${referral.status}`}>
+                                {t(`referrals.status.${referral.status}`)}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+export default ReferralPanel;
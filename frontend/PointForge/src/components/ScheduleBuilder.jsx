@@ -0,0 +1,168 @@
+import { useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.jsx';
+import { authenticatedFetch } from '../utils/api.js';
+import { formatDate } from '../utils/dateUtils.js';
+import { recurrenceFromForm } from '../utils/promotionUtils.js';
+import './ScheduleBuilder.css';
+
+const DAYS = [0, 1, 2, 3, 4, 5, 6];
+const WEEKS = [1, 2, 3, 4, 5, -1];
+
+/**
+ * Schedule Builder Component
+ * Sets a recurring schedule (e.g. every Tuesday 2-5pm) that a promotion runs on inside its
+ * start and end time, and previews the next times it will run.
+ * @param {object} value - Schedule form state (see recurrenceToForm in utils/promotionUtils.js)
+ * @param {function} onChange - Called with the updated form state
+ * @param {string} startTime - The promotion's start time (ISO), used for the preview
+ * @param {string} endTime - The promotion's end time (ISO), used for the preview
+ */
+function ScheduleBuilder({ value, onChange, startTime, endTime }) {
+    const { t } = useLanguage();
+    const [occurrences, setOccurrences] = useState(null);
+    const [previewError, setPreviewError] = useState('');
+    const [previewing, setPreviewing] = useState(false);
+
+    const update = (field, fieldValue) => {
+        setOccurrences(null);
+        onChange({ ...value, [field]: fieldValue });
+    };
+
+    const toggle = (field, item) => {
+        const current = value[field] || [];
+        update(field, current.includes(item) ? current.filter((entry) => entry !== item) : [...current, item]);
+    };
+
+    const handlePreview = async () => {
+        setPreviewError('');
+        setPreviewing(true);
+        try {
+            const response = await authenticatedFetch('/promotions/schedule/preview', {
+                method: 'POST',
+                body: JSON.stringify({ startTime, endTime, recurrence: recurrenceFromForm(value) })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                setOccurrences(null);
+                setPreviewError(data.message || data.Message || t('schedule.previewFailed'));
+                return;
+            }
+            setOccurrences(data.occurrences);
+        } catch {
+            setPreviewError(t('schedule.previewFailed'));
+        } finally {
+            setPreviewing(false);
+        }
+    };
+
+    return (
+        <fieldset className="schedule-builder">
+            <legend>{t('schedule.title')}</legend>
+            <label className="promotion-modal__checkbox">
+                <input
+                    type="checkbox"
+                    checked={value.repeat}
+                    onChange={(e) => update('repeat', e.target.checked)}
+                />
+                {t('schedule.repeat')}
+            </label>
+
+            {value.repeat && (
+                <>
+                    <label>
+                        {t('schedule.frequency')}
+                        <select value={value.frequency} onChange={(e) => update('frequency', e.target.value)}>
+                            <option value="weekly">{t('schedule.weekly')}</option>
+                            <option value="monthly">{t('schedule.monthly')}</option>
+                        </select>
+                    </label>
+
+                    {value.frequency === 'monthly' && (
+                        <div className="schedule-builder__group">
+                            <span>{t('schedule.weeks')}</span>
+                            <div className="schedule-builder__options">
+                                {WEEKS.map((week) => (
+                                    <label key={week} className="schedule-builder__option">
+                                        <input
+                                            type="checkbox"
+                                            checked={value.weeks.includes(week)}
+                                            onChange={() => toggle('weeks', week)}
+                                        />
+                                        {t(`schedule.week.${week}`)}
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="schedule-builder__group">
+                        <span>{t('schedule.days')}</span>
+                        <div className="schedule-builder__options">
+                            {DAYS.map((day) => (
+                                <label key={day} className="schedule-builder__option">
+                                    <input
+                                        type="checkbox"
+                                        checked={value.days.includes(day)}
+                                        onChange={() => toggle('days', day)}
+                                    />
+                                    {t(`schedule.day.${day}`)}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="modal-grid">
+                        <label>
+                            {t('schedule.start')}
+                            <input
+                                type="time"
+                                value={value.start}
+                                onChange={(e) => update('start', e.target.value)}
+                                required
+                            />
+                        </label>
+                        <label>
+                            {t('schedule.durationHours')}
+                            <input
+                                type="number"
+                                min="0.25"
+                                max="168"
+                                step="0.25"
+                                value={value.durationHours}
+                                onChange={(e) => update('durationHours', e.target.value)}
+                                required
+                            />
+                        </label>
+                    </div>
+                </>
+            )}
+
+            <div className="schedule-builder__preview">
+                <button
+                    type="button"
+                    className="secondary-btn"
+                    onClick={handlePreview}
+                    disabled={previewing || !startTime || !endTime}
+                >
+                    {previewing ? t('schedule.previewing') : t('schedule.preview')}
+                </button>
+                {previewError && <p className="modal-error">{previewError}</p>}
+                {occurrences && (
+                    occurrences.length === 0 ? (
+                        <p className="schedule-builder__hint">{t('schedule.noOccurrences')}</p>
+                    ) : (
+                        <ul className="schedule-builder__occurrences">
+                            {occurrences.map((occurrence) => (
+                                <li key={occurrence.start}>
+                                    {formatDate(occurrence.start)} – {formatDate(occurrence.end)}
+                                </li>
+                            ))}
+                        </ul>
+                    )
+                )}
+            </div>
+        </fieldset>
+    );
+}
+
+export default ScheduleBuilder;
@@ -0,0 +1,46 @@
+import { useLanguage } from '../contexts/LanguageContext.jsx';
+import './TierProgress.css';
+
+/**
+ * Tier Progress Component
+ * Shows a member's tier, its earning multiplier and a progress bar towards the next tier
+ * @param {object} tier - Tier summary from GET /users/me ({ name, multiplier, minPoints, earned, next, pointsToNext })
+ */
+function TierProgress({ tier }) {
+    const { t } = useLanguage();
+    if (!tier) {
+        return null;
+    }
+
+    // Progress is measured from the start of the current tier to the start of the next
+    let percent = 100;
+    if (tier.next) {
+        const span = tier.next.minPoints - tier.minPoints;
+        percent = span > 0 ? Math.min(100, Math.max(0, ((tier.earned - tier.minPoints) / span) * 100)) : 100;
+    }
+
+    return (
+        <div className="tier-progress">
+            <div className="tier-progress-header">
+                <span className="tier-progress-name">{t('tier.name', { name: tier.name })}</span>
+                <span className="tier-progress-multiplier">{t('tier.multiplier', { multiplier: tier.multiplier })}</span>
+            </div>
+            <div
+                className="tier-progress-bar"
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={Math.round(percent)}
+            >
+                <div className="tier-progress-fill" style={{ width: `${percent}%` }} />
+            </div>
+            <p className="tier-progress-text">
+                {tier.next
+                    ? t('tier.toNext', { points: tier.pointsToNext.toLocaleString(), name: tier.next.name })
+                    : t('tier.topTier')}
+            </p>
+        </div>
+    );
+}
+
+export default TierProgress;
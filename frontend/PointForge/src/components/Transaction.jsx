@@ -25,6 +25,12 @@ function Transaction({transaction, onDetailClick}) {
                 return t('transactionCard.typeEvent');
             case 'adjustment':
                 return t('transactionCard.typeAdjustment');
+            case 'expiry':
+                return t('transactionCard.typeExpiry');
+            case 'birthday':
+                return t('transactionCard.typeBirthday');
+            case 'referral':
+                return t('transactionCard.typeReferral');
             default:
                 return type;
         }
@@ -54,6 +60,13 @@ function Transaction({transaction, onDetailClick}) {
                 utoridDisplay = `${t('transactionCard.to')} ${transaction.utorid}`;
             }
             break;
+        case 'expiry':
+            pointsString = t('transactionCard.pointsMinus') + String(Math.abs(transaction.amount || 0)) + " " + t('transactionCard.points');
+            break;
+        case 'birthday':
+        case 'referral':
+            pointsString = t('transactionCard.pointsPlus') + String(transaction.amount || 0) + " " + t('transactionCard.points');
+            break;
         case 'event':
             pointsString = t('transactionCard.pointsPlus') + String(transaction.awarded || transaction.amount || 0) + " " + t('transactionCard.points');
             if (transaction.recipient) {
@@ -107,6 +120,9 @@ function Transaction({transaction, onDetailClick}) {
                     {transaction.suspicious && (
                         <span className="transaction-badge transaction-badge--suspicious">{t('transactionCard.suspicious')}</span>
                     )}
+                    {transaction.voided && (
+                        <span className="transaction-badge transaction-badge--voided">{t('transactionCard.voided')}</span>
+                    )}
                 </div>
                 <div className="transaction-details-row">
                     {amountLabel && <span className="transaction-amount">{amountLabel}</span>}
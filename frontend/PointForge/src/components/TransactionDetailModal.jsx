@@ -1,4 +1,5 @@
 import { useContext, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { UserContext } from '../contexts/UserContext.jsx';
 import { useLanguage } from '../contexts/LanguageContext.jsx';
 import Loading from './Loading.jsx';
@@ -7,20 +8,31 @@ import { authenticatedFetch } from '../utils/api.js';
 import { formatDate } from '../utils/dateUtils.js';
 import './TransactionDetailModal.css';
 
+// Transaction types a manager can void (reversed with a linked adjustment)
+const VOIDABLE_TYPES = ['purchase', 'event', 'adjustment'];
+
 /**
  * Transaction Detail Modal
  * @param {number} transactionId - ID of the transaction to display
  * @param {boolean} isOpen - Whether the modal is currently open
  * @param {function} onClose - Callback to close the modal
+ * @param {function} onTransactionUpdated - Optional callback after the transaction is voided
  */
-function TransactionDetailModal({ transactionId, isOpen, onClose }) {
+function TransactionDetailModal({ transactionId, isOpen, onClose, onTransactionUpdated }) {
     const { user } = useContext(UserContext);
     const { t } = useLanguage();
     const isManager = user?.role === 'manager' || user?.role === 'superuser';
+    const isSuperuser = user?.role === 'superuser';
 
     const [transaction, setTransaction] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
+    const [reloadKey, setReloadKey] = useState(0);
+    const [voidFormOpen, setVoidFormOpen] = useState(false);
+    const [voidRemark, setVoidRemark] = useState('');
+    const [voidOverride, setVoidOverride] = useState(false);
+    const [voiding, setVoiding] = useState(false);
+    const [voidError, setVoidError] = useState('');
 
     useEffect(() => {
         if (!isOpen || !transactionId) {
@@ -83,15 +95,72 @@ function TransactionDetailModal({ transactionId, isOpen, onClose }) {
 
         fetchTransaction();
         return () => controller.abort();
-    }, [transactionId, isOpen, isManager]);
+    }, [transactionId, isOpen, isManager, reloadKey]);
 
     if (!isOpen) {
         return null;
     }
 
+    // Clear the void form so the next transaction opens without it
+    const closeVoidForm = () => {
+        setVoidFormOpen(false);
+        setVoidRemark('');
+        setVoidOverride(false);
+        setVoidError('');
+    };
+
+    const handleClose = () => {
+        closeVoidForm();
+        onClose();
+    };
+
+    const canVoid = isManager && transaction && !transaction.voided && VOIDABLE_TYPES.includes(transaction.type);
+
+    const handleVoid = async (e) => {
+        e.preventDefault();
+        setVoiding(true);
+        setVoidError('');
+        try {
+            const body = {};
+            if (voidRemark.trim()) {
+                body.remark = voidRemark.trim();
+            }
+            if (isSuperuser && voidOverride) {
+                body.override = true;
+            }
+            const response = await authenticatedFetch(`/transactions/${transaction.id}/void`, {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+
+            // authenticatedFetch handles 401 automatically
+            if (response.status === 401) {
+                throw new Error(t('error.sessionExpired'));
+            }
+
+            const payload = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(payload.message || payload.Message || t('transactionDetail.voidFailed'));
+            }
+
+            closeVoidForm();
+            setReloadKey(prev => prev + 1);
+            if (onTransactionUpdated) {
+                onTransactionUpdated();
+            }
+        } catch (err) {
+            setVoidError(err.message || t('transactionDetail.voidFailed'));
+        } finally {
+            setVoiding(false);
+        }
+    };
+
+    // Pending flags are decided on the review page, where the note and member history are
+    const canReview = isManager && transaction && transaction.reviewStatus === 'pending' && !transaction.voided;
+
     const handleOverlayClick = (e) => {
         if (e.target === e.currentTarget) {
-            onClose();
+            handleClose();
         }
     };
 
@@ -102,6 +171,9 @@ function TransactionDetailModal({ transactionId, isOpen, onClose }) {
             case 'transfer': return '#2196F3';
             case 'event': return '#FF9800';
             case 'adjustment': return '#9C27B0';
+            case 'expiry': return '#9E9E9E';
+            case 'birthday': return '#E91E63';
+            case 'referral': return '#009688';
             default: return '#015c42';
         }
     };
@@ -113,6 +185,9 @@ function TransactionDetailModal({ transactionId, isOpen, onClose }) {
             case 'transfer': return t('transactionDetail.typeTransfer');
             case 'event': return t('transactionDetail.typeEvent');
             case 'adjustment': return t('transactionDetail.typeAdjustment');
+            case 'expiry': return t('transactionDetail.typeExpiry');
+            case 'birthday': return t('transactionDetail.typeBirthday');
+            case 'referral': return t('transactionDetail.typeReferral');
             default: return type.charAt(0).toUpperCase() + type.slice(1);
         }
     };
@@ -120,7 +195,7 @@ function TransactionDetailModal({ transactionId, isOpen, onClose }) {
     return (
         <div className="transaction-detail-overlay" onClick={handleOverlayClick}>
             <div className="transaction-detail-modal">
-                <button className="transaction-detail-close" onClick={onClose}>×</button>
+                <button className="transaction-detail-close" onClick={handleClose}>×</button>
                 
                 {loading && <Loading message={t('transactionDetail.loading')} />}
                 {error && <Error error={error} />}
@@ -135,6 +210,9 @@ function TransactionDetailModal({ transactionId, isOpen, onClose }) {
                                 {transaction.suspicious && (
                                     <span className="transaction-badge transaction-badge--suspicious">{t('transactionDetail.suspicious')}</span>
                                 )}
+                                {transaction.voided && (
+                                    <span className="transaction-badge transaction-badge--voided">{t('transactionDetail.voided')}</span>
+                                )}
                             </div>
                         </div>
 
@@ -246,8 +324,115 @@ function TransactionDetailModal({ transactionId, isOpen, onClose }) {
                                         <strong>{transaction.remark}</strong>
                                     </div>
                                 )}
+
+                                {transaction.suspicious && transaction.suspiciousReason && (
+                                    <div className="transaction-detail-item transaction-detail-item--full">
+                                        <span>{t('transactionDetail.suspiciousReason')}</span>
+                                        <strong>{transaction.suspiciousReason}</strong>
+                                    </div>
+                                )}
+
+                                {transaction.reviewStatus && (
+                                    <div className="transaction-detail-item">
+                                        <span>{t('transactionDetail.reviewStatus')}</span>
+                                        <strong>{t(`flagReview.status.${transaction.reviewStatus}`)}</strong>
+                                    </div>
+                                )}
+
+                                {transaction.reviewedBy && (
+                                    <div className="transaction-detail-item">
+                                        <span>{t('transactionDetail.reviewedBy')}</span>
+                                        <strong>{transaction.reviewedBy}{transaction.reviewedAt ? ` · ${formatDate(transaction.reviewedAt)}` : ''}</strong>
+                                    </div>
+                                )}
+
+                                {transaction.reviewNote && (
+                                    <div className="transaction-detail-item transaction-detail-item--full">
+                                        <span>{t('transactionDetail.reviewNote')}</span>
+                                        <strong>{transaction.reviewNote}</strong>
+                                    </div>
+                                )}
+
+                                {transaction.voided && (
+                                    <>
+                                        {transaction.voidedBy && (
+                                            <div className="transaction-detail-item">
+                                                <span>{t('transactionDetail.voidedBy')}</span>
+                                                <strong>{transaction.voidedBy}</strong>
+                                            </div>
+                                        )}
+                                        {transaction.voidedAt && (
+                                            <div className="transaction-detail-item">
+                                                <span>{t('transactionDetail.voidedAt')}</span>
+                                                <strong>{formatDate(transaction.voidedAt)}</strong>
+                                            </div>
+                                        )}
+                                        {transaction.voidId && (
+                                            <div className="transaction-detail-item">
+                                                <span>{t('transactionDetail.voidReversal')}</span>
+                                                <strong>#{transaction.voidId}</strong>
+                                            </div>
+                                        )}
+                                    </>
+                                )}
                             </div>
                         </div>
+
+                        {canReview && (
+                            <div className="transaction-detail-actions">
+                                <p className="transaction-void-hint">{t('transactionDetail.reviewHint')}</p>
+                                <Link
+                                    className="primary-btn"
+                                    to={`/dashboard/manager/flag-review?transaction=${transaction.id}`}
+                                    onClick={handleClose}
+                                >
+                                    {t('flagReview.review')}
+                                </Link>
+                            </div>
+                        )}
+
+                        {canVoid && (
+                            <div className="transaction-detail-actions">
+                                {!voidFormOpen ? (
+                                    <button type="button" className="secondary-btn" onClick={() => setVoidFormOpen(true)}>
+                                        {t('transactionDetail.void')}
+                                    </button>
+                                ) : (
+                                    <form className="transaction-void-form" onSubmit={handleVoid}>
+                                        <p className="transaction-void-hint">{t('transactionDetail.voidHint')}</p>
+                                        <label>
+                                            {t('transactionDetail.voidReason')}
+                                            <textarea
+                                                value={voidRemark}
+                                                onChange={(e) => setVoidRemark(e.target.value)}
+                                                rows={2}
+                                                disabled={voiding}
+                                            />
+                                        </label>
+                                        {isSuperuser && (
+                                            <label className="transaction-void-override">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={voidOverride}
+                                                    onChange={(e) => setVoidOverride(e.target.checked)}
+                                                    disabled={voiding}
+                                                />
+                                                {t('transactionDetail.voidOverride')}
+                                            </label>
+                                        )}
+                                        {voidError && <Error error={voidError} />}
+                                        <div className="modal-actions">
+                                            <button type="button" className="secondary-btn" onClick={closeVoidForm} disabled={voiding}>
+                                                {t('common.cancel')}
+                                            </button>
+                                            <button type="submit" className="primary-btn" disabled={voiding}>
+                                                {voiding ? t('transactionDetail.voiding') : t('transactionDetail.voidConfirm')}
+                                            </button>
+                                        </div>
+                                    </form>
+                                )}
+                            </div>
+                        )}
                     </div>
                 )}
             </div>
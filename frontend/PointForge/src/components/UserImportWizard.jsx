@@ -0,0 +1,224 @@
+import { useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.jsx';
+import { authenticatedFetch } from '../utils/api.js';
+import Error from './Error.jsx';
+import './UserImportWizard.css';
+
+const TEMPLATE = 'utorid,name,email,role\n';
+
+// Utility function to quote a value for a CSV cell
+const csvCell = (value) => (/[",\r\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+
+// Utility function to save text as a file from the browser
+const saveText = (text, filename, type) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * User Import Wizard Component
+ * Bulk account creation from a CSV (managers only), in three steps: pick the file, check the
+ * dry-run report row by row, then import and download the activation links
+ * @param {Function} onClose - Called when the wizard is closed
+ * @param {Function} onImported - Called with the number of accounts created
+ */
+function UserImportWizard({ onClose, onImported }) {
+    const { t } = useLanguage();
+    const [csv, setCsv] = useState('');
+    const [fileName, setFileName] = useState('');
+    const [report, setReport] = useState(null);
+    const [created, setCreated] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const step = created ? 'done' : report ? 'review' : 'upload';
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        setError('');
+        setReport(null);
+        if (!file) {
+            setCsv('');
+            setFileName('');
+            return;
+        }
+        setFileName(file.name);
+        setCsv(await file.text());
+    };
+
+    const submit = async (dryRun) => {
+        setBusy(true);
+        setError('');
+        try {
+            const response = await authenticatedFetch('/users/import', {
+                method: 'POST',
+                body: JSON.stringify({ csv, dryRun, skipInvalid: !dryRun })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                if (data.rows) {
+                    setReport(data);
+                }
+                setError(data.Message || data.message || t('userImport.failed'));
+                return;
+            }
+            setReport(data);
+            if (!dryRun) {
+                setCreated(data.created);
+                onImported?.(data.created.length);
+            }
+        } catch {
+            setError(t('userImport.failed'));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const downloadActivationLinks = () => {
+        const rows = created.map((account) => [
+            account.utorid,
+            account.name,
+            account.email,
+            account.role,
+            `${window.location.origin}/login/${account.resetToken}`,
+            account.expiresAt
+        ].map(csvCell).join(','));
+        saveText(['utorid,name,email,role,activationLink,expiresAt', ...rows].join('\n') + '\n', 'activation-links.csv', 'text/csv');
+    };
+
+    const problems = report ? report.total - report.ok : 0;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content user-import" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>{t('userImport.title')}</h2>
+                    <button className="modal-close" onClick={onClose}>×</button>
+                </div>
+
+                <ol className="user-import__steps">
+                    {['upload', 'review', 'done'].map((name) => (
+                        <li key={name} className={step === name ? 'active' : ''}>{t(`userImport.step.${name}`)}</li>
+                    ))}
+                </ol>
+
+                {error && <Error error={error} />}
+
+                {step === 'upload' && (
+                    <div className="user-import__upload">
+                        <p>{t('userImport.instructions')}</p>
+                        <button
+                            type="button"
+                            className="user-import__template"
+                            onClick={() => saveText(TEMPLATE, 'users-template.csv', 'text/csv')}
+                        >
+                            {t('userImport.template')}
+                        </button>
+                        <input type="file" accept=".csv,text/csv" onChange={handleFileChange} disabled={busy} />
+                        {fileName && <small>{t('userImport.selected', { name: fileName })}</small>}
+                    </div>
+                )}
+
+                {report && (
+                    <>
+                        <div className="user-import__summary">
+                            <span>{t('userImport.total', { count: report.total })}</span>
+                            <span className="user-import__ok">{t('userImport.ok', { count: report.ok })}</span>
+                            <span className="user-import__error">{t('userImport.errors', { count: report.errors })}</span>
+                            <span className="user-import__duplicate">{t('userImport.duplicates', { count: report.duplicates })}</span>
+                        </div>
+                        <div className="user-import__table-wrapper">
+                            <table className="user-import__table">
+                                <thead>
+                                    <tr>
+                                        <th>{t('userImport.line')}</th>
+                                        <th>{t('users.utorid')}</th>
+                                        <th>{t('users.name')}</th>
+                                        <th>{t('users.email')}</th>
+                                        <th>{t('users.role')}</th>
+                                        <th>{t('userImport.status')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {report.rows.map((row) => (
+                                        <tr key={row.line} className={`user-import__row--${row.status}`}>
+                                            <td>{row.line}</td>
+                                            <td>{row.utorid}</td>
+                                            <td>{row.name}</td>
+                                            <td>{row.email}</td>
+                                            <td>{row.role}</td>
+                                            <td>
+                                                <strong>{t(`userImport.status.${row.status}`)}</strong>
+                                                {row.errors.length > 0 && <small>{row.errors.join('; ')}</small>}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+
+                {step === 'done' && (
+                    <div className="user-import__done">
+                        <p>{t('userImport.created', { count: created.length })}</p>
+                        <p>{t('userImport.activationNote')}</p>
+                    </div>
+                )}
+
+                <div className="modal-actions">
+                    {step === 'upload' && (
+                        <>
+                            <button type="button" className="secondary-btn" onClick={onClose} disabled={busy}>
+                                {t('users.cancel')}
+                            </button>
+                            <button type="button" className="primary-btn" onClick={() => submit(true)} disabled={busy || !csv}>
+                                {busy ? t('userImport.checking') : t('userImport.check')}
+                            </button>
+                        </>
+                    )}
+                    {step === 'review' && (
+                        <>
+                            <button
+                                type="button"
+                                className="secondary-btn"
+                                onClick={() => {
+                                    setReport(null);
+                                    setError('');
+                                }}
+                                disabled={busy}
+                            >
+                                {t('userImport.back')}
+                            </button>
+                            <button type="button" className="primary-btn" onClick={() => submit(false)} disabled={busy || report.ok === 0}>
+                                {busy
+                                    ? t('userImport.importing')
+                                    : problems > 0
+                                        ? t('userImport.importSkipping', { count: report.ok, skipped: problems })
+                                        : t('userImport.import', { count: report.ok })}
+                            </button>
+                        </>
+                    )}
+                    {step === 'done' && (
+                        <>
+                            <button type="button" className="secondary-btn" onClick={downloadActivationLinks}>
+                                {t('userImport.downloadLinks')}
+                            </button>
+                            <button type="button" className="primary-btn" onClick={onClose}>
+                                {t('userImport.close')}
+                            </button>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default UserImportWizard;
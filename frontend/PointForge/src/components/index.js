@@ -6,12 +6,23 @@ export { default as Loading } from './Loading.jsx';
 export { default as Error } from './Error.jsx';
 export { default as PromotionDetailModal } from './PromotionDetailModal.jsx';
 export { default as PromotionEditorModal } from './PromotionEditorModal.jsx';
+export { default as PromotionStats } from './PromotionStats.jsx';
+export { default as ManagerAnalytics } from './ManagerAnalytics.jsx';
+export { default as ExportButton } from './ExportButton.jsx';
+export { default as UserImportWizard } from './UserImportWizard.jsx';
+export { default as BatchAdjustment } from './BatchAdjustment.jsx';
+export { default as FlagReviewQueue } from './FlagReviewQueue.jsx';
+export { default as AudienceBuilder } from './AudienceBuilder.jsx';
+export { default as ScheduleBuilder } from './ScheduleBuilder.jsx';
 export { default as EventDetailModal } from './EventDetailModal.jsx';
 export { default as EventEditorModal } from './EventEditorModal.jsx';
 export { default as EventPointsModal } from './EventPointsModal.jsx';
 export { default as TransactionDetailModal } from './TransactionDetailModal.jsx';
 export { default as UserDetailModal } from './UserDetailModal.jsx';
 export { default as QRCodeDisplay } from './QRCodeDisplay.jsx';
+export { default as QRScanner } from './QRScanner.jsx';
+export { default as TierProgress } from './TierProgress.jsx';
+export { default as ReferralPanel } from './ReferralPanel.jsx';
 export { default as SuccessModal } from './SuccessModal.jsx';
 export { default as ConfirmModal } from './ConfirmModal.jsx';
 export { default as LoginLayout } from './LoginLayout.jsx';
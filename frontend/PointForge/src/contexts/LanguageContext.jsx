@@ -20,6 +20,7 @@ const translations = {
         'register.name': 'Name',
         'register.email': 'UofT Email',
         'register.confirmPassword': 'Confirm Password',
+        'register.referralCode': 'Referral Code (optional)',
         'register.submit': 'Register',
         'register.registering': 'Registering new user...',
         'register.language': 'Language',
@@ -49,7 +50,27 @@ const translations = {
         'account.colorblindMode': 'Colorblind Mode',
         'account.language': 'Language',
         'account.name': 'Name',
+        'account.tier': 'Tier',
         'account.email': 'Email',
+        'account.birthdayOnce': 'Your birthday can only be set once. It is used for birthday rewards.',
+        'account.birthdayLocked': 'Your birthday is set and can no longer be changed.',
+        'account.referrals': 'Refer a Friend',
+        'referrals.loading': 'Loading referrals...',
+        'referrals.loadFailed': 'Failed to load your referrals',
+        'referrals.code': 'Your referral code',
+        'referrals.shareLink': 'Share link',
+        'referrals.copy': 'Copy',
+        'referrals.copied': 'Copied!',
+        'referrals.terms': 'You get {referrerPoints} points and your friend gets {refereePoints} points',
+        'referrals.trigger.verified': 'once their account is verified.',
+        'referrals.trigger.purchase': 'after their first purchase.',
+        'referrals.trigger.either': 'once their account is verified or they make a purchase.',
+        'referrals.limit': 'You can be rewarded for up to {max} referrals.',
+        'referrals.yourReferrals': 'Your referrals ({count})',
+        'referrals.none': 'Nobody has signed up with your code yet.',
+        'referrals.status.pending': 'Pending',
+        'referrals.status.rewarded': 'Rewarded',
+        'referrals.status.rejected': 'Rejected',
         'account.currentPassword': 'Current Password',
         'account.newPassword': 'New Password',
         'account.confirmPassword': 'Confirm Password',
@@ -71,6 +92,9 @@ const translations = {
         'nav.redemption': 'Redeem Points',
         'nav.transfer': 'Transfer Points',
         'nav.users': 'Users',
+        'nav.earningRules': 'Earning Rules',
+        'nav.audit': 'Audit Log',
+        'nav.flagReview': 'Flag Review',
         'nav.account': 'Account',
         'nav.accountSettings': 'Account Settings',
         'nav.logout': 'Logout',
@@ -78,6 +102,16 @@ const translations = {
         'dashboard.welcome': 'Welcome back, {name}!',
         'dashboard.overview': "Here's your overview",
         'dashboard.yourPoints': 'YOUR POINTS',
+        'dashboard.heldPoints': '{points} held by pending redemptions',
+        'dashboard.nextExpiry': '{points} points expire on {date}',
+        'dashboard.birthdayTitle': 'Happy birthday, {name}!',
+        'dashboard.birthdayRewardPending': 'Your birthday reward is on its way.',
+        'dashboard.birthdayBonus': 'Your birthday bonus has been added to your points.',
+        'dashboard.birthdayPromotion': 'A birthday promotion is waiting in your wallet.',
+        'tier.name': '{name} tier',
+        'tier.multiplier': '×{multiplier} points',
+        'tier.toNext': '{points} points to {name}',
+        'tier.topTier': 'Top tier reached',
         'dashboard.upcomingEvents': 'UPCOMING EVENTS',
         'dashboard.promotionsInWallet': 'PROMOTIONS IN WALLET',
         'dashboard.recentTransactions': 'Recent Transactions',
@@ -94,6 +128,43 @@ const translations = {
         'dashboard.seeAllEvents': 'See all events',
         'dashboard.seeAllPromotions': 'See all promotions',
         'dashboard.suspiciousUsers': 'Suspicious Users',
+        'flagReview.title': 'Flagged Transactions',
+        'flagReview.pending': '{count} to review',
+        'flagReview.empty': 'No flagged transactions to review',
+        'flagReview.by': 'by {utorid}',
+        'flagReview.review': 'Review',
+        'flagReview.pageTitle': 'Flag Review',
+        'flagReview.subtitle': 'Approve or reject suspicious transactions. Withheld points are released when a transaction is approved; rejecting it claws back anything it credited.',
+        'flagReview.status.pending': 'Pending review',
+        'flagReview.status.approved': 'Approved',
+        'flagReview.status.rejected': 'Rejected',
+        'flagReview.status.all': 'All reviewed',
+        'flagReview.noneDecided': 'No reviewed transactions yet',
+        'flagReview.selectPrompt': 'Select a transaction to see its receiver and issuer history.',
+        'flagReview.close': 'Close',
+        'flagReview.receiver': 'Receiver',
+        'flagReview.issuer': 'Issuer',
+        'flagReview.points': '{points} points',
+        'flagReview.verified': 'Verified',
+        'flagReview.unverified': 'Not verified',
+        'flagReview.suspiciousAccount': 'Suspicious account',
+        'flagReview.memberSince': 'Since {date}',
+        'flagReview.historyStats': '{total} transactions · {flagged} flagged · {rejected} rejected',
+        'flagReview.noHistory': 'No other transactions',
+        'flagReview.voided': 'Voided',
+        'flagReview.note': 'Reviewer note (required)',
+        'flagReview.notePlaceholder': 'Why are you approving or rejecting this transaction?',
+        'flagReview.approve': 'Approve',
+        'flagReview.reject': 'Reject',
+        'flagReview.rejectTitle': 'Reject this transaction?',
+        'flagReview.rejectMessage': 'Withheld points stay withheld for good and anything it credited is clawed back. Transfers are rejected together with their other half.',
+        'flagReview.approvedMessage': 'Transaction #{id} approved; its points were released.',
+        'flagReview.rejectedMessage': 'Transaction #{id} rejected; {count} clawback adjustment(s) posted.',
+        'flagReview.owingMessage': '{count} member(s) had already spent the points and now owe them: their balance stays below zero until new points cover it.',
+        'flagReview.decidedBy': 'by {utorid} on {date}',
+        'flagReview.contextFailed': 'Failed to load the review details.',
+        'flagReview.loadFailed': 'Failed to load the review queue.',
+        'flagReview.decisionFailed': 'The decision could not be saved.',
         'dashboard.manageAllUsers': 'Manage all users',
         'dashboard.cashierQuickAccess': 'Cashier Quick Access',
         'dashboard.createTransaction': 'Create Transaction',
@@ -135,6 +206,143 @@ const translations = {
         'promotionDetail.loading': 'Loading promotion...',
         'promotionDetail.reward': 'Reward',
         'promotionDetail.minimumSpending': 'Minimum spending',
+        'promotionDetail.remainingUses': 'Uses left',
+        'promotionDetail.remainingUsesToday': 'Uses left today',
+        'promotionDetail.remainingUserUses': 'Your uses left',
+        'promotionDetail.usesPerMember': 'Uses per member',
+        'promotionDetail.remainingBudget': 'Budget left',
+        'promotionDetail.schedule': 'Runs',
+        'promotionDetail.scheduleWeekly': 'Every {days} at {start} for {hours}h',
+        'promotionDetail.scheduleMonthly': '{weeks} {days} of each month at {start} for {hours}h',
+        'promotionDetail.runningUntil': 'Running until',
+        'promotionStats.title': 'Performance',
+        'promotionStats.loading': 'Loading stats...',
+        'promotionStats.loadFailed': 'Failed to load promotion stats',
+        'promotionStats.redemptions': 'Redemptions',
+        'promotionStats.uniqueUsers': 'Members',
+        'promotionStats.bonusPoints': 'Bonus points',
+        'promotionStats.spent': 'Spent',
+        'promotionStats.averageSpent': 'Average spend',
+        'promotionStats.daily': 'Daily activity',
+        'promotionStats.peak': 'Peak: {value}',
+        'promotionStats.storeWide': 'All purchases',
+        'promotionStats.baseline': '{days} days before',
+        'promotionStats.during': 'While running',
+        'promotionStats.change': 'Change',
+        'promotionStats.purchasesPerDay': 'Purchases per day',
+        'promotionStats.spentPerDay': 'Spend per day',
+        'promotionStats.notStarted': 'The comparison with the days before will show once the promotion starts.',
+        'analytics.title': 'Program analytics',
+        'analytics.loading': 'Loading analytics...',
+        'analytics.loadFailed': 'Could not load analytics.',
+        'analytics.lastDays': 'Last {days} days',
+        'analytics.from': 'From',
+        'analytics.to': 'To',
+        'analytics.pointsIssued': 'Points issued',
+        'analytics.pointsRedeemed': 'Points redeemed',
+        'analytics.pointsExpired': 'Points expired',
+        'analytics.liability': 'Outstanding points',
+        'analytics.activeUsers': 'Active members',
+        'analytics.newRegistrations': 'New registrations',
+        'analytics.eventAttendees': 'Event attendees',
+        'analytics.issuedVsRedeemed': 'Issued vs redeemed per {unit}',
+        'analytics.unit.day': 'day',
+        'analytics.unit.week': 'week',
+        'analytics.unit.month': 'month',
+        'analytics.issuedByType': 'Points issued by type',
+        'analytics.registrations': 'Registrations',
+        'analytics.topEarners': 'Top earners',
+        'analytics.eventAttendance': 'Event attendance ({count} events)',
+        'analytics.noData': 'Nothing in this range.',
+        'analytics.noEvents': 'No events in this range.',
+        'export.currentView': 'Export current view',
+        'export.exporting': 'Exporting...',
+        'export.failed': 'Export failed.',
+        'export.format': 'Export format',
+        'export.format.csv': 'CSV',
+        'export.format.jsonl': 'JSON Lines',
+        'userImport.title': 'Import users from CSV',
+        'userImport.openButton': 'Import CSV',
+        'userImport.step.upload': 'Choose file',
+        'userImport.step.review': 'Check rows',
+        'userImport.step.done': 'Imported',
+        'userImport.instructions': 'Upload a CSV whose header row names utorid, name and email columns, plus an optional role column (regular by default). Rows are checked against the same rules as creating an account one at a time, and nothing is created until you confirm.',
+        'userImport.template': 'Download template',
+        'userImport.selected': 'Selected: {name}',
+        'userImport.check': 'Check rows',
+        'userImport.checking': 'Checking...',
+        'userImport.total': '{count} rows',
+        'userImport.ok': '{count} ready',
+        'userImport.errors': '{count} with errors',
+        'userImport.duplicates': '{count} duplicates',
+        'userImport.line': 'Line',
+        'userImport.status': 'Status',
+        'userImport.status.ok': 'Ready',
+        'userImport.status.error': 'Error',
+        'userImport.status.duplicate': 'Duplicate',
+        'userImport.back': 'Choose another file',
+        'userImport.import': 'Import {count} accounts',
+        'userImport.importSkipping': 'Import {count} accounts, skip {skipped}',
+        'userImport.importing': 'Importing...',
+        'userImport.created': '{count} accounts were created.',
+        'userImport.activationNote': 'Each new member sets a password with their activation link, which works for 7 days. Download the links to send them out.',
+        'userImport.downloadLinks': 'Download activation links',
+        'userImport.close': 'Done',
+        'userImport.failed': 'The import failed.',
+        'userImport.imported': 'Imported {count} accounts',
+        'managerAdjustment.mode.single': 'One member',
+        'managerAdjustment.mode.batch': 'Batch',
+        'batchAdjustment.title': 'Batch adjustment',
+        'batchAdjustment.instructions': 'Paste rows of utorid, amount and remark from a spreadsheet (or pick a CSV file). Every row is checked first; if any row fails, nothing is applied.',
+        'batchAdjustment.empty': 'Paste at least one row.',
+        'batchAdjustment.preview': 'Preview',
+        'batchAdjustment.rows': '{count} rows',
+        'batchAdjustment.net': 'Net change: {total} points',
+        'batchAdjustment.batchId': 'Batch {id}',
+        'batchAdjustment.result': 'Result',
+        'batchAdjustment.appliedRow': 'Applied (#{id})',
+        'batchAdjustment.voidedRow': 'Voided',
+        'batchAdjustment.pendingReview': '(waiting for review)',
+        'batchAdjustment.edit': 'Edit rows',
+        'batchAdjustment.apply': 'Apply {count} adjustments',
+        'batchAdjustment.applying': 'Applying...',
+        'batchAdjustment.applied': 'Applied {count} adjustments',
+        'batchAdjustment.failed': 'The batch could not be applied.',
+        'batchAdjustment.void': 'Void batch',
+        'batchAdjustment.voiding': 'Voiding...',
+        'batchAdjustment.voided': 'Voided the {count} adjustments of this batch',
+        'batchAdjustment.voidFailed': 'The batch could not be voided.',
+        'batchAdjustment.voidTitle': 'Void this batch?',
+        'batchAdjustment.voidMessage': 'This reverses all {count} adjustments of the batch.',
+        'batchAdjustment.newBatch': 'New batch',
+        'audit.title': 'Audit Log',
+        'audit.subtitle': 'Every privileged action: who did it, what changed, from where and when. Entries are never edited or removed.',
+        'audit.actor': 'Actor',
+        'audit.action': 'Action',
+        'audit.targetType': 'Target type',
+        'audit.targetId': 'Target ID',
+        'audit.target': 'Target',
+        'audit.from': 'From',
+        'audit.to': 'To',
+        'audit.any': 'Any',
+        'audit.apply': 'Apply',
+        'audit.clear': 'Clear',
+        'audit.when': 'When',
+        'audit.changes': 'Changes',
+        'audit.ip': 'IP',
+        'audit.empty': 'No entries match these filters.',
+        'audit.loadFailed': 'Failed to load the audit log.',
+        'audit.group.user': 'Account changes',
+        'audit.group.promotion': 'Promotion edits and deletes',
+        'audit.group.event': 'Event edits and deletes',
+        'audit.group.transaction': 'Suspicious flags and voids',
+        'audit.group.adjustment': 'Adjustments',
+        'audit.target.user': 'User',
+        'audit.target.promotion': 'Promotion',
+        'audit.target.event': 'Event',
+        'audit.target.transaction': 'Transaction',
+        'audit.target.batch': 'Adjustment batch',
+        'promotionDetail.nextRun': 'Next runs',
         'promotionDetail.validThrough': 'Valid through',
         'promotionDetail.editPromotion': 'Edit promotion',
         'promotionDetail.deletePromotion': 'Delete promotion',
@@ -187,6 +395,25 @@ const translations = {
         'transactionDetail.typeTransfer': 'Transfer',
         'transactionDetail.typeEvent': 'Event',
         'transactionDetail.typeAdjustment': 'Adjustment',
+        'transactionDetail.typeExpiry': 'Expiry',
+        'transactionDetail.typeBirthday': 'Birthday',
+        'transactionDetail.typeReferral': 'Referral',
+        'transactionDetail.voided': 'Voided',
+        'transactionDetail.voidedBy': 'Voided By',
+        'transactionDetail.suspiciousReason': 'Flagged Because',
+        'transactionDetail.reviewedBy': 'Reviewed By',
+        'transactionDetail.reviewStatus': 'Review Status',
+        'transactionDetail.reviewNote': 'Review Note',
+        'transactionDetail.reviewHint': 'This transaction is waiting for review. Approve it to release the points, or reject it to claw them back.',
+        'transactionDetail.voidedAt': 'Voided At',
+        'transactionDetail.voidReversal': 'Reversal Transaction',
+        'transactionDetail.void': 'Void Transaction',
+        'transactionDetail.voidHint': 'Creates a reversing adjustment, gives back one-time promotions and returns event points to the event.',
+        'transactionDetail.voidReason': 'Reason (optional)',
+        'transactionDetail.voidOverride': 'Allow a negative balance (superuser override)',
+        'transactionDetail.voidConfirm': 'Confirm Void',
+        'transactionDetail.voiding': 'Voiding...',
+        'transactionDetail.voidFailed': 'Unable to void transaction',
         // Event Detail Modal
         'eventDetail.loading': 'Loading event...',
         'eventDetail.location': 'Location',
@@ -281,6 +508,9 @@ const translations = {
         'transactions.typeTransfer': 'Transfer',
         'transactions.typeEvent': 'Event',
         'transactions.typeAdjustment': 'Adjustment',
+        'transactions.typeExpiry': 'Expiry',
+        'transactions.typeBirthday': 'Birthday',
+        'transactions.typeReferral': 'Referral',
         'transactions.sortBy': 'Sort by',
         'transactions.sortIdDesc': 'ID (Descending)',
         'transactions.sortIdAsc': 'ID (Ascending)',
@@ -305,6 +535,10 @@ const translations = {
         'transactions.suspiciousAll': 'All',
         'transactions.suspiciousTrue': 'Suspicious',
         'transactions.suspiciousFalse': 'Not Suspicious',
+        'transactions.voidedStatus': 'Void Status',
+        'transactions.voidedAll': 'All',
+        'transactions.voidedTrue': 'Voided',
+        'transactions.voidedFalse': 'Not Voided',
         'transactions.loading': 'Loading transactions...',
         'transactions.noMatches': 'No transactions found. Try adjusting your filters.',
         // Events Page
@@ -345,6 +579,20 @@ const translations = {
         'qrcode.yourUtorid': 'Your UTORid',
         'qrcode.utorid': 'UTORid:',
         'qrcode.instructions': 'Cashiers can scan this QR code to quickly access your account when creating purchase transactions or processing point transfers.',
+        'qrcode.singleUse': 'For your security this code changes every few minutes and stops working once a cashier has used it.',
+        'qrcode.refresh': 'Get a New Code',
+        'qrScanner.scan': 'Scan with Camera',
+        'qrScanner.stop': 'Stop Camera',
+        'qrScanner.upload': 'Upload QR Image',
+        'qrScanner.pointCamera': 'Point the camera at the QR code',
+        'qrScanner.unrecognised': 'This is not a PointForge QR code',
+        'qrScanner.wrongTypeUser': 'This is a member QR code. Scan the member\'s redemption QR code instead.',
+        'qrScanner.wrongTypeRedemption': 'This is a redemption QR code. Scan the member\'s personal QR code instead.',
+        'qrScanner.cameraDenied': 'Camera access was denied. Allow camera access or upload an image of the QR code.',
+        'qrScanner.cameraUnavailable': 'No camera could be started. Upload an image of the QR code instead.',
+        'qrScanner.cameraUnsupported': 'This browser cannot use the camera. Upload an image of the QR code instead.',
+        'qrScanner.noCodeInImage': 'No QR code was found in that image',
+        'qrScanner.imageUnreadable': 'That file could not be read as an image',
         // Editor Modals
         'editor.createEvent': 'Create event',
         'editor.editEvent': 'Edit event',
@@ -366,6 +614,57 @@ const translations = {
         'editor.promotionName': 'Promotion name',
         'editor.type': 'Type',
         'editor.minSpending': 'Minimum spending',
+        'editor.priority': 'Priority',
+        'editor.stackGroup': 'Stacking Group',
+        'editor.stackGroupPlaceholder': 'e.g. holiday',
+        'editor.exclusive': 'Exclusive (can\'t be combined)',
+        'editor.maxUses': 'Max Uses',
+        'editor.maxUsesPerUser': 'Max Uses per Member',
+        'editor.maxUsesPerDay': 'Max Uses per Day',
+        'editor.pointsBudget': 'Points Budget',
+        'editor.noLimit': 'No limit',
+        'audience.title': 'Audience',
+        'audience.everyone': 'No criteria set: every member can see and use this promotion.',
+        'audience.allMustMatch': 'Members must match every criterion below.',
+        'audience.roles': 'Roles',
+        'audience.role.regular': 'Regular',
+        'audience.role.cashier': 'Cashier',
+        'audience.role.manager': 'Manager',
+        'audience.role.superuser': 'Superuser',
+        'audience.tiers': 'Tiers',
+        'audience.utorids': 'Specific members (UTORids)',
+        'audience.eventIds': 'Attended any of these events (IDs)',
+        'audience.listPlaceholder': 'Separate with commas',
+        'audience.newWithinDays': 'Joined within (days)',
+        'audience.minPoints': 'Minimum balance',
+        'audience.maxPoints': 'Maximum balance',
+        'audience.birthdayMonth': 'Birthday month only',
+        'schedule.title': 'Schedule',
+        'schedule.repeat': 'Repeat on a schedule within the start and end time',
+        'schedule.frequency': 'Repeats',
+        'schedule.weekly': 'Weekly',
+        'schedule.monthly': 'Monthly',
+        'schedule.days': 'On',
+        'schedule.weeks': 'Weeks of the month',
+        'schedule.start': 'Starts at',
+        'schedule.durationHours': 'Lasts (hours)',
+        'schedule.preview': 'Preview next runs',
+        'schedule.previewing': 'Loading...',
+        'schedule.previewFailed': 'Could not preview the schedule',
+        'schedule.noOccurrences': 'The promotion would not run again before its end time.',
+        'schedule.day.0': 'Sun',
+        'schedule.day.1': 'Mon',
+        'schedule.day.2': 'Tue',
+        'schedule.day.3': 'Wed',
+        'schedule.day.4': 'Thu',
+        'schedule.day.5': 'Fri',
+        'schedule.day.6': 'Sat',
+        'schedule.week.1': '1st',
+        'schedule.week.2': '2nd',
+        'schedule.week.3': '3rd',
+        'schedule.week.4': '4th',
+        'schedule.week.5': '5th',
+        'schedule.week.-1': 'Last',
         'editor.bonusRate': 'Bonus rate (%)',
         'editor.points': 'Points',
         // Status labels
@@ -454,6 +753,7 @@ const translations = {
         'transactionCard.from': 'From:',
         'transactionCard.recipient': 'Recipient:',
         'transactionCard.suspicious': 'Suspicious',
+        'transactionCard.voided': 'Voided',
         'transactionCard.points': 'pts',
         'transactionCard.pointsPlus': '+',
         'transactionCard.pointsMinus': '-',
@@ -462,6 +762,9 @@ const translations = {
         'transactionCard.typeTransfer': 'Transfer',
         'transactionCard.typeEvent': 'Event',
         'transactionCard.typeAdjustment': 'Adjustment',
+        'transactionCard.typeExpiry': 'Expired',
+        'transactionCard.typeBirthday': 'Birthday',
+        'transactionCard.typeReferral': 'Referral',
         // Promotion Card
         'promotionCard.automatic': 'Automatic',
         'promotionCard.oneTime': 'One-Time',
@@ -508,6 +811,8 @@ const translations = {
         'users.alphanumeric': '7-8 alphanumeric characters',
         'users.emailHint': 'Must be @mail.utoronto.ca',
         'users.passwordHint': 'At least 8 characters with uppercase, lowercase, number, and special character',
+        'users.referralCode': 'Referral Code',
+        'users.referralCodeHint': 'Optional. The code of the member who referred them.',
         'users.cancel': 'Cancel',
         'users.creating': 'Creating...',
         'users.accountCreated': 'Account created successfully!',
@@ -629,6 +934,18 @@ const translations = {
         'redemptionQR.sessionExpired': 'Session expired. Please log in again.',
         'redemptionQR.failedToLoad': 'Failed to load redemption requests',
         'redemptionQR.failedToLoadRequest': 'Failed to load redemption request',
+        'redemptionQR.cancelled': 'This redemption request was cancelled',
+        'redemptionQR.expired': 'This redemption request has expired',
+        'redemptionQR.cancelledStatus': 'Cancelled',
+        'redemptionQR.expiredStatus': 'Expired',
+        'redemptionQR.cancelledMessage': 'No points were deducted. You can create a new request at any time.',
+        'redemptionQR.expiredMessage': 'It was not processed in time, so no points were deducted. Create a new request to redeem your points.',
+        'redemptionQR.cancelledAt': 'Cancelled At:',
+        'redemptionQR.expiresIn': 'Expires In:',
+        'redemptionQR.cancelRequest': 'Cancel Request',
+        'redemptionQR.cancelling': 'Cancelling...',
+        'redemptionQR.cancelConfirm': 'Cancel this redemption request? A cashier will no longer be able to process it.',
+        'redemptionQR.cancelFailed': 'Failed to cancel redemption request',
         // Cashier Create Purchase Page
         'cashierPurchase.title': 'Create Purchase Transaction',
         'cashierPurchase.subtitle': 'Record a purchase and apply promotions for a member',
@@ -637,6 +954,9 @@ const translations = {
         'cashierPurchase.memberUtoridPlaceholder': 'Enter UTORid',
         'cashierPurchase.searching': 'Searching...',
         'cashierPurchase.memberFound': 'Member found',
+        'cashierPurchase.qrRequiredHint': 'Cashiers must scan the member\'s QR code; ringing up a purchase by typed UTORid is limited to managers.',
+        'cashierPurchase.memberVerifiedByQr': 'Member found (verified by QR code)',
+        'cashierPurchase.invalidQrCode': 'Invalid QR code',
         'cashierPurchase.memberName': 'Name:',
         'cashierPurchase.memberPoints': 'Current Points:',
         'cashierPurchase.memberEmail': 'Email:',
@@ -652,6 +972,7 @@ const translations = {
         'cashierPurchase.estimatedPoints': 'Estimated Points to Award',
         'cashierPurchase.base': 'Base:',
         'cashierPurchase.promotionsLabel': 'Promotions:',
+        'cashierPurchase.promotionsNotApplied': 'Not applied under the stacking rules: {names}',
         'cashierPurchase.creating': 'Creating Transaction...',
         'cashierPurchase.createTransaction': 'Create Transaction',
         'cashierPurchase.cancel': 'Cancel',
@@ -679,6 +1000,37 @@ const translations = {
         'managerAdjustment.creating': 'Creating...',
         'managerAdjustment.createAdjustment': 'Create Adjustment',
         'managerAdjustment.cancel': 'Cancel',
+        'earningRules.title': 'Earning Rules',
+        'earningRules.subtitle': 'Set how many points purchases earn. Existing transactions keep the rule version they were created under.',
+        'earningRules.versions': 'Rule Versions',
+        'earningRules.noVersions': 'No rule versions yet. The default of 4 points per dollar applies.',
+        'earningRules.effectiveFrom': 'Effective From',
+        'earningRules.effectiveFromHint': 'Leave empty to apply the new rule immediately',
+        'earningRules.pointsPerDollar': 'Points per Dollar',
+        'earningRules.rounding': 'Rounding',
+        'earningRules.rounding.ceil': 'Round up',
+        'earningRules.rounding.floor': 'Round down',
+        'earningRules.rounding.round': 'Round to nearest',
+        'earningRules.minSpent': 'Minimum Purchase ($)',
+        'earningRules.maxPromotions': 'Max Promotions per Purchase',
+        'earningRules.noLimit': 'No limit',
+        'earningRules.invalidMaxPromotions': 'Max promotions must be a whole number, or empty for no limit',
+        'earningRules.createdBy': 'Created By',
+        'earningRules.status': 'Status',
+        'earningRules.status.current': 'In force',
+        'earningRules.status.scheduled': 'Scheduled',
+        'earningRules.status.past': 'Superseded',
+        'earningRules.always': 'From the start',
+        'earningRules.withdraw': 'Withdraw',
+        'earningRules.withdrawConfirm': 'Withdraw this scheduled rule version?',
+        'earningRules.withdrawFailed': 'Failed to withdraw rule version',
+        'earningRules.newVersion': 'New Rule Version',
+        'earningRules.save': 'Add Rule Version',
+        'earningRules.saving': 'Saving...',
+        'earningRules.saveFailed': 'Failed to save rule version',
+        'earningRules.loadFailed': 'Failed to load earning rules',
+        'earningRules.invalidRate': 'Points per dollar must be a non-negative number',
+        'earningRules.invalidMinSpent': 'Minimum purchase must be a non-negative amount',
         'managerAdjustment.success': '✓ Adjustment transaction created successfully!',
         'managerAdjustment.pointsAdded': 'Points added:',
         'managerAdjustment.pointsSubtracted': 'Points subtracted:',
@@ -1,6 +1,9 @@
 import { useState, useEffect, useRef } from 'react';
 import { authenticatedFetch } from '../utils/api.js';
 
+const FLAGGED_LIMIT = 10;
+const ACTIVE_PROMOTIONS_LIMIT = 5;
+
 /**
  * Custom hook to fetch manager/superuser data (user summary and active promotions count)
  * Only fetches when user is a manager or superuser
@@ -45,24 +48,29 @@ export function useManagerData(user) {
             setLoading(true);
             setError('');
             try {
-                // Fetch users to get total count and flagged users
-                const usersResponse = await authenticatedFetch('/users?limit=100&page=1', {
-                    method: 'GET'
-                });
+                // Counts come from the API; only the first few flagged users and active promotions are fetched
+                const [usersResponse, suspiciousResponse, unverifiedResponse] = await Promise.all([
+                    authenticatedFetch('/users?limit=1&page=1', { method: 'GET' }),
+                    authenticatedFetch(`/users?suspicious=true&limit=${FLAGGED_LIMIT}&page=1`, { method: 'GET' }),
+                    authenticatedFetch(`/users?verified=false&limit=${FLAGGED_LIMIT}&page=1`, { method: 'GET' })
+                ]);
 
-                if (!usersResponse.ok) {
-                    if (usersResponse.status === 401) {
+                const failed = [usersResponse, suspiciousResponse, unverifiedResponse].find((response) => !response.ok);
+                if (failed) {
+                    if (failed.status === 401) {
                         // authenticatedFetch handles logout automatically
                         return;
                     }
-                    const errorData = await usersResponse.json().catch(() => ({}));
-                    throw new Error(errorData.Message || `HTTP ${usersResponse.status}: Unable to load user overview`);
+                    const errorData = await failed.json().catch(() => ({}));
+                    throw new Error(errorData.Message || `HTTP ${failed.status}: Unable to load user overview`);
                 }
 
                 const usersData = await usersResponse.json();
-                
-                // Fetch promotions to get total count and active promotions list (for managers, get all active promotions)
-                const promotionsResponse = await authenticatedFetch('/promotions?limit=100&page=1&ended=false', {
+                const suspiciousData = await suspiciousResponse.json();
+                const unverifiedData = await unverifiedResponse.json();
+
+                // The API works out which promotions are running (recurring ones included)
+                const promotionsResponse = await authenticatedFetch(`/promotions?status=active&limit=${ACTIVE_PROMOTIONS_LIMIT}&page=1`, {
                     method: 'GET'
                 });
 
@@ -70,23 +78,21 @@ export function useManagerData(user) {
                 let activePromotionsList = [];
                 if (promotionsResponse.ok) {
                     const promotionsData = await promotionsResponse.json();
-                    // Count should be based on filtered results, not the total count from API
-                    // Filter to only include truly active promotions (started and not ended)
-                    const now = Date.now();
-                    activePromotionsList = (promotionsData.results || []).filter(promo => {
-                        const startTime = Date.parse(promo.startTime);
-                        const endTime = Date.parse(promo.endTime);
-                        return startTime <= now && now < endTime;
-                    });
-                    activePromosCount = activePromotionsList.length;
+                    activePromotionsList = promotionsData.results || [];
+                    activePromosCount = promotionsData.count || activePromotionsList.length;
                 }
                 
                 if (!ignore) {
-                    const allUsers = usersData.results || [];
-                    const flaggedUsers = allUsers.filter((u) => u.suspicious || !u.verified);
+                    // A user can be both suspicious and unverified
+                    const flaggedUsers = [...(suspiciousData.results || [])];
+                    (unverifiedData.results || []).forEach((u) => {
+                        if (!flaggedUsers.some((flagged) => flagged.id === u.id)) {
+                            flaggedUsers.push(u);
+                        }
+                    });
                     
                     setUserSummary({
-                        total: usersData.count || allUsers.length || 0,
+                        total: usersData.count || 0,
                         flagged: flaggedUsers
                     });
                     setPromotionsCount(activePromosCount);
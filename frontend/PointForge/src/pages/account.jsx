@@ -4,9 +4,15 @@ import { useLanguage } from '../contexts/LanguageContext.jsx';
 import { useColorblindMode } from '../contexts/ColorblindModeContext.jsx';
 import { useInterfaceView } from '../contexts/InterfaceViewContext.jsx';
 import { authenticatedFetch } from '../utils/api.js';
-import { Error, SuccessModal } from '../components';
+import { Error, SuccessModal, TierProgress, ReferralPanel } from '../components';
 import './account.css';
 
+// Placeholder the backend stores until a member sets their birthday
+const NO_BIRTHDAY = '1111-11-11';
+
+// Utility function to get the birthday for the form ('' while it isn't set)
+const birthdayValue = (user) => (user?.birthday && user.birthday !== NO_BIRTHDAY ? user.birthday : '');
+
 function Account() {
     const { user, refreshUserData } = useContext(UserContext);
     const { language, setLanguage, t } = useLanguage();
@@ -18,7 +24,7 @@ function Account() {
     const [accountInfo, setAccountInfo] = useState({
         name: user?.name || '',
         email: user?.email || '',
-        birthday: user?.birthday || ''
+        birthday: birthdayValue(user)
     });
     const [accountInfoError, setAccountInfoError] = useState('');
     const [accountInfoLoading, setAccountInfoLoading] = useState(false);
@@ -39,6 +45,7 @@ function Account() {
         { id: 'accountInfo', label: t('account.accountInfo') },
         { id: 'password', label: t('account.updatePassword') },
         { id: 'resetPassword', label: t('account.resetPassword') },
+        { id: 'referrals', label: t('account.referrals') },
         { id: 'interface', label: t('account.interface') },
         { id: 'accessibility', label: t('account.accessibility') },
     ];
@@ -84,7 +91,7 @@ function Account() {
             setAccountInfo({
                 name: user.name || '',
                 email: user.email || '',
-                birthday: user.birthday || ''
+                birthday: birthdayValue(user)
             });
         }
     }, [user]);
@@ -99,7 +106,7 @@ function Account() {
             const payload = {};
             if (accountInfo.name !== user?.name) payload.name = accountInfo.name;
             if (accountInfo.email !== user?.email) payload.email = accountInfo.email;
-            if (accountInfo.birthday !== user?.birthday) payload.birthday = accountInfo.birthday;
+            if (accountInfo.birthday && accountInfo.birthday !== birthdayValue(user)) payload.birthday = accountInfo.birthday;
 
             if (Object.keys(payload).length === 0) {
                 setAccountInfoError('No changes to save');
@@ -221,6 +228,12 @@ function Account() {
                                 <label>Points</label>
                                 <p>{user?.points?.toLocaleString() || 0}</p>
                             </div>
+                            {user?.tier && (
+                                <div className="account-profile-field">
+                                    <label>{t('account.tier')}</label>
+                                    <TierProgress tier={user.tier} />
+                                </div>
+                            )}
                         </div>
                     </div>
                 )}
@@ -269,8 +282,12 @@ function Account() {
                                     id="birthday"
                                     value={accountInfo.birthday || ''}
                                     onChange={(e) => setAccountInfo({ ...accountInfo, birthday: e.target.value })}
-                                    disabled={accountInfoLoading}
+                                    max={new Date().toISOString().split('T')[0]}
+                                    disabled={accountInfoLoading || user?.birthdayLocked}
                                 />
+                                <small>
+                                    {user?.birthdayLocked ? t('account.birthdayLocked') : t('account.birthdayOnce')}
+                                </small>
                             </div>
                             <button
                                 type="submit"
@@ -357,6 +374,13 @@ function Account() {
                     </div>
                 )}
 
+                {activeSection === 'referrals' && (
+                    <div className="account-section">
+                        <h3 className="account-section-title">{t('account.referrals')}</h3>
+                        <ReferralPanel />
+                    </div>
+                )}
+
                 {activeSection === 'interface' && (
                     <div className="account-section">
                         <h3 className="account-section-title">{t('account.switchInterface')}</h3>
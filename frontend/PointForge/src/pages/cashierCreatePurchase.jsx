@@ -1,8 +1,9 @@
 import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useLanguage, translatePromotionDescription } from '../contexts/LanguageContext.jsx';
-import { authenticatedFetch } from '../utils/api.js';
-import { Error, Loading, PromotionDetailModal } from '../components';
+import { authenticatedFetch, createSubmissionKeys } from '../utils/api.js';
+import { isSignedQrToken } from '../utils/qrTokens.js';
+import { Error, Loading, PromotionDetailModal, QRScanner } from '../components';
 import './cashierCreatePurchase.css';
 
 /**
@@ -26,6 +27,15 @@ const findPromotion = (promotionId, automaticPromotionsList, userPromotions) =>
            null;
 };
 
+// Fallback used until the current earning rule has loaded (matches the backend default)
+const DEFAULT_EARNING_RULE = { pointsPerDollar: 4, rounding: 'ceil', minSpent: 0 };
+
+// Utility function to round points the way the earning rule says
+const roundPoints = (rule, value) => {
+    const round = { ceil: Math.ceil, floor: Math.floor, round: Math.round }[rule.rounding] || Math.ceil;
+    return round(value);
+};
+
 // Utility function to get active automatic promotion IDs
 const getActiveAutomaticPromotionIds = (automaticPromotionsList) => {
     return automaticPromotionsList
@@ -38,6 +48,8 @@ function CashierCreatePurchase() {
     const { t } = useLanguage();
     
     const [utorid, setUtorid] = useState('');
+    // Idempotency-Keys for the submits: only a retry of the same submit reuses one
+    const [submissionKeys] = useState(createSubmissionKeys);
     const [spent, setSpent] = useState('');
     const [showRemarks, setShowRemarks] = useState(false);
     const [remark, setRemark] = useState('');
@@ -51,9 +63,29 @@ function CashierCreatePurchase() {
     const [userError, setUserError] = useState('');
     const [selectedPromotionDetail, setSelectedPromotionDetail] = useState(null);
     const [automaticPromotionsList, setAutomaticPromotionsList] = useState([]);
+    const [earningRule, setEarningRule] = useState(DEFAULT_EARNING_RULE);
+    // Server-side preview of the purchase, tagged with the inputs it was computed for
+    const [preview, setPreview] = useState(null);
+    // Signed QR code the member presented, sent with the purchase so the backend can use it up
+    const [memberQr, setMemberQr] = useState(null);
     
     const searchTimeoutRef = useRef(null);
 
+    // Fetch the earning rule in force so the estimate matches what the backend will award
+    useEffect(() => {
+        const fetchEarningRule = async () => {
+            try {
+                const response = await authenticatedFetch('/earning-rules/current');
+                if (response.ok) {
+                    setEarningRule(await response.json());
+                }
+            } catch {
+                // Keep estimating with the default rule
+            }
+        };
+        fetchEarningRule();
+    }, []);
+
     // Fetch all active automatic promotions on component mount
     useEffect(() => {
         const fetchAutomaticPromotions = async () => {
@@ -73,6 +105,33 @@ function CashierCreatePurchase() {
         fetchAutomaticPromotions();
     }, []);
 
+    // Resolve a scanned member QR code to their UTORid; the backend checks the signature,
+    // expiry and that the code hasn't been used yet
+    const resolveMemberQr = async (qrToken) => {
+        setSearching(true);
+        setUserError('');
+        setUser(null);
+        setSelectedPromotions([]);
+        try {
+            const response = await authenticatedFetch('/qr/verify', {
+                method: 'POST',
+                body: JSON.stringify({ token: qrToken, type: 'user' })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                setUserError(data.Message || data.message || t('cashierPurchase.invalidQrCode'));
+                return;
+            }
+            setMemberQr({ token: qrToken, utorid: data.utorid });
+            // Changing the field to the UTORid runs the regular member search
+            setUtorid(data.utorid);
+        } catch (err) {
+            setUserError(err.message || t('cashierPurchase.invalidQrCode'));
+        } finally {
+            setSearching(false);
+        }
+    };
+
     // Debounced user search as they type
     useEffect(() => {
         // Clear previous timeout
@@ -90,6 +149,10 @@ function CashierCreatePurchase() {
 
         // Set a timeout to search after user stops typing (500ms)
         searchTimeoutRef.current = setTimeout(async () => {
+            if (isSignedQrToken(utorid)) {
+                await resolveMemberQr(utorid.trim());
+                return;
+            }
             await searchUser(utorid.trim());
         }, 500);
 
@@ -168,6 +231,15 @@ function CashierCreatePurchase() {
         return spentAmount >= promotion.minSpending;
     }, [spent]);
 
+    // Base points from the earning rule in force, scaled by the member's tier multiplier
+    const tierMultiplier = user?.tier?.multiplier || 1;
+    const getBasePoints = useCallback((spentAmount) => {
+        if (spentAmount < earningRule.minSpent) {
+            return 0;
+        }
+        return roundPoints(earningRule, spentAmount * earningRule.pointsPerDollar * tierMultiplier);
+    }, [earningRule, tierMultiplier]);
+
     // Calculate estimated points
     const calculateEstimatedPoints = useCallback(() => {
         const spentAmount = parseFloat(spent);
@@ -175,21 +247,21 @@ function CashierCreatePurchase() {
             return 0;
         }
 
-        const basePoints = Math.ceil(spentAmount * 4);
+        const basePoints = getBasePoints(spentAmount);
         
         const promotionPoints = selectedPromotions.reduce((total, promoId) => {
             const promotion = findPromotion(promoId, automaticPromotionsList, user?.promotions);
             
             if (promotion && isPromotionActiveByDate(promotion) && meetsMinSpending(promotion)) {
                 const points = (promotion.points || 0) + 
-                    (promotion.rate > 0 ? Math.ceil(spentAmount * promotion.rate * 100) : 0);
+                    (promotion.rate > 0 ? roundPoints(earningRule, spentAmount * promotion.rate * 100) : 0);
                 return total + points;
             }
             return total;
         }, 0);
 
         return basePoints + promotionPoints;
-    }, [spent, selectedPromotions, automaticPromotionsList, user?.promotions, meetsMinSpending]);
+    }, [spent, selectedPromotions, automaticPromotionsList, user?.promotions, meetsMinSpending, getBasePoints, earningRule]);
 
     // Get automatic promotions from system-wide list (not from user's wallet)
     const automaticPromotions = useMemo(() => {
@@ -204,6 +276,50 @@ function CashierCreatePurchase() {
         );
     }, [user?.promotions]);
 
+    // Promotions sent with the purchase: automatic ones that meet their minimum spend, plus the
+    // selected one-time promotions (the backend validates those)
+    const promotionIdsToSend = useMemo(() => {
+        return selectedPromotions.filter(promoId => {
+            const promotion = findPromotion(promoId, automaticPromotionsList, user?.promotions);
+            if (!promotion) return false;
+            if ((promotion.type || '').toLowerCase() === 'automatic') {
+                return meetsMinSpending(promotion);
+            }
+            return true;
+        });
+    }, [selectedPromotions, automaticPromotionsList, user?.promotions, meetsMinSpending]);
+
+    // Ask the backend which promotions will apply under the stacking rules and what the purchase earns
+    const previewKey = user && parseFloat(spent) > 0 ? `${user.utorid}|${parseFloat(spent)}|${promotionIdsToSend.join(',')}` : null;
+    useEffect(() => {
+        if (!previewKey) {
+            return;
+        }
+        let cancelled = false;
+        const timeoutId = setTimeout(async () => {
+            try {
+                const response = await authenticatedFetch('/transactions/preview', {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        utorid: user.utorid,
+                        spent: parseFloat(spent),
+                        promotionIds: promotionIdsToSend
+                    })
+                });
+                if (response.ok && !cancelled) {
+                    setPreview({ key: previewKey, ...(await response.json()) });
+                }
+            } catch {
+                // Fall back to the local estimate
+            }
+        }, 400);
+        return () => {
+            cancelled = true;
+            clearTimeout(timeoutId);
+        };
+    }, [previewKey, user, spent, promotionIdsToSend]);
+    const currentPreview = preview && preview.key === previewKey ? preview : null;
+
     // Handle form submission
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -224,36 +340,26 @@ function CashierCreatePurchase() {
         setLoading(true);
 
         try {
-            // Filter promotions - check both automatic promotions list and user's wallet
-            const validPromotions = selectedPromotions.filter(promoId => {
-                const promotion = findPromotion(promoId, automaticPromotionsList, user?.promotions);
-                if (!promotion) return false;
-                
-                const type = (promotion.type || '').toLowerCase();
-                
-                // For automatic promotions, only include if they meet spending requirements
-                if (type === 'automatic') {
-                    return meetsMinSpending(promotion);
-                }
-                
-                // For one-time promotions, include if selected (backend will validate)
-                return true;
-            });
-
             const requestBody = {
                 utorid: user.utorid.trim(),
                 type: 'purchase',
                 spent: spentAmount, // Keep as float, don't convert with Number() which might cause precision issues
-                promotionIds: validPromotions.length > 0 ? validPromotions : [],
+                promotionIds: promotionIdsToSend,
             };
 
             if (showRemarks && remark && remark.trim()) {
                 requestBody.remark = remark.trim();
             }
 
+            if (memberQr && memberQr.utorid === user.utorid) {
+                requestBody.qrToken = memberQr.token;
+            }
+
+            const body = JSON.stringify(requestBody);
             const response = await authenticatedFetch('/transactions', {
                 method: 'POST',
-                body: JSON.stringify(requestBody)
+                body,
+                idempotencyKey: submissionKeys.keyFor(body)
             });
 
             const contentType = response.headers.get('content-type');
@@ -283,6 +389,7 @@ function CashierCreatePurchase() {
                 throw new Error(errorMsg);
             }
 
+            submissionKeys.done();
             setCreatedTransaction(data);
             setSuccess(true);
             
@@ -303,6 +410,7 @@ function CashierCreatePurchase() {
             // Reset form after 2 seconds
             setTimeout(() => {
                 setUtorid('');
+                setMemberQr(null);
                 setSpent('');
                 setRemark('');
                 setShowRemarks(false);
@@ -332,7 +440,10 @@ function CashierCreatePurchase() {
             {success && createdTransaction && (
                 <div className="success-message">
                     <p>✓ {t('cashierPurchase.transactionCreated')}</p>
-                    <p>{t('cashierPurchase.memberEarned')} {createdTransaction.amount} {t('transactionCard.points')}</p>
+                    <p>{t('cashierPurchase.memberEarned')} {createdTransaction.amount ?? createdTransaction.earned} {t('transactionCard.points')}</p>
+                    {createdTransaction.droppedPromotions?.length > 0 && (
+                        <p>{t('cashierPurchase.promotionsNotApplied', { names: createdTransaction.droppedPromotions.map(p => p.name).join(', ') })}</p>
+                    )}
                 </div>
             )}
 
@@ -345,6 +456,11 @@ function CashierCreatePurchase() {
                             {t('cashierPurchase.memberUtorid')}
                             <span className="required">*</span>
                         </label>
+                        <QRScanner
+                            accept={['user']}
+                            onScan={(result) => resolveMemberQr(result.token)}
+                            disabled={loading}
+                        />
                         <div className="search-group">
                             <input
                                 type="text"
@@ -359,11 +475,16 @@ function CashierCreatePurchase() {
                                 <span className="searching-indicator">{t('cashierPurchase.searching')}</span>
                             )}
                         </div>
+                        <small className="form-hint">{t('cashierPurchase.qrRequiredHint')}</small>
                         {userError && (
                             <small className="form-error">{userError}</small>
                         )}
                         {user && !userError && (
-                            <small className="form-success">✓ {t('cashierPurchase.memberFound')}</small>
+                            <small className="form-success">
+                                ✓ {memberQr && memberQr.utorid === user.utorid
+                                    ? t('cashierPurchase.memberVerifiedByQr')
+                                    : t('cashierPurchase.memberFound')}
+                            </small>
                         )}
                     </div>
                 </section>
@@ -535,11 +656,43 @@ function CashierCreatePurchase() {
                             <section className="form-section">
                                 <div className="points-preview">
                                     <h3>{t('cashierPurchase.estimatedPoints')}</h3>
-                                    <p className="points-value">{calculateEstimatedPoints().toLocaleString()} {t('transactionCard.points')}</p>
-                                    <p className="points-breakdown">
-                                        {t('cashierPurchase.base')} {Math.ceil(parseFloat(spent) * 4)} + 
-                                        {t('cashierPurchase.promotionsLabel')} {calculateEstimatedPoints() - Math.ceil(parseFloat(spent) * 4)}
-                                    </p>
+                                    {currentPreview ? (
+                                        <>
+                                            <p className="points-value">{currentPreview.earned.toLocaleString()} {t('transactionCard.points')}</p>
+                                            <p className="points-breakdown">
+                                                {t('cashierPurchase.base')} {currentPreview.basePoints}
+                                                {currentPreview.multiplier !== 1 && ` (${currentPreview.tier} ×${currentPreview.multiplier})`} + 
+                                                {t('cashierPurchase.promotionsLabel')} {currentPreview.earned - currentPreview.basePoints}
+                                            </p>
+                                            {currentPreview.promotions.length > 0 && (
+                                                <ul className="preview-promotions">
+                                                    {currentPreview.promotions.map(p => (
+                                                        <li key={p.id} className="preview-promotion applied">
+                                                            ✓ {p.name} <span>+{p.points}</span>
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            )}
+                                            {currentPreview.droppedPromotions.length > 0 && (
+                                                <ul className="preview-promotions">
+                                                    {currentPreview.droppedPromotions.map(p => (
+                                                        <li key={p.id} className="preview-promotion dropped">
+                                                            ✕ {p.name || findPromotion(p.id, automaticPromotionsList, user?.promotions)?.name || `#${p.id}`}: {p.reason}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            )}
+                                        </>
+                                    ) : (
+                                        <>
+                                            <p className="points-value">{calculateEstimatedPoints().toLocaleString()} {t('transactionCard.points')}</p>
+                                            <p className="points-breakdown">
+                                                {t('cashierPurchase.base')} {getBasePoints(parseFloat(spent))}
+                                                {tierMultiplier !== 1 && ` (${user.tier.name} ×${tierMultiplier})`} + 
+                                                {t('cashierPurchase.promotionsLabel')} {calculateEstimatedPoints() - getBasePoints(parseFloat(spent))}
+                                            </p>
+                                        </>
+                                    )}
                                 </div>
                             </section>
                         )}
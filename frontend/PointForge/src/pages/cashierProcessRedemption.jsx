@@ -1,12 +1,14 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { authenticatedFetch } from '../utils/api.js';
-import { Error, Loading } from '../components';
+import { isSignedQrToken } from '../utils/qrTokens.js';
+import { Error, Loading, QRScanner } from '../components';
 import './cashierProcessRedemption.css';
 
 /**
  * Cashier Process Redemption Page
- * Allows cashiers to process redemption requests by transaction ID or QR code
+ * Allows cashiers to process redemption requests from the member's signed QR code
+ * (managers may also enter a transaction ID directly)
  */
 function CashierProcessRedemption() {
     const navigate = useNavigate();
@@ -15,19 +17,50 @@ function CashierProcessRedemption() {
     const [processing, setProcessing] = useState(false);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState(false);
+    // Redemption a scanned QR code stands for, shown so the cashier can check it before processing
+    const [preview, setPreview] = useState(null);
 
-    // Process redemption directly by transaction ID
-    // Since cashiers can't fetch transaction details, we'll process directly
-    // The backend will validate the transaction
+    // Resolve a scanned QR code to its redemption; the backend checks the signature, expiry and
+    // that the code hasn't been used, and uses it up when the redemption is processed
+    const resolveQrToken = async (qrToken) => {
+        const response = await authenticatedFetch('/qr/verify', {
+            method: 'POST',
+            body: JSON.stringify({ token: qrToken, type: 'redemption' })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.Message || data.message || 'Invalid QR code');
+        }
+        if (data.status !== 'pending') {
+            throw new Error(`This redemption request is ${data.status}`);
+        }
+        return data;
+    };
+
+    // Fill the form from a scanned code and look up the redemption it stands for
+    const handleScan = async (result) => {
+        setTransactionId(result.token);
+        setPreview(null);
+        setError('');
+        setSuccess(false);
+        try {
+            setPreview(await resolveQrToken(result.token));
+        } catch (err) {
+            setError(err.message || 'Invalid QR code');
+        }
+    };
+
+    // Process a redemption from a scanned QR code, or by transaction ID (managers only)
     const handleProcessByTransactionId = async () => {
-        if (!transactionId.trim()) {
-            setError('Please enter a transaction ID');
+        const value = transactionId.trim();
+        if (!value) {
+            setError('Please scan a QR code or enter a transaction ID');
             return;
         }
 
-        const id = parseInt(transactionId.trim());
-        if (isNaN(id)) {
-            setError('Please enter a valid transaction ID');
+        const qrToken = isSignedQrToken(value) ? value : null;
+        if (!qrToken && isNaN(parseInt(value))) {
+            setError('Please scan a valid QR code or enter a valid transaction ID');
             return;
         }
 
@@ -36,9 +69,10 @@ function CashierProcessRedemption() {
         setSuccess(false);
 
         try {
+            const id = qrToken ? (await resolveQrToken(qrToken)).transactionId : parseInt(value);
             const response = await authenticatedFetch(`/transactions/${id}/processed`, {
                 method: 'PATCH',
-                body: JSON.stringify({ processed: true })
+                body: JSON.stringify(qrToken ? { processed: true, qrToken } : { processed: true })
             });
 
             const data = await response.json();
@@ -49,6 +83,7 @@ function CashierProcessRedemption() {
 
             setSuccess(true);
             setTransactionId('');
+            setPreview(null);
             
             // Reset after 3 seconds
             setTimeout(() => {
@@ -66,7 +101,7 @@ function CashierProcessRedemption() {
         <div className="cashier-process-redemption container">
             <div className="page-header">
                 <h1>Process Redemption Request</h1>
-                <p>Enter a transaction ID or scan a QR code to process a redemption</p>
+                <p>Scan the member's redemption QR code to process a redemption</p>
             </div>
 
             {error && <Error error={error} />}
@@ -82,12 +117,19 @@ function CashierProcessRedemption() {
                 <section className="form-section">
                     <h2>Process Redemption</h2>
                     <p className="section-description">
-                        Enter the transaction ID from the member's redemption request QR code, 
-                        or scan the QR code directly.
+                        Scan the member's redemption request QR code with the camera, upload a picture of it, 
+                        or scan it into the field below. Codes are single use and expire after a few minutes.
                     </p>
+                    <QRScanner accept={['redemption']} onScan={handleScan} disabled={processing} />
+                    {preview && (
+                        <div className="redemption-preview">
+                            <p><strong>Redemption #{preview.transactionId}</strong> for <strong>{preview.utorid}</strong></p>
+                            <p>{preview.amount.toLocaleString()} points{preview.remark ? ` · ${preview.remark}` : ''}</p>
+                        </div>
+                    )}
                     <div className="form-group">
                         <label htmlFor="transactionId">
-                            Transaction ID
+                            QR Code or Transaction ID
                             <span className="required">*</span>
                         </label>
                         <div className="search-group">
@@ -95,8 +137,11 @@ function CashierProcessRedemption() {
                                 type="text"
                                 id="transactionId"
                                 value={transactionId}
-                                onChange={(e) => setTransactionId(e.target.value)}
-                                placeholder="Enter transaction ID"
+                                onChange={(e) => {
+                                    setTransactionId(e.target.value);
+                                    setPreview(null);
+                                }}
+                                placeholder="Scan QR code or enter transaction ID"
                                 disabled={processing}
                                 onKeyDown={(e) => {
                                     if (e.key === 'Enter' && !processing && transactionId.trim()) {
@@ -115,8 +160,8 @@ function CashierProcessRedemption() {
                             </button>
                         </div>
                         <small className="form-hint">
-                            The backend will validate the transaction and process the redemption if valid.
-                            Make sure the member is present and you have verified the transaction ID.
+                            The backend will verify the QR code and process the redemption if valid.
+                            Processing by transaction ID alone is limited to managers.
                         </small>
                     </div>
                 </section>
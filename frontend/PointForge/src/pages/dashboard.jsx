@@ -1,7 +1,7 @@
 import { UserContext } from "../contexts/UserContext.jsx"
 import { useContext, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { Event, Promotion, Transaction, EmptyState, Loading, Error, PromotionDetailModal, EventDetailModal, TransactionDetailModal, UserDetailModal } from "../components";
+import { Event, Promotion, Transaction, EmptyState, Loading, Error, PromotionDetailModal, EventDetailModal, TransactionDetailModal, UserDetailModal, TierProgress, ManagerAnalytics, FlagReviewQueue } from "../components";
 import { filterUpcoming } from "../utils/dateUtils.js";
 import { useManagerData } from "../hooks/useManagerData.js";
 import { useLanguage } from "../contexts/LanguageContext.jsx";
@@ -154,12 +154,43 @@ function Dashboard() {
                 </div>
             </div>
 
+            {/* Birthday banner - shown on the member's birthday */}
+            {isRegular && user.birthdayStatus?.isToday && (
+                <div className="birthday-banner" role="status">
+                    <span className="birthday-banner-icon" aria-hidden="true">🎂</span>
+                    <div>
+                        <p className="birthday-banner-title">{t('dashboard.birthdayTitle', {name: user.name})}</p>
+                        {user.birthdayStatus.reward !== 'none' && (
+                            <p className="birthday-banner-text">
+                                {!user.birthdayStatus.rewarded
+                                    ? t('dashboard.birthdayRewardPending')
+                                    : user.birthdayStatus.reward === 'promotion'
+                                        ? t('dashboard.birthdayPromotion')
+                                        : t('dashboard.birthdayBonus')}
+                            </p>
+                        )}
+                    </div>
+                </div>
+            )}
+
             {isRegular && (
                 <div className="gridLayout">
                     <div className="gridItem overview-card">
                         <div className="card-text">
                             <p className="card-label">{t('dashboard.yourPoints')}</p>
                             <p className="card-value">{user.points?.toLocaleString() || 0}</p>
+                            <p className="card-subtext">
+                                {t('dashboard.heldPoints', {points: (user.heldPoints || 0).toLocaleString()})}
+                            </p>
+                            {user.nextExpiry && (
+                                <p className="card-subtext card-subtext--warning">
+                                    {t('dashboard.nextExpiry', {
+                                        points: user.nextExpiry.amount.toLocaleString(),
+                                        date: new Date(user.nextExpiry.expiresAt).toLocaleDateString()
+                                    })}
+                                </p>
+                            )}
+                            <TierProgress tier={user.tier} />
                         </div>
                     </div>
 
@@ -284,7 +315,16 @@ function Dashboard() {
                                 {flaggedUsersList}
                             </ul>
                         </div>
+
+                        <FlagReviewQueue
+                            onSelect={(transactionId) => {
+                                setSelectedTransactionId(transactionId);
+                                setTransactionModalOpen(true);
+                            }}
+                        />
                     </div>
+
+                    <ManagerAnalytics />
                 </section>
             )}
 
@@ -20,7 +20,8 @@ import {
     Error,
     EventEditorModal,
     EventDetailModal,
-    ConfirmModal
+    ConfirmModal,
+    ExportButton
 } from '../components';
 import { authenticatedFetch } from '../utils/api.js';
 import { formatDate } from '../utils/dateUtils.js';
@@ -29,6 +30,40 @@ import './events.css';
 // Number of events to show per page for pagination
 const PAGE_SIZE = 12;
 
+// Query parameters for the current filters, shared by the list and its export
+const buildFilterParams = (filters, isManager) => {
+    const params = new URLSearchParams();
+
+    // Add search filter if user typed something
+    if(filters.name.trim()) {
+        params.set('name', filters.name.trim());
+    }
+
+    // Add location filter
+    if(filters.location.trim()) {
+        params.set('location', filters.location.trim());
+    }
+
+    if(filters.started === "true" || filters.started === "false") {
+        params.set('started', filters.started);
+    }
+
+    if(filters.ended === "true" || filters.ended === "false") {
+        params.set('ended', filters.ended);
+    }
+
+    if(filters.full === "true" || filters.full === "false") {
+        params.set('full', filters.full);
+    }
+
+    if(filters.published === "false" && isManager) {
+        params.set('published', filters.published);
+    } else {
+        params.set('published', "true");
+    }
+    return params;
+};
+
 function Events() {
     // Get current user from context to determine permissions and default filters
     const { user, refreshUserData } = useContext(UserContext);
@@ -125,38 +160,10 @@ function Events() {
             setError('');       // Clear any previous errors
             try {
                 // Build query parameters from filter state
-                const params = new URLSearchParams();
+                const params = buildFilterParams(filters, isManager);
                 params.set('page', String(page));           // Current page number
                 params.set('limit', String(PAGE_SIZE));     // How many per page
 
-                // Add search filter if user typed something
-                if(filters.name.trim()) {
-                    params.set('name', filters.name.trim());
-                }
-
-                // Add location filter
-                if(filters.location.trim()) {
-                    params.set('location', filters.location.trim());
-                }
-
-                if(filters.started === "true" || filters.started === "false") {
-                    params.set('started', filters.started);
-                }
-
-                if(filters.ended === "true" || filters.ended === "false") {
-                    params.set('ended', filters.ended);
-                }
-
-                if(filters.full === "true" || filters.full === "false") {
-                    params.set('full', filters.full);
-                }
-
-                if(filters.published === "false" && isManager) {
-                    params.set('published', filters.published);
-                } else {
-                    params.set('published', "true");
-                }
-
                 // Make authenticated API request
                 const response = await authenticatedFetch(`/events?${params.toString()}`, {
                     signal: controller.signal  // Allows cancellation
@@ -525,6 +532,9 @@ function Events() {
                 </div>
                 <div className="page-actions">
                     {toast && <span className="toast">{toast}</span>}
+                    {isManager && (
+                        <ExportButton endpoint="/events/export" params={buildFilterParams(filters, isManager)} name="events" />
+                    )}
                     {isManager && (
                         <button className="primary-btn" onClick={() => handleModalOpen('create')}>
                             {t('events.newEvent')}
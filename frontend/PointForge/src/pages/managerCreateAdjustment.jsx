@@ -1,19 +1,22 @@
 import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useLanguage } from '../contexts/LanguageContext.jsx';
-import { authenticatedFetch } from '../utils/api.js';
-import { Error, Loading } from '../components';
+import { authenticatedFetch, createSubmissionKeys } from '../utils/api.js';
+import { Error, Loading, BatchAdjustment } from '../components';
 import './managerCreateAdjustment.css';
 
 /**
  * Manager Create Adjustment Transaction Page
- * Allows managers to create adjustment transactions (add or subtract points)
+ * Allows managers to create adjustment transactions (add or subtract points), for one member
+ * or for a pasted batch of members
  */
 function ManagerCreateAdjustment() {
     const navigate = useNavigate();
     const { t } = useLanguage();
     
     const [utorid, setUtorid] = useState('');
+    // Idempotency-Keys for the submits: only a retry of the same submit reuses one
+    const [submissionKeys] = useState(createSubmissionKeys);
     const [amount, setAmount] = useState('');
     const [relatedId, setRelatedId] = useState('');
     const [remark, setRemark] = useState('');
@@ -24,6 +27,7 @@ function ManagerCreateAdjustment() {
     const [success, setSuccess] = useState(false);
     const [createdTransaction, setCreatedTransaction] = useState(null);
     const [userError, setUserError] = useState('');
+    const [mode, setMode] = useState('single');
     
     const searchTimeoutRef = useRef(null);
 
@@ -113,9 +117,11 @@ function ManagerCreateAdjustment() {
                 requestBody.relatedId = relatedIdNum;
             }
 
+            const body = JSON.stringify(requestBody);
             const response = await authenticatedFetch('/transactions', {
                 method: 'POST',
-                body: JSON.stringify(requestBody)
+                body,
+                idempotencyKey: submissionKeys.keyFor(body)
             });
 
             const contentType = response.headers.get('content-type');
@@ -132,6 +138,7 @@ function ManagerCreateAdjustment() {
                 throw new Error(data.Message || data.message || t('error.failedToCreateAdjustment'));
             }
 
+            submissionKeys.done();
             setSuccess(true);
             setCreatedTransaction(data);
             
@@ -159,9 +166,25 @@ function ManagerCreateAdjustment() {
                 <p>{t('managerAdjustment.subtitle')}</p>
             </div>
 
-            {error && <Error error={error} />}
+            <div className="adjustment-modes">
+                {['single', 'batch'].map((name) => (
+                    <button
+                        key={name}
+                        type="button"
+                        className={mode === name ? 'active' : ''}
+                        onClick={() => setMode(name)}
+                        disabled={loading}
+                    >
+                        {t(`managerAdjustment.mode.${name}`)}
+                    </button>
+                ))}
+            </div>
+
+            {mode === 'batch' && <BatchAdjustment />}
+
+            {mode === 'single' && error && <Error error={error} />}
             
-            {success && createdTransaction && (
+            {mode === 'single' && success && createdTransaction && (
                 <div className="success-message">
                     <p>✓ {t('managerAdjustment.success')}</p>
                     <p>{createdTransaction.amount > 0 ? t('managerAdjustment.pointsAdded') : t('managerAdjustment.pointsSubtracted')} {Math.abs(createdTransaction.amount)}</p>
@@ -169,106 +192,108 @@ function ManagerCreateAdjustment() {
                 </div>
             )}
 
-            <form className="adjustment-form" onSubmit={handleSubmit}>
-                <section className="form-section">
-                    <h2>{t('managerAdjustment.memberInfo')}</h2>
-                    <div className="form-group">
-                        <label htmlFor="utorid">
-                            {t('managerAdjustment.utorid')}
-                            <span className="required">*</span>
-                        </label>
-                        <input
-                            type="text"
-                            id="utorid"
-                            value={utorid}
-                            onChange={(e) => setUtorid(e.target.value)}
-                            placeholder={t('managerAdjustment.utoridPlaceholder')}
-                            disabled={loading}
-                            required
-                        />
-                        {searching && <div className="searching-indicator">{t('managerAdjustment.searching')}</div>}
-                        {userError && <div className="error-text">{userError}</div>}
-                        {user && (
-                            <div className="user-info">
-                                <p><strong>{t('managerAdjustment.name')}</strong> {user.name}</p>
-                                <p><strong>{t('managerAdjustment.currentPoints')}</strong> {user.points?.toLocaleString() || 0}</p>
-                                <p><strong>{t('managerAdjustment.email')}</strong> {user.email}</p>
-                            </div>
-                        )}
-                    </div>
-                </section>
+            {mode === 'single' && (
+                <form className="adjustment-form" onSubmit={handleSubmit}>
+                    <section className="form-section">
+                        <h2>{t('managerAdjustment.memberInfo')}</h2>
+                        <div className="form-group">
+                            <label htmlFor="utorid">
+                                {t('managerAdjustment.utorid')}
+                                <span className="required">*</span>
+                            </label>
+                            <input
+                                type="text"
+                                id="utorid"
+                                value={utorid}
+                                onChange={(e) => setUtorid(e.target.value)}
+                                placeholder={t('managerAdjustment.utoridPlaceholder')}
+                                disabled={loading}
+                                required
+                            />
+                            {searching && <div className="searching-indicator">{t('managerAdjustment.searching')}</div>}
+                            {userError && <div className="error-text">{userError}</div>}
+                            {user && (
+                                <div className="user-info">
+                                    <p><strong>{t('managerAdjustment.name')}</strong> {user.name}</p>
+                                    <p><strong>{t('managerAdjustment.currentPoints')}</strong> {user.points?.toLocaleString() || 0}</p>
+                                    <p><strong>{t('managerAdjustment.email')}</strong> {user.email}</p>
+                                </div>
+                            )}
+                        </div>
+                    </section>
 
-                <section className="form-section">
-                    <h2>{t('managerAdjustment.adjustmentDetails')}</h2>
-                    <div className="form-group">
-                        <label htmlFor="amount">
-                            {t('managerAdjustment.pointsAdjustment')}
-                            <span className="required">*</span>
-                        </label>
-                        <input
-                            type="number"
-                            id="amount"
-                            value={amount}
-                            onChange={(e) => setAmount(e.target.value)}
-                            placeholder={t('managerAdjustment.amountPlaceholder')}
-                            disabled={loading || !user}
-                            required
-                        />
-                        <small className="form-hint">
-                            {t('managerAdjustment.amountHint')}
-                        </small>
-                    </div>
+                    <section className="form-section">
+                        <h2>{t('managerAdjustment.adjustmentDetails')}</h2>
+                        <div className="form-group">
+                            <label htmlFor="amount">
+                                {t('managerAdjustment.pointsAdjustment')}
+                                <span className="required">*</span>
+                            </label>
+                            <input
+                                type="number"
+                                id="amount"
+                                value={amount}
+                                onChange={(e) => setAmount(e.target.value)}
+                                placeholder={t('managerAdjustment.amountPlaceholder')}
+                                disabled={loading || !user}
+                                required
+                            />
+                            <small className="form-hint">
+                                {t('managerAdjustment.amountHint')}
+                            </small>
+                        </div>
 
-                    <div className="form-group">
-                        <label htmlFor="relatedId">
-                            {t('managerAdjustment.relatedId')}
-                        </label>
-                        <input
-                            type="number"
-                            id="relatedId"
-                            value={relatedId}
-                            onChange={(e) => setRelatedId(e.target.value)}
-                            placeholder={t('managerAdjustment.relatedIdPlaceholder')}
-                            disabled={loading || !user}
-                        />
-                        <small className="form-hint">
-                            {t('managerAdjustment.relatedIdHint')}
-                        </small>
-                    </div>
+                        <div className="form-group">
+                            <label htmlFor="relatedId">
+                                {t('managerAdjustment.relatedId')}
+                            </label>
+                            <input
+                                type="number"
+                                id="relatedId"
+                                value={relatedId}
+                                onChange={(e) => setRelatedId(e.target.value)}
+                                placeholder={t('managerAdjustment.relatedIdPlaceholder')}
+                                disabled={loading || !user}
+                            />
+                            <small className="form-hint">
+                                {t('managerAdjustment.relatedIdHint')}
+                            </small>
+                        </div>
 
-                    <div className="form-group">
-                        <label htmlFor="remark">
-                            {t('managerAdjustment.remark')}
-                        </label>
-                        <textarea
-                            id="remark"
-                            value={remark}
-                            onChange={(e) => setRemark(e.target.value)}
-                            placeholder={t('managerAdjustment.remarkPlaceholder')}
-                            disabled={loading || !user}
-                            rows={3}
-                        />
-                    </div>
-                </section>
+                        <div className="form-group">
+                            <label htmlFor="remark">
+                                {t('managerAdjustment.remark')}
+                            </label>
+                            <textarea
+                                id="remark"
+                                value={remark}
+                                onChange={(e) => setRemark(e.target.value)}
+                                placeholder={t('managerAdjustment.remarkPlaceholder')}
+                                disabled={loading || !user}
+                                rows={3}
+                            />
+                        </div>
+                    </section>
 
-                <div className="form-actions">
-                    <button
-                        type="submit"
-                        className="submit-btn"
-                        disabled={loading || !user || !amount}
-                    >
-                        {loading ? t('managerAdjustment.creating') : t('managerAdjustment.createAdjustment')}
-                    </button>
-                    <button
-                        type="button"
-                        className="cancel-btn"
-                        onClick={() => navigate('/dashboard/transactions')}
-                        disabled={loading}
-                    >
-                        {t('managerAdjustment.cancel')}
-                    </button>
-                </div>
-            </form>
+                    <div className="form-actions">
+                        <button
+                            type="submit"
+                            className="submit-btn"
+                            disabled={loading || !user || !amount}
+                        >
+                            {loading ? t('managerAdjustment.creating') : t('managerAdjustment.createAdjustment')}
+                        </button>
+                        <button
+                            type="button"
+                            className="cancel-btn"
+                            onClick={() => navigate('/dashboard/transactions')}
+                            disabled={loading}
+                        >
+                            {t('managerAdjustment.cancel')}
+                        </button>
+                    </div>
+                </form>
+            )}
         </div>
     );
 }
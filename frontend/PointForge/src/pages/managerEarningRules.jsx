@@ -0,0 +1,271 @@
+import { useState, useEffect } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.jsx';
+import { authenticatedFetch } from '../utils/api.js';
+import { Error, Loading } from '../components';
+import './managerEarningRules.css';
+
+/**
+ * Manager Earning Rules Page
+ * Shows the versions of the purchase earning rule and lets managers add a new version,
+ * effective now or scheduled for later. Existing purchases keep the version they were created under.
+ */
+
+const ROUNDING_MODES = ['ceil', 'floor', 'round'];
+
+// Utility function to describe where a version sits relative to now
+const versionStatus = (rule) => {
+    if (rule.current) return 'current';
+    return new Date(rule.effectiveFrom).getTime() > Date.now() ? 'scheduled' : 'past';
+};
+
+function ManagerEarningRules() {
+    const { t } = useLanguage();
+
+    const [rules, setRules] = useState([]);
+    const [loading, setLoading] = useState(true);
+    // Backend message or translation key (t() passes untranslated text through)
+    const [error, setError] = useState('');
+    const [reloadKey, setReloadKey] = useState(0);
+
+    const [pointsPerDollar, setPointsPerDollar] = useState('');
+    const [rounding, setRounding] = useState('ceil');
+    const [minSpent, setMinSpent] = useState('0');
+    const [maxPromotions, setMaxPromotions] = useState('');
+    const [effectiveFrom, setEffectiveFrom] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [formError, setFormError] = useState('');
+
+    // Load every rule version
+    useEffect(() => {
+        let cancelled = false;
+        const fetchRules = async () => {
+            try {
+                const response = await authenticatedFetch('/earning-rules');
+                const data = await response.json().catch(() => ({}));
+                if (cancelled) {
+                    return;
+                }
+                if (response.ok) {
+                    setRules(data.results);
+                    setError('');
+                } else {
+                    setError(data.Message || data.message || 'earningRules.loadFailed');
+                }
+            } catch {
+                if (!cancelled) {
+                    setError('earningRules.loadFailed');
+                }
+            } finally {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            }
+        };
+        fetchRules();
+        return () => {
+            cancelled = true;
+        };
+    }, [reloadKey]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormError('');
+
+        const rate = parseFloat(pointsPerDollar);
+        const minimum = parseFloat(minSpent || '0');
+        if (isNaN(rate) || rate < 0) {
+            setFormError(t('earningRules.invalidRate'));
+            return;
+        }
+        if (isNaN(minimum) || minimum < 0) {
+            setFormError(t('earningRules.invalidMinSpent'));
+            return;
+        }
+        // Empty means no limit on how many promotions stack
+        const promotionLimit = maxPromotions === '' ? null : Number(maxPromotions);
+        if (promotionLimit !== null && (!Number.isInteger(promotionLimit) || promotionLimit < 0)) {
+            setFormError(t('earningRules.invalidMaxPromotions'));
+            return;
+        }
+
+        const requestBody = { pointsPerDollar: rate, rounding, minSpent: minimum, maxPromotions: promotionLimit };
+        if (effectiveFrom) {
+            requestBody.effectiveFrom = new Date(effectiveFrom).toISOString();
+        }
+
+        setSaving(true);
+        try {
+            const response = await authenticatedFetch('/earning-rules', {
+                method: 'POST',
+                body: JSON.stringify(requestBody)
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                setFormError(data.Message || data.message || t('earningRules.saveFailed'));
+                return;
+            }
+            setPointsPerDollar('');
+            setRounding('ceil');
+            setMinSpent('0');
+            setMaxPromotions('');
+            setEffectiveFrom('');
+            setReloadKey(prev => prev + 1);
+        } catch {
+            setFormError(t('earningRules.saveFailed'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleWithdraw = async (rule) => {
+        if (!window.confirm(t('earningRules.withdrawConfirm'))) {
+            return;
+        }
+        try {
+            const response = await authenticatedFetch(`/earning-rules/${rule.id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                setError(data.Message || data.message || 'earningRules.withdrawFailed');
+                return;
+            }
+            setReloadKey(prev => prev + 1);
+        } catch {
+            setError('earningRules.withdrawFailed');
+        }
+    };
+
+    if (loading) {
+        return <Loading />;
+    }
+
+    return (
+        <div className="manager-earning-rules container">
+            <div className="page-header">
+                <h1>{t('earningRules.title')}</h1>
+                <p>{t('earningRules.subtitle')}</p>
+            </div>
+
+            {error && <Error error={t(error)} />}
+
+            <section className="earning-rules-section">
+                <h2>{t('earningRules.versions')}</h2>
+                {rules.length === 0 ? (
+                    <p className="earning-rules-empty">{t('earningRules.noVersions')}</p>
+                ) : (
+                    <table className="earning-rules-table">
+                        <thead>
+                            <tr>
+                                <th>{t('earningRules.effectiveFrom')}</th>
+                                <th>{t('earningRules.pointsPerDollar')}</th>
+                                <th>{t('earningRules.rounding')}</th>
+                                <th>{t('earningRules.minSpent')}</th>
+                                <th>{t('earningRules.maxPromotions')}</th>
+                                <th>{t('earningRules.createdBy')}</th>
+                                <th>{t('earningRules.status')}</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rules.map(rule => {
+                                const status = versionStatus(rule);
+                                return (
+                                    <tr key={rule.id} className={`earning-rule-row earning-rule-row--${status}`}>
+                                        <td>{new Date(rule.effectiveFrom).getTime() === 0 ? t('earningRules.always') : new Date(rule.effectiveFrom).toLocaleString()}</td>
+                                        <td>{rule.pointsPerDollar}</td>
+                                        <td>{t(`earningRules.rounding.${rule.rounding}`)}</td>
+                                        <td>${rule.minSpent.toFixed(2)}</td>
+                                        <td>{rule.maxPromotions ?? t('earningRules.noLimit')}</td>
+                                        <td>{rule.createdBy}</td>
+                                        <td>
+                                            <span className={`earning-rule-badge earning-rule-badge--${status}`}>
+                                                {t(`earningRules.status.${status}`)}
+                                            </span>
+                                        </td>
+                                        <td>
+                                            {status === 'scheduled' && (
+                                                <button type="button" className="earning-rule-withdraw-btn" onClick={() => handleWithdraw(rule)}>
+                                                    {t('earningRules.withdraw')}
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </section>
+
+            <form className="earning-rules-section earning-rules-form" onSubmit={handleSubmit}>
+                <h2>{t('earningRules.newVersion')}</h2>
+                {formError && <Error error={formError} />}
+                <div className="earning-rules-fields">
+                    <div className="earning-rules-field">
+                        <label htmlFor="pointsPerDollar">{t('earningRules.pointsPerDollar')}</label>
+                        <input
+                            type="number"
+                            id="pointsPerDollar"
+                            min="0"
+                            step="0.01"
+                            value={pointsPerDollar}
+                            onChange={(e) => setPointsPerDollar(e.target.value)}
+                            disabled={saving}
+                            required
+                        />
+                    </div>
+                    <div className="earning-rules-field">
+                        <label htmlFor="rounding">{t('earningRules.rounding')}</label>
+                        <select id="rounding" value={rounding} onChange={(e) => setRounding(e.target.value)} disabled={saving}>
+                            {ROUNDING_MODES.map(mode => (
+                                <option key={mode} value={mode}>{t(`earningRules.rounding.${mode}`)}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="earning-rules-field">
+                        <label htmlFor="minSpent">{t('earningRules.minSpent')}</label>
+                        <input
+                            type="number"
+                            id="minSpent"
+                            min="0"
+                            step="0.01"
+                            value={minSpent}
+                            onChange={(e) => setMinSpent(e.target.value)}
+                            disabled={saving}
+                        />
+                    </div>
+                    <div className="earning-rules-field">
+                        <label htmlFor="maxPromotions">{t('earningRules.maxPromotions')}</label>
+                        <input
+                            type="number"
+                            id="maxPromotions"
+                            min="0"
+                            step="1"
+                            value={maxPromotions}
+                            onChange={(e) => setMaxPromotions(e.target.value)}
+                            placeholder={t('earningRules.noLimit')}
+                            disabled={saving}
+                        />
+                    </div>
+                    <div className="earning-rules-field">
+                        <label htmlFor="effectiveFrom">{t('earningRules.effectiveFrom')}</label>
+                        <input
+                            type="datetime-local"
+                            id="effectiveFrom"
+                            value={effectiveFrom}
+                            onChange={(e) => setEffectiveFrom(e.target.value)}
+                            disabled={saving}
+                        />
+                        <small className="earning-rules-hint">{t('earningRules.effectiveFromHint')}</small>
+                    </div>
+                </div>
+                <div className="earning-rules-actions">
+                    <button type="submit" className="earning-rules-submit-btn" disabled={saving || !pointsPerDollar}>
+                        {saving ? t('earningRules.saving') : t('earningRules.save')}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
+
+export default ManagerEarningRules;
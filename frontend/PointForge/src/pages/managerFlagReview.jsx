@@ -0,0 +1,334 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useLanguage } from '../contexts/LanguageContext.jsx';
+import { authenticatedFetch } from '../utils/api.js';
+import { formatDate } from '../utils/dateUtils.js';
+import { Error, Loading, ConfirmModal } from '../components';
+import './managerFlagReview.css';
+
+/**
+ * Manager Flag Review Page
+ * The review queue for suspicious transactions. Pending ones are listed oldest first; picking
+ * one shows the receiver's and issuer's standing and history next to a decision form. Approving
+ * releases withheld points, rejecting keeps them withheld and claws back anything credited;
+ * both need a note.
+ */
+
+const PAGE_SIZE = 10;
+const STATUSES = ['pending', 'approved', 'rejected', 'all'];
+const MAX_NOTE_LENGTH = 500;
+
+// Utility function to get the translation key of a transaction type's label
+const typeKey = (type) => `transactionDetail.type${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+
+// Utility function to fetch JSON, resolving to {data} or {error}
+const fetchJson = async (path, fallback) => {
+    try {
+        const response = await authenticatedFetch(path);
+        const data = await response.json().catch(() => ({}));
+        return response.ok ? { data } : { error: data.Message || data.message || fallback };
+    } catch {
+        return { error: fallback };
+    }
+};
+
+// One party's standing and recent transactions
+function PartyHistory({ title, party, t }) {
+    return (
+        <div className="flag-review-party">
+            <h3>{title}</h3>
+            <p className="flag-review-party-name">
+                <strong>{party.utorid}</strong>{party.name ? ` · ${party.name}` : ''}
+                <small>{party.role}</small>
+            </p>
+            <div className="flag-review-badges">
+                <span>{t('flagReview.points', { points: party.points })}</span>
+                <span>{party.verified ? t('flagReview.verified') : t('flagReview.unverified')}</span>
+                {party.suspicious && <span className="flag-review-badge--warning">{t('flagReview.suspiciousAccount')}</span>}
+                <span>{t('flagReview.memberSince', { date: formatDate(party.createdAt) })}</span>
+            </div>
+            <p className="flag-review-stats">
+                {t('flagReview.historyStats', {
+                    total: party.history.total,
+                    flagged: party.history.flagged,
+                    rejected: party.history.rejected
+                })}
+            </p>
+            {party.history.recent.length === 0 ? (
+                <p className="flag-review-empty">{t('flagReview.noHistory')}</p>
+            ) : (
+                <ul className="flag-review-history">
+                    {party.history.recent.map(row => (
+                        <li key={row.id} className={row.reviewStatus === 'rejected' ? 'flag-review-history--rejected' : ''}>
+                            <span>#{row.id} · {t(typeKey(row.type))}</span>
+                            <span>{row.amount}</span>
+                            <span>{formatDate(row.date)}</span>
+                            <span>
+                                {row.voided ? t('flagReview.voided') : row.reviewStatus ? t(`flagReview.status.${row.reviewStatus}`) : ''}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+function ManagerFlagReview() {
+    const { t } = useLanguage();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [status, setStatus] = useState('pending');
+    const [page, setPage] = useState(1);
+    // Bumped after a decision so the queue and the context reload
+    const [version, setVersion] = useState(0);
+    // Keyed by the request they answer, so a new request shows as loading until its answer arrives
+    const [queue, setQueue] = useState(null);
+    const [context, setContext] = useState(null);
+    const [note, setNote] = useState('');
+    const [deciding, setDeciding] = useState(false);
+    const [decisionError, setDecisionError] = useState('');
+    const [decisionMessage, setDecisionMessage] = useState('');
+    const [confirmReject, setConfirmReject] = useState(false);
+
+    const selectedId = parseInt(searchParams.get('transaction'), 10) || null;
+    const queueKey = `${status}:${page}:${version}`;
+    const contextKey = selectedId ? `${selectedId}:${version}` : null;
+
+    useEffect(() => {
+        let cancelled = false;
+        const params = new URLSearchParams({ status, page: String(page), limit: String(PAGE_SIZE) });
+        fetchJson(`/transactions/review-queue?${params}`, 'flagReview.loadFailed').then((result) => {
+            if (!cancelled) {
+                setQueue({ key: queueKey, ...result });
+            }
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [status, page, queueKey]);
+
+    useEffect(() => {
+        if (!selectedId) {
+            return;
+        }
+        let cancelled = false;
+        fetchJson(`/transactions/${selectedId}/review-context`, 'flagReview.contextFailed').then((result) => {
+            if (!cancelled) {
+                setContext({ key: contextKey, ...result });
+            }
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [selectedId, contextKey]);
+
+    const selectTransaction = (id) => {
+        setSearchParams(id ? { transaction: String(id) } : {});
+        setNote('');
+        setDecisionError('');
+        setDecisionMessage('');
+    };
+
+    const changeStatus = (next) => {
+        setStatus(next);
+        setPage(1);
+    };
+
+    const decide = async (decision) => {
+        setConfirmReject(false);
+        setDeciding(true);
+        setDecisionError('');
+        setDecisionMessage('');
+        try {
+            const response = await authenticatedFetch(`/transactions/${selectedId}/review`, {
+                method: 'PATCH',
+                body: JSON.stringify({ decision, note: note.trim() })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                setDecisionError(data.Message || data.message || t('flagReview.decisionFailed'));
+                return;
+            }
+            setNote('');
+            setDecisionMessage(decision === 'approve'
+                ? t('flagReview.approvedMessage', { id: selectedId })
+                : [
+                    t('flagReview.rejectedMessage', { id: selectedId, count: data.clawbacks.length }),
+                    data.owing?.length > 0 ? t('flagReview.owingMessage', { count: data.owing.length }) : ''
+                ].join(' ').trim());
+            setVersion((prev) => prev + 1);
+        } catch {
+            setDecisionError(t('flagReview.decisionFailed'));
+        } finally {
+            setDeciding(false);
+        }
+    };
+
+    const queueLoading = queue?.key !== queueKey;
+    const contextLoading = contextKey !== null && context?.key !== contextKey;
+    const totalPages = queue?.data ? Math.max(1, Math.ceil(queue.data.count / PAGE_SIZE)) : 1;
+    const selected = !contextLoading && context?.data ? context.data : null;
+    const pending = selected?.transaction.suspicious
+        && selected.transaction.reviewStatus === 'pending'
+        && !selected.transaction.voided;
+    const canDecide = pending && note.trim() !== '' && !deciding;
+
+    return (
+        <div className="manager-flag-review container">
+            <div className="page-header">
+                <h1>{t('flagReview.pageTitle')}</h1>
+                <p>{t('flagReview.subtitle')}</p>
+            </div>
+
+            <div className="flag-review-tabs" role="tablist">
+                {STATUSES.map(option => (
+                    <button
+                        key={option}
+                        type="button"
+                        role="tab"
+                        aria-selected={status === option}
+                        className={status === option ? 'active' : ''}
+                        onClick={() => changeStatus(option)}
+                    >
+                        {t(`flagReview.status.${option}`)}
+                    </button>
+                ))}
+            </div>
+
+            <div className="flag-review-layout">
+                <section className="flag-review-section">
+                    {queueLoading ? (
+                        <Loading />
+                    ) : queue.error ? (
+                        <Error error={t(queue.error)} />
+                    ) : queue.data.results.length === 0 ? (
+                        <p className="flag-review-empty">{t(status === 'pending' ? 'flagReview.empty' : 'flagReview.noneDecided')}</p>
+                    ) : (
+                        <ul className="flag-review-queue">
+                            {queue.data.results.map(item => (
+                                <li key={item.id}>
+                                    <button
+                                        type="button"
+                                        className={item.id === selectedId ? 'selected' : ''}
+                                        onClick={() => selectTransaction(item.id)}
+                                    >
+                                        <strong>#{item.id} · {t(typeKey(item.type))} · {item.utorid}</strong>
+                                        <span className="flag-review-meta">
+                                            {item.type === 'purchase' ? `$${item.spent.toFixed(2)} · ` : ''}
+                                            {item.amount} {t('transactionCard.points')} · {t('flagReview.by', { utorid: item.issuer })} · {formatDate(item.date)}
+                                        </span>
+                                        {item.suspiciousReason && <span className="flag-review-reason">{item.suspiciousReason}</span>}
+                                        {item.reviewStatus !== 'pending' && (
+                                            <span className={`flag-review-status flag-review-status--${item.reviewStatus}`}>
+                                                {t(`flagReview.status.${item.reviewStatus}`)} · {item.reviewedBy}
+                                            </span>
+                                        )}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {totalPages > 1 && (
+                        <div className="pagination">
+                            <button type="button" disabled={page === 1} onClick={() => setPage((prev) => Math.max(1, prev - 1))}>
+                                {t('pagination.previous')}
+                            </button>
+                            <span className="results-meta">{t('pagination.page')} {page} {t('pagination.of')} {totalPages}</span>
+                            <button
+                                type="button"
+                                disabled={page === totalPages}
+                                onClick={() => setPage((prev) => Math.min(totalPages, prev + 1))}
+                            >
+                                {t('pagination.next')}
+                            </button>
+                        </div>
+                    )}
+                </section>
+
+                <section className="flag-review-section flag-review-detail">
+                    {!selectedId ? (
+                        <p className="flag-review-empty">{t('flagReview.selectPrompt')}</p>
+                    ) : contextLoading ? (
+                        <Loading />
+                    ) : context.error ? (
+                        <Error error={t(context.error)} />
+                    ) : (
+                        <>
+                            <div className="flag-review-detail-header">
+                                <h2>#{selected.transaction.id} · {t(typeKey(selected.transaction.type))}</h2>
+                                <button type="button" className="flag-review-close" onClick={() => selectTransaction(null)}>
+                                    {t('flagReview.close')}
+                                </button>
+                            </div>
+                            <p className="flag-review-meta">
+                                {selected.transaction.type === 'purchase' ? `$${selected.transaction.spent.toFixed(2)} · ` : ''}
+                                {selected.transaction.amount} {t('transactionCard.points')} · {formatDate(selected.transaction.date)}
+                            </p>
+                            {selected.transaction.remark && <p className="flag-review-remark">{selected.transaction.remark}</p>}
+                            {selected.transaction.suspiciousReason && (
+                                <p className="flag-review-reason">{selected.transaction.suspiciousReason}</p>
+                            )}
+
+                            <div className="flag-review-parties">
+                                <PartyHistory title={t('flagReview.receiver')} party={selected.receiver} t={t} />
+                                <PartyHistory title={t('flagReview.issuer')} party={selected.issuer} t={t} />
+                            </div>
+
+                            {decisionMessage && <p className="flag-review-success">{decisionMessage}</p>}
+
+                            {pending ? (
+                                <form className="flag-review-form" onSubmit={(e) => e.preventDefault()}>
+                                    <label htmlFor="flag-review-note">{t('flagReview.note')}</label>
+                                    <textarea
+                                        id="flag-review-note"
+                                        value={note}
+                                        onChange={(e) => setNote(e.target.value)}
+                                        maxLength={MAX_NOTE_LENGTH}
+                                        rows={3}
+                                        placeholder={t('flagReview.notePlaceholder')}
+                                    />
+                                    <small>{note.length}/{MAX_NOTE_LENGTH}</small>
+                                    {decisionError && <Error error={decisionError} />}
+                                    <div className="flag-review-form-actions">
+                                        <button type="button" className="flag-review-approve" onClick={() => decide('approve')} disabled={!canDecide}>
+                                            {t('flagReview.approve')}
+                                        </button>
+                                        <button type="button" className="flag-review-reject" onClick={() => setConfirmReject(true)} disabled={!canDecide}>
+                                            {t('flagReview.reject')}
+                                        </button>
+                                    </div>
+                                </form>
+                            ) : selected.transaction.reviewStatus && selected.transaction.reviewStatus !== 'pending' && (
+                                <div className="flag-review-decided">
+                                    <p>
+                                        <span className={`flag-review-status flag-review-status--${selected.transaction.reviewStatus}`}>
+                                            {t(`flagReview.status.${selected.transaction.reviewStatus}`)}
+                                        </span>
+                                        {' '}{t('flagReview.decidedBy', {
+                                            utorid: selected.transaction.reviewedBy,
+                                            date: formatDate(selected.transaction.reviewedAt)
+                                        })}
+                                    </p>
+                                    {selected.transaction.reviewNote && <p className="flag-review-remark">{selected.transaction.reviewNote}</p>}
+                                </div>
+                            )}
+                        </>
+                    )}
+                </section>
+            </div>
+
+            <ConfirmModal
+                isOpen={confirmReject}
+                title={t('flagReview.rejectTitle')}
+                message={t('flagReview.rejectMessage')}
+                confirmText={t('flagReview.reject')}
+                cancelText={t('managerAdjustment.cancel')}
+                onConfirm={() => decide('reject')}
+                onCancel={() => setConfirmReject(false)}
+            />
+        </div>
+    );
+}
+
+export default ManagerFlagReview;
@@ -5,7 +5,8 @@ import { useLanguage, translatePromotionDescription } from '../contexts/Language
 import {
     Loading,
     Error,
-    PromotionEditorModal
+    PromotionEditorModal,
+    PromotionStats
 } from '../components';
 import { authenticatedFetch } from '../utils/api.js';
 import { formatDate } from '../utils/dateUtils.js';
@@ -221,6 +222,7 @@ function PromotionDetail() {
                         <span>{promotion.userCount || 0} users have redeemed this promotion.</span>
                     )}
                 </div>
+                {isManager && <PromotionStats promotionId={promotion.id} />}
             </div>
 
             <PromotionEditorModal
@@ -20,7 +20,8 @@ import {
     Error,
     PromotionEditorModal,
     PromotionDetailModal,
-    ConfirmModal
+    ConfirmModal,
+    ExportButton
 } from '../components';
 import { authenticatedFetch } from '../utils/api.js';
 import { formatDate } from '../utils/dateUtils.js';
@@ -30,6 +31,37 @@ import './promotions.css';
 // Number of promotions to show per page for pagination
 const PAGE_SIZE = 12;
 
+// Query parameters for the current filters, shared by the list and its export
+const buildFilterParams = (filters, isRegular) => {
+    const params = new URLSearchParams();
+
+    // Add search filter if user typed something
+    if(filters.search.trim()) {
+        params.set('name', filters.search.trim());
+    }
+
+    // Add status filter (including 'all' - this was fixed to work properly)
+    // For regular users, always force 'active' status
+    if(isRegular) {
+        params.set('status', 'active');
+    } else if(filters.status) {
+        params.set('status', filters.status);
+    }
+
+    // Add type filter (only if not 'all')
+    if(filters.type && filters.type !== 'all') {
+        params.set('type', filters.type);
+    }
+
+    // Add all advanced filter parameters if they have values
+    ['minSpendingMin','minSpendingMax','rateMin','rateMax','pointsMin','pointsMax','startAfter','startBefore','endAfter','endBefore'].forEach((key) => {
+        if(filters[key]) {
+            params.set(key, filters[key]);
+        }
+    });
+    return params;
+};
+
 function Promotions() {
     // Get current user from context to determine permissions and default filters
     const { user } = useContext(UserContext);
@@ -143,35 +175,10 @@ function Promotions() {
             setError('');       // Clear any previous errors
             try {
                 // Build query parameters from filter state
-                const params = new URLSearchParams();
+                const params = buildFilterParams(filters, isRegular);
                 params.set('page', String(page));           // Current page number
                 params.set('limit', String(PAGE_SIZE));     // How many per page
                 
-                // Add search filter if user typed something
-                if(filters.search.trim()) {
-                    params.set('name', filters.search.trim());
-                }
-                
-                // Add status filter (including 'all' - this was fixed to work properly)
-                // For regular users, always force 'active' status
-                if(isRegular) {
-                    params.set('status', 'active');
-                } else if(filters.status) {
-                    params.set('status', filters.status);
-                }
-                
-                // Add type filter (only if not 'all')
-                if(filters.type && filters.type !== 'all') {
-                    params.set('type', filters.type);
-                }
-                
-                // Add all advanced filter parameters if they have values
-                ['minSpendingMin','minSpendingMax','rateMin','rateMax','pointsMin','pointsMax','startAfter','startBefore','endAfter','endBefore'].forEach((key) => {
-                    if(filters[key]) {
-                        params.set(key, filters[key]);
-                    }
-                });
-                
                 // Make authenticated API request
                 const response = await authenticatedFetch(`/promotions?${params.toString()}`, {
                     signal: controller.signal  // Allows cancellation
@@ -500,6 +507,9 @@ function Promotions() {
                 </div>
                 <div className="page-actions">
                     {toast && <span className="toast">{toast}</span>}
+                    {isManager && (
+                        <ExportButton endpoint="/promotions/export" params={buildFilterParams(filters, isRegular)} name="promotions" />
+                    )}
                     {isManager && (
                         <button className="primary-btn" onClick={() => handleModalOpen('create')}>
                             {t('promotions.newPromotion')}
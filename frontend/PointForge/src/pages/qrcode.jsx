@@ -2,16 +2,18 @@ import { useContext } from 'react';
 import { UserContext } from '../contexts/UserContext.jsx';
 import { useLanguage } from '../contexts/LanguageContext.jsx';
 import { QRCodeDisplay, Loading, Error } from '../components';
+import { useSignedQrToken } from '../utils/qrTokens.js';
 import './qrcode.css';
 
 /**
  * QR Code Page
- * Displays the user's utorid as a QR code for cashiers to scan
- * to initiate purchase or transfer transactions
+ * Displays a signed, short-lived QR code identifying the user for cashiers to scan
+ * to initiate purchase or transfer transactions; the code refreshes itself before it expires
  */
 function QRCode() {
     const { user, loading, error } = useContext(UserContext);
     const { t } = useLanguage();
+    const qr = useSignedQrToken(user ? '/users/me/qr' : null);
 
     if (loading) {
         return <Loading message={t('common.loading')} />;
@@ -35,11 +37,17 @@ function QRCode() {
             </div>
 
             <div className="qrcode-content">
-                <QRCodeDisplay 
-                    value={user.utorid} 
-                    label={t('qrcode.yourUtorid')}
-                    size={280}
-                />
+                {qr.error ? (
+                    <Error error={qr.error} />
+                ) : qr.token ? (
+                    <QRCodeDisplay 
+                        value={qr.token} 
+                        label={t('qrcode.yourUtorid')}
+                        size={280}
+                    />
+                ) : (
+                    <Loading message={t('common.loading')} />
+                )}
                 
                 <div className="qrcode-info">
                     <div className="qrcode-info-item">
@@ -49,6 +57,12 @@ function QRCode() {
                     <p className="qrcode-instructions">
                         {t('qrcode.instructions')}
                     </p>
+                    <p className="qrcode-instructions">
+                        {t('qrcode.singleUse')}
+                    </p>
+                    <button type="button" className="qrcode-refresh-btn" onClick={qr.refresh}>
+                        {t('qrcode.refresh')}
+                    </button>
                 </div>
             </div>
         </div>
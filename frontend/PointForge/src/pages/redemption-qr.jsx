@@ -4,20 +4,41 @@ import { UserContext } from '../contexts/UserContext.jsx';
 import { useLanguage } from '../contexts/LanguageContext.jsx';
 import { authenticatedFetch } from '../utils/api.js';
 import { QRCodeDisplay, Loading, Error } from '../components';
+import { formatDate } from '../utils/dateUtils.js';
+import { useSignedQrToken } from '../utils/qrTokens.js';
 import './redemption-qr.css';
 
+/**
+ * Format the time left before a redemption request expires
+ * @param {number} ms - Milliseconds remaining
+ * @returns {string} Countdown as h:mm:ss, or m:ss under an hour
+ */
+const formatCountdown = (ms) => {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    if (hours > 0) {
+        return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+    }
+    return `${minutes}:${seconds}`;
+};
+
 /**
  * Redemption QR Code Display Page
- * Shows QR code for unprocessed redemption requests
+ * Shows QR code for pending redemption requests, with a countdown to expiry and a cancel action
  */
 function RedemptionQR() {
     const { transactionId } = useParams();
     const navigate = useNavigate();
-    const { user } = useContext(UserContext);
+    const { refreshUserData } = useContext(UserContext);
     const { t } = useLanguage();
     const [transaction, setTransaction] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
+    const [now, setNow] = useState(() => Date.now());
+    const [cancelling, setCancelling] = useState(false);
+    const [cancelError, setCancelError] = useState('');
 
     useEffect(() => {
         const fetchRedemption = async () => {
@@ -43,9 +64,9 @@ function RedemptionQR() {
                         throw new Error(data.message || data.Message || 'Failed to load redemptions');
                     }
 
-                    // Find the most recent unprocessed redemption
+                    // Find the most recent pending redemption (not processed, cancelled or expired)
                     const unprocessed = data.results?.find(t => 
-                        t.type === 'redemption' && !t.processed
+                        t.type === 'redemption' && t.status === 'pending'
                     );
 
                     if (unprocessed) {
@@ -97,9 +118,9 @@ function RedemptionQR() {
         fetchRedemption();
     }, [transactionId]);
 
-    // Poll for updates if transaction is unprocessed
+    // Poll for updates while the request is pending
     useEffect(() => {
-        if (!transaction || transaction.processed) {
+        if (!transaction || transaction.status !== 'pending') {
             return;
         }
 
@@ -109,8 +130,9 @@ function RedemptionQR() {
                 if (response.ok) {
                     const data = await response.json();
                     const updated = data.results?.find(t => t.id === transaction.id);
-                    if (updated && updated.processed) {
+                    if (updated && updated.status !== 'pending') {
                         setTransaction(updated);
+                        refreshUserData();
                     }
                 }
             } catch (err) {
@@ -119,7 +141,51 @@ function RedemptionQR() {
         }, 5000); // Poll every 5 seconds
 
         return () => clearInterval(intervalId);
-    }, [transaction?.id, transaction?.processed]);
+    }, [transaction?.id, transaction?.status]);
+
+    // Tick the expiry countdown once a second while the request is pending
+    const ticking = transaction?.status === 'pending';
+
+    // The QR code carries a signed, single-use token rather than the guessable transaction id
+    const qr = useSignedQrToken(ticking ? `/users/me/transactions/${transaction.id}/qr` : null);
+    useEffect(() => {
+        if (!ticking) {
+            return;
+        }
+        const intervalId = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(intervalId);
+    }, [ticking]);
+
+    const handleCancel = async () => {
+        const confirmed = window.confirm(t('redemptionQR.cancelConfirm'));
+        if (!confirmed) {
+            return;
+        }
+        setCancelling(true);
+        setCancelError('');
+        try {
+            const response = await authenticatedFetch(`/users/me/transactions/${transaction.id}/cancel`, {
+                method: 'POST'
+            });
+
+            // authenticatedFetch handles 401 automatically
+            if (response.status === 401) {
+                throw new Error(t('redemptionQR.sessionExpired'));
+            }
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.message || data.Message || t('redemptionQR.cancelFailed'));
+            }
+            setTransaction(prev => ({ ...prev, ...data }));
+            // The reserved points are back in the available balance
+            refreshUserData();
+        } catch (err) {
+            setCancelError(err.message || t('redemptionQR.cancelFailed'));
+        } finally {
+            setCancelling(false);
+        }
+    };
 
     if (loading) {
         return (
@@ -158,27 +224,44 @@ function RedemptionQR() {
         );
     }
 
-    const isProcessed = transaction.processed;
+    const remainingMs = transaction.expiresAt ? Date.parse(transaction.expiresAt) - now : null;
+    // The countdown can run out before the next poll picks up the expired status
+    const status = transaction.status === 'pending' && remainingMs !== null && remainingMs <= 0
+        ? 'expired'
+        : (transaction.status || (transaction.processed ? 'processed' : 'pending'));
+    const isProcessed = status === 'processed';
+    const isPending = status === 'pending';
+
+    const headerMessage = () => {
+        switch (status) {
+            case 'processed': return t('redemptionQR.processed');
+            case 'cancelled': return t('redemptionQR.cancelled');
+            case 'expired': return t('redemptionQR.expired');
+            default: return t('redemptionQR.pending');
+        }
+    };
 
     return (
         <div className="redemption-qr-page container">
             <div className="redemption-qr-header">
                 <h1>{t('redemptionQR.title')}</h1>
-                <p>
-                    {isProcessed 
-                        ? t('redemptionQR.processed')
-                        : t('redemptionQR.pending')}
-                </p>
+                <p>{headerMessage()}</p>
             </div>
 
             <div className="redemption-qr-content">
-                {!isProcessed ? (
+                {isPending ? (
                     <>
-                        <QRCodeDisplay 
-                            value={String(transaction.id)} 
-                            label={t('redemptionQR.transactionId')}
-                            size={280}
-                        />
+                        {qr.error ? (
+                            <Error error={qr.error} />
+                        ) : qr.token ? (
+                            <QRCodeDisplay 
+                                value={qr.token} 
+                                label={t('redemptionQR.transactionId')}
+                                size={280}
+                            />
+                        ) : (
+                            <Loading message={t('redemptionQR.loading')} />
+                        )}
                         
                         <div className="redemption-qr-info">
                             <div className="status-badge status-badge--pending">
@@ -194,6 +277,12 @@ function RedemptionQR() {
                                     <span className="detail-label">{t('redemptionQR.pointsToRedeem')}</span>
                                     <span className="detail-value">{Math.abs(transaction.redeemed || transaction.amount || 0).toLocaleString()} {t('transactionCard.points')}</span>
                                 </div>
+                                {remainingMs !== null && (
+                                    <div className="detail-item">
+                                        <span className="detail-label">{t('redemptionQR.expiresIn')}</span>
+                                        <span className="detail-value redemption-countdown">{formatCountdown(remainingMs)}</span>
+                                    </div>
+                                )}
                                 {transaction.remark && (
                                     <div className="detail-item">
                                         <span className="detail-label">{t('redemptionQR.remarks')}</span>
@@ -205,8 +294,35 @@ function RedemptionQR() {
                             <p className="redemption-qr-instructions">
                                 {t('redemptionQR.instructions')}
                             </p>
+
+                            {cancelError && <Error error={cancelError} />}
                         </div>
                     </>
+                ) : !isProcessed ? (
+                    <div className="redemption-qr-processed">
+                        <div className={`status-badge status-badge--${status}`}>
+                            {status === 'expired' ? t('redemptionQR.expiredStatus') : t('redemptionQR.cancelledStatus')}
+                        </div>
+                        <p className="processed-message">
+                            {status === 'expired' ? t('redemptionQR.expiredMessage') : t('redemptionQR.cancelledMessage')}
+                        </p>
+                        <div className="redemption-details">
+                            <div className="detail-item">
+                                <span className="detail-label">{t('redemptionQR.transactionIdLabel')}</span>
+                                <span className="detail-value">#{transaction.id}</span>
+                            </div>
+                            <div className="detail-item">
+                                <span className="detail-label">{t('redemptionQR.pointsToRedeem')}</span>
+                                <span className="detail-value">{Math.abs(transaction.redeemed || transaction.amount || 0).toLocaleString()} {t('transactionCard.points')}</span>
+                            </div>
+                            {transaction.cancelledAt && (
+                                <div className="detail-item">
+                                    <span className="detail-label">{t('redemptionQR.cancelledAt')}</span>
+                                    <span className="detail-value">{formatDate(transaction.cancelledAt)}</span>
+                                </div>
+                            )}
+                        </div>
+                    </div>
                 ) : (
                     <div className="redemption-qr-processed">
                         <div className="status-badge status-badge--processed">
@@ -235,8 +351,13 @@ function RedemptionQR() {
                 )}
 
                 <div className="redemption-qr-actions">
+                    {isPending && (
+                        <button className="secondary-btn redemption-cancel-btn" onClick={handleCancel} disabled={cancelling}>
+                            {cancelling ? t('redemptionQR.cancelling') : t('redemptionQR.cancelRequest')}
+                        </button>
+                    )}
                     <button className="secondary-btn" onClick={() => navigate('/dashboard/redemption')}>
-                        {isProcessed ? t('redemptionQR.createNewRequest') : t('redemptionQR.requestAnother')}
+                        {isPending ? t('redemptionQR.requestAnother') : t('redemptionQR.createNewRequest')}
                     </button>
                     <button className="secondary-btn" onClick={() => navigate('/dashboard')}>
                         {t('redemptionQR.backToDashboard')}
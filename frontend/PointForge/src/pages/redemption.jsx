@@ -2,7 +2,7 @@ import { useContext, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { UserContext } from '../contexts/UserContext.jsx';
 import { useLanguage } from '../contexts/LanguageContext.jsx';
-import { authenticatedFetch } from '../utils/api.js';
+import { authenticatedFetch, createSubmissionKeys } from '../utils/api.js';
 import { Error, Loading } from '../components';
 import './redemption.css';
 
@@ -16,6 +16,8 @@ function Redemption() {
     const navigate = useNavigate();
     
     const [amount, setAmount] = useState('');
+    // Idempotency-Keys for the submits: only a retry of the same submit reuses one
+    const [submissionKeys] = useState(createSubmissionKeys);
     const [remark, setRemark] = useState('');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
@@ -49,13 +51,15 @@ function Redemption() {
         
         setLoading(true);
         try {
+            const body = JSON.stringify({
+                type: 'redemption',
+                amount: amountNum,
+                remark: remark.trim() || ''
+            });
             const response = await authenticatedFetch('/users/me/transactions', {
                 method: 'POST',
-                body: JSON.stringify({
-                    type: 'redemption',
-                    amount: amountNum,
-                    remark: remark.trim() || ''
-                })
+                body,
+                idempotencyKey: submissionKeys.keyFor(body)
             });
 
             // authenticatedFetch handles 401 automatically
@@ -75,6 +79,7 @@ function Redemption() {
             if (!response.ok) {
                 throw new Error(data.Message || data.message || t('redemption.failedToCreate'));
             }
+            submissionKeys.done();
             
             // Refresh user data to update points
             if (refreshUserData) {
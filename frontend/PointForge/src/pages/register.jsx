@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { unauthenticatedFetch } from '../utils/api.js';
 import { Error } from '../components';
 import { useLanguage } from '../contexts/LanguageContext.jsx';
@@ -12,6 +12,9 @@ function Register() {
     const [confirmPassword, setConfirmPassword] = useState('');
     const [email, setEmail] = useState('');
     const [name, setName] = useState('');
+    const [searchParams] = useSearchParams();
+    // Share links look like /register?ref=CODE
+    const [referralCode, setReferralCode] = useState(searchParams.get('ref') || '');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
     const navigate = useNavigate();
@@ -56,9 +59,13 @@ function Register() {
                 return;
             }
 
+            const body = { utorid, password, name, email };
+            if (referralCode.trim()) {
+                body.referralCode = referralCode.trim();
+            }
             const response = await unauthenticatedFetch('/users', {
                 method: 'POST',
-                body: JSON.stringify({ utorid, password, name, email }),
+                body: JSON.stringify(body),
             });
             const data = await response.json();
 
@@ -161,6 +168,16 @@ function Register() {
                         disabled={loading}
                     />
                 </div>
+                <div className="input-group">
+                    <label htmlFor="referralCode">{t('register.referralCode')}</label>
+                    <input
+                        id="referralCode"
+                        type="text"
+                        value={referralCode}
+                        onChange={(e) => setReferralCode(e.target.value)}
+                        disabled={loading}
+                    />
+                </div>
                 <button type="submit" className="register-btn" disabled={loading}>
                     {loading ? t('register.registering') : t('register.submit')}
                 </button>
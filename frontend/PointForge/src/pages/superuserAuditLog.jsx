@@ -0,0 +1,212 @@
+import { useState, useEffect } from 'react';
+import { useLanguage } from '../contexts/LanguageContext.jsx';
+import { authenticatedFetch } from '../utils/api.js';
+import { Error, Loading } from '../components';
+import './superuserAuditLog.css';
+
+/**
+ * Superuser Audit Log Page
+ * Lists the audit log of privileged actions (role and flag changes, promotion and event edits
+ * and deletes, adjustments and voids), newest first, with the fields each one changed
+ */
+
+const PAGE_SIZE = 20;
+const ACTION_GROUPS = ['user', 'promotion', 'event', 'transaction', 'adjustment'];
+const TARGET_TYPES = ['user', 'promotion', 'event', 'transaction', 'batch'];
+const EMPTY_FILTERS = { actor: '', action: '', targetType: '', targetId: '', from: '', to: '' };
+
+// Utility function to build the GET /audit query for a page of filtered entries
+const buildQuery = (filters, page) => {
+    const params = new URLSearchParams({ page: String(page), limit: String(PAGE_SIZE) });
+    Object.entries(filters).forEach(([key, value]) => {
+        if (!value) {
+            return;
+        }
+        // Date inputs give whole days; `to` includes its whole day
+        if (key === 'from') {
+            params.set(key, new Date(`${value}T00:00:00`).toISOString());
+        } else if (key === 'to') {
+            params.set(key, new Date(`${value}T23:59:59.999`).toISOString());
+        } else {
+            params.set(key, value.trim());
+        }
+    });
+    return params.toString();
+};
+
+// Utility function to show a changed value
+const formatValue = (value) => {
+    if (value === null || value === undefined) {
+        return '—';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+function SuperuserAuditLog() {
+    const { t } = useLanguage();
+    const [draft, setDraft] = useState(EMPTY_FILTERS);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [page, setPage] = useState(1);
+    // Keyed by the query it answers, so a new query shows as loading until its answer arrives
+    const [result, setResult] = useState(null);
+
+    const query = buildQuery(filters, page);
+    const loading = result?.query !== query;
+
+    useEffect(() => {
+        let cancelled = false;
+        const fetchEntries = async () => {
+            try {
+                const response = await authenticatedFetch(`/audit?${query}`);
+                const data = await response.json().catch(() => ({}));
+                if (cancelled) {
+                    return;
+                }
+                setResult(response.ok
+                    ? { query, data }
+                    : { query, error: data.Message || data.message || 'audit.loadFailed' });
+            } catch {
+                if (!cancelled) {
+                    setResult({ query, error: 'audit.loadFailed' });
+                }
+            }
+        };
+        fetchEntries();
+        return () => {
+            cancelled = true;
+        };
+    }, [query]);
+
+    const updateDraft = (key) => (e) => setDraft(prev => ({ ...prev, [key]: e.target.value }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        setFilters(draft);
+        setPage(1);
+    };
+
+    const handleClear = () => {
+        setDraft(EMPTY_FILTERS);
+        setFilters(EMPTY_FILTERS);
+        setPage(1);
+    };
+
+    const totalPages = result?.data ? Math.max(1, Math.ceil(result.data.count / PAGE_SIZE)) : 1;
+
+    return (
+        <div className="superuser-audit-log container">
+            <div className="page-header">
+                <h1>{t('audit.title')}</h1>
+                <p>{t('audit.subtitle')}</p>
+            </div>
+
+            <form className="audit-section audit-filters" onSubmit={handleSubmit}>
+                <div className="audit-filter">
+                    <label htmlFor="audit-actor">{t('audit.actor')}</label>
+                    <input id="audit-actor" type="text" value={draft.actor} onChange={updateDraft('actor')} placeholder="utorid" />
+                </div>
+                <div className="audit-filter">
+                    <label htmlFor="audit-action">{t('audit.action')}</label>
+                    <select id="audit-action" value={draft.action} onChange={updateDraft('action')}>
+                        <option value="">{t('audit.any')}</option>
+                        {ACTION_GROUPS.map(group => (
+                            <option key={group} value={group}>{t(`audit.group.${group}`)}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="audit-filter">
+                    <label htmlFor="audit-target-type">{t('audit.targetType')}</label>
+                    <select id="audit-target-type" value={draft.targetType} onChange={updateDraft('targetType')}>
+                        <option value="">{t('audit.any')}</option>
+                        {TARGET_TYPES.map(type => (
+                            <option key={type} value={type}>{t(`audit.target.${type}`)}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="audit-filter">
+                    <label htmlFor="audit-target-id">{t('audit.targetId')}</label>
+                    <input id="audit-target-id" type="text" value={draft.targetId} onChange={updateDraft('targetId')} />
+                </div>
+                <div className="audit-filter">
+                    <label htmlFor="audit-from">{t('audit.from')}</label>
+                    <input id="audit-from" type="date" value={draft.from} onChange={updateDraft('from')} />
+                </div>
+                <div className="audit-filter">
+                    <label htmlFor="audit-to">{t('audit.to')}</label>
+                    <input id="audit-to" type="date" value={draft.to} onChange={updateDraft('to')} />
+                </div>
+                <div className="audit-filter-actions">
+                    <button type="submit" className="audit-apply-btn">{t('audit.apply')}</button>
+                    <button type="button" className="audit-clear-btn" onClick={handleClear}>{t('audit.clear')}</button>
+                </div>
+            </form>
+
+            {result?.error && <Error error={t(result.error)} />}
+
+            <section className="audit-section">
+                {loading ? (
+                    <Loading />
+                ) : !result.data || result.data.results.length === 0 ? (
+                    <p className="audit-empty">{t('audit.empty')}</p>
+                ) : (
+                    <table className="audit-table">
+                        <thead>
+                            <tr>
+                                <th>{t('audit.when')}</th>
+                                <th>{t('audit.actor')}</th>
+                                <th>{t('audit.action')}</th>
+                                <th>{t('audit.target')}</th>
+                                <th>{t('audit.changes')}</th>
+                                <th>{t('audit.ip')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {result.data.results.map(entry => (
+                                <tr key={entry.id}>
+                                    <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                                    <td>
+                                        {entry.actor.utorid}
+                                        <small>{entry.actor.role}</small>
+                                    </td>
+                                    <td><code>{entry.action}</code></td>
+                                    <td>{entry.targetType}{entry.targetId ? ` #${entry.targetId}` : ''}</td>
+                                    <td>
+                                        <ul className="audit-changes">
+                                            {Object.entries(entry.changes).map(([field, change]) => (
+                                                <li key={field}>
+                                                    <strong>{field}</strong>{' '}
+                                                    <span className="audit-from">{formatValue(change.from)}</span>
+                                                    {' → '}
+                                                    <span className="audit-to">{formatValue(change.to)}</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </td>
+                                    <td>{entry.ip || '—'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </section>
+
+            {totalPages > 1 && (
+                <div className="pagination">
+                    <button type="button" disabled={page === 1} onClick={() => setPage((prev) => Math.max(1, prev - 1))}>
+                        {t('pagination.previous')}
+                    </button>
+                    <span className="results-meta">{t('pagination.page')} {page} {t('pagination.of')} {totalPages}</span>
+                    <button
+                        type="button"
+                        disabled={page === totalPages}
+                        onClick={() => setPage((prev) => Math.min(totalPages, prev + 1))}
+                    >
+                        {t('pagination.next')}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default SuperuserAuditLog;
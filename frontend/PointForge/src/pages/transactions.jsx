@@ -18,7 +18,8 @@ import {
     Loading,
     Error,
     Transaction,
-    TransactionDetailModal
+    TransactionDetailModal,
+    ExportButton
 } from '../components';
 import { authenticatedFetch } from '../utils/api.js';
 import './transactions.css';
@@ -46,6 +47,7 @@ function Transactions() {
         name: searchParams.get('name') || '',
         createdBy: searchParams.get('createdBy') || '',
         suspicious: searchParams.get('suspicious') || 'all',
+        voided: searchParams.get('voided') || 'all',
     });
     
     const [showAdvancedFilters, setShowAdvancedFilters] = useState(false);
@@ -59,6 +61,7 @@ function Transactions() {
     const [error, setError] = useState('');
     const [transactionModalOpen, setTransactionModalOpen] = useState(false);
     const [selectedTransactionId, setSelectedTransactionId] = useState(null);
+    const [refreshKey, setRefreshKey] = useState(0);
 
     // Update URL params when filters or page change (bookmarkable URLs)
     useEffect(() => {
@@ -73,6 +76,7 @@ function Transactions() {
             if (filters.name) params.set('name', filters.name);
             if (filters.createdBy) params.set('createdBy', filters.createdBy);
             if (filters.suspicious !== 'all') params.set('suspicious', filters.suspicious);
+            if (filters.voided !== 'all') params.set('voided', filters.voided);
         }
         if (sortBy !== 'id') params.set('sortBy', sortBy);
         if (sortOrder !== 'desc') params.set('sortOrder', sortOrder);
@@ -127,6 +131,9 @@ function Transactions() {
                     if (filters.suspicious !== 'all') {
                         params.set('suspicious', filters.suspicious === 'true' ? 'true' : 'false');
                     }
+                    if (filters.voided !== 'all') {
+                        params.set('voided', filters.voided === 'true' ? 'true' : 'false');
+                    }
                 }
                 
                 // Add sorting parameters to API request
@@ -278,7 +285,7 @@ function Transactions() {
         
         fetchTransactions();
         return () => controller.abort();
-    }, [filters, page, isManager, sortBy, sortOrder]);
+    }, [filters, page, isManager, sortBy, sortOrder, refreshKey]);
 
     const totalPages = Math.max(1, Math.ceil((data.count || 0) / PAGE_SIZE));
 
@@ -309,12 +316,16 @@ function Transactions() {
                     <p>{isManager ? t('transactions.subtitleManager') : t('transactions.subtitleRegular')}</p>
                 </div>
                 {isManager && (
-                    <button 
-                        className="create-adjustment-btn"
-                        onClick={() => navigate('/dashboard/manager/create-adjustment')}
-                    >
-                        Create Adjustment
-                    </button>
+                    <div className="transactions-header-actions">
+                        {/* The URL mirrors the current filters and sort */}
+                        <ExportButton endpoint="/transactions/export" params={searchParams} name="transactions" />
+                        <button 
+                            className="create-adjustment-btn"
+                            onClick={() => navigate('/dashboard/manager/create-adjustment')}
+                        >
+                            Create Adjustment
+                        </button>
+                    </div>
                 )}
             </div>
 
@@ -334,6 +345,9 @@ function Transactions() {
                             <option value="transfer">{t('transactions.typeTransfer')}</option>
                             <option value="event">{t('transactions.typeEvent')}</option>
                             <option value="adjustment">{t('transactions.typeAdjustment')}</option>
+                            <option value="expiry">{t('transactions.typeExpiry')}</option>
+                            <option value="birthday">{t('transactions.typeBirthday')}</option>
+                            <option value="referral">{t('transactions.typeReferral')}</option>
                         </select>
                     </label>
                     <label>
@@ -461,6 +475,17 @@ function Transactions() {
                                                 <option value="false">{t('transactions.suspiciousFalse')}</option>
                                             </select>
                                         </label>
+                                        <label>
+                                            {t('transactions.voidedStatus')}
+                                            <select
+                                                value={filters.voided}
+                                                onChange={(e) => handleFilterChange('voided', e.target.value)}
+                                            >
+                                                <option value="all">{t('transactions.voidedAll')}</option>
+                                                <option value="true">{t('transactions.voidedTrue')}</option>
+                                                <option value="false">{t('transactions.voidedFalse')}</option>
+                                            </select>
+                                        </label>
                                     </div>
                                 </>
                             )}
@@ -502,6 +527,7 @@ function Transactions() {
                     setTransactionModalOpen(false);
                     setSelectedTransactionId(null);
                 }}
+                onTransactionUpdated={() => setRefreshKey(prev => prev + 1)}
             />
 
             {/* Pagination */}
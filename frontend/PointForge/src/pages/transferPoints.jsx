@@ -2,7 +2,7 @@ import { useState, useEffect, useRef, useContext } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { UserContext } from '../contexts/UserContext.jsx';
 import { useLanguage } from '../contexts/LanguageContext.jsx';
-import { authenticatedFetch } from '../utils/api.js';
+import { authenticatedFetch, createSubmissionKeys } from '../utils/api.js';
 import { Error, Loading } from '../components';
 import './transferPoints.css';
 
@@ -16,6 +16,8 @@ function TransferPoints() {
     const navigate = useNavigate();
     
     const [receiverUtorid, setReceiverUtorid] = useState('');
+    // Idempotency-Keys for the submits: only a retry of the same submit reuses one
+    const [submissionKeys] = useState(createSubmissionKeys);
     const [amount, setAmount] = useState('');
     const [remark, setRemark] = useState('');
     const [receiver, setReceiver] = useState(null);
@@ -117,13 +119,15 @@ function TransferPoints() {
         
         setLoading(true);
         try {
+            const body = JSON.stringify({
+                type: 'transfer',
+                amount: amountNum,
+                remark: remark.trim() || ''
+            });
             const response = await authenticatedFetch(`/users/${receiver.id}/transactions`, {
                 method: 'POST',
-                body: JSON.stringify({
-                    type: 'transfer',
-                    amount: amountNum,
-                    remark: remark.trim() || ''
-                })
+                body,
+                idempotencyKey: submissionKeys.keyFor(`${receiver.id}|${body}`)
             });
 
             // authenticatedFetch handles 401 automatically, but we can still throw for local error handling
@@ -143,6 +147,7 @@ function TransferPoints() {
             if (!response.ok) {
                 throw new Error(data.Message || data.message || 'Failed to transfer points');
             }
+            submissionKeys.done();
             
             // Refresh user data to update points
             if (refreshUserData) {
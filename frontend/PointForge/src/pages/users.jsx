@@ -17,7 +17,9 @@ import {
     Loading,
     Error,
     EmptyState,
-    UserDetailModal
+    UserDetailModal,
+    ExportButton,
+    UserImportWizard
 } from '../components';
 import { authenticatedFetch } from '../utils/api.js';
 import './users.css';
@@ -54,12 +56,14 @@ function Users() {
     const [detailModalOpen, setDetailModalOpen] = useState(false);
     const [selectedUserId, setSelectedUserId] = useState(null);
     const [createAccountModalOpen, setCreateAccountModalOpen] = useState(false);
+    const [importWizardOpen, setImportWizardOpen] = useState(false);
     const [createAccountForm, setCreateAccountForm] = useState({
         utorid: '',
         name: '',
         email: '',
         password: '',
-        role: 'regular'
+        role: 'regular',
+        referralCode: ''
     });
     const [createAccountError, setCreateAccountError] = useState('');
     const [createAccountLoading, setCreateAccountLoading] = useState(false);
@@ -213,7 +217,8 @@ function Users() {
                 name: '',
                 email: '',
                 password: '',
-                role: 'regular'
+                role: 'regular',
+                referralCode: ''
             });
             
             // Refresh user list if manager
@@ -317,6 +322,13 @@ function Users() {
                 </div>
                 <div className="page-actions">
                     {toast && <span className="toast">{toast}</span>}
+                    {/* The URL mirrors the current filters */}
+                    {isManager && <ExportButton endpoint="/users/export" params={searchParams} name="users" />}
+                    {isManager && (
+                        <button className="secondary-btn" onClick={() => setImportWizardOpen(true)}>
+                            {t('userImport.openButton')}
+                        </button>
+                    )}
                     {canCreateAccounts && (
                         <button className="primary-btn" onClick={() => setCreateAccountModalOpen(true)}>
                             {t('users.createAccount')}
@@ -499,6 +511,19 @@ function Users() {
                                 />
                                 <small>{t('users.passwordHint')}</small>
                             </div>
+                            <div className="account-form-group">
+                                <label htmlFor="create-referral-code">
+                                    {t('users.referralCode')}
+                                </label>
+                                <input
+                                    type="text"
+                                    id="create-referral-code"
+                                    value={createAccountForm.referralCode}
+                                    onChange={(e) => setCreateAccountForm({ ...createAccountForm, referralCode: e.target.value })}
+                                    disabled={createAccountLoading}
+                                />
+                                <small>{t('users.referralCodeHint')}</small>
+                            </div>
                             {isManager && (
                                 <div className="account-form-group">
                                     <label htmlFor="create-role">
@@ -546,6 +571,17 @@ function Users() {
                     </div>
                 </div>
             )}
+
+            {/* Bulk import wizard (managers) */}
+            {importWizardOpen && (
+                <UserImportWizard
+                    onClose={() => setImportWizardOpen(false)}
+                    onImported={(count) => {
+                        setToast(t('userImport.imported', { count }));
+                        setRefreshKey((key) => key + 1);
+                    }}
+                />
+            )}
         </div>
     );
 }
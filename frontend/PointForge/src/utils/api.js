@@ -71,23 +71,93 @@ const handleAuthError = async () => {
     }
 };
 
+const generateIdempotencyKey = () => {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+};
+
+/**
+ * Create the Idempotency-Keys for one form's transaction-creating submits
+ * Each submit is a new action with a new key, so a genuine second identical transaction is
+ * created; only a retry of a submit that never got a successful answer (same body, not yet
+ * marked done) reuses its key, so the backend replays the transaction it may already have made
+ * @returns {{keyFor: function(string): string, done: function(): void}} `keyFor(body)` gives the key for submitting `body`; `done()` ends the action once it succeeded
+ */
+export const createSubmissionKeys = () => {
+    let current = null;
+    return {
+        keyFor: (body) => {
+            if (!current || current.body !== body) {
+                current = { body, key: generateIdempotencyKey() };
+            }
+            return current.key;
+        },
+        done: () => {
+            current = null;
+        },
+    };
+};
+
+// Keys given to POST and PATCH requests sent without one, by method, endpoint and body, while
+// such a request is in flight: a double submit of the same request reuses the key, so the
+// backend refuses the duplicate, and once it has answered the next submit is a new action
+const inFlightKeys = new Map();
+
+const acquireKey = (fingerprint) => {
+    const entry = inFlightKeys.get(fingerprint) || { key: generateIdempotencyKey(), requests: 0 };
+    entry.requests += 1;
+    inFlightKeys.set(fingerprint, entry);
+    return entry.key;
+};
+
+const releaseKey = (fingerprint) => {
+    const entry = inFlightKeys.get(fingerprint);
+    entry.requests -= 1;
+    if (entry.requests === 0) {
+        inFlightKeys.delete(fingerprint);
+    }
+};
+
 /**
  * Make an authenticated fetch request
  * Uses httpOnly cookies (sent automatically with credentials: 'include')
+ * POST and PATCH requests always carry an Idempotency-Key: the caller's `idempotencyKey` (see
+ * createSubmissionKeys, which lets a retry reuse it), or else one shared only with identical
+ * requests still in flight
  * @param {string} endpoint - API endpoint (without base URL)
- * @param {Object} options - Fetch options
+ * @param {Object} options - Fetch options, plus an optional `idempotencyKey` sent as the Idempotency-Key header
  * @returns {Promise<Response>} Fetch response
  */
 export const authenticatedFetch = async (endpoint, options = {}) => {
+    const { idempotencyKey, ...fetchOptions } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const fingerprint = !idempotencyKey && (method === 'POST' || method === 'PATCH')
+        ? `${method} ${endpoint} ${typeof fetchOptions.body === 'string' ? fetchOptions.body : ''}`
+        : null;
     const headers = getHeaders();
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-        ...options,
-        credentials: 'include', // Include httpOnly cookies
-        headers: {
-            ...headers,
-            ...options.headers,
-        },
-    });
+    if (idempotencyKey) {
+        headers['Idempotency-Key'] = idempotencyKey;
+    } else if (fingerprint) {
+        headers['Idempotency-Key'] = acquireKey(fingerprint);
+    }
+
+    let response;
+    try {
+        response = await fetch(`${API_BASE_URL}${endpoint}`, {
+            ...fetchOptions,
+            credentials: 'include', // Include httpOnly cookies
+            headers: {
+                ...headers,
+                ...fetchOptions.headers,
+            },
+        });
+    } finally {
+        if (fingerprint) {
+            releaseKey(fingerprint);
+        }
+    }
 
     // Handle 401 Unauthorized responses globally
     if (response.status === 401) {
@@ -118,3 +188,30 @@ export const unauthenticatedFetch = async (endpoint, options = {}) => {
         },
     });
 };
+
+/**
+ * Download a file from an authenticated endpoint
+ * Saves the response under the name from its Content-Disposition header, or `fallbackName`
+ * @param {string} endpoint - API endpoint (without base URL)
+ * @param {string} fallbackName - File name to use when the response doesn't give one
+ * @returns {Promise<Response>} Fetch response, so the caller can report a failed download
+ */
+export const downloadFile = async (endpoint, fallbackName) => {
+    const response = await authenticatedFetch(endpoint);
+    if (!response.ok) {
+        return response;
+    }
+
+    const disposition = response.headers.get('content-disposition') || '';
+    const match = disposition.match(/filename="?([^";]+)"?/);
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : fallbackName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    return response;
+};
@@ -0,0 +1,95 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { authenticatedFetch, createSubmissionKeys } from './api';
+
+// A fetch that answers once `answer()` is called, recording the Idempotency-Key of each request
+const deferredFetch = () => {
+    const keys = [];
+    const pending = [];
+    const fetch = vi.fn((url, options) => {
+        keys.push(options.headers['Idempotency-Key']);
+        return new Promise((resolve) => pending.push(resolve));
+    });
+    const answer = () => pending.splice(0).forEach((resolve) => resolve(new Response('{}', { status: 201 })));
+    return { fetch, keys, answer };
+};
+
+describe('authenticatedFetch', () => {
+    let server;
+
+    beforeEach(() => {
+        server = deferredFetch();
+        vi.stubGlobal('fetch', server.fetch);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('sends no Idempotency-Key with a GET', async () => {
+        const request = authenticatedFetch('/users/me');
+        server.answer();
+        await request;
+        expect(server.keys).toEqual([undefined]);
+    });
+
+    it('gives a POST without a key one of its own', async () => {
+        const request = authenticatedFetch('/promotions', { method: 'POST', body: '{"name":"a"}' });
+        server.answer();
+        await request;
+        expect(server.keys[0]).toMatch(/^[A-Za-z0-9_-]{8,128}$/);
+    });
+
+    it('reuses the key for an identical request still in flight', async () => {
+        const first = authenticatedFetch('/promotions', { method: 'POST', body: '{"name":"a"}' });
+        const second = authenticatedFetch('/promotions', { method: 'POST', body: '{"name":"a"}' });
+        const other = authenticatedFetch('/promotions', { method: 'POST', body: '{"name":"b"}' });
+        server.answer();
+        await Promise.all([first, second, other]);
+        expect(server.keys[1]).toBe(server.keys[0]);
+        expect(server.keys[2]).not.toBe(server.keys[0]);
+    });
+
+    it('uses a new key once the earlier identical request has answered', async () => {
+        const first = authenticatedFetch('/events/1/guests', { method: 'PATCH', body: '{}' });
+        server.answer();
+        await first;
+        const second = authenticatedFetch('/events/1/guests', { method: 'PATCH', body: '{}' });
+        server.answer();
+        await second;
+        expect(server.keys[1]).not.toBe(server.keys[0]);
+    });
+
+    it('uses a new key after an identical request failed to send', async () => {
+        server.fetch.mockImplementationOnce((url, options) => {
+            server.keys.push(options.headers['Idempotency-Key']);
+            return Promise.reject(new TypeError('Failed to fetch'));
+        });
+        await expect(authenticatedFetch('/promotions', { method: 'POST', body: '{}' })).rejects.toThrow('Failed to fetch');
+        const retry = authenticatedFetch('/promotions', { method: 'POST', body: '{}' });
+        server.answer();
+        await retry;
+        expect(server.keys).toHaveLength(2);
+        expect(server.keys[1]).not.toBe(server.keys[0]);
+    });
+
+    it("sends the caller's key as given", async () => {
+        const keys = createSubmissionKeys();
+        const key = keys.keyFor('{"amount":5}');
+        const request = authenticatedFetch('/transactions', { method: 'POST', body: '{"amount":5}', idempotencyKey: key });
+        server.answer();
+        await request;
+        expect(server.keys).toEqual([key]);
+    });
+});
+
+describe('createSubmissionKeys', () => {
+    it('reuses a key only for a retry of the same submit', () => {
+        const keys = createSubmissionKeys();
+        const first = keys.keyFor('{"amount":5}');
+        expect(keys.keyFor('{"amount":5}')).toBe(first);
+        expect(keys.keyFor('{"amount":6}')).not.toBe(first);
+        const again = keys.keyFor('{"amount":6}');
+        keys.done();
+        expect(keys.keyFor('{"amount":6}')).not.toBe(again);
+    });
+});
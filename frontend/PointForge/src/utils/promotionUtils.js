@@ -19,6 +19,109 @@ const toServerDate = (value) => {
     return date.toISOString();
 };
 
+const splitList = (text) => String(text || '')
+    .split(/[\s,]+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const optionalCount = (value) => {
+    if(value === '' || value === undefined || value === null) {
+        return undefined;
+    }
+    const numeric = Number(value);
+    return Number.isNaN(numeric) || numeric < 0 ? undefined : Math.round(numeric);
+};
+
+// Form state for the audience builder; an empty form means everyone
+export const EMPTY_AUDIENCE_FORM = {
+    roles: [],
+    tiers: [],
+    utorids: '',
+    eventIds: '',
+    birthdayMonth: false,
+    newWithinDays: '',
+    minPoints: '',
+    maxPoints: ''
+};
+
+// Convert a promotion's audience (from the server) into audience builder form state
+export const audienceToForm = (audience) => {
+    if(!audience) {
+        return EMPTY_AUDIENCE_FORM;
+    }
+    return {
+        roles: audience.roles || [],
+        tiers: audience.tiers || [],
+        utorids: (audience.utorids || []).join(', '),
+        eventIds: (audience.eventIds || []).join(', '),
+        birthdayMonth: Boolean(audience.birthdayMonth),
+        newWithinDays: audience.newWithinDays ?? '',
+        minPoints: audience.minPoints ?? '',
+        maxPoints: audience.maxPoints ?? ''
+    };
+};
+
+// Convert audience builder form state into the audience the server expects (null for everyone)
+export const audienceFromForm = (form = EMPTY_AUDIENCE_FORM) => {
+    const eventIds = splitList(form.eventIds).map(Number).filter((id) => Number.isInteger(id) && id > 0);
+    const audience = {
+        roles: form.roles?.length ? form.roles : undefined,
+        tiers: form.tiers?.length ? form.tiers : undefined,
+        utorids: splitList(form.utorids).length ? splitList(form.utorids) : undefined,
+        eventIds: eventIds.length ? eventIds : undefined,
+        birthdayMonth: form.birthdayMonth ? true : undefined,
+        newWithinDays: optionalCount(form.newWithinDays),
+        minPoints: optionalCount(form.minPoints),
+        maxPoints: optionalCount(form.maxPoints)
+    };
+    const criteria = Object.fromEntries(
+        Object.entries(audience).filter(([, value]) => value !== undefined)
+    );
+    return Object.keys(criteria).length > 0 ? criteria : null;
+};
+
+// Form state for the schedule builder; repeat off means the promotion runs for its whole window
+export const EMPTY_SCHEDULE_FORM = {
+    repeat: false,
+    frequency: 'weekly',
+    days: [],
+    weeks: [],
+    start: '',
+    durationHours: ''
+};
+
+// Convert a promotion's recurrence rule (from the server) into schedule builder form state
+export const recurrenceToForm = (recurrence) => {
+    if(!recurrence) {
+        return EMPTY_SCHEDULE_FORM;
+    }
+    return {
+        repeat: true,
+        frequency: recurrence.frequency,
+        days: recurrence.days || [],
+        weeks: recurrence.weeks || [],
+        start: recurrence.start,
+        durationHours: String(recurrence.durationMinutes / 60)
+    };
+};
+
+// Convert schedule builder form state into the recurrence rule the server expects (null for none)
+export const recurrenceFromForm = (form = EMPTY_SCHEDULE_FORM) => {
+    if(!form.repeat) {
+        return null;
+    }
+    const recurrence = {
+        frequency: form.frequency,
+        days: form.days,
+        start: form.start,
+        durationMinutes: Math.round(Number(form.durationHours) * 60)
+    };
+    if(form.frequency === 'monthly') {
+        recurrence.weeks = form.weeks;
+    }
+    return recurrence;
+};
+
 export const buildPromotionPayload = (formValues = {}) => {
     const payload = {};
 
@@ -76,6 +179,48 @@ export const buildPromotionPayload = (formValues = {}) => {
         }
     }
 
+    // Stacking rules
+    if(formValues.exclusive !== undefined) {
+        payload.exclusive = Boolean(formValues.exclusive);
+    }
+
+    if(formValues.stackGroup !== undefined) {
+        const group = String(formValues.stackGroup || '').trim();
+        payload.stackGroup = group || null;
+    }
+
+    if(formValues.priority !== '' && formValues.priority !== undefined && formValues.priority !== null) {
+        const numeric = Number(formValues.priority);
+        if(Number.isInteger(numeric)) {
+            payload.priority = numeric;
+        }
+    }
+
+    // Usage caps; clearing a field removes the cap
+    ['maxUses', 'maxUsesPerUser', 'maxUsesPerDay', 'pointsBudget'].forEach((field) => {
+        if(formValues[field] === undefined) {
+            return;
+        }
+        if(formValues[field] === '' || formValues[field] === null) {
+            payload[field] = null;
+            return;
+        }
+        const numeric = Number(formValues[field]);
+        if(!Number.isNaN(numeric) && numeric >= 0) {
+            payload[field] = Math.round(numeric);
+        }
+    });
+
+    // Audience targeting
+    if(formValues.audience !== undefined) {
+        payload.audience = audienceFromForm(formValues.audience);
+    }
+
+    // Recurring schedule
+    if(formValues.recurrence !== undefined) {
+        payload.recurrence = recurrenceFromForm(formValues.recurrence);
+    }
+
     return Object.fromEntries(
         Object.entries(payload).filter(([, value]) => value !== undefined)
     );
@@ -0,0 +1,94 @@
+/**
+ * Signed QR code utilities
+ * The backend issues short-lived, single-use tokens for QR codes instead of raw utorids or
+ * transaction ids; cashiers send the scanned token back so it can be verified and used up
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { authenticatedFetch } from './api.js';
+
+// Request a fresh code this long before the current one expires
+const REFRESH_MARGIN_MS = 10 * 1000;
+
+/**
+ * Check whether a scanned or typed value is a signed QR token
+ * @param {string} value - Value read from a QR code or input field
+ * @returns {boolean} True if the value has the shape of a signed token
+ */
+export const isSignedQrToken = (value) => {
+    return typeof value === 'string' && value.trim().startsWith('PF1.');
+};
+
+/**
+ * Read the type of a signed QR token without verifying it (the backend does that)
+ * @param {string} value - Text decoded from a QR code
+ * @returns {{type: string, token: string}|null} The payload type ("user" or "redemption") and token, or null if unrecognised
+ */
+export const parseQrPayload = (value) => {
+    if (!isSignedQrToken(value)) {
+        return null;
+    }
+    const token = value.trim();
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        return null;
+    }
+    try {
+        const json = atob(parts[1].replace(/-/g, '+').replace(/_/g, '/'));
+        const payload = JSON.parse(json);
+        if (payload.typ !== 'user' && payload.typ !== 'redemption') {
+            return null;
+        }
+        return { type: payload.typ, token };
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Keep a signed QR token issued by `endpoint` fresh, re-issuing it shortly before it expires
+ * @param {string|null} endpoint - POST endpoint that issues the token, or null to stop
+ * @returns {{token: string, expiresAt: string, error: string, refresh: function}} Current token state
+ */
+export const useSignedQrToken = (endpoint) => {
+    const [state, setState] = useState({ token: '', expiresAt: '', error: '' });
+    const [refreshKey, setRefreshKey] = useState(0);
+
+    const refresh = useCallback(() => setRefreshKey(prev => prev + 1), []);
+
+    useEffect(() => {
+        if (!endpoint) {
+            return;
+        }
+        let cancelled = false;
+        let timeoutId;
+
+        const issue = async () => {
+            try {
+                const response = await authenticatedFetch(endpoint, { method: 'POST' });
+                const data = await response.json().catch(() => ({}));
+                if (!response.ok) {
+                    throw new Error(data.message || data.Message || 'Failed to load QR code');
+                }
+                if (cancelled) {
+                    return;
+                }
+                setState({ token: data.token, expiresAt: data.expiresAt, error: '' });
+                const delay = Math.max(Date.parse(data.expiresAt) - Date.now() - REFRESH_MARGIN_MS, 5000);
+                timeoutId = setTimeout(issue, delay);
+            } catch (err) {
+                if (!cancelled) {
+                    setState({ token: '', expiresAt: '', error: err.message || 'Failed to load QR code' });
+                }
+            }
+        };
+
+        issue();
+        return () => {
+            cancelled = true;
+            clearTimeout(timeoutId);
+        };
+    }, [endpoint, refreshKey]);
+
+    return { ...state, refresh };
+};